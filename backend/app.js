@@ -73,7 +73,7 @@ const createApp = () => {
   // 4. CORS
   // Handle preflight OPTIONS requests before anything else
   // ─────────────────────────────────────────────────────────────────────────────
-  app.options('*', preflightHandler);
+  app.options('/{*splat}', preflightHandler); // Express 5 requires a named wildcard
   app.use(corsMiddleware);
 
   // ─────────────────────────────────────────────────────────────────────────────
@@ -89,7 +89,15 @@ const createApp = () => {
   // 6. BODY PARSING
   // Strict size limits to prevent DoS via large payloads
   // ─────────────────────────────────────────────────────────────────────────────
-  app.use(express.json({ limit: '10kb' }));
+  app.use(
+    express.json({
+      limit: '10kb',
+      // Payment provider webhooks are signed over the exact bytes received
+      verify: (req, res, buf) => {
+        if (req.originalUrl.includes('/payments/webhooks/')) req.rawBody = buf;
+      }
+    })
+  );
   app.use(express.urlencoded({ extended: true, limit: '10kb' }));
   app.use(
     cookieParser(
@@ -176,18 +184,30 @@ const createApp = () => {
   // ─────────────────────────────────────────────────────────────────────────────
   const API_PREFIX = `/api/${process.env.API_VERSION || 'v1'}`;
 
-  // Auth routes (no auth middleware — public)
-  // app.use(`${API_PREFIX}/auth`, require('./routes/auth.routes'));
+  // Auth routes (login/refresh public — protect applied per route inside)
+  app.use(`${API_PREFIX}/auth`, require('./routes/auth.routes'));
 
   // Protected routes (auth middleware applied inside route files or here)
   // app.use(`${API_PREFIX}/users`,        require('./routes/user.routes'));
   // app.use(`${API_PREFIX}/roles`,        require('./routes/role.routes'));
-  // app.use(`${API_PREFIX}/rooms`,        require('./routes/room.routes'));
+  app.use(`${API_PREFIX}/rooms`,        require('./routes/room.routes'));
   // app.use(`${API_PREFIX}/room-types`,   require('./routes/roomType.routes'));
   // app.use(`${API_PREFIX}/guests`,       require('./routes/guest.routes'));
-  // app.use(`${API_PREFIX}/reservations`, require('./routes/reservation.routes'));
-  // app.use(`${API_PREFIX}/occupancies`,  require('./routes/occupancy.routes'));
-  // app.use(`${API_PREFIX}/payments`,     require('./routes/payment.routes'));
+  app.use(`${API_PREFIX}/reservations`, require('./routes/reservation.routes'));
+  app.use(`${API_PREFIX}/bookings`,     require('./routes/booking.routes'));
+  app.use(`${API_PREFIX}/waitlist`,     require('./routes/waitlist.routes'));
+  app.use(`${API_PREFIX}/occupancies`,  require('./routes/occupancy.routes'));
+  app.use(`${API_PREFIX}/housekeeping`, require('./routes/housekeeping.routes'));
+  app.use(`${API_PREFIX}/payments`,     require('./routes/payment.routes'));
+  app.use(`${API_PREFIX}/exchange-rates`, require('./routes/exchangeRate.routes'));
+  app.use(`${API_PREFIX}/rate-plans`,   require('./routes/ratePlan.routes'));
+  app.use(`${API_PREFIX}/tax-rules`,    require('./routes/taxRule.routes'));
+  app.use(`${API_PREFIX}/promotions`,   require('./routes/promotion.routes'));
+  app.use(`${API_PREFIX}/cancellation-policies`, require('./routes/cancellationPolicy.routes'));
+  app.use(`${API_PREFIX}/overbooking-rules`, require('./routes/overbooking.routes'));
+  app.use(`${API_PREFIX}/groups`,       require('./routes/group.routes'));
+  app.use(`${API_PREFIX}/night-audit`,  require('./routes/nightAudit.routes'));
+  app.use(`${API_PREFIX}/notifications`, require('./routes/notification.routes'));
   // app.use(`${API_PREFIX}/maintenance`,  require('./routes/maintenance.routes'));
   // app.use(`${API_PREFIX}/audit-logs`,   require('./routes/auditLog.routes'));
 
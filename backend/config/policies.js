@@ -0,0 +1,52 @@
+/**
+ * HOTEL OPERATING POLICIES
+ * Front-desk rules read from the environment with sensible defaults
+ */
+const parseTime = (value, fallback) => {
+  const [hours, minutes] = (value || fallback).split(':').map(Number);
+  return { hours, minutes };
+};
+
+const policies = {
+  // Standard check-in time on the arrival date (HH:MM, UTC like the stay dates)
+  checkInTime: parseTime(process.env.STANDARD_CHECK_IN_TIME, '14:00'),
+
+  // Fee for checking in before the standard time, as a fraction of one night
+  earlyCheckInFeeRate: parseFloat(process.env.EARLY_CHECK_IN_FEE_RATE || '0.5'),
+
+  // Standard check-out time on the departure date (HH:MM, UTC like the stay dates)
+  checkOutTime: parseTime(process.env.STANDARD_CHECK_OUT_TIME, '11:00'),
+
+  // Fee for leaving after the standard time, as a fraction of one night
+  lateCheckOutFeeRate: parseFloat(process.env.LATE_CHECK_OUT_FEE_RATE || '0.5'),
+
+  // Hours a PENDING booking has to secure a required deposit before it is cancelled
+  depositWindowHours: parseFloat(process.env.DEPOSIT_WINDOW_HOURS || '48'),
+
+  // How often the expired-deposit sweep runs
+  depositSweepIntervalMinutes: parseFloat(process.env.DEPOSIT_SWEEP_INTERVAL_MINUTES || '15'),
+
+  // When the nightly no-show sweep runs (HH:MM, server local time)
+  noShowRunTime: parseTime(process.env.NO_SHOW_RUN_TIME, '02:00'),
+
+  // No-show fee in room nights when the booking has no cancellation policy
+  noShowPenaltyNights: parseInt(process.env.NO_SHOW_PENALTY_NIGHTS || '1', 10),
+
+  // Largest manual discount, as a percent of room charges, below MANAGER
+  manualDiscountLimitPercent: parseFloat(process.env.MANUAL_DISCOUNT_LIMIT_PERCENT || '10')
+};
+
+/**
+ * Date at the given policy time on the business day of `date`. Stay dates are
+ * stored as UTC midnight, so the day and the time are both taken in UTC.
+ */
+const atPolicyTime = (date, { hours, minutes }) => {
+  const result = new Date(date);
+  result.setUTCHours(hours, minutes, 0, 0);
+  return result;
+};
+
+module.exports = {
+  policies,
+  atPolicyTime
+};
@@ -0,0 +1,10 @@
+/**
+ * PROPERTY SETTINGS
+ * Identity and accounting settings of the hotel this instance serves
+ */
+const property = {
+  // All reservation amounts, folio lines and reports are in this currency
+  baseCurrency: (process.env.BASE_CURRENCY || 'USD').toUpperCase()
+};
+
+module.exports = { property };
@@ -0,0 +1,38 @@
+const Redis = require('ioredis');
+const { logger } = require('../middlewares/logger');
+
+/**
+ * OPTIONAL REDIS CLIENT
+ * Only created when REDIS_URL is set. Consumers (token blacklist, rate limit
+ * stores) check `redisClient?.isOpen` and fall back to in-memory when absent.
+ */
+const createRedisClient = () => {
+  if (!process.env.REDIS_URL) {
+    return null;
+  }
+
+  const client = new Redis(process.env.REDIS_URL, {
+    maxRetriesPerRequest: 1,
+    enableOfflineQueue: false
+  });
+
+  client.on('ready', () => logger.info('[REDIS] Connection ready ✓'));
+  client.on('error', (err) => logger.error('[REDIS] Connection error:', { message: err.message }));
+
+  // Thin adapter exposing the node-redis style API the middlewares expect
+  return {
+    get isOpen() {
+      return client.status === 'ready';
+    },
+    get: (key) => client.get(key),
+    setEx: (key, seconds, value) => client.setex(key, seconds, value),
+    sendCommand: (args) => client.call(...args),
+    quit: () => client.quit()
+  };
+};
+
+const redisClient = createRedisClient();
+
+module.exports = {
+  redisClient
+};
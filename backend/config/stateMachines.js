@@ -0,0 +1,70 @@
+/**
+ * STATUS STATE MACHINES
+ * Allowed status transitions per model and the permission each one needs.
+ * A status not listed as a `from` of the target cannot move there; moving to
+ * the status a document already has is not a transition.
+ *
+ *   noun         how errors name the document
+ *   auditAction  action of the audit entry written for every transition
+ *   label        field identifying the document in audit metadata
+ */
+const STATE_MACHINES = {
+  Reservation: {
+    noun: 'reservation',
+    auditAction: 'STATUS_CHANGE',
+    label: 'reservationNumber',
+    transitions: [
+      { from: ['PENDING'], to: 'CONFIRMED', permission: 'manage_reservations' },
+      { from: ['PENDING', 'CONFIRMED'], to: 'CANCELLED', permission: 'manage_reservations' },
+      { from: ['CONFIRMED'], to: 'NO_SHOW', permission: 'manage_reservations' },
+      { from: ['CONFIRMED'], to: 'CHECKED_IN', permission: 'check_in' },
+      { from: ['CHECKED_IN'], to: 'CHECKED_OUT', permission: 'check_out' },
+      { from: ['CHECKED_OUT'], to: 'COMPLETED', permission: 'manage_reservations' }
+    ]
+  },
+
+  Room: {
+    noun: 'room',
+    auditAction: 'ROOM_STATUS_CHANGE',
+    label: 'roomNumber',
+    transitions: [
+      { from: ['AVAILABLE'], to: 'RESERVED', permission: 'manage_reservations' },
+      { from: ['RESERVED'], to: 'AVAILABLE', permission: 'manage_reservations' },
+      { from: ['AVAILABLE', 'RESERVED'], to: 'OCCUPIED', permission: 'check_in' },
+      { from: ['OCCUPIED'], to: 'CLEANING', permission: 'check_out' },
+      { from: ['CLEANING'], to: 'AVAILABLE', permission: 'manage_housekeeping' },
+      { from: ['AVAILABLE', 'RESERVED', 'CLEANING'], to: 'MAINTENANCE', permission: 'manage_rooms' },
+      { from: ['MAINTENANCE'], to: 'CLEANING', permission: 'manage_housekeeping' },
+      { from: ['MAINTENANCE', 'OUT_OF_SERVICE'], to: 'AVAILABLE', permission: 'manage_rooms' },
+      {
+        from: ['AVAILABLE', 'RESERVED', 'CLEANING', 'MAINTENANCE'],
+        to: 'OUT_OF_SERVICE',
+        permission: 'manage_rooms'
+      }
+    ]
+  },
+
+  Maintenance: {
+    noun: 'maintenance task',
+    auditAction: 'STATUS_CHANGE',
+    label: 'ticketNumber',
+    transitions: [
+      { from: ['PENDING', 'ON_HOLD'], to: 'IN_PROGRESS', permission: 'manage_housekeeping' },
+      { from: ['PENDING', 'IN_PROGRESS'], to: 'ON_HOLD', permission: 'manage_housekeeping' },
+      { from: ['PENDING', 'IN_PROGRESS'], to: 'COMPLETED', permission: 'manage_housekeeping' },
+      { from: ['PENDING', 'IN_PROGRESS', 'ON_HOLD'], to: 'CANCELLED', permission: 'assign_tasks' }
+    ]
+  },
+
+  Occupancy: {
+    noun: 'stay',
+    auditAction: 'STATUS_CHANGE',
+    label: 'reservation',
+    transitions: [
+      { from: ['CHECKED_IN'], to: 'EXTENDED', permission: 'manage_reservations' },
+      { from: ['CHECKED_IN', 'EXTENDED'], to: 'CHECKED_OUT', permission: 'check_out' }
+    ]
+  }
+};
+
+module.exports = { STATE_MACHINES };
@@ -0,0 +1,140 @@
+const User = require('../models/User');
+const Role = require('../models/Role');
+const AuditLog = require('../models/AuditLog');
+const { createSendToken, rotateRefreshToken, logout } = require('../middlewares/auth');
+const { AppError, asyncHandler } = require('../middlewares/errorHandler');
+const { ROLE_HIERARCHY } = require('../middlewares/rbac');
+
+/**
+ * REGISTER
+ * Creates a staff account. Only users with `manage_users` reach this handler,
+ * and they may not create accounts at or above their own role level.
+ */
+const register = asyncHandler(async (req, res, next) => {
+  const { fullName, email, phone, password, role } = req.body;
+
+  const targetRole = await Role.findById(role);
+  if (!targetRole || !targetRole.isActive) {
+    return next(new AppError('The specified role does not exist or is inactive.', 400, 'INVALID_ROLE'));
+  }
+
+  const creatorLevel = ROLE_HIERARCHY[req.user.role?.name];
+  const targetLevel = ROLE_HIERARCHY[targetRole.name];
+  if (req.user.role?.name !== 'ADMIN' && targetLevel >= creatorLevel) {
+    return next(
+      new AppError('You cannot assign a role equal to or higher than your own.', 403)
+    );
+  }
+
+  const existing = await User.findOne({ email });
+  if (existing) {
+    return next(new AppError('An account with this email already exists.', 409, 'EMAIL_IN_USE'));
+  }
+
+  const newUser = await User.create({ fullName, email, phone, password, role: targetRole._id });
+
+  await AuditLog.logAction({
+    user: req.user._id,
+    action: 'CREATE',
+    targetEntity: 'User',
+    targetId: newUser._id,
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent'],
+    metadata: { role: targetRole.name },
+    status: 'SUCCESS'
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'User registered successfully',
+    data: {
+      user: {
+        _id: newUser._id,
+        fullName: newUser.fullName,
+        email: newUser.email,
+        phone: newUser.phone,
+        role: targetRole.name,
+        accountStatus: newUser.accountStatus
+      }
+    }
+  });
+});
+
+/**
+ * LOGIN
+ * Verifies credentials and issues access + refresh tokens
+ */
+const login = asyncHandler(async (req, res, next) => {
+  const { email, password } = req.body;
+
+  const user = await User.findOne({ email })
+    .select('+password')
+    .populate({ path: 'role', select: 'name isActive' });
+
+  // Same message for unknown email and wrong password to avoid user enumeration
+  if (!user || !(await user.comparePassword(password))) {
+    if (user) {
+      await AuditLog.logAction({
+        user: user._id,
+        action: 'LOGIN_FAILED',
+        targetEntity: 'User',
+        targetId: user._id,
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+        status: 'FAILURE',
+        errorMessage: 'Incorrect password'
+      });
+    }
+    return next(new AppError('Incorrect email or password.', 401, 'INVALID_CREDENTIALS'));
+  }
+
+  if (user.accountStatus !== 'ACTIVE') {
+    return next(
+      new AppError(
+        `Your account is ${user.accountStatus.toLowerCase()}. Please contact the administrator.`,
+        403,
+        'ACCOUNT_NOT_ACTIVE'
+      )
+    );
+  }
+
+  if (!user.role?.isActive) {
+    return next(
+      new AppError('Your assigned role has been deactivated. Please contact the administrator.', 403)
+    );
+  }
+
+  await createSendToken(user, 200, req, res, 'Logged in successfully');
+});
+
+/**
+ * GET CURRENT USER
+ */
+const getMe = (req, res) => {
+  const user = req.user;
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user: {
+        _id: user._id,
+        fullName: user.fullName,
+        email: user.email,
+        phone: user.phone,
+        role: user.role?.name,
+        permissions: user.role?.permissions || [],
+        accountStatus: user.accountStatus,
+        lastLogin: user.lastLogin,
+        profileImage: user.profileImage
+      }
+    }
+  });
+};
+
+module.exports = {
+  register,
+  login,
+  logout,
+  refresh: rotateRefreshToken,
+  getMe
+};
@@ -0,0 +1,108 @@
+const { asyncHandler } = require('../middlewares/errorHandler');
+const bookingService = require('../services/booking.service');
+const { requestContext } = require('../utils/requestContext');
+
+/**
+ * LIST BOOKINGS
+ * GET /bookings?status=ACTIVE&guest=:guestId
+ */
+const listBookings = asyncHandler(async (req, res) => {
+  const bookings = await bookingService.listBookings({
+    status: req.query.status,
+    guest: req.query.guest
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: bookings.length,
+    data: { bookings }
+  });
+});
+
+/**
+ * GET BOOKING
+ * GET /bookings/:id
+ */
+const getBooking = asyncHandler(async (req, res) => {
+  const result = await bookingService.getBooking(req.params.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: result
+  });
+});
+
+/**
+ * CREATE BOOKING
+ * POST /bookings
+ */
+const createBooking = asyncHandler(async (req, res) => {
+  const result = await bookingService.createBooking(req.body, req.user, requestContext(req));
+
+  res.status(201).json({
+    status: 'success',
+    message: `Booking created with ${result.reservations.length} room(s)`,
+    data: result
+  });
+});
+
+/**
+ * ADD ROOM LINE
+ * POST /bookings/:id/lines
+ */
+const addLine = asyncHandler(async (req, res) => {
+  const result = await bookingService.addLine(req.params.id, req.body, req.user, requestContext(req));
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Room added to booking',
+    data: result
+  });
+});
+
+/**
+ * UPDATE BOOKING DATES
+ * PATCH /bookings/:id/dates
+ */
+const updateBookingDates = asyncHandler(async (req, res) => {
+  const result = await bookingService.updateBookingDates(
+    req.params.id,
+    req.body,
+    req.user,
+    requestContext(req)
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: `Dates updated on ${result.reservations.length} room(s)`,
+    data: result
+  });
+});
+
+/**
+ * CANCEL BOOKING
+ * POST /bookings/:id/cancel
+ */
+const cancelBooking = asyncHandler(async (req, res) => {
+  const result = await bookingService.cancelBooking(
+    req.params.id,
+    req.body,
+    req.user,
+    requestContext(req)
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: `${result.cancelled.length} room(s) cancelled, ${result.failed.length} failed`,
+    data: result
+  });
+});
+
+module.exports = {
+  listBookings,
+  getBooking,
+  createBooking,
+  addLine,
+  updateBookingDates,
+  cancelBooking
+};
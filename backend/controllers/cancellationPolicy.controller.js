@@ -0,0 +1,62 @@
+const { asyncHandler } = require('../middlewares/errorHandler');
+const cancellationService = require('../services/cancellation.service');
+const { requestContext } = require('../utils/requestContext');
+
+/**
+ * LIST CANCELLATION POLICIES
+ * GET /cancellation-policies?includeInactive=true
+ */
+const listCancellationPolicies = asyncHandler(async (req, res) => {
+  const cancellationPolicies = await cancellationService.listPolicies({
+    includeInactive: req.query.includeInactive === 'true'
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: cancellationPolicies.length,
+    data: { cancellationPolicies }
+  });
+});
+
+/**
+ * CREATE CANCELLATION POLICY
+ * POST /cancellation-policies
+ */
+const createCancellationPolicy = asyncHandler(async (req, res) => {
+  const cancellationPolicy = await cancellationService.createPolicy(
+    req.body,
+    req.user,
+    requestContext(req)
+  );
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Cancellation policy created',
+    data: { cancellationPolicy }
+  });
+});
+
+/**
+ * UPDATE CANCELLATION POLICY
+ * PATCH /cancellation-policies/:id
+ */
+const updateCancellationPolicy = asyncHandler(async (req, res) => {
+  const cancellationPolicy = await cancellationService.updatePolicy(
+    req.params.id,
+    req.body,
+    req.user,
+    requestContext(req)
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Cancellation policy updated',
+    data: { cancellationPolicy }
+  });
+});
+
+module.exports = {
+  listCancellationPolicies,
+  createCancellationPolicy,
+  updateCancellationPolicy
+};
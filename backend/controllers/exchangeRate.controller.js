@@ -0,0 +1,39 @@
+const { asyncHandler } = require('../middlewares/errorHandler');
+const exchangeRateService = require('../services/exchangeRate.service');
+const { requestContext } = require('../utils/requestContext');
+
+/**
+ * LIST CURRENT RATES
+ * GET /exchange-rates
+ */
+const listRates = asyncHandler(async (req, res) => {
+  const result = await exchangeRateService.listCurrentRates();
+
+  res.status(200).json({
+    status: 'success',
+    data: result
+  });
+});
+
+/**
+ * SET EXCHANGE RATE
+ * POST /exchange-rates
+ */
+const setRate = asyncHandler(async (req, res) => {
+  const exchangeRate = await exchangeRateService.setExchangeRate(
+    req.body,
+    req.user,
+    requestContext(req)
+  );
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Exchange rate saved',
+    data: { exchangeRate }
+  });
+});
+
+module.exports = {
+  listRates,
+  setRate
+};
@@ -0,0 +1,119 @@
+const { asyncHandler } = require('../middlewares/errorHandler');
+const groupService = require('../services/group.service');
+const { requestContext } = require('../utils/requestContext');
+
+/**
+ * LIST GROUPS
+ * GET /groups?status=OPEN
+ */
+const listGroups = asyncHandler(async (req, res) => {
+  const groups = await groupService.listGroups({ status: req.query.status });
+
+  res.status(200).json({
+    status: 'success',
+    results: groups.length,
+    data: { groups }
+  });
+});
+
+/**
+ * GET GROUP
+ * GET /groups/:id
+ */
+const getGroup = asyncHandler(async (req, res) => {
+  const result = await groupService.getGroup(req.params.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: result
+  });
+});
+
+/**
+ * CREATE GROUP
+ * POST /groups
+ */
+const createGroup = asyncHandler(async (req, res) => {
+  const group = await groupService.createGroup(req.body, req.user, requestContext(req));
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Group block created',
+    data: { group }
+  });
+});
+
+/**
+ * UPDATE GROUP
+ * PATCH /groups/:id
+ */
+const updateGroup = asyncHandler(async (req, res) => {
+  const group = await groupService.updateGroup(
+    req.params.id,
+    req.body,
+    req.user,
+    requestContext(req)
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Group updated',
+    data: { group }
+  });
+});
+
+/**
+ * RELEASE GROUP
+ * POST /groups/:id/release
+ */
+const releaseGroup = asyncHandler(async (req, res) => {
+  const group = await groupService.releaseGroup(req.params.id, req.user, requestContext(req));
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Unpicked block rooms released to general inventory',
+    data: { group }
+  });
+});
+
+/**
+ * CONVERT ROOMING LIST
+ * POST /groups/:id/rooming-list
+ */
+const convertRoomingList = asyncHandler(async (req, res) => {
+  const result = await groupService.convertRoomingList(
+    req.params.id,
+    req.body.entries,
+    req.user,
+    requestContext(req)
+  );
+
+  res.status(result.created.length > 0 ? 201 : 409).json({
+    status: result.created.length > 0 ? 'success' : 'fail',
+    message: `${result.created.length} reservation(s) created, ${result.failed.length} failed`,
+    data: result
+  });
+});
+
+/**
+ * GET GROUP FOLIO
+ * GET /groups/:id/folio
+ */
+const getGroupFolio = asyncHandler(async (req, res) => {
+  const statement = await groupService.getGroupFolio(req.params.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: statement
+  });
+});
+
+module.exports = {
+  listGroups,
+  getGroup,
+  createGroup,
+  updateGroup,
+  releaseGroup,
+  convertRoomingList,
+  getGroupFolio
+};
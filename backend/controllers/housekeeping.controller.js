@@ -0,0 +1,41 @@
+const { asyncHandler } = require('../middlewares/errorHandler');
+const housekeepingService = require('../services/housekeeping.service');
+const { requestContext } = require('../utils/requestContext');
+
+/**
+ * LIST TASKS
+ * GET /housekeeping?status=PENDING&room=...
+ */
+const listTasks = asyncHandler(async (req, res) => {
+  const tasks = await housekeepingService.listTasks(req.query);
+
+  res.status(200).json({
+    status: 'success',
+    results: tasks.length,
+    data: { tasks }
+  });
+});
+
+/**
+ * COMPLETE TASK
+ * POST /housekeeping/:id/complete
+ */
+const completeTask = asyncHandler(async (req, res) => {
+  const result = await housekeepingService.completeTask(
+    req.params.id,
+    req.body,
+    req.user,
+    requestContext(req)
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Housekeeping task completed',
+    data: result
+  });
+});
+
+module.exports = {
+  listTasks,
+  completeTask
+};
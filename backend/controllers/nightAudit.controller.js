@@ -0,0 +1,67 @@
+const { asyncHandler } = require('../middlewares/errorHandler');
+const nightAuditService = require('../services/nightAudit.service');
+const { getCurrentBusinessDay } = require('../services/businessDay.service');
+const { requestContext } = require('../utils/requestContext');
+
+/**
+ * GET BUSINESS DAY
+ * GET /night-audit/business-day
+ */
+const getBusinessDay = asyncHandler(async (req, res) => {
+  const businessDay = await getCurrentBusinessDay();
+
+  res.status(200).json({
+    status: 'success',
+    data: { businessDay }
+  });
+});
+
+/**
+ * CLOSE BUSINESS DAY
+ * POST /night-audit/close
+ */
+const closeBusinessDay = asyncHandler(async (req, res) => {
+  const report = await nightAuditService.closeBusinessDay(req.user, requestContext(req));
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Business day closed',
+    data: { report }
+  });
+});
+
+/**
+ * LIST REPORTS
+ * GET /night-audit/reports?limit=30
+ */
+const listReports = asyncHandler(async (req, res) => {
+  // Express 5 query values are not replaced by validation, so coerce here
+  const limit = Math.min(Number(req.query.limit) || 30, 366);
+  const reports = await nightAuditService.listReports({ limit });
+
+  res.status(200).json({
+    status: 'success',
+    results: reports.length,
+    data: { reports }
+  });
+});
+
+/**
+ * GET REPORT
+ * GET /night-audit/reports/:date
+ */
+const getReport = asyncHandler(async (req, res) => {
+  const report = await nightAuditService.getReport(req.params.date);
+
+  res.status(200).json({
+    status: 'success',
+    data: { report }
+  });
+});
+
+module.exports = {
+  getBusinessDay,
+  closeBusinessDay,
+  listReports,
+  getReport
+};
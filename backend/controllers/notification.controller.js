@@ -0,0 +1,37 @@
+const { asyncHandler } = require('../middlewares/errorHandler');
+const notificationService = require('../services/notification.service');
+
+/**
+ * LIST NOTIFICATIONS
+ * GET /notifications?unread=true&limit=50
+ */
+const listNotifications = asyncHandler(async (req, res) => {
+  const notifications = await notificationService.listNotifications(req.user, {
+    unread: req.query.unread === 'true',
+    limit: Math.min(Number(req.query.limit) || 50, 200)
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: notifications.length,
+    data: { notifications }
+  });
+});
+
+/**
+ * MARK NOTIFICATION READ
+ * POST /notifications/:id/read
+ */
+const markRead = asyncHandler(async (req, res) => {
+  const notification = await notificationService.markRead(req.params.id, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: { notification }
+  });
+});
+
+module.exports = {
+  listNotifications,
+  markRead
+};
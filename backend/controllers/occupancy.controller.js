@@ -0,0 +1,81 @@
+const { asyncHandler } = require('../middlewares/errorHandler');
+const occupancyService = require('../services/occupancy.service');
+const { requestContext } = require('../utils/requestContext');
+
+/**
+ * CHECK IN
+ * POST /occupancies/check-in
+ */
+const checkIn = asyncHandler(async (req, res) => {
+  const occupancy = await occupancyService.checkIn(req.body, req.user, requestContext(req));
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Guest checked in',
+    data: { occupancy }
+  });
+});
+
+/**
+ * CHECK OUT
+ * POST /occupancies/:id/check-out
+ */
+const checkOut = asyncHandler(async (req, res) => {
+  const result = await occupancyService.checkOut(
+    req.params.id,
+    req.body,
+    req.user,
+    requestContext(req)
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Guest checked out',
+    data: result
+  });
+});
+
+/**
+ * EXTEND STAY
+ * POST /occupancies/:id/extend
+ */
+const extendStay = asyncHandler(async (req, res) => {
+  const result = await occupancyService.extendStay(
+    req.params.id,
+    req.body,
+    req.user,
+    requestContext(req)
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Stay extended',
+    data: result
+  });
+});
+
+/**
+ * MOVE ROOM
+ * POST /occupancies/:id/move
+ */
+const moveRoom = asyncHandler(async (req, res) => {
+  const result = await occupancyService.moveRoom(
+    req.params.id,
+    req.body,
+    req.user,
+    requestContext(req)
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Guest moved to new room',
+    data: result
+  });
+});
+
+module.exports = {
+  checkIn,
+  checkOut,
+  extendStay,
+  moveRoom
+};
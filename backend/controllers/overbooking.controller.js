@@ -0,0 +1,78 @@
+const { asyncHandler } = require('../middlewares/errorHandler');
+const overbookingService = require('../services/overbooking.service');
+const { requestContext } = require('../utils/requestContext');
+
+/**
+ * LIST OVERBOOKING RULES
+ * GET /overbooking-rules?roomType=&includeInactive=true
+ */
+const listOverbookingRules = asyncHandler(async (req, res) => {
+  const overbookingRules = await overbookingService.listRules({
+    roomType: req.query.roomType,
+    includeInactive: req.query.includeInactive === 'true'
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: overbookingRules.length,
+    data: { overbookingRules }
+  });
+});
+
+/**
+ * CREATE OVERBOOKING RULE
+ * POST /overbooking-rules
+ */
+const createOverbookingRule = asyncHandler(async (req, res) => {
+  const overbookingRule = await overbookingService.createRule(req.body, req.user, requestContext(req));
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Overbooking rule created',
+    data: { overbookingRule }
+  });
+});
+
+/**
+ * UPDATE OVERBOOKING RULE
+ * PATCH /overbooking-rules/:id
+ */
+const updateOverbookingRule = asyncHandler(async (req, res) => {
+  const overbookingRule = await overbookingService.updateRule(
+    req.params.id,
+    req.body,
+    req.user,
+    requestContext(req)
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Overbooking rule updated',
+    data: { overbookingRule }
+  });
+});
+
+/**
+ * OVERSOLD REPORT
+ * GET /overbooking-rules/oversold?from=&to=&roomType=
+ */
+const getOversoldReport = asyncHandler(async (req, res) => {
+  const report = await overbookingService.getOversoldDates({
+    from: req.query.from,
+    to: req.query.to,
+    roomType: req.query.roomType
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: report.dates.length,
+    data: report
+  });
+});
+
+module.exports = {
+  listOverbookingRules,
+  createOverbookingRule,
+  updateOverbookingRule,
+  getOversoldReport
+};
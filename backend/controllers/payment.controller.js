@@ -0,0 +1,82 @@
+const Payment = require('../models/Payment');
+const { AppError, asyncHandler } = require('../middlewares/errorHandler');
+const paymentService = require('../services/payment.service');
+const { requestContext } = require('../utils/requestContext');
+
+/**
+ * RECORD PAYMENT
+ * POST /payments
+ */
+const recordPayment = asyncHandler(async (req, res) => {
+  const result = await paymentService.recordPayment(req.body, req.user, requestContext(req));
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Payment recorded',
+    data: result
+  });
+});
+
+/**
+ * GET PAYMENT
+ * GET /payments/:id
+ */
+const getPayment = asyncHandler(async (req, res, next) => {
+  const payment = await Payment.findById(req.params.id)
+    .populate('reservation', 'reservationNumber bookingNumber status totalAmount paidAmount balanceAmount')
+    .populate('allocations.reservation', 'reservationNumber status')
+    .populate('guest', 'fullName email')
+    .populate('processedBy', 'fullName');
+
+  if (!payment) {
+    return next(new AppError('Payment not found.', 404, 'PAYMENT_NOT_FOUND'));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { payment }
+  });
+});
+
+/**
+ * REFUND PAYMENT
+ * POST /payments/:id/refund
+ */
+const refundPayment = asyncHandler(async (req, res) => {
+  const result = await paymentService.refundPayment(
+    req.params.id,
+    req.body,
+    req.user,
+    requestContext(req)
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: result.payment.paymentStatus === 'REFUNDED' ? 'Payment fully refunded' : 'Partial refund issued',
+    data: result
+  });
+});
+
+/**
+ * PAYMENT PROVIDER WEBHOOK
+ * POST /payments/webhooks/:provider  (public — authenticated by signature)
+ */
+const handleWebhook = asyncHandler(async (req, res) => {
+  const result = await paymentService.handleProviderWebhook(
+    req.params.provider,
+    req.rawBody,
+    req.headers
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: { processed: result.processed }
+  });
+});
+
+module.exports = {
+  recordPayment,
+  handleWebhook,
+  getPayment,
+  refundPayment
+};
@@ -0,0 +1,58 @@
+const { asyncHandler } = require('../middlewares/errorHandler');
+const promotionService = require('../services/promotion.service');
+const { requestContext } = require('../utils/requestContext');
+
+/**
+ * LIST PROMOTIONS
+ * GET /promotions?includeInactive=true
+ */
+const listPromotions = asyncHandler(async (req, res) => {
+  const promotions = await promotionService.listPromotions({
+    includeInactive: req.query.includeInactive === 'true'
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: promotions.length,
+    data: { promotions }
+  });
+});
+
+/**
+ * CREATE PROMOTION
+ * POST /promotions
+ */
+const createPromotion = asyncHandler(async (req, res) => {
+  const promotion = await promotionService.createPromotion(req.body, req.user, requestContext(req));
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Promotion created',
+    data: { promotion }
+  });
+});
+
+/**
+ * UPDATE PROMOTION
+ * PATCH /promotions/:id
+ */
+const updatePromotion = asyncHandler(async (req, res) => {
+  const promotion = await promotionService.updatePromotion(
+    req.params.id,
+    req.body,
+    req.user,
+    requestContext(req)
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Promotion updated',
+    data: { promotion }
+  });
+});
+
+module.exports = {
+  listPromotions,
+  createPromotion,
+  updatePromotion
+};
@@ -0,0 +1,132 @@
+const RatePlan = require('../models/RatePlan');
+const { AppError, asyncHandler } = require('../middlewares/errorHandler');
+const ratePlanService = require('../services/ratePlan.service');
+const pricingService = require('../services/pricing.service');
+const taxService = require('../services/tax.service');
+const promotionService = require('../services/promotion.service');
+const { requestContext } = require('../utils/requestContext');
+const { roundCurrency } = require('../utils/money');
+
+/**
+ * LIST RATE PLANS
+ * GET /rate-plans  (public; staff also see private plans)
+ */
+const listRatePlans = asyncHandler(async (req, res) => {
+  const ratePlans = await ratePlanService.listRatePlans({ includePrivate: Boolean(req.user) });
+
+  res.status(200).json({
+    status: 'success',
+    results: ratePlans.length,
+    data: { ratePlans }
+  });
+});
+
+/**
+ * GET RATE PLAN
+ * GET /rate-plans/:id
+ */
+const getRatePlan = asyncHandler(async (req, res, next) => {
+  const ratePlan = await RatePlan.findById(req.params.id).populate('roomTypes', 'name basePrice');
+
+  if (!ratePlan) {
+    return next(new AppError('Rate plan not found.', 404, 'RATE_PLAN_NOT_FOUND'));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { ratePlan }
+  });
+});
+
+/**
+ * CREATE RATE PLAN
+ * POST /rate-plans
+ */
+const createRatePlan = asyncHandler(async (req, res) => {
+  const ratePlan = await ratePlanService.createRatePlan(req.body, req.user, requestContext(req));
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Rate plan created',
+    data: { ratePlan }
+  });
+});
+
+/**
+ * UPDATE RATE PLAN
+ * PATCH /rate-plans/:id
+ */
+const updateRatePlan = asyncHandler(async (req, res) => {
+  const ratePlan = await ratePlanService.updateRatePlan(
+    req.params.id,
+    req.body,
+    req.user,
+    requestContext(req)
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Rate plan updated',
+    data: { ratePlan }
+  });
+});
+
+/**
+ * QUOTE
+ * GET /rate-plans/quote?ratePlan=&room=|roomType=&checkInDate=&checkOutDate=&guests=&bookingSource=&promoCode=
+ * Includes the promotion discount and the taxes the stay would attract
+ */
+const quote = asyncHandler(async (req, res) => {
+  const { ratePlan, room, roomType, checkInDate, checkOutDate, guests, bookingSource, promoCode } = req.query;
+
+  const result = await pricingService.quoteStay({
+    ratePlan,
+    room,
+    roomType,
+    checkIn: new Date(checkInDate),
+    checkOut: new Date(checkOutDate),
+    // Express 5 exposes req.query read-only, so Joi's coercion does not stick
+    guests: Number(guests) || 1,
+    allowPrivate: Boolean(req.user)
+  });
+
+  const promotion = promoCode
+    ? await promotionService.previewPromotion(promoCode, {
+      roomTypeId: result.roomType,
+      checkIn: result.checkInDate,
+      checkOut: result.checkOutDate,
+      nights: result.numberOfNights,
+      roomCharges: result.total
+    })
+    : null;
+  const discount = promotion?.discountAmount || 0;
+
+  const taxes = await taxService.estimateTaxes({
+    roomCharges: result.total,
+    discounts: discount,
+    nights: result.numberOfNights,
+    guests: result.guests,
+    bookingSource: bookingSource || 'DIRECT'
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      quote: {
+        ...result,
+        promotion,
+        taxes: taxes.lines,
+        taxTotal: taxes.total,
+        totalWithTax: roundCurrency(result.total - discount + taxes.total)
+      }
+    }
+  });
+});
+
+module.exports = {
+  listRatePlans,
+  getRatePlan,
+  createRatePlan,
+  updateRatePlan,
+  quote
+};
@@ -0,0 +1,268 @@
+const Reservation = require('../models/Reservation');
+const { AppError, asyncHandler } = require('../middlewares/errorHandler');
+const reservationService = require('../services/reservation.service');
+const folioService = require('../services/folio.service');
+const depositService = require('../services/deposit.service');
+const taxService = require('../services/tax.service');
+const cancellationService = require('../services/cancellation.service');
+const { requestContext } = require('../utils/requestContext');
+
+/**
+ * CREATE RESERVATION
+ * POST /reservations
+ */
+const createReservation = asyncHandler(async (req, res) => {
+  const reservation = await reservationService.createReservation(
+    req.body,
+    req.user,
+    requestContext(req)
+  );
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Reservation created',
+    data: { reservation }
+  });
+});
+
+/**
+ * GET RESERVATION
+ * GET /reservations/:id
+ */
+const getReservation = asyncHandler(async (req, res, next) => {
+  const reservation = await Reservation.findById(req.params.id)
+    .populate('guest', 'fullName email phone vipStatus')
+    .populate('room', 'roomNumber floor roomType status');
+
+  if (!reservation) {
+    return next(new AppError('Reservation not found.', 404, 'RESERVATION_NOT_FOUND'));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { reservation }
+  });
+});
+
+/**
+ * CHANGE RESERVATION DATES
+ * PATCH /reservations/:id/dates
+ */
+const updateReservationDates = asyncHandler(async (req, res) => {
+  const reservation = await reservationService.updateReservationDates(
+    req.params.id,
+    req.body,
+    req.user,
+    requestContext(req)
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Reservation dates updated',
+    data: { reservation }
+  });
+});
+
+/**
+ * PREVIEW MODIFICATION
+ * POST /reservations/:id/modification-preview
+ */
+const previewModification = asyncHandler(async (req, res) => {
+  const preview = await reservationService.previewModification(req.params.id, req.body, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: { preview }
+  });
+});
+
+/**
+ * MODIFY RESERVATION
+ * PATCH /reservations/:id
+ */
+const modifyReservation = asyncHandler(async (req, res) => {
+  const result = await reservationService.modifyReservation(
+    req.params.id,
+    req.body,
+    req.user,
+    requestContext(req)
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Reservation modified',
+    data: result
+  });
+});
+
+/**
+ * ASSIGN ROOM
+ * PATCH /reservations/:id/room
+ */
+const assignRoom = asyncHandler(async (req, res) => {
+  const reservation = await reservationService.assignRoom(
+    req.params.id,
+    req.body.room,
+    req.user,
+    requestContext(req)
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Room assigned',
+    data: { reservation }
+  });
+});
+
+/**
+ * CONFIRM RESERVATION
+ * POST /reservations/:id/confirm
+ */
+const confirmReservation = asyncHandler(async (req, res) => {
+  const reservation = await depositService.confirmReservation(
+    req.params.id,
+    req.user,
+    requestContext(req)
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Reservation confirmed',
+    data: { reservation }
+  });
+});
+
+/**
+ * PLACE DEPOSIT HOLD
+ * POST /reservations/:id/deposit-hold
+ */
+const placeDepositHold = asyncHandler(async (req, res) => {
+  const result = await depositService.placeDepositHold(
+    req.params.id,
+    req.body,
+    req.user,
+    requestContext(req)
+  );
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Deposit authorized on card',
+    data: result
+  });
+});
+
+/**
+ * GET FOLIO
+ * GET /reservations/:id/folio
+ */
+const getFolio = asyncHandler(async (req, res) => {
+  const folio = await folioService.getStatement(req.params.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: folio
+  });
+});
+
+/**
+ * POST FOLIO CHARGE
+ * POST /reservations/:id/folio/charges
+ */
+const postFolioCharge = asyncHandler(async (req, res) => {
+  const result = await folioService.postCharge(
+    req.params.id,
+    req.body,
+    req.user,
+    requestContext(req)
+  );
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Charge posted to folio',
+    data: result
+  });
+});
+
+/**
+ * VOID FOLIO ENTRY
+ * POST /reservations/:id/folio/entries/:entryId/void
+ */
+const voidFolioEntry = asyncHandler(async (req, res) => {
+  const result = await folioService.voidEntry(
+    req.params.id,
+    req.params.entryId,
+    req.body.reason,
+    req.user,
+    requestContext(req)
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Folio entry voided',
+    data: result
+  });
+});
+
+/**
+ * GET TAX BREAKDOWN
+ * GET /reservations/:id/taxes
+ */
+const getTaxBreakdown = asyncHandler(async (req, res) => {
+  const taxes = await taxService.getTaxBreakdown(req.params.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: { taxes }
+  });
+});
+
+/**
+ * GET CANCELLATION QUOTE
+ * GET /reservations/:id/cancellation
+ */
+const getCancellationQuote = asyncHandler(async (req, res) => {
+  const cancellation = await cancellationService.previewCancellation(req.params.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: { cancellation }
+  });
+});
+
+/**
+ * CANCEL RESERVATION
+ * POST /reservations/:id/cancel
+ */
+const cancelReservation = asyncHandler(async (req, res) => {
+  const result = await cancellationService.cancelReservation(
+    req.params.id,
+    req.body,
+    req.user,
+    requestContext(req)
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: result.refundErrors.length > 0
+      ? 'Reservation cancelled; some refunds need manual follow-up'
+      : 'Reservation cancelled',
+    data: result
+  });
+});
+
+module.exports = {
+  createReservation,
+  getReservation,
+  updateReservationDates,
+  previewModification,
+  modifyReservation,
+  assignRoom,
+  confirmReservation,
+  placeDepositHold,
+  getFolio,
+  postFolioCharge,
+  voidFolioEntry,
+  getTaxBreakdown,
+  getCancellationQuote,
+  cancelReservation
+};
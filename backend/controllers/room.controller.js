@@ -0,0 +1,59 @@
+const { AppError, asyncHandler } = require('../middlewares/errorHandler');
+const availabilityService = require('../services/availability.service');
+const { dayKey } = require('../services/businessDay.service');
+
+/**
+ * SEARCH AVAILABILITY
+ * Public search backing the hero availability form
+ * GET /rooms/availability?checkInDate=&checkOutDate=&guests=&roomType=&viewType=&smokingAllowed=&wheelchairAccessible=
+ */
+const searchAvailability = asyncHandler(async (req, res, next) => {
+  const {
+    checkInDate,
+    checkOutDate,
+    guests,
+    roomType,
+    viewType,
+    smokingAllowed,
+    wheelchairAccessible
+  } = req.query;
+
+  // Stay dates are UTC days, so today is compared as one too
+  if (dayKey(checkInDate) < dayKey(new Date())) {
+    return next(new AppError('Check-in date cannot be in the past.', 400, 'INVALID_DATE_RANGE'));
+  }
+
+  const rooms = await availabilityService.findAvailableRooms({
+    checkIn: checkInDate,
+    checkOut: checkOutDate,
+    guests,
+    roomType,
+    viewType,
+    smokingAllowed,
+    wheelchairAccessible
+  });
+
+  // Bookable without a specific room, overbooking allowance included
+  const roomTypes = await availabilityService.findAvailableRoomTypes({
+    checkIn: checkInDate,
+    checkOut: checkOutDate,
+    guests,
+    roomType
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: rooms.length,
+    data: {
+      checkInDate,
+      checkOutDate,
+      guests,
+      rooms,
+      roomTypes
+    }
+  });
+});
+
+module.exports = {
+  searchAvailability
+};
@@ -0,0 +1,58 @@
+const { asyncHandler } = require('../middlewares/errorHandler');
+const taxService = require('../services/tax.service');
+const { requestContext } = require('../utils/requestContext');
+
+/**
+ * LIST TAX RULES
+ * GET /tax-rules?includeInactive=true
+ */
+const listTaxRules = asyncHandler(async (req, res) => {
+  const taxRules = await taxService.listTaxRules({
+    includeInactive: req.query.includeInactive === 'true'
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: taxRules.length,
+    data: { taxRules }
+  });
+});
+
+/**
+ * CREATE TAX RULE
+ * POST /tax-rules
+ */
+const createTaxRule = asyncHandler(async (req, res) => {
+  const taxRule = await taxService.createTaxRule(req.body, req.user, requestContext(req));
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Tax rule created',
+    data: { taxRule }
+  });
+});
+
+/**
+ * UPDATE TAX RULE
+ * PATCH /tax-rules/:id
+ */
+const updateTaxRule = asyncHandler(async (req, res) => {
+  const taxRule = await taxService.updateTaxRule(
+    req.params.id,
+    req.body,
+    req.user,
+    requestContext(req)
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Tax rule updated',
+    data: { taxRule }
+  });
+});
+
+module.exports = {
+  listTaxRules,
+  createTaxRule,
+  updateTaxRule
+};
@@ -0,0 +1,55 @@
+const { asyncHandler } = require('../middlewares/errorHandler');
+const waitlistService = require('../services/waitlist.service');
+const { requestContext } = require('../utils/requestContext');
+
+/**
+ * LIST WAITLIST
+ * GET /waitlist?status=WAITING&roomType=:id&guest=:id
+ */
+const listEntries = asyncHandler(async (req, res) => {
+  const entries = await waitlistService.listEntries({
+    status: req.query.status,
+    roomType: req.query.roomType,
+    guest: req.query.guest
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: entries.length,
+    data: { entries }
+  });
+});
+
+/**
+ * ADD TO WAITLIST
+ * POST /waitlist
+ */
+const createEntry = asyncHandler(async (req, res) => {
+  const entry = await waitlistService.createEntry(req.body, req.user, requestContext(req));
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Guest added to the waitlist',
+    data: { entry }
+  });
+});
+
+/**
+ * CANCEL WAITLIST ENTRY
+ * POST /waitlist/:id/cancel
+ */
+const cancelEntry = asyncHandler(async (req, res) => {
+  const entry = await waitlistService.cancelEntry(req.params.id, req.user, requestContext(req));
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Waitlist entry cancelled',
+    data: { entry }
+  });
+});
+
+module.exports = {
+  listEntries,
+  createEntry,
+  cancelEntry
+};
@@ -0,0 +1,31 @@
+const { scheduleJob, scheduleDailyJob, startScheduler, stopScheduler } = require('./scheduler');
+const { policies } = require('../config/policies');
+const { cancelExpiredDepositHolds } = require('../services/cancellation.service');
+const { processNoShows } = require('../services/noShow.service');
+const { expireWaitlist } = require('../services/waitlist.service');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * REGISTER AND START BACKGROUND JOBS
+ * Called once the database connection is up
+ */
+const startJobs = () => {
+  scheduleJob(
+    'deposit-expiry',
+    policies.depositSweepIntervalMinutes * MINUTE,
+    () => cancelExpiredDepositHolds()
+  );
+
+  scheduleDailyJob('no-show', policies.noShowRunTime, () => processNoShows());
+
+  // Runs with the no-show sweep: both deal with arrivals that have passed
+  scheduleDailyJob('waitlist-expiry', policies.noShowRunTime, () => expireWaitlist());
+
+  startScheduler();
+};
+
+module.exports = {
+  startJobs,
+  stopJobs: stopScheduler
+};
@@ -0,0 +1,47 @@
+/**
+ * NO-SHOW CLI
+ * Runs the no-show sweep once against the configured database and prints the
+ * report. `--date=YYYY-MM-DD` processes as if the sweep ran on that day.
+ *
+ *   npm run job:no-shows
+ *   npm run job:no-shows -- --date=2026-10-20
+ */
+require('dotenv').config();
+
+const { connectDB, disconnectDB } = require('../config/db');
+const { processNoShows } = require('../services/noShow.service');
+
+const parseDate = (argv) => {
+  const arg = argv.find((a) => a.startsWith('--date='));
+  if (!arg) return new Date();
+
+  const date = new Date(`${arg.slice('--date='.length)}T12:00:00Z`);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid --date value: ${arg}`);
+  }
+  return date;
+};
+
+const main = async () => {
+  const now = parseDate(process.argv.slice(2));
+
+  await connectDB();
+  try {
+    const report = await processNoShows({ now });
+    console.log(JSON.stringify(report, null, 2));
+    return report.failed.length > 0 || report.holdsPending.length > 0 ? 1 : 0;
+  } finally {
+    await disconnectDB();
+  }
+};
+
+if (require.main === module) {
+  main()
+    .then((code) => process.exit(code))
+    .catch((err) => {
+      console.error(err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { main };
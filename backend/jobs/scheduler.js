@@ -0,0 +1,108 @@
+const { logger } = require('../middlewares/logger');
+
+/**
+ * IN-PROCESS JOB SCHEDULER
+ * Runs registered jobs on a fixed interval, or once a day at a set local time,
+ * inside the API process. A job never overlaps itself: if a run is still going
+ * when the next tick fires, the tick is skipped.
+ */
+const jobs = new Map();
+
+/**
+ * Register a job. `run` is an async function; its resolved value is logged.
+ */
+const scheduleJob = (name, intervalMs, run) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job "${name}" is already scheduled`);
+  }
+
+  jobs.set(name, { name, intervalMs, run, timer: null, running: false });
+};
+
+/**
+ * Register a job that runs daily at `at` ({ hours, minutes }, server local time)
+ */
+const scheduleDailyJob = (name, at, run) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job "${name}" is already scheduled`);
+  }
+
+  jobs.set(name, { name, at, run, timer: null, running: false });
+};
+
+/**
+ * Milliseconds from `now` until the next `at` time of day
+ */
+const msUntil = ({ hours, minutes }, now = new Date()) => {
+  const next = new Date(now);
+  next.setHours(hours, minutes, 0, 0);
+  if (next <= now) next.setDate(next.getDate() + 1);
+  return next - now;
+};
+
+const runJob = async (job) => {
+  if (job.running) {
+    logger.warn(`[JOBS] ${job.name} still running — skipping this tick`);
+    return;
+  }
+
+  job.running = true;
+  const startedAt = Date.now();
+
+  try {
+    const result = await job.run();
+    logger.info(`[JOBS] ${job.name} finished in ${Date.now() - startedAt}ms`, { result });
+  } catch (err) {
+    logger.error(`[JOBS] ${job.name} failed`, { message: err.message, stack: err.stack });
+  } finally {
+    job.running = false;
+  }
+};
+
+// Daily jobs re-arm a one-shot timer after each run
+const armDaily = (job) => {
+  job.timer = setTimeout(async () => {
+    await runJob(job);
+    if (job.timer) armDaily(job);
+  }, msUntil(job.at));
+  job.timer.unref();
+};
+
+/**
+ * Start every registered job's timer
+ */
+const startScheduler = () => {
+  for (const job of jobs.values()) {
+    if (job.timer) continue;
+
+    if (job.at) {
+      armDaily(job);
+      continue;
+    }
+
+    job.timer = setInterval(() => runJob(job), job.intervalMs);
+    // Timers must not keep the process alive on shutdown
+    job.timer.unref();
+  }
+
+  logger.info(`[JOBS] Scheduler started (${[...jobs.keys()].join(', ') || 'no jobs'})`);
+};
+
+/**
+ * Stop all timers; runs already in progress finish on their own
+ */
+const stopScheduler = () => {
+  for (const job of jobs.values()) {
+    clearInterval(job.timer);
+    clearTimeout(job.timer);
+    job.timer = null;
+  }
+};
+
+module.exports = {
+  scheduleJob,
+  scheduleDailyJob,
+  runJob,
+  startScheduler,
+  stopScheduler
+};
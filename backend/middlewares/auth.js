@@ -135,6 +135,13 @@ const protect = async (req, res, next) => {
       );
     }
 
+    // 7b. Check if all sessions were revoked (e.g. refresh token reuse detected)
+    if (currentUser.sessionsRevokedAfter(issuedAtMs(decoded))) {
+      return next(
+        new AppError('Your session has been revoked. Please log in again.', 401)
+      );
+    }
+
     // 8. Attach user and token info to request object
     req.user = currentUser;
     req.token = { raw: token, decoded };
@@ -180,6 +187,12 @@ const optionalAuth = async (req, res, next) => {
   next();
 };
 
+/**
+ * Issue time of a token in milliseconds. Tokens signed before the iatMs claim
+ * fall back to the start of their issue second.
+ */
+const issuedAtMs = (decoded) => decoded.iatMs ?? decoded.iat * 1000;
+
 /**
  * SIGN TOKEN
  * Generates JWT with unique JTI for tracking/blacklisting
@@ -191,7 +204,8 @@ const signToken = (userId, role) => {
     {
       id: userId,
       role: role,
-      jti
+      jti,
+      iatMs: Date.now() // iat is whole seconds; session revocation needs the exact issue time
     },
     process.env.JWT_SECRET,
     {
@@ -212,7 +226,7 @@ const signRefreshToken = (userId) => {
   const jti = crypto.randomUUID();
 
   const refreshToken = jwt.sign(
-    { id: userId, jti, type: 'refresh' },
+    { id: userId, jti, type: 'refresh', iatMs: Date.now() },
     process.env.JWT_REFRESH_SECRET,
     {
       expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
@@ -224,33 +238,48 @@ const signRefreshToken = (userId) => {
 };
 
 /**
- * CREATE & SEND TOKEN RESPONSE
- * Handles cookie setup and response
+ * AUTH COOKIE OPTIONS
+ * The refresh cookie is scoped to the auth routes so it reaches /refresh and /logout only
  */
-const createSendToken = async (user, statusCode, req, res, message = 'Success') => {
-  const { token, jti: accessJti } = signToken(user._id, user.role);
-  const { refreshToken, jti: refreshJti } = signRefreshToken(user._id);
+const REFRESH_COOKIE_PATH = `/api/${process.env.API_VERSION || 'v1'}/auth`;
+
+const getCookieOptions = () => ({
+  expires: new Date(
+    Date.now() + parseInt(process.env.JWT_COOKIE_EXPIRES_DAYS || 7) * 24 * 60 * 60 * 1000
+  ),
+  httpOnly: true,                   // Not accessible via JavaScript
+  signed: true,                     // Sign the cookie
+  secure: process.env.NODE_ENV === 'production', // HTTPS only in production
+  sameSite: process.env.NODE_ENV === 'production' ? 'Strict' : 'Lax',
+  path: '/'
+});
 
-  // Cookie options
-  const cookieOptions = {
-    expires: new Date(
-      Date.now() + parseInt(process.env.JWT_COOKIE_EXPIRES_DAYS || 7) * 24 * 60 * 60 * 1000
-    ),
-    httpOnly: true,                   // Not accessible via JavaScript
-    signed: true,                     // Sign the cookie
-    secure: process.env.NODE_ENV === 'production', // HTTPS only in production
-    sameSite: process.env.NODE_ENV === 'production' ? 'Strict' : 'Lax',
-    path: '/'
-  };
+/**
+ * ISSUE TOKEN PAIR
+ * Signs access + refresh tokens and sets both cookies
+ */
+const issueTokenPair = (user, res) => {
+  const { token, jti: accessJti } = signToken(user._id, user.role?._id || user.role);
+  const { refreshToken, jti: refreshJti } = signRefreshToken(user._id);
 
-  // Set cookies
+  const cookieOptions = getCookieOptions();
   res.cookie('jwt', token, cookieOptions);
   res.cookie('refresh_token', refreshToken, {
     ...cookieOptions,
-    path: '/api/v1/auth/refresh' // Restrict refresh token to refresh endpoint only
+    path: REFRESH_COOKIE_PATH
   });
 
-  // Store refresh token JTI in user record (optional, for single-session enforcement)
+  return { token, accessJti, refreshJti };
+};
+
+/**
+ * CREATE & SEND TOKEN RESPONSE
+ * Handles cookie setup and response
+ */
+const createSendToken = async (user, statusCode, req, res, message = 'Success') => {
+  const { token, refreshJti } = issueTokenPair(user, res);
+
+  // Store refresh token JTI in user record — checked on every refresh
   await User.findByIdAndUpdate(user._id, {
     lastLogin: new Date(),
     $push: {
@@ -294,6 +323,128 @@ const createSendToken = async (user, statusCode, req, res, message = 'Success')
   });
 };
 
+/**
+ * REVOKE ALL SESSIONS
+ * Drops every refresh token and invalidates access tokens issued so far
+ */
+const revokeAllSessions = async (userId) => {
+  await User.findByIdAndUpdate(userId, {
+    $set: {
+      refreshTokenJtis: [],
+      tokensRevokedAt: new Date()
+    }
+  });
+};
+
+/**
+ * ROTATE REFRESH TOKEN
+ * Verifies the refresh cookie, retires its JTI and issues a fresh token pair.
+ * A JTI that was already rotated is treated as a stolen token: every session
+ * for the user is revoked and the attempt is audited.
+ */
+const rotateRefreshToken = async (req, res, next) => {
+  try {
+    const token = req.signedCookies?.refresh_token;
+
+    if (!token || token === 'logged_out') {
+      return next(new AppError('No refresh token provided. Please log in again.', 401, 'NO_REFRESH_TOKEN'));
+    }
+
+    // 1. Verify against the refresh secret
+    let decoded;
+    try {
+      decoded = await verifyJWT(token, process.env.JWT_REFRESH_SECRET, {
+        issuer: process.env.JWT_ISSUER || 'hotel-management-api'
+      });
+    } catch {
+      return next(new AppError('Invalid or expired refresh token. Please log in again.', 401, 'INVALID_REFRESH_TOKEN'));
+    }
+
+    if (decoded.type !== 'refresh' || !decoded.jti) {
+      return next(new AppError('Invalid or expired refresh token. Please log in again.', 401, 'INVALID_REFRESH_TOKEN'));
+    }
+
+    // 2. Atomically claim the JTI — only one request can retire it
+    const user = await User.findOneAndUpdate(
+      { _id: decoded.id, refreshTokenJtis: decoded.jti },
+      {
+        $pull: { refreshTokenJtis: decoded.jti },
+        $push: {
+          rotatedRefreshTokenJtis: {
+            $each: [decoded.jti],
+            $slice: -50 // Enough history to catch replays within the refresh TTL
+          }
+        }
+      },
+      { returnDocument: 'after' }
+    )
+      .select('+passwordChangedAt')
+      .populate({ path: 'role', select: 'name isActive' });
+
+    // 3. Not active — either reused after rotation or simply revoked
+    if (!user) {
+      const reused = await User.exists({ _id: decoded.id, rotatedRefreshTokenJtis: decoded.jti });
+
+      if (reused) {
+        await revokeAllSessions(decoded.id);
+
+        await AuditLog.logAction({
+          user: decoded.id,
+          action: 'OTHER',
+          targetEntity: 'User',
+          targetId: decoded.id,
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent'],
+          metadata: {
+            type: 'REFRESH_TOKEN_REUSE',
+            jti: decoded.jti
+          },
+          status: 'FAILURE',
+          errorMessage: 'Rotated refresh token presented again — all sessions revoked'
+        });
+
+        return next(
+          new AppError('Refresh token reuse detected. All sessions have been revoked. Please log in again.', 401, 'REFRESH_TOKEN_REUSED')
+        );
+      }
+
+      return next(new AppError('Refresh token has been revoked. Please log in again.', 401, 'REFRESH_TOKEN_REVOKED'));
+    }
+
+    // 4. Same account checks as protect()
+    if (user.accountStatus !== 'ACTIVE' || !user.role?.isActive) {
+      return next(new AppError('This account can no longer be refreshed. Please log in again.', 401));
+    }
+
+    if (user.changedPasswordAfter(decoded.iat) || user.sessionsRevokedAfter(issuedAtMs(decoded))) {
+      return next(new AppError('Your session has been revoked. Please log in again.', 401));
+    }
+
+    // 5. Issue the new pair and register its JTI
+    const { token: accessToken, refreshJti } = issueTokenPair(user, res);
+
+    await User.findByIdAndUpdate(user._id, {
+      $push: {
+        refreshTokenJtis: {
+          $each: [refreshJti],
+          $slice: -5
+        }
+      }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Token refreshed',
+      data: {
+        accessToken,
+        expiresIn: process.env.JWT_EXPIRES_IN || '15m'
+      }
+    });
+  } catch (error) {
+    next(new AppError('Token refresh failed. Please log in again.', 500));
+  }
+};
+
 /**
  * LOGOUT
  * Blacklists the current token and clears cookies
@@ -307,6 +458,17 @@ const logout = async (req, res, next) => {
       await blacklistToken(req.token.decoded.jti, Math.max(remainingTime, 0));
     }
 
+    // Retire this session's refresh token so it cannot be exchanged later
+    const refreshToken = req.signedCookies?.refresh_token;
+    if (req.user && refreshToken && refreshToken !== 'logged_out') {
+      const decodedRefresh = jwt.decode(refreshToken);
+      if (decodedRefresh?.jti) {
+        await User.findByIdAndUpdate(req.user._id, {
+          $pull: { refreshTokenJtis: decodedRefresh.jti }
+        });
+      }
+    }
+
     // Audit log
     if (req.user) {
       await AuditLog.logAction({
@@ -335,7 +497,7 @@ const logout = async (req, res, next) => {
       signed: true,
       secure: process.env.NODE_ENV === 'production',
       sameSite: process.env.NODE_ENV === 'production' ? 'Strict' : 'Lax',
-      path: '/api/v1/auth/refresh'
+      path: REFRESH_COOKIE_PATH
     });
 
     res.status(200).json({
@@ -353,6 +515,8 @@ module.exports = {
   signToken,
   signRefreshToken,
   createSendToken,
+  rotateRefreshToken,
+  revokeAllSessions,
   blacklistToken,
   isTokenBlacklisted,
   logout
@@ -23,6 +23,7 @@ const DEFAULT_ROLE_PERMISSIONS = {
     'manage_users',
     'manage_roles',
     'manage_rooms',
+    'view_reservations',
     'manage_reservations',
     'manage_payments',
     'manage_housekeeping',
@@ -35,6 +36,7 @@ const DEFAULT_ROLE_PERMISSIONS = {
   ],
   MANAGER: [
     'manage_rooms',
+    'view_reservations',
     'manage_reservations',
     'manage_payments',
     'manage_housekeeping',
@@ -45,6 +47,7 @@ const DEFAULT_ROLE_PERMISSIONS = {
     'assign_tasks'
   ],
   RECEPTIONIST: [
+    'view_reservations',
     'manage_reservations',
     'manage_guests',
     'check_in',
@@ -57,6 +60,12 @@ const DEFAULT_ROLE_PERMISSIONS = {
   ]
 };
 
+/**
+ * Role defaults merged with the permissions stored on the user's role
+ */
+const effectivePermissions = (user) =>
+  new Set([...(DEFAULT_ROLE_PERMISSIONS[user?.role?.name] || []), ...(user?.role?.permissions || [])]);
+
 /**
  * RESTRICT TO ROLES
  * Gate access by role names
@@ -348,6 +357,7 @@ module.exports = {
   preventPrivilegeEscalation,
   preventSelfModification,
   exposePermissions,
+  effectivePermissions,
   ROLE_HIERARCHY,
   DEFAULT_ROLE_PERMISSIONS
 };
\ No newline at end of file
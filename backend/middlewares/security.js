@@ -51,7 +51,7 @@ const helmetConfig = helmet({
  * MONGO SANITIZER
  * Prevents NoSQL injection by stripping $ and . from user input
  */
-const mongoSanitizer = mongoSanitize({
+const baseMongoSanitizer = mongoSanitize({
   replaceWith: '_',
   allowDots: false,
   onSanitize: ({ req, key }) => {
@@ -59,6 +59,19 @@ const mongoSanitizer = mongoSanitize({
   }
 });
 
+const mongoSanitizer = (req, res, next) => {
+  // Express 5 exposes req.query as a getter — pin it to a writable own property
+  // so the sanitizer (and hpp after it) can replace it
+  Object.defineProperty(req, 'query', {
+    value: { ...req.query },
+    writable: true,
+    configurable: true,
+    enumerable: true
+  });
+
+  baseMongoSanitizer(req, res, next);
+};
+
 /**
  * HTTP PARAMETER POLLUTION PROTECTION
  * Prevents attackers from duplicating query params
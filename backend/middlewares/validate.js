@@ -2,6 +2,132 @@ const Joi = require('joi');
 const mongoose = require('mongoose');
 const { AppError } = require('./errorHandler');
 
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/);
+
+const adjustment = {
+  adjustmentType: Joi.string().valid('PERCENT', 'AMOUNT', 'FIXED_PRICE').required(),
+  value: Joi.number().precision(2).required()
+};
+
+// Shared by rate plan create/update
+const ratePlanFields = Joi.object({
+  description: Joi.string().trim().max(1000).allow(''),
+  baseAdjustmentPercent: Joi.number().min(-100).max(500),
+  roomTypes: Joi.array().items(objectId).unique(),
+  seasons: Joi.array().items(
+    Joi.object({
+      name: Joi.string().trim().max(100).required(),
+      startDate: Joi.date().iso().required(),
+      endDate: Joi.date().iso().min(Joi.ref('startDate')).required(),
+      roomTypes: Joi.array().items(objectId).unique(),
+      ...adjustment
+    })
+  ),
+  dayOfWeekRules: Joi.array().items(
+    Joi.object({
+      days: Joi.array().items(Joi.number().integer().min(0).max(6)).min(1).unique().required(),
+      ...adjustment
+    })
+  ),
+  minLengthOfStay: Joi.number().integer().min(1),
+  maxLengthOfStay: Joi.number().integer().min(Joi.ref('minLengthOfStay', { adjust: (v) => v || 1 })),
+  occupancySurcharge: Joi.object({
+    baseOccupancy: Joi.number().integer().min(1),
+    perExtraGuest: Joi.number().min(0).precision(2)
+  }),
+  refundable: Joi.boolean(),
+  cancellationPolicy: objectId.allow(null),
+  isPublic: Joi.boolean(),
+  corporateAccount: Joi.string().trim().max(100),
+  validFrom: Joi.date().iso(),
+  validTo: Joi.date().iso().greater(Joi.ref('validFrom'))
+});
+
+// Room type by id or name
+const roomTypeRef = Joi.alternatives().try(
+  objectId,
+  Joi.string().valid('SINGLE', 'DOUBLE', 'DELUXE', 'SUITE', 'PRESIDENTIAL', 'TWIN', 'FAMILY').insensitive()
+);
+
+const routedTypes = Joi.array()
+  .items(Joi.string().valid('ROOM_NIGHT', 'DISCOUNT', 'TAX', 'EXTRA', 'FEE', 'DAMAGE'))
+  .unique();
+
+const bookingSource = Joi.string().valid('DIRECT', 'ONLINE', 'PHONE', 'EMAIL', 'WALK_IN', 'AGENT', 'OTA');
+
+// One room line of a multi-room booking; the guest defaults to the booker
+const bookingLine = Joi.object({
+  guest: objectId,
+  room: objectId,
+  roomType: roomTypeRef,
+  checkInDate: Joi.date().greater('now').iso().required(),
+  checkOutDate: Joi.date().greater(Joi.ref('checkInDate')).iso().required(),
+  numberOfGuests: Joi.number().integer().min(1).max(10).required(),
+  ratePlan: Joi.string().trim().max(24),
+  specialRequests: Joi.string().max(1000),
+  depositRequired: Joi.boolean().default(false),
+  depositAmount: Joi.number().precision(2).when('depositRequired', {
+    is: true,
+    then: Joi.number().positive().required(),
+    otherwise: Joi.number().min(0)
+  }),
+  discountAmount: Joi.number().min(0).precision(2),
+  promoCode: Joi.string().trim().uppercase().max(30)
+}).xor('room', 'roomType');
+
+const taxRuleFields = Joi.object({
+  calculation: Joi.string().valid('PERCENTAGE', 'PER_NIGHT', 'PER_PERSON_NIGHT', 'PER_PERSON_STAY'),
+  rate: Joi.number().min(0).precision(4).when('calculation', {
+    is: 'PERCENTAGE',
+    then: Joi.number().max(100)
+  }),
+  appliesTo: Joi.array().items(Joi.string().valid('ROOM_NIGHT', 'EXTRA', 'FEE', 'DAMAGE')).min(1).unique(),
+  maxNights: Joi.number().integer().min(0),
+  exemptions: Joi.object({
+    bookingSources: Joi.array().items(bookingSource).unique(),
+    nationalities: Joi.array().items(Joi.string().trim().max(50)).unique(),
+    guests: Joi.array().items(objectId).unique()
+  }),
+  sortOrder: Joi.number().integer()
+});
+
+const promotionFields = Joi.object({
+  description: Joi.string().trim().max(1000).allow(''),
+  discountType: Joi.string().valid('PERCENT', 'FIXED'),
+  value: Joi.number().positive().precision(2).when('discountType', {
+    is: 'PERCENT',
+    then: Joi.number().max(100)
+  }),
+  maxDiscountAmount: Joi.number().min(0).precision(2),
+  validFrom: Joi.date().iso(),
+  validTo: Joi.date().iso(),
+  stayFrom: Joi.date().iso(),
+  stayTo: Joi.date().iso().greater(Joi.ref('stayFrom')),
+  roomTypes: Joi.array().items(objectId).unique(),
+  minNights: Joi.number().integer().min(1),
+  usageLimit: Joi.number().integer().min(0),
+  perGuestLimit: Joi.number().integer().min(0)
+});
+
+const penalty = {
+  penaltyType: Joi.string().valid('NONE', 'NIGHTS', 'PERCENT', 'FIXED').required(),
+  value: Joi.number().min(0).precision(2)
+    .when('penaltyType', { is: 'PERCENT', then: Joi.number().max(100) })
+    .when('penaltyType', { is: 'NIGHTS', then: Joi.number().integer() })
+    .when('penaltyType', { is: 'NONE', otherwise: Joi.required() })
+};
+
+const cancellationPolicyFields = Joi.object({
+  description: Joi.string().trim().max(1000).allow(''),
+  rules: Joi.array().items(
+    Joi.object({
+      withinHours: Joi.number().min(0).required(),
+      ...penalty
+    })
+  ).unique('withinHours'),
+  noShowPenalty: Joi.object(penalty)
+});
+
 /**
  * VALIDATION SCHEMAS
  * Centralized Joi schemas for all request bodies
@@ -40,7 +166,7 @@ const schemas = {
     floor: Joi.number().integer().min(0).max(100).required(),
     capacity: Joi.number().integer().min(1).max(20).required(),
     status: Joi.string()
-      .valid('AVAILABLE', 'OCCUPIED', 'RESERVED', 'MAINTENANCE', 'OUT_OF_SERVICE')
+      .valid('AVAILABLE', 'OCCUPIED', 'RESERVED', 'CLEANING', 'MAINTENANCE', 'OUT_OF_SERVICE')
       .default('AVAILABLE'),
     pricePerNight: Joi.number().positive().precision(2).required(),
     amenities: Joi.array().items(Joi.string().max(50)).max(30),
@@ -50,37 +176,362 @@ const schemas = {
     notes: Joi.string().max(1000)
   }),
 
+  // Availability search (query string)
+  availabilityQuery: Joi.object({
+    checkInDate: Joi.date().iso().required(),
+    checkOutDate: Joi.date().iso().greater(Joi.ref('checkInDate')).required(),
+    guests: Joi.number().integer().min(1).max(20).default(1),
+    roomType: roomTypeRef,
+    viewType: Joi.string().valid('CITY', 'SEA', 'GARDEN', 'POOL', 'MOUNTAIN', 'NONE'),
+    smokingAllowed: Joi.boolean(),
+    wheelchairAccessible: Joi.boolean()
+  }),
+
   // Reservation
   createReservation: Joi.object({
     guest: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
-    room: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+    // Without a room the booking holds room type inventory until one is assigned
+    room: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
+    roomType: roomTypeRef,
     checkInDate: Joi.date().greater('now').iso().required(),
     checkOutDate: Joi.date().greater(Joi.ref('checkInDate')).iso().required(),
     numberOfGuests: Joi.number().integer().min(1).max(10).required(),
-    bookingSource: Joi.string()
-      .valid('DIRECT', 'ONLINE', 'PHONE', 'EMAIL', 'WALK_IN', 'AGENT', 'OTA')
-      .default('DIRECT'),
+    // Id or code; defaults to the property's default plan
+    ratePlan: Joi.string().trim().max(24),
+    bookingSource: bookingSource.default('DIRECT'),
     specialRequests: Joi.string().max(1000),
-    depositAmount: Joi.number().min(0).precision(2),
-    discountAmount: Joi.number().min(0).precision(2)
+    depositRequired: Joi.boolean().default(false),
+    depositAmount: Joi.number().precision(2).when('depositRequired', {
+      is: true,
+      then: Joi.number().positive().required(),
+      otherwise: Joi.number().min(0)
+    }),
+    discountAmount: Joi.number().min(0).precision(2),
+    promoCode: Joi.string().trim().uppercase().max(30)
+  }).xor('room', 'roomType'),
+
+  assignRoom: Joi.object({
+    room: objectId.required()
+  }),
+
+  updateReservationDates: Joi.object({
+    checkInDate: Joi.date().iso().required(),
+    checkOutDate: Joi.date().greater(Joi.ref('checkInDate')).iso().required()
+  }),
+
+  // Any of the fields; a single date is checked against the other one stored
+  modifyReservation: Joi.object({
+    checkInDate: Joi.date().iso(),
+    checkOutDate: Joi.date().iso().when('checkInDate', {
+      is: Joi.exist(),
+      then: Joi.date().greater(Joi.ref('checkInDate'))
+    }),
+    room: objectId,
+    numberOfGuests: Joi.number().integer().min(1).max(10),
+    specialRequests: Joi.string().max(1000).allow('')
+  }).min(1),
+
+  // Multi-room bookings
+  createBooking: Joi.object({
+    guest: objectId.required(),
+    bookingSource: bookingSource.default('DIRECT'),
+    notes: Joi.string().max(2000),
+    rooms: Joi.array().items(bookingLine).min(1).max(50).required()
+  }),
+
+  addBookingLine: bookingLine,
+
+  // Either the same dates for every open line, or dates per line
+  updateBookingDates: Joi.object({
+    checkInDate: Joi.date().iso(),
+    checkOutDate: Joi.date().greater(Joi.ref('checkInDate')).iso(),
+    lines: Joi.array().items(
+      Joi.object({
+        reservation: objectId.required(),
+        checkInDate: Joi.date().iso().required(),
+        checkOutDate: Joi.date().greater(Joi.ref('checkInDate')).iso().required()
+      })
+    ).min(1).unique('reservation')
+  }).and('checkInDate', 'checkOutDate').xor('checkInDate', 'lines'),
+
+  bookingQuery: Joi.object({
+    status: Joi.string().valid('ACTIVE', 'CANCELLED', 'COMPLETED'),
+    guest: objectId
+  }),
+
+  // Waitlist
+  createWaitlistEntry: Joi.object({
+    guest: objectId.required(),
+    roomType: roomTypeRef.required(),
+    checkInDate: Joi.date().greater('now').iso().required(),
+    checkOutDate: Joi.date().greater(Joi.ref('checkInDate')).iso().required(),
+    numberOfGuests: Joi.number().integer().min(1).max(10).required(),
+    notes: Joi.string().max(1000)
+  }),
+
+  waitlistQuery: Joi.object({
+    status: Joi.string().valid('WAITING', 'MATCHED', 'CANCELLED', 'EXPIRED'),
+    roomType: objectId,
+    guest: objectId
+  }),
+
+  notificationQuery: Joi.object({
+    unread: Joi.boolean(),
+    limit: Joi.number().integer().min(1).max(200)
+  }),
+
+  // Occupancy
+  checkIn: Joi.object({
+    reservation: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+    numberOfGuests: Joi.number().integer().min(1).max(10),
+    keyCardNumbers: Joi.array().items(Joi.string().trim().max(50)).max(10),
+    accompaniedGuests: Joi.array().items(
+      Joi.object({
+        name: Joi.string().max(100).required(),
+        age: Joi.number().integer().min(0).max(120),
+        relationship: Joi.string().max(50)
+      })
+    ).max(10),
+    notes: Joi.string().max(2000)
+  }),
+
+  checkOut: Joi.object({
+    keyCardsReturned: Joi.boolean().default(false),
+    damagesReported: Joi.boolean().default(false),
+    damageDetails: Joi.string().max(1000).when('damagesReported', {
+      is: true,
+      then: Joi.required()
+    }),
+    damageCharge: Joi.number().min(0).precision(2).default(0),
+    rating: Joi.number().integer().min(1).max(5),
+    notes: Joi.string().max(2000),
+    overrideBalance: Joi.boolean().default(false)
+  }),
+
+  extendStay: Joi.object({
+    newCheckOutDate: Joi.date().iso().greater('now').required()
+  }),
+
+  moveRoom: Joi.object({
+    newRoom: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+    reason: Joi.string().max(500).required(),
+    waivePriceDifference: Joi.boolean().default(false)
+  }),
+
+  // Housekeeping
+  housekeepingQuery: Joi.object({
+    status: Joi.string().valid('PENDING', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED', 'ON_HOLD'),
+    room: objectId
+  }),
+
+  completeHousekeepingTask: Joi.object({
+    completionNotes: Joi.string().trim().max(1000)
+  }).default({}),
+
+  // Folio
+  postFolioCharge: Joi.object({
+    type: Joi.string().valid('EXTRA', 'FEE', 'DAMAGE', 'ADJUSTMENT').required(),
+    description: Joi.string().trim().max(200).required(),
+    quantity: Joi.number().integer().min(1).default(1),
+    // Only adjustments may be negative (credits to the guest)
+    unitPrice: Joi.when('type', {
+      is: 'ADJUSTMENT',
+      then: Joi.number().precision(2).invalid(0).required(),
+      otherwise: Joi.number().positive().precision(2).required()
+    }),
+    serviceDate: Joi.date().iso()
+  }),
+
+  voidFolioEntry: Joi.object({
+    reason: Joi.string().trim().max(500).required()
   }),
 
   // Payment
   createPayment: Joi.object({
+    // A reservation, or a multi-room booking whose lines share the payment
     reservation: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
     guest: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
     amount: Joi.number().positive().precision(2).required(),
     paymentMethod: Joi.string()
       .valid('CASH', 'CREDIT_CARD', 'DEBIT_CARD', 'BANK_TRANSFER', 'MOBILE_PAYMENT', 'CHEQUE', 'OTHER')
       .required(),
+    // Refunds are issued against an existing payment, not recorded here
     paymentType: Joi.string()
-      .valid('DEPOSIT', 'PARTIAL', 'FULL', 'REFUND', 'ADDITIONAL')
+      .valid('DEPOSIT', 'PARTIAL', 'FULL', 'ADDITIONAL')
       .required(),
     transactionReference: Joi.string().trim().max(100),
-    currency: Joi.string().length(3).uppercase().default('USD'),
+    // Provider token for card payments; raw card numbers are never accepted
+    cardToken: Joi.string().trim().max(255).when('paymentMethod', {
+      is: Joi.valid('CREDIT_CARD', 'DEBIT_CARD'),
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    // Defaults to the property base currency
+    currency: Joi.string().length(3).uppercase(),
     notes: Joi.string().max(1000)
   }),
 
+  placeDepositHold: Joi.object({
+    cardToken: Joi.string().trim().max(255).required(),
+    // Defaults to the reservation's depositAmount
+    amount: Joi.number().positive().precision(2)
+  }),
+
+  refundPayment: Joi.object({
+    amount: Joi.number().positive().precision(2).required(),
+    reason: Joi.string().trim().max(500).required(),
+    // Room line a booking payment's refund comes off; latest lines first when unset
+    reservation: objectId
+  }),
+
+  // Rate plans
+  createRatePlan: ratePlanFields.keys({
+    code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]{2,20}$/).required(),
+    name: Joi.string().trim().max(100).required(),
+    type: Joi.string().valid('BAR', 'NON_REFUNDABLE', 'CORPORATE', 'PACKAGE', 'PROMOTIONAL').required()
+  }),
+
+  updateRatePlan: ratePlanFields.keys({
+    name: Joi.string().trim().max(100),
+    isActive: Joi.boolean()
+  }).min(1),
+
+  quoteQuery: Joi.object({
+    ratePlan: Joi.string().trim().max(24),
+    room: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
+    roomType: Joi.string().trim().max(24),
+    checkInDate: Joi.date().iso().required(),
+    checkOutDate: Joi.date().greater(Joi.ref('checkInDate')).iso().required(),
+    guests: Joi.number().integer().min(1).max(10).default(1),
+    bookingSource,
+    promoCode: Joi.string().trim().uppercase().max(30)
+  }).xor('room', 'roomType'),
+
+  // Cancellation
+  createCancellationPolicy: cancellationPolicyFields.keys({
+    code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]{2,20}$/).required(),
+    name: Joi.string().trim().max(100).required()
+  }),
+
+  updateCancellationPolicy: cancellationPolicyFields.keys({
+    name: Joi.string().trim().max(100),
+    isActive: Joi.boolean()
+  }).min(1),
+
+  cancelReservation: Joi.object({
+    reason: Joi.string().trim().max(500).required(),
+    // MANAGER and above only; checked in the service
+    waivePenalty: Joi.boolean().default(false)
+  }),
+
+  // Promotions
+  createPromotion: promotionFields.keys({
+    code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]{3,30}$/).required(),
+    name: Joi.string().trim().max(100).required(),
+    discountType: promotionFields.extract('discountType').required(),
+    value: promotionFields.extract('value').required(),
+    validFrom: Joi.date().iso().required(),
+    validTo: Joi.date().iso().greater(Joi.ref('validFrom')).required()
+  }),
+
+  updatePromotion: promotionFields.keys({
+    name: Joi.string().trim().max(100),
+    isActive: Joi.boolean()
+  }).min(1),
+
+  // Taxes
+  createTaxRule: taxRuleFields.keys({
+    code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]{2,20}$/).required(),
+    name: Joi.string().trim().max(100).required(),
+    calculation: taxRuleFields.extract('calculation').required(),
+    rate: taxRuleFields.extract('rate').required()
+  }),
+
+  updateTaxRule: taxRuleFields.keys({
+    name: Joi.string().trim().max(100),
+    isActive: Joi.boolean()
+  }).min(1),
+
+  // Overbooking
+  createOverbookingRule: Joi.object({
+    roomType: objectId.required(),
+    startDate: Joi.date().iso().required(),
+    endDate: Joi.date().iso().min(Joi.ref('startDate')).required(),
+    limit: Joi.number().integer().min(0).max(100).required(),
+    reason: Joi.string().trim().max(500)
+  }),
+
+  updateOverbookingRule: Joi.object({
+    startDate: Joi.date().iso(),
+    endDate: Joi.date().iso().min(Joi.ref('startDate')),
+    limit: Joi.number().integer().min(0).max(100),
+    reason: Joi.string().trim().max(500).allow(''),
+    isActive: Joi.boolean()
+  }).min(1),
+
+  overbookingRuleQuery: Joi.object({
+    roomType: objectId,
+    includeInactive: Joi.boolean()
+  }),
+
+  oversoldQuery: Joi.object({
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from')),
+    roomType: objectId
+  }),
+
+  // Groups
+  createGroup: Joi.object({
+    name: Joi.string().trim().max(150).required(),
+    organizer: objectId.required(),
+    checkInDate: Joi.date().greater('now').iso().required(),
+    checkOutDate: Joi.date().greater(Joi.ref('checkInDate')).iso().required(),
+    allotments: Joi.array().items(
+      Joi.object({
+        roomType: roomTypeRef.required(),
+        rooms: Joi.number().integer().min(1).max(500).required(),
+        ratePlan: objectId
+      })
+    ).min(1).required(),
+    releaseDate: Joi.date().iso().max(Joi.ref('checkInDate')).required(),
+    routedTypes: routedTypes,
+    notes: Joi.string().max(2000)
+  }),
+
+  updateGroup: Joi.object({
+    name: Joi.string().trim().max(150),
+    releaseDate: Joi.date().greater('now').iso(),
+    routedTypes: routedTypes,
+    notes: Joi.string().max(2000).allow('')
+  }).min(1),
+
+  groupQuery: Joi.object({
+    status: Joi.string().valid('OPEN', 'RELEASED', 'CANCELLED')
+  }),
+
+  // Dates default to the group's; each line needs a room type or a room
+  roomingList: Joi.object({
+    entries: Joi.array().items(
+      Joi.object({
+        guest: objectId.required(),
+        roomType: roomTypeRef,
+        room: objectId,
+        numberOfGuests: Joi.number().integer().min(1).max(10).required(),
+        checkInDate: Joi.date().iso(),
+        checkOutDate: Joi.date().iso().greater(Joi.ref('checkInDate')),
+        specialRequests: Joi.string().max(1000)
+      }).or('roomType', 'room')
+    ).min(1).max(500).required()
+  }),
+
+  // Exchange rates
+  setExchangeRate: Joi.object({
+    currency: Joi.string().length(3).uppercase().required(),
+    rate: Joi.number().positive().precision(6).required(),
+    effectiveFrom: Joi.date().iso(),
+    source: Joi.string().trim().max(100)
+  }),
+
   // Guest
   createGuest: Joi.object({
     fullName: Joi.string().min(2).max(100).trim().required(),
@@ -96,6 +547,8 @@ const schemas = {
       issuingCountry: Joi.string().max(50)
     }).required(),
     nationality: Joi.string().max(50),
+    taxExempt: Joi.boolean(),
+    taxExemptReason: Joi.string().max(500).when('taxExempt', { is: true, then: Joi.required() }),
     dateOfBirth: Joi.date().less('now').iso(),
     address: Joi.object({
       street: Joi.string().max(100),
@@ -51,8 +51,12 @@ const auditLogSchema = new mongoose.Schema(
           'Room',
           'RoomType',
           'Reservation',
+          'Booking',
+          'Group',
+          'Waitlist',
           'Occupancy',
           'Payment',
+          'FolioEntry',
           'Maintenance',
           'AuditLog',
           'System'
@@ -129,15 +133,21 @@ auditLogSchema.index({ targetEntity: 1, action: 1, createdAt: -1 });
 auditLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: 63072000 });
 
 // Prevent modification of audit logs
-auditLogSchema.pre('save', function (next) {
+auditLogSchema.pre('save', function () {
   if (!this.isNew) {
-    return next(new Error('Audit logs cannot be modified'));
+    throw new Error('Audit logs cannot be modified');
   }
-  next();
 });
 
 // Static method to log actions
-auditLogSchema.statics.logAction = async function (logData) {
+// Pass { session } to make the entry part of a transaction — failures then
+// propagate so the whole unit of work rolls back together
+auditLogSchema.statics.logAction = async function (logData, options = {}) {
+  if (options.session) {
+    const [log] = await this.create([logData], { session: options.session });
+    return log;
+  }
+
   try {
     return await this.create(logData);
   } catch (error) {
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const { generateNumber } = require('../services/sequence.service');
+const { property } = require('../config/property');
+
+/**
+ * Line statuses that no longer hold a stay
+ */
+const CLOSED_LINE_STATUSES = ['CANCELLED', 'NO_SHOW'];
+
+const bookingSchema = new mongoose.Schema(
+  {
+    bookingNumber: {
+      type: String,
+      unique: true,
+      required: true,
+      uppercase: true
+    },
+    // The booker; each room line names its own guest
+    guest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Guest',
+      required: [true, 'Guest reference is required']
+    },
+    // Derived from the room lines
+    status: {
+      type: String,
+      enum: {
+        values: ['ACTIVE', 'CANCELLED', 'COMPLETED'],
+        message: '{VALUE} is not a valid booking status'
+      },
+      default: 'ACTIVE'
+    },
+    // Sums over the room lines' folios, kept in step by the folio service
+    totalAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Total amount cannot be negative']
+    },
+    paidAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Paid amount cannot be negative']
+    },
+    balanceAmount: {
+      type: Number,
+      default: 0
+    },
+    currency: {
+      type: String,
+      default: property.baseCurrency,
+      uppercase: true,
+      immutable: true
+    },
+    bookingSource: {
+      type: String,
+      enum: ['DIRECT', 'ONLINE', 'PHONE', 'EMAIL', 'WALK_IN', 'AGENT', 'OTA'],
+      default: 'DIRECT'
+    },
+    notes: {
+      type: String,
+      maxlength: [2000, 'Notes cannot exceed 2000 characters']
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Created by user reference is required']
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+bookingSchema.pre('validate', async function () {
+  if (!this.isNew || this.bookingNumber) return;
+
+  this.bookingNumber = await generateNumber('BKG');
+});
+
+/**
+ * Booking status for a set of room lines: cancelled once every line is,
+ * completed once every remaining line has checked out
+ */
+bookingSchema.statics.statusFor = (lines) => {
+  const live = lines.filter((line) => !CLOSED_LINE_STATUSES.includes(line.status));
+
+  if (live.length === 0) return lines.length > 0 ? 'CANCELLED' : 'ACTIVE';
+  if (live.every((line) => ['CHECKED_OUT', 'COMPLETED'].includes(line.status))) return 'COMPLETED';
+  return 'ACTIVE';
+};
+
+bookingSchema.index({ bookingNumber: 1 }, { unique: true });
+bookingSchema.index({ guest: 1, createdAt: -1 });
+bookingSchema.index({ status: 1 });
+
+bookingSchema.virtual('lines', {
+  ref: 'Reservation',
+  localField: '_id',
+  foreignField: 'booking'
+});
+
+bookingSchema.statics.CLOSED_LINE_STATUSES = CLOSED_LINE_STATUSES;
+
+module.exports = mongoose.model('Booking', bookingSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * One document per hotel business date. Exactly one day is `current`: the day
+ * postings are dated on. The night audit closes it and opens the next one;
+ * closed days are frozen for financial postings.
+ */
+const businessDaySchema = new mongoose.Schema(
+  {
+    // UTC midnight of the business date
+    date: {
+      type: Date,
+      required: [true, 'Business date is required'],
+      unique: true
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['OPEN', 'CLOSING', 'CLOSED'],
+        message: '{VALUE} is not a valid business day status'
+      },
+      default: 'OPEN'
+    },
+    current: {
+      type: Boolean
+    },
+    openedAt: {
+      type: Date,
+      default: Date.now
+    },
+    closingStartedAt: {
+      type: Date
+    },
+    closedAt: {
+      type: Date
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    report: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NightAuditReport'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Only one current day at a time
+businessDaySchema.index(
+  { current: 1 },
+  { unique: true, partialFilterExpression: { current: true }, name: 'single_current_day' }
+);
+businessDaySchema.index({ status: 1, date: -1 });
+
+businessDaySchema.virtual('dateKey').get(function () {
+  return this.date.toISOString().slice(0, 10);
+});
+
+module.exports = mongoose.model('BusinessDay', businessDaySchema);
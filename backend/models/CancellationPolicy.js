@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+/**
+ * How a penalty is worked out:
+ *   NONE     free cancellation
+ *   NIGHTS   the first `value` room nights
+ *   PERCENT  value % of the room charges (after discounts)
+ *   FIXED    value, never more than the room charges
+ */
+const PENALTY_TYPES = ['NONE', 'NIGHTS', 'PERCENT', 'FIXED'];
+
+const penaltyFields = {
+  penaltyType: {
+    type: String,
+    enum: {
+      values: PENALTY_TYPES,
+      message: '{VALUE} is not a valid penalty type'
+    },
+    required: [true, 'Penalty type is required']
+  },
+  value: {
+    type: Number,
+    default: 0,
+    min: [0, 'Penalty value cannot be negative']
+  }
+};
+
+const penaltyRuleSchema = new mongoose.Schema(
+  {
+    // Applies when cancelling less than this many hours before arrival
+    withinHours: {
+      type: Number,
+      required: [true, 'Hours before arrival is required'],
+      min: [0, 'Hours before arrival cannot be negative']
+    },
+    ...penaltyFields
+  },
+  { _id: false }
+);
+
+const cancellationPolicySchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'Policy code is required'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9_-]{2,20}$/, 'Policy code may only contain letters, digits, "_" and "-"']
+    },
+    name: {
+      type: String,
+      required: [true, 'Policy name is required'],
+      trim: true,
+      maxlength: [100, 'Policy name cannot exceed 100 characters']
+    },
+    description: {
+      type: String,
+      maxlength: [1000, 'Description cannot exceed 1000 characters']
+    },
+    // The rule with the smallest `withinHours` still ahead of the guest wins;
+    // cancelling before every window is free
+    rules: {
+      type: [penaltyRuleSchema],
+      default: []
+    },
+    // Charged when the guest does not arrive at all
+    noShowPenalty: {
+      penaltyType: {
+        type: String,
+        enum: PENALTY_TYPES,
+        default: 'NIGHTS'
+      },
+      value: {
+        type: Number,
+        default: 1,
+        min: 0
+      }
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+cancellationPolicySchema.pre('validate', function () {
+  const windows = this.rules.map((rule) => rule.withinHours);
+  if (new Set(windows).size !== windows.length) {
+    throw new Error('Each cancellation window must be unique');
+  }
+
+  for (const rule of [...this.rules, this.noShowPenalty]) {
+    if (rule.penaltyType === 'PERCENT' && rule.value > 100) {
+      throw new Error('A percentage penalty cannot exceed 100%');
+    }
+  }
+});
+
+cancellationPolicySchema.statics.PENALTY_TYPES = PENALTY_TYPES;
+
+module.exports = mongoose.model('CancellationPolicy', cancellationPolicySchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+/**
+ * Atomic sequence counters
+ * One document per sequence key, e.g. "RES:260119" or "NYC:MNT:2601"
+ */
+const counterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: [true, 'Counter key is required']
+    },
+    seq: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * One row per rate change. The rate in force at a moment is the latest row
+ * for the currency whose effectiveFrom is not in the future, so history is
+ * kept and old payments can always be explained.
+ */
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    currency: {
+      type: String,
+      required: [true, 'Currency is required'],
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+    },
+    // Units of the base currency for one unit of `currency`
+    rate: {
+      type: Number,
+      required: [true, 'Rate is required'],
+      min: [0.000001, 'Rate must be positive']
+    },
+    baseCurrency: {
+      type: String,
+      required: true,
+      uppercase: true
+    },
+    effectiveFrom: {
+      type: Date,
+      default: Date.now
+    },
+    source: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Source cannot exceed 100 characters'],
+      default: 'MANUAL'
+    },
+    setBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Set by user reference is required']
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+exchangeRateSchema.index({ baseCurrency: 1, currency: 1, effectiveFrom: -1 });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+
+/**
+ * Entry types. Amounts are signed from the guest's point of view:
+ * charges are positive, credits (payments, discounts) negative, and refunds
+ * positive because they give back money the guest had paid. TRANSFER lines
+ * move routed charges between a group member's folio (credit) and the group
+ * master folio (charge).
+ */
+const CHARGE_TYPES = ['ROOM_NIGHT', 'TAX', 'EXTRA', 'FEE', 'DAMAGE'];
+const CREDIT_TYPES = ['DISCOUNT', 'PAYMENT'];
+const ENTRY_TYPES = [...CHARGE_TYPES, ...CREDIT_TYPES, 'REFUND', 'ADJUSTMENT', 'TRANSFER'];
+
+const folioEntrySchema = new mongoose.Schema(
+  {
+    // Unset on a group master folio line
+    reservation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Reservation',
+      required: [
+        function () {
+          return !this.group;
+        },
+        'Reservation reference is required'
+      ]
+    },
+    // Master folio lines carry only the group; routed member lines carry both
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group'
+    },
+    // Member reservation a master folio TRANSFER line came from
+    routedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Reservation'
+    },
+    guest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Guest',
+      required: [true, 'Guest reference is required']
+    },
+    type: {
+      type: String,
+      required: [true, 'Entry type is required'],
+      enum: {
+        values: ENTRY_TYPES,
+        message: '{VALUE} is not a valid folio entry type'
+      }
+    },
+    description: {
+      type: String,
+      required: [true, 'Description is required'],
+      trim: true,
+      maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: [0, 'Quantity cannot be negative']
+    },
+    unitPrice: {
+      type: Number
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required']
+    },
+    // Business date the entry belongs to (the night for ROOM_NIGHT lines);
+    // entries on a closed business day can be neither posted nor voided
+    serviceDate: {
+      type: Date,
+      default: Date.now
+    },
+    // Idempotency key for system postings, e.g. "NIGHT:2026-10-19"
+    referenceKey: {
+      type: String,
+      trim: true
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    postedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Posted by user reference is required']
+    },
+    voided: {
+      type: Boolean,
+      default: false
+    },
+    voidedAt: {
+      type: Date
+    },
+    voidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    voidReason: {
+      type: String,
+      maxlength: [500, 'Void reason cannot exceed 500 characters']
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes
+folioEntrySchema.index({ reservation: 1, serviceDate: 1, createdAt: 1 });
+folioEntrySchema.index({ reservation: 1, type: 1, voided: 1 });
+folioEntrySchema.index({ guest: 1, createdAt: -1 });
+folioEntrySchema.index({ payment: 1 }, { sparse: true });
+folioEntrySchema.index({ group: 1, serviceDate: 1 }, { sparse: true });
+
+// A system posting (e.g. one room night) can only be live once per reservation
+folioEntrySchema.index(
+  { reservation: 1, referenceKey: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { voided: false, referenceKey: { $exists: true } },
+    name: 'live_reference_unique'
+  }
+);
+
+// Sign rules per type. TAX and REFUND may be negative: a tax already frozen by
+// the night audit, or a rejected refund whose day it closed, is corrected with
+// an offsetting line on the current business day.
+folioEntrySchema.pre('validate', function () {
+  if (CHARGE_TYPES.includes(this.type) && this.type !== 'TAX') {
+    if (this.amount < 0) throw new Error(`${this.type} entries must have a positive amount`);
+  }
+  if (CREDIT_TYPES.includes(this.type) && this.amount > 0) {
+    throw new Error(`${this.type} entries must have a negative amount`);
+  }
+});
+
+// Ledger lines are immutable apart from being voided
+folioEntrySchema.pre('save', function () {
+  if (this.isNew) return;
+
+  const allowed = ['voided', 'voidedAt', 'voidedBy', 'voidReason', 'updatedAt'];
+  const illegal = this.modifiedPaths().filter((path) => !allowed.includes(path));
+
+  if (illegal.length > 0) {
+    throw new Error('Folio entries cannot be edited. Void the entry and post a new one.');
+  }
+});
+
+folioEntrySchema.statics.CHARGE_TYPES = CHARGE_TYPES;
+folioEntrySchema.statics.CREDIT_TYPES = CREDIT_TYPES;
+folioEntrySchema.statics.ENTRY_TYPES = ENTRY_TYPES;
+
+module.exports = mongoose.model('FolioEntry', folioEntrySchema);
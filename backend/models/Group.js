@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const { generateNumber } = require('../services/sequence.service');
+
+/**
+ * Folio entry types a group can route from its members' folios to the master
+ * folio. DISCOUNT follows ROOM_NIGHT so routed room charges stay net.
+ */
+const ROUTABLE_TYPES = ['ROOM_NIGHT', 'DISCOUNT', 'TAX', 'EXTRA', 'FEE', 'DAMAGE'];
+
+const allotmentSchema = new mongoose.Schema(
+  {
+    roomType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RoomType',
+      required: [true, 'Room type is required']
+    },
+    // Rooms held on every night of the block
+    rooms: {
+      type: Number,
+      required: [true, 'Number of rooms is required'],
+      min: [1, 'An allotment holds at least 1 room']
+    },
+    // Plan the block's reservations are priced on; the default plan when unset
+    ratePlan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RatePlan'
+    }
+  },
+  { _id: true }
+);
+
+const groupSchema = new mongoose.Schema(
+  {
+    groupNumber: {
+      type: String,
+      unique: true,
+      required: true,
+      uppercase: true
+    },
+    name: {
+      type: String,
+      required: [true, 'Group name is required'],
+      trim: true,
+      maxlength: [150, 'Group name cannot exceed 150 characters']
+    },
+    // Pays whatever is routed to the master folio
+    organizer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Guest',
+      required: [true, 'Organizer is required']
+    },
+    checkInDate: {
+      type: Date,
+      required: [true, 'Check-in date is required']
+    },
+    checkOutDate: {
+      type: Date,
+      required: [true, 'Check-out date is required']
+    },
+    allotments: {
+      type: [allotmentSchema],
+      validate: {
+        validator: (allotments) =>
+          allotments.length > 0 &&
+          new Set(allotments.map((a) => a.roomType.toString())).size === allotments.length,
+        message: 'A group needs at least one allotment and one per room type'
+      }
+    },
+    // Rooms not picked up by then go back to general inventory
+    releaseDate: {
+      type: Date,
+      required: [true, 'Release date is required']
+    },
+    routedTypes: {
+      type: [
+        {
+          type: String,
+          enum: {
+            values: ROUTABLE_TYPES,
+            message: '{VALUE} cannot be routed'
+          }
+        }
+      ],
+      default: ['ROOM_NIGHT', 'DISCOUNT', 'TAX']
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['OPEN', 'RELEASED', 'CANCELLED'],
+        message: '{VALUE} is not a valid group status'
+      },
+      default: 'OPEN'
+    },
+    releasedAt: {
+      type: Date
+    },
+    notes: {
+      type: String,
+      maxlength: [2000, 'Notes cannot exceed 2000 characters']
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Created by user reference is required']
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+groupSchema.pre('validate', async function () {
+  if (this.isNew && !this.groupNumber) {
+    this.groupNumber = await generateNumber('GRP');
+  }
+
+  if (this.checkOutDate <= this.checkInDate) {
+    throw new Error('Check-out date must be after check-in date');
+  }
+
+  if (this.releaseDate > this.checkInDate) {
+    throw new Error('Release date cannot be after the group arrives');
+  }
+});
+
+/**
+ * Whether the block still holds its unpicked rooms
+ */
+groupSchema.methods.isHolding = function (now = new Date()) {
+  return this.status === 'OPEN' && this.releaseDate > now;
+};
+
+groupSchema.index({ groupNumber: 1 }, { unique: true });
+groupSchema.index({ status: 1, releaseDate: 1, 'allotments.roomType': 1 });
+groupSchema.index({ organizer: 1 });
+
+groupSchema.virtual('reservations', {
+  ref: 'Reservation',
+  localField: '_id',
+  foreignField: 'group'
+});
+
+groupSchema.statics.ROUTABLE_TYPES = ROUTABLE_TYPES;
+
+module.exports = mongoose.model('Group', groupSchema);
@@ -94,6 +94,15 @@ const guestSchema = new mongoose.Schema(
       type: String,
       maxlength: [500, 'Blacklist reason cannot exceed 500 characters']
     },
+    // Exempt from every tax rule (e.g. diplomatic status)
+    taxExempt: {
+      type: Boolean,
+      default: false
+    },
+    taxExemptReason: {
+      type: String,
+      maxlength: [500, 'Tax exemption reason cannot exceed 500 characters']
+    },
     notes: {
       type: String,
       maxlength: [2000, 'Notes cannot exceed 2000 characters']
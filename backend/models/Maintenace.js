@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { generateNumber } = require('../services/sequence.service');
+const { stateMachinePlugin } = require('../services/stateMachine.service');
 
 const maintenanceSchema = new mongoose.Schema(
   {
@@ -138,43 +140,22 @@ const maintenanceSchema = new mongoose.Schema(
   }
 );
 
-// Generate unique ticket number before saving
-maintenanceSchema.pre('save', async function (next) {
-  if (!this.isNew || this.ticketNumber) return next();
+// Generate unique ticket number before validation (the field is required)
+maintenanceSchema.pre('validate', async function () {
+  if (!this.isNew || this.ticketNumber) return;
 
-  try {
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    
-    const count = await this.constructor.countDocuments({
-      createdAt: {
-        $gte: new Date(date.getFullYear(), date.getMonth(), 1),
-        $lt: new Date(date.getFullYear(), date.getMonth() + 1, 0)
-      }
-    });
-    
-    const sequence = String(count + 1).padStart(4, '0');
-    const prefix = this.taskType === 'HOUSEKEEPING' ? 'HK' : 'MNT';
-    this.ticketNumber = `${prefix}${year}${month}${sequence}`;
-    
-    next();
-  } catch (error) {
-    next(error);
-  }
+  this.ticketNumber = await generateNumber(this.taskType === 'HOUSEKEEPING' ? 'HK' : 'MNT');
 });
 
 // Validation for completion
-maintenanceSchema.pre('save', function (next) {
+maintenanceSchema.pre('save', function () {
   if (this.status === 'COMPLETED' && !this.completedAt) {
     this.completedAt = new Date();
   }
-  
+
   if (this.status === 'IN_PROGRESS' && !this.startedAt) {
     this.startedAt = new Date();
   }
-  
-  next();
 });
 
 // Indexes for performance
@@ -190,4 +171,7 @@ maintenanceSchema.index({ createdAt: -1 });
 // Compound index for task management
 maintenanceSchema.index({ status: 1, priority: -1, scheduledDate: 1 });
 
+// Status changes follow config/stateMachines.js
+maintenanceSchema.plugin(stateMachinePlugin, { modelName: 'Maintenance' });
+
 module.exports = mongoose.model('Maintenance', maintenanceSchema);
\ No newline at end of file
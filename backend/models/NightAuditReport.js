@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+/**
+ * Snapshot taken by the night audit when a business day is closed. Amounts are
+ * in the property's base currency and never change after the close.
+ */
+const nightAuditReportSchema = new mongoose.Schema(
+  {
+    businessDate: {
+      type: Date,
+      required: [true, 'Business date is required'],
+      unique: true
+    },
+    currency: {
+      type: String,
+      required: true
+    },
+    revenue: {
+      rooms: { type: Number, default: 0 },
+      taxes: { type: Number, default: 0 },
+      extras: { type: Number, default: 0 },
+      fees: { type: Number, default: 0 },
+      discounts: { type: Number, default: 0 },
+      adjustments: { type: Number, default: 0 },
+      total: { type: Number, default: 0 }
+    },
+    occupancy: {
+      totalRooms: { type: Number, default: 0 },
+      roomsSold: { type: Number, default: 0 },
+      occupancyRate: { type: Number, default: 0 },
+      averageDailyRate: { type: Number, default: 0 },
+      revPar: { type: Number, default: 0 },
+      arrivals: { type: Number, default: 0 },
+      departures: { type: Number, default: 0 },
+      inHouse: { type: Number, default: 0 },
+      noShows: { type: Number, default: 0 },
+      cancellations: { type: Number, default: 0 }
+    },
+    payments: {
+      count: { type: Number, default: 0 },
+      received: { type: Number, default: 0 },
+      refunded: { type: Number, default: 0 },
+      net: { type: Number, default: 0 },
+      // { CASH: 120, CREDIT_CARD: 830, ... }
+      byMethod: {
+        type: Map,
+        of: Number,
+        default: {}
+      }
+    },
+    postings: {
+      roomNightsPosted: { type: Number, default: 0 },
+      foliosUpdated: { type: Number, default: 0 }
+    },
+    // Stays or bookings that need attention the next morning
+    exceptions: [
+      {
+        reservationNumber: String,
+        message: String
+      }
+    ],
+    generatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Generated by user reference is required']
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+module.exports = mongoose.model('NightAuditReport', nightAuditReportSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * Message for staff; everyone holding `permission` sees it until they mark
+ * it read
+ */
+const notificationSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: {
+        values: ['WAITLIST_MATCH'],
+        message: '{VALUE} is not a valid notification type'
+      },
+      required: [true, 'Notification type is required']
+    },
+    title: {
+      type: String,
+      required: [true, 'Title is required'],
+      maxlength: [200, 'Title cannot exceed 200 characters']
+    },
+    message: {
+      type: String,
+      maxlength: [2000, 'Message cannot exceed 2000 characters']
+    },
+    permission: {
+      type: String,
+      required: [true, 'Permission is required']
+    },
+    targetEntity: {
+      type: String
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    readBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    ]
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+notificationSchema.index({ permission: 1, createdAt: -1 });
+
+// Notifications are dropped after 90 days
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { stateMachinePlugin } = require('../services/stateMachine.service');
 
 const occupancySchema = new mongoose.Schema(
   {
@@ -110,6 +111,34 @@ const occupancySchema = new mongoose.Schema(
       type: String,
       maxlength: [2000, 'Notes cannot exceed 2000 characters']
     },
+    roomMoves: [
+      {
+        fromRoom: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Room'
+        },
+        toRoom: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Room'
+        },
+        movedAt: {
+          type: Date,
+          default: Date.now
+        },
+        movedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        reason: {
+          type: String,
+          maxlength: [500, 'Move reason cannot exceed 500 characters']
+        },
+        priceAdjustment: {
+          type: Number,
+          default: 0
+        }
+      }
+    ],
     feedbackProvided: {
       type: Boolean,
       default: false
@@ -137,11 +166,10 @@ occupancySchema.index({ status: 1 });
 occupancySchema.index({ checkedInBy: 1 });
 
 // Validation
-occupancySchema.pre('save', function (next) {
+occupancySchema.pre('save', function () {
   if (this.actualCheckOutTime && this.actualCheckOutTime <= this.actualCheckInTime) {
-    return next(new Error('Check-out time must be after check-in time'));
+    throw new Error('Check-out time must be after check-in time');
   }
-  next();
 });
 
 // Virtual for stay duration in hours
@@ -152,4 +180,7 @@ occupancySchema.virtual('stayDurationHours').get(function () {
   return Math.round(duration / (1000 * 60 * 60));
 });
 
+// Status changes follow config/stateMachines.js
+occupancySchema.plugin(stateMachinePlugin, { modelName: 'Occupancy' });
+
 module.exports = mongoose.model('Occupancy', occupancySchema);
\ No newline at end of file
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * Rooms of a type that may be sold beyond physical inventory on each night
+ * of an (inclusive) date range. Where rules overlap the highest limit applies.
+ */
+const overbookingRuleSchema = new mongoose.Schema(
+  {
+    roomType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RoomType',
+      required: [true, 'Room type is required']
+    },
+    startDate: {
+      type: Date,
+      required: [true, 'Start date is required']
+    },
+    endDate: {
+      type: Date,
+      required: [true, 'End date is required']
+    },
+    limit: {
+      type: Number,
+      required: [true, 'Overbooking limit is required'],
+      min: [0, 'Limit cannot be negative'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'Limit must be a whole number of rooms'
+      }
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+overbookingRuleSchema.pre('validate', function () {
+  if (this.endDate < this.startDate) {
+    throw new Error('Overbooking rule ends before it starts');
+  }
+});
+
+overbookingRuleSchema.index({ roomType: 1, isActive: 1, startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model('OverbookingRule', overbookingRuleSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { generateNumber } = require('../services/sequence.service');
+const { roundCurrency } = require('../utils/money');
+const { property } = require('../config/property');
 
 const paymentSchema = new mongoose.Schema(
   {
@@ -8,11 +11,37 @@ const paymentSchema = new mongoose.Schema(
       required: true,
       uppercase: true
     },
+    // A reservation, or a parent booking paid as a whole
     reservation: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'Reservation',
+      refPath: 'reservationModel',
       required: [true, 'Reservation reference is required']
     },
+    reservationModel: {
+      type: String,
+      enum: ['Reservation', 'Booking'],
+      default: 'Reservation'
+    },
+    // How a booking payment was split over the room lines' folios (base currency)
+    allocations: [
+      {
+        reservation: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Reservation',
+          required: true
+        },
+        baseAmount: {
+          type: Number,
+          required: true,
+          min: [0, 'Allocated amount cannot be negative']
+        },
+        refundedBaseAmount: {
+          type: Number,
+          default: 0,
+          min: [0, 'Refunded amount cannot be negative']
+        }
+      }
+    ],
     guest: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Guest',
@@ -42,7 +71,8 @@ const paymentSchema = new mongoose.Schema(
     paymentStatus: {
       type: String,
       enum: {
-        values: ['PENDING', 'COMPLETED', 'FAILED', 'REFUNDED', 'PARTIALLY_REFUNDED'],
+        // AUTHORIZED: card hold not yet captured; VOIDED: hold released
+        values: ['PENDING', 'AUTHORIZED', 'COMPLETED', 'FAILED', 'VOIDED', 'REFUNDED', 'PARTIALLY_REFUNDED'],
         message: '{VALUE} is not a valid payment status'
       },
       default: 'PENDING'
@@ -93,6 +123,42 @@ const paymentSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    // One entry per refund; refundAmount holds the running total
+    refunds: [
+      {
+        amount: {
+          type: Number,
+          required: true,
+          min: [0.01, 'Refund amount must be positive']
+        },
+        reason: {
+          type: String,
+          maxlength: [500, 'Refund reason cannot exceed 500 characters']
+        },
+        refundedAt: {
+          type: Date,
+          default: Date.now
+        },
+        refundedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        transactionReference: {
+          type: String,
+          trim: true
+        },
+        // Refunded amount in the base currency, at the payment's rate
+        baseAmount: {
+          type: Number
+        },
+        // Card refunds are PENDING until the provider answers; FAILED ones were reversed
+        status: {
+          type: String,
+          enum: ['PENDING', 'COMPLETED', 'FAILED'],
+          default: 'COMPLETED'
+        }
+      }
+    ],
     receiptNumber: {
       type: String,
       sparse: true
@@ -103,9 +169,25 @@ const paymentSchema = new mongoose.Schema(
     },
     currency: {
       type: String,
-      default: 'USD',
+      default: property.baseCurrency,
       uppercase: true,
       length: 3
+    },
+    // Rate snapshot at payment time: base-currency units per unit of `currency`
+    exchangeRate: {
+      type: Number,
+      default: 1,
+      min: [0, 'Exchange rate cannot be negative']
+    },
+    baseCurrency: {
+      type: String,
+      default: property.baseCurrency,
+      uppercase: true
+    },
+    // `amount` expressed in the base currency; this is what reaches the folio
+    baseAmount: {
+      type: Number,
+      min: [0, 'Base amount cannot be negative']
     }
   },
   {
@@ -115,35 +197,74 @@ const paymentSchema = new mongoose.Schema(
   }
 );
 
-// Generate unique payment number before saving
-paymentSchema.pre('save', async function (next) {
-  if (!this.isNew || this.paymentNumber) return next();
-
-  try {
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    
-    const count = await this.constructor.countDocuments({
-      createdAt: {
-        $gte: new Date(date.setHours(0, 0, 0, 0)),
-        $lt: new Date(date.setHours(23, 59, 59, 999))
-      }
-    });
-    
-    const sequence = String(count + 1).padStart(4, '0');
-    this.paymentNumber = `PAY${year}${month}${day}${sequence}`;
-    
-    next();
-  } catch (error) {
-    next(error);
+// Generate unique payment number before validation (the field is required)
+paymentSchema.pre('validate', async function () {
+  if (!this.isNew || this.paymentNumber) return;
+
+  this.paymentNumber = await generateNumber('PAY');
+});
+
+// Refunds can never exceed what was actually collected
+paymentSchema.pre('validate', function () {
+  if (this.refundAmount > this.amount) {
+    throw new Error('Refunded amount cannot exceed the payment amount');
   }
 });
 
+// Keep the base-currency equivalent in step with the amount and rate snapshot
+paymentSchema.pre('validate', function () {
+  if (this.isNew || this.isModified('amount') || this.isModified('exchangeRate') || this.baseAmount === undefined) {
+    this.baseAmount = roundCurrency(this.amount * this.exchangeRate);
+  }
+});
+
+// Settled payments on a closed business day are frozen; refunds still post on the current day
+const FROZEN_PATHS = [
+  'amount',
+  'currency',
+  'exchangeRate',
+  'baseAmount',
+  'paymentMethod',
+  'paymentType',
+  'transactionDate',
+  'reservation',
+  'reservationModel'
+];
+
+const SETTLED_STATUSES = ['COMPLETED', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+
+// The freeze is judged on the stored payment, so a status change saved alongside cannot lift it
+paymentSchema.post('init', function () {
+  this.$locals.settledOn = SETTLED_STATUSES.includes(this.paymentStatus) ? this.transactionDate : null;
+});
+
+paymentSchema.pre('save', async function () {
+  if (this.isNew || !this.$locals.settledOn) return;
+  if (!FROZEN_PATHS.some((path) => this.isModified(path))) return;
+
+  const businessDate = new Date(new Date(this.$locals.settledOn).toISOString().slice(0, 10));
+  const closed = await mongoose.model('BusinessDay')
+    .exists({ date: businessDate, status: 'CLOSED' })
+    .session(this.$session());
+
+  if (closed) {
+    throw new Error('Payments on a closed business day cannot be edited. Refund it and record a new payment.');
+  }
+});
+
+paymentSchema.post('save', function () {
+  this.$locals.settledOn = SETTLED_STATUSES.includes(this.paymentStatus) ? this.transactionDate : null;
+});
+
+// Amount still available to refund (payment currency)
+paymentSchema.virtual('refundableAmount').get(function () {
+  return roundCurrency(this.amount - (this.refundAmount || 0));
+});
+
 // Indexes for performance
 paymentSchema.index({ paymentNumber: 1 }, { unique: true });
 paymentSchema.index({ reservation: 1, createdAt: -1 });
+paymentSchema.index({ 'allocations.reservation': 1 }, { sparse: true });
 paymentSchema.index({ guest: 1 });
 paymentSchema.index({ paymentStatus: 1 });
 paymentSchema.index({ paymentMethod: 1 });
@@ -153,5 +274,6 @@ paymentSchema.index({ transactionReference: 1 }, { sparse: true });
 
 // Compound index for reporting
 paymentSchema.index({ paymentStatus: 1, transactionDate: -1 });
+paymentSchema.index({ currency: 1, transactionDate: -1 });
 
 module.exports = mongoose.model('Payment', paymentSchema);
\ No newline at end of file
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+/**
+ * PERCENT  value % off the room charges (optionally capped)
+ * FIXED    value off the room charges, never more than they come to
+ */
+const DISCOUNT_TYPES = ['PERCENT', 'FIXED'];
+
+const promotionSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'Promo code is required'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9_-]{3,30}$/, 'Promo code may only contain letters, digits, "_" and "-"']
+    },
+    name: {
+      type: String,
+      required: [true, 'Promotion name is required'],
+      trim: true,
+      maxlength: [100, 'Promotion name cannot exceed 100 characters']
+    },
+    description: {
+      type: String,
+      maxlength: [1000, 'Description cannot exceed 1000 characters']
+    },
+    discountType: {
+      type: String,
+      required: [true, 'Discount type is required'],
+      enum: {
+        values: DISCOUNT_TYPES,
+        message: '{VALUE} is not a valid discount type'
+      }
+    },
+    value: {
+      type: Number,
+      required: [true, 'Discount value is required'],
+      min: [0, 'Discount value cannot be negative']
+    },
+    // PERCENT only: upper bound on the discount amount (0 = none)
+    maxDiscountAmount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // When the code can be redeemed
+    validFrom: {
+      type: Date,
+      required: [true, 'Valid from date is required']
+    },
+    validTo: {
+      type: Date,
+      required: [true, 'Valid to date is required']
+    },
+    // Stay dates the code applies to (optional)
+    stayFrom: {
+      type: Date
+    },
+    stayTo: {
+      type: Date
+    },
+    // Empty = every room type
+    roomTypes: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RoomType'
+      }
+    ],
+    minNights: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    // Total redemptions allowed (0 = unlimited)
+    usageLimit: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    usageCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Redemptions allowed per guest (0 = unlimited)
+    perGuestLimit: {
+      type: Number,
+      default: 1,
+      min: 0
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+promotionSchema.pre('validate', function () {
+  if (this.validTo <= this.validFrom) {
+    throw new Error('Promotion must end after it starts');
+  }
+
+  if (this.stayFrom && this.stayTo && this.stayTo <= this.stayFrom) {
+    throw new Error('Promotion stay window must end after it starts');
+  }
+
+  if (this.discountType === 'PERCENT' && this.value > 100) {
+    throw new Error('A percentage discount cannot exceed 100%');
+  }
+});
+
+promotionSchema.virtual('remainingUses').get(function () {
+  return this.usageLimit ? Math.max(this.usageLimit - this.usageCount, 0) : null;
+});
+
+promotionSchema.index({ isActive: 1, validFrom: 1, validTo: 1 });
+
+promotionSchema.statics.DISCOUNT_TYPES = DISCOUNT_TYPES;
+
+module.exports = mongoose.model('Promotion', promotionSchema);
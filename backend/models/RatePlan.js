@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+
+const ADJUSTMENT_TYPES = ['PERCENT', 'AMOUNT', 'FIXED_PRICE'];
+
+/**
+ * A price change applied to one night:
+ *   PERCENT      rate × (1 + value / 100)   (value -10 = 10% off)
+ *   AMOUNT       rate + value
+ *   FIXED_PRICE  value replaces the rate
+ */
+const adjustmentFields = {
+  adjustmentType: {
+    type: String,
+    enum: {
+      values: ADJUSTMENT_TYPES,
+      message: '{VALUE} is not a valid adjustment type'
+    },
+    required: [true, 'Adjustment type is required']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Adjustment value is required']
+  }
+};
+
+const seasonSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Season name is required'],
+      trim: true,
+      maxlength: [100, 'Season name cannot exceed 100 characters']
+    },
+    // Inclusive night range
+    startDate: {
+      type: Date,
+      required: [true, 'Season start date is required']
+    },
+    endDate: {
+      type: Date,
+      required: [true, 'Season end date is required']
+    },
+    // Empty = every room type on the plan
+    roomTypes: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RoomType'
+      }
+    ],
+    ...adjustmentFields
+  },
+  { _id: true }
+);
+
+const dayOfWeekRuleSchema = new mongoose.Schema(
+  {
+    // 0 = Sunday … 6 = Saturday
+    days: {
+      type: [Number],
+      validate: {
+        validator: (days) => days.length > 0 && days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6),
+        message: 'Days must be integers from 0 (Sunday) to 6 (Saturday)'
+      }
+    },
+    ...adjustmentFields
+  },
+  { _id: true }
+);
+
+const ratePlanSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'Rate plan code is required'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9_-]{2,20}$/, 'Code must be 2-20 letters, digits, "_" or "-"']
+    },
+    name: {
+      type: String,
+      required: [true, 'Rate plan name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    type: {
+      type: String,
+      enum: {
+        values: ['BAR', 'NON_REFUNDABLE', 'CORPORATE', 'PACKAGE', 'PROMOTIONAL'],
+        message: '{VALUE} is not a valid rate plan type'
+      },
+      required: [true, 'Rate plan type is required']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Description cannot exceed 1000 characters']
+    },
+    // Applied to the room's rack rate before any other rule (e.g. -10 for non-refundable)
+    baseAdjustmentPercent: {
+      type: Number,
+      default: 0,
+      min: [-100, 'Adjustment cannot be below -100%']
+    },
+    // Empty = every room type
+    roomTypes: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RoomType'
+      }
+    ],
+    seasons: [seasonSchema],
+    dayOfWeekRules: [dayOfWeekRuleSchema],
+    minLengthOfStay: {
+      type: Number,
+      default: 1,
+      min: [1, 'Minimum stay must be at least 1 night']
+    },
+    maxLengthOfStay: {
+      type: Number,
+      min: [1, 'Maximum stay must be at least 1 night']
+    },
+    occupancySurcharge: {
+      // Guests included in the rate
+      baseOccupancy: {
+        type: Number,
+        default: 2,
+        min: [1, 'Base occupancy must be at least 1']
+      },
+      // Added per night for each guest above baseOccupancy
+      perExtraGuest: {
+        type: Number,
+        default: 0,
+        min: [0, 'Surcharge cannot be negative']
+      }
+    },
+    refundable: {
+      type: Boolean,
+      default: true
+    },
+    // Overrides the room type's policy; non-refundable plans without one keep the full stay
+    cancellationPolicy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CancellationPolicy'
+    },
+    // Non-public plans (e.g. corporate) are only quoted to signed-in staff
+    isPublic: {
+      type: Boolean,
+      default: true
+    },
+    corporateAccount: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Corporate account cannot exceed 100 characters']
+    },
+    // Stay dates the plan can be sold for
+    validFrom: {
+      type: Date
+    },
+    validTo: {
+      type: Date
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+ratePlanSchema.pre('validate', function () {
+  if (this.maxLengthOfStay && this.maxLengthOfStay < this.minLengthOfStay) {
+    throw new Error('Maximum length of stay cannot be below the minimum');
+  }
+
+  for (const season of this.seasons) {
+    if (season.endDate < season.startDate) {
+      throw new Error(`Season "${season.name}" ends before it starts`);
+    }
+  }
+});
+
+ratePlanSchema.index({ isActive: 1, type: 1 });
+
+ratePlanSchema.statics.ADJUSTMENT_TYPES = ADJUSTMENT_TYPES;
+
+module.exports = mongoose.model('RatePlan', ratePlanSchema);
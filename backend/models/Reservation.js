@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { generateNumber } = require('../services/sequence.service');
+const { property } = require('../config/property');
+const { stateMachinePlugin } = require('../services/stateMachine.service');
 
 const reservationSchema = new mongoose.Schema(
   {
@@ -13,10 +16,30 @@ const reservationSchema = new mongoose.Schema(
       ref: 'Guest',
       required: [true, 'Guest reference is required']
     },
+    // Unset while the booking holds only room type inventory
     room: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Room',
-      required: [true, 'Room reference is required']
+      required: [
+        function () {
+          return !this.roomType;
+        },
+        'Room or room type is required'
+      ]
+    },
+    roomType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RoomType'
+    },
+    // Parent booking when this is one room line of a multi-room booking
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    },
+    // Set when the booking was picked up from a group block
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group'
     },
     checkInDate: {
       type: Date,
@@ -31,6 +54,10 @@ const reservationSchema = new mongoose.Schema(
       required: [true, 'Number of guests is required'],
       min: [1, 'Must have at least 1 guest']
     },
+    ratePlan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RatePlan'
+    },
     numberOfNights: {
       type: Number,
       min: [1, 'Must be at least 1 night']
@@ -56,6 +83,13 @@ const reservationSchema = new mongoose.Schema(
       required: [true, 'Total amount is required'],
       min: [0, 'Total amount cannot be negative']
     },
+    // Every amount on the reservation is in this (the property base) currency
+    currency: {
+      type: String,
+      default: property.baseCurrency,
+      uppercase: true,
+      immutable: true
+    },
     paidAmount: {
       type: Number,
       default: 0,
@@ -90,16 +124,52 @@ const reservationSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    // Policy and penalty applied when the booking was cancelled
+    cancellationPolicy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CancellationPolicy'
+    },
+    cancellationPenalty: {
+      type: Number,
+      min: [0, 'Penalty cannot be negative']
+    },
     depositAmount: {
       type: Number,
       default: 0,
       min: [0, 'Deposit cannot be negative']
     },
+    // When set, the reservation cannot be confirmed until the deposit is secured
+    depositRequired: {
+      type: Boolean,
+      default: false
+    },
+    // Unsecured required deposits past this time get the booking auto-cancelled
+    depositDueAt: {
+      type: Date
+    },
+    depositReceivedAt: {
+      type: Date
+    },
     discountAmount: {
       type: Number,
       default: 0,
       min: [0, 'Discount cannot be negative']
     },
+    // Promotion redeemed at booking; the code is kept as entered
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    },
+    promoCode: {
+      type: String,
+      uppercase: true,
+      trim: true
+    },
+    // Set when a manual discount above the policy limit was granted
+    discountApprovedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     taxAmount: {
       type: Number,
       default: 0,
@@ -118,10 +188,11 @@ const reservationSchema = new mongoose.Schema(
 );
 
 // Pre-save validation
-reservationSchema.pre('save', function (next) {
+// (Mongoose 9 no longer passes `next` to middleware — throw/return instead)
+reservationSchema.pre('save', function () {
   // Validate check-out date is after check-in date
   if (this.checkOutDate <= this.checkInDate) {
-    return next(new Error('Check-out date must be after check-in date'));
+    throw new Error('Check-out date must be after check-in date');
   }
 
   // Calculate number of nights
@@ -132,45 +203,28 @@ reservationSchema.pre('save', function (next) {
 
   // Calculate balance
   this.balanceAmount = this.totalAmount - this.paidAmount;
-
-  next();
 });
 
-// Generate unique reservation number before saving
-reservationSchema.pre('save', async function (next) {
-  if (!this.isNew || this.reservationNumber) return next();
+// Generate unique reservation number before validation (the field is required)
+reservationSchema.pre('validate', async function () {
+  if (!this.isNew || this.reservationNumber) return;
 
-  try {
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    
-    // Find the count of reservations today
-    const count = await this.constructor.countDocuments({
-      createdAt: {
-        $gte: new Date(date.setHours(0, 0, 0, 0)),
-        $lt: new Date(date.setHours(23, 59, 59, 999))
-      }
-    });
-    
-    const sequence = String(count + 1).padStart(4, '0');
-    this.reservationNumber = `RES${year}${month}${day}${sequence}`;
-    
-    next();
-  } catch (error) {
-    next(error);
-  }
+  this.reservationNumber = await generateNumber('RES');
 });
 
 // Compound indexes for performance
 reservationSchema.index({ reservationNumber: 1 }, { unique: true });
 reservationSchema.index({ guest: 1, createdAt: -1 });
 reservationSchema.index({ room: 1, checkInDate: 1, checkOutDate: 1 });
+reservationSchema.index({ roomType: 1, status: 1, checkInDate: 1, checkOutDate: 1 });
 reservationSchema.index({ status: 1 });
+reservationSchema.index({ status: 1, depositRequired: 1, depositDueAt: 1 });
 reservationSchema.index({ checkInDate: 1, checkOutDate: 1 });
 reservationSchema.index({ createdBy: 1 });
 reservationSchema.index({ bookingSource: 1 });
+reservationSchema.index({ promotion: 1, guest: 1 }, { sparse: true });
+reservationSchema.index({ group: 1, status: 1 }, { sparse: true });
+reservationSchema.index({ booking: 1, checkInDate: 1 }, { sparse: true });
 
 // Compound index for availability checking
 reservationSchema.index(
@@ -193,4 +247,7 @@ reservationSchema.virtual('occupancy', {
   justOne: true
 });
 
+// Status changes follow config/stateMachines.js
+reservationSchema.plugin(stateMachinePlugin, { modelName: 'Reservation' });
+
 module.exports = mongoose.model('Reservation', reservationSchema);
\ No newline at end of file
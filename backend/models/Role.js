@@ -22,6 +22,7 @@ const roleSchema = new mongoose.Schema(
             'manage_users',
             'manage_roles',
             'manage_rooms',
+            'view_reservations',
             'manage_reservations',
             'manage_payments',
             'manage_housekeeping',
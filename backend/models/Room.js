@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { stateMachinePlugin } = require('../services/stateMachine.service');
 
 const roomSchema = new mongoose.Schema(
   {
@@ -27,7 +28,7 @@ const roomSchema = new mongoose.Schema(
     status: {
       type: String,
       enum: {
-        values: ['AVAILABLE', 'OCCUPIED', 'RESERVED', 'MAINTENANCE', 'OUT_OF_SERVICE'],
+        values: ['AVAILABLE', 'OCCUPIED', 'RESERVED', 'CLEANING', 'MAINTENANCE', 'OUT_OF_SERVICE'],
         message: '{VALUE} is not a valid room status'
       },
       default: 'AVAILABLE'
@@ -76,6 +77,13 @@ const roomSchema = new mongoose.Schema(
     isActive: {
       type: Boolean,
       default: true
+    },
+    // Bumped inside booking transactions so concurrent bookings of the
+    // same room write-conflict instead of both passing the overlap check
+    bookingVersion: {
+      type: Number,
+      default: 0,
+      select: false
     }
   },
   {
@@ -108,4 +116,7 @@ roomSchema.virtual('maintenanceTasks', {
   foreignField: 'room'
 });
 
+// Status changes follow config/stateMachines.js
+roomSchema.plugin(stateMachinePlugin, { modelName: 'Room' });
+
 module.exports = mongoose.model('Room', roomSchema);
\ No newline at end of file
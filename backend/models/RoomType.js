@@ -61,9 +61,21 @@ const roomTypeSchema = new mongoose.Schema(
         trim: true
       }
     ],
+    // Used when the booking's rate plan has no policy of its own
+    cancellationPolicy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CancellationPolicy'
+    },
     isActive: {
       type: Boolean,
       default: true
+    },
+    // Bumped inside booking transactions so concurrent bookings of the type
+    // write-conflict instead of both passing the inventory check
+    bookingVersion: {
+      type: Number,
+      default: 0,
+      select: false
     }
   },
   {
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+/**
+ * How a rule computes its amount:
+ *   PERCENTAGE        rate % of the taxable charges (e.g. VAT)
+ *   PER_NIGHT         rate × charged nights (e.g. city tax)
+ *   PER_PERSON_NIGHT  rate × guests × charged nights (e.g. tourism levy)
+ *   PER_PERSON_STAY   rate × guests, once per stay
+ */
+const CALCULATION_TYPES = ['PERCENTAGE', 'PER_NIGHT', 'PER_PERSON_NIGHT', 'PER_PERSON_STAY'];
+
+// Folio lines a percentage tax can be levied on
+const TAXABLE_TYPES = ['ROOM_NIGHT', 'EXTRA', 'FEE', 'DAMAGE'];
+
+const taxRuleSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'Tax code is required'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9_-]{2,20}$/, 'Tax code may only contain letters, digits, "_" and "-"']
+    },
+    name: {
+      type: String,
+      required: [true, 'Tax name is required'],
+      trim: true,
+      maxlength: [100, 'Tax name cannot exceed 100 characters']
+    },
+    calculation: {
+      type: String,
+      required: [true, 'Calculation type is required'],
+      enum: {
+        values: CALCULATION_TYPES,
+        message: '{VALUE} is not a valid tax calculation'
+      }
+    },
+    // Percent for PERCENTAGE rules, a base-currency amount otherwise
+    rate: {
+      type: Number,
+      required: [true, 'Tax rate is required'],
+      min: [0, 'Tax rate cannot be negative']
+    },
+    // PERCENTAGE only; booking discounts reduce the ROOM_NIGHT base
+    appliesTo: {
+      type: [String],
+      enum: {
+        values: TAXABLE_TYPES,
+        message: '{VALUE} is not a taxable folio entry type'
+      },
+      default: ['ROOM_NIGHT']
+    },
+    // Nightly rules stop accruing after this many nights (0 = no cap)
+    maxNights: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    exemptions: {
+      bookingSources: [
+        {
+          type: String,
+          enum: ['DIRECT', 'ONLINE', 'PHONE', 'EMAIL', 'WALK_IN', 'AGENT', 'OTA']
+        }
+      ],
+      nationalities: [
+        {
+          type: String,
+          trim: true
+        }
+      ],
+      guests: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Guest'
+        }
+      ]
+    },
+    // Evaluation order on the folio and in breakdowns
+    sortOrder: {
+      type: Number,
+      default: 0
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+taxRuleSchema.pre('validate', function () {
+  if (this.calculation === 'PERCENTAGE' && this.rate > 100) {
+    throw new Error('A percentage tax cannot exceed 100%');
+  }
+
+  if (this.calculation === 'PERCENTAGE' && this.appliesTo.length === 0) {
+    throw new Error('A percentage tax must apply to at least one charge type');
+  }
+});
+
+taxRuleSchema.index({ isActive: 1, sortOrder: 1 });
+
+taxRuleSchema.statics.CALCULATION_TYPES = CALCULATION_TYPES;
+taxRuleSchema.statics.TAXABLE_TYPES = TAXABLE_TYPES;
+
+module.exports = mongoose.model('TaxRule', taxRuleSchema);
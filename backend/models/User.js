@@ -62,6 +62,20 @@ const userSchema = new mongoose.Schema(
     },
     profileImage: {
       type: String
+    },
+    // Active refresh token JTIs (one per session, capped at 5)
+    refreshTokenJtis: {
+      type: [String],
+      select: false
+    },
+    // Refresh token JTIs that were already exchanged — presenting one again means reuse
+    rotatedRefreshTokenJtis: {
+      type: [String],
+      select: false
+    },
+    // Tokens issued before this moment are rejected (set when all sessions are revoked)
+    tokensRevokedAt: {
+      type: Date
     }
   },
   {
@@ -78,22 +92,17 @@ userSchema.index({ accountStatus: 1 });
 userSchema.index({ createdAt: -1 });
 
 // Hash password before saving
-userSchema.pre('save', async function (next) {
+// (Mongoose 9 no longer passes `next` to middleware — throw/return instead)
+userSchema.pre('save', async function () {
   // Only hash if password is modified
-  if (!this.isModified('password')) return next();
+  if (!this.isModified('password')) return;
 
-  try {
-    // Hash password with cost of 12
-    this.password = await bcrypt.hash(this.password, 12);
-    
-    // Set passwordChangedAt if this is not a new document
-    if (!this.isNew) {
-      this.passwordChangedAt = Date.now() - 1000; // Subtract 1s to ensure token is created after password change
-    }
-    
-    next();
-  } catch (error) {
-    next(error);
+  // Hash password with cost of 12
+  this.password = await bcrypt.hash(this.password, 12);
+
+  // Set passwordChangedAt if this is not a new document
+  if (!this.isNew) {
+    this.passwordChangedAt = Date.now() - 1000; // Subtract 1s to ensure token is created after password change
   }
 });
 
@@ -111,4 +120,12 @@ userSchema.methods.changedPasswordAfter = function (JWTTimestamp) {
   return false;
 };
 
+// Check if all sessions were revoked after JWT was issued (issue time in milliseconds)
+userSchema.methods.sessionsRevokedAfter = function (issuedAtMs) {
+  if (this.tokensRevokedAt) {
+    return issuedAtMs <= this.tokensRevokedAt.getTime();
+  }
+  return false;
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
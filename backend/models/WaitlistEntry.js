@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+/**
+ * Priority by guest standing; higher is offered freed rooms first, ties go
+ * to whoever asked first
+ */
+const WAITLIST_PRIORITY = { VIP: 1, STANDARD: 0 };
+
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    guest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Guest',
+      required: [true, 'Guest reference is required']
+    },
+    roomType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RoomType',
+      required: [true, 'Room type is required']
+    },
+    checkInDate: {
+      type: Date,
+      required: [true, 'Check-in date is required']
+    },
+    checkOutDate: {
+      type: Date,
+      required: [true, 'Check-out date is required']
+    },
+    numberOfGuests: {
+      type: Number,
+      required: [true, 'Number of guests is required'],
+      min: [1, 'Must have at least 1 guest']
+    },
+    priority: {
+      type: Number,
+      default: WAITLIST_PRIORITY.STANDARD
+    },
+    // MATCHED: a tentative reservation was placed from a freed room
+    status: {
+      type: String,
+      enum: {
+        values: ['WAITING', 'MATCHED', 'CANCELLED', 'EXPIRED'],
+        message: '{VALUE} is not a valid waitlist status'
+      },
+      default: 'WAITING'
+    },
+    reservation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Reservation'
+    },
+    matchedAt: {
+      type: Date
+    },
+    notes: {
+      type: String,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Created by user reference is required']
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+waitlistEntrySchema.pre('validate', function () {
+  if (this.checkOutDate <= this.checkInDate) {
+    throw new Error('Check-out date must be after check-in date');
+  }
+});
+
+waitlistEntrySchema.index({ status: 1, roomType: 1, priority: -1, createdAt: 1 });
+waitlistEntrySchema.index({ guest: 1, createdAt: -1 });
+
+waitlistEntrySchema.statics.WAITLIST_PRIORITY = WAITLIST_PRIORITY;
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
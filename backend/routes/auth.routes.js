@@ -0,0 +1,39 @@
+const express = require('express');
+const authController = require('../controllers/auth.controller');
+const {
+  protect,
+  requirePermission,
+  authLimiter,
+  authSpeedLimiter,
+  validate,
+  schemas
+} = require('../middlewares');
+
+const router = express.Router();
+
+// Public
+router.post(
+  '/login',
+  authSpeedLimiter,
+  authLimiter,
+  validate('body', schemas.login),
+  authController.login
+);
+router.post('/refresh', authController.refresh);
+
+// Authenticated
+router.post('/logout', protect, authController.logout);
+router.get('/me', protect, authController.getMe);
+
+// Staff accounts are provisioned by users who can manage users
+router.post(
+  '/register',
+  authSpeedLimiter,
+  authLimiter,
+  protect,
+  requirePermission('manage_users'),
+  validate('body', schemas.register),
+  authController.register
+);
+
+module.exports = router;
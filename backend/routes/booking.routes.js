@@ -0,0 +1,63 @@
+const express = require('express');
+const bookingController = require('../controllers/booking.controller');
+const {
+  protect,
+  requirePermission,
+  validate,
+  validateObjectId,
+  validateDateRange,
+  schemas
+} = require('../middlewares');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get(
+  '/',
+  requirePermission('manage_reservations'),
+  validate('query', schemas.bookingQuery),
+  bookingController.listBookings
+);
+
+router.post(
+  '/',
+  requirePermission('manage_reservations'),
+  validate('body', schemas.createBooking),
+  bookingController.createBooking
+);
+
+router.get(
+  '/:id',
+  requirePermission('manage_reservations'),
+  validateObjectId('id'),
+  bookingController.getBooking
+);
+
+router.post(
+  '/:id/lines',
+  requirePermission('manage_reservations'),
+  validateObjectId('id'),
+  validate('body', schemas.addBookingLine),
+  validateDateRange,
+  bookingController.addLine
+);
+
+router.patch(
+  '/:id/dates',
+  requirePermission('manage_reservations'),
+  validateObjectId('id'),
+  validate('body', schemas.updateBookingDates),
+  validateDateRange,
+  bookingController.updateBookingDates
+);
+
+router.post(
+  '/:id/cancel',
+  requirePermission('manage_reservations'),
+  validateObjectId('id'),
+  validate('body', schemas.cancelReservation),
+  bookingController.cancelBooking
+);
+
+module.exports = router;
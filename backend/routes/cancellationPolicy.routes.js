@@ -0,0 +1,35 @@
+const express = require('express');
+const cancellationPolicyController = require('../controllers/cancellationPolicy.controller');
+const {
+  protect,
+  requirePermission,
+  requireMinimumRole,
+  validate,
+  validateObjectId,
+  schemas
+} = require('../middlewares');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', cancellationPolicyController.listCancellationPolicies);
+
+router.post(
+  '/',
+  requirePermission('manage_rooms'),
+  requireMinimumRole('MANAGER'),
+  validate('body', schemas.createCancellationPolicy),
+  cancellationPolicyController.createCancellationPolicy
+);
+
+router.patch(
+  '/:id',
+  requirePermission('manage_rooms'),
+  requireMinimumRole('MANAGER'),
+  validateObjectId('id'),
+  validate('body', schemas.updateCancellationPolicy),
+  cancellationPolicyController.updateCancellationPolicy
+);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const exchangeRateController = require('../controllers/exchangeRate.controller');
+const {
+  protect,
+  requirePermission,
+  requireMinimumRole,
+  validate,
+  schemas
+} = require('../middlewares');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', exchangeRateController.listRates);
+
+router.post(
+  '/',
+  requirePermission('manage_payments'),
+  requireMinimumRole('MANAGER'),
+  validate('body', schemas.setExchangeRate),
+  exchangeRateController.setRate
+);
+
+module.exports = router;
@@ -0,0 +1,69 @@
+const express = require('express');
+const groupController = require('../controllers/group.controller');
+const {
+  protect,
+  requirePermission,
+  requireAnyPermission,
+  validate,
+  validateObjectId,
+  validateDateRange,
+  schemas
+} = require('../middlewares');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get(
+  '/',
+  requirePermission('manage_reservations'),
+  validate('query', schemas.groupQuery),
+  groupController.listGroups
+);
+
+router.post(
+  '/',
+  requirePermission('manage_reservations'),
+  validate('body', schemas.createGroup),
+  validateDateRange,
+  groupController.createGroup
+);
+
+router.get(
+  '/:id',
+  requirePermission('manage_reservations'),
+  validateObjectId('id'),
+  groupController.getGroup
+);
+
+router.patch(
+  '/:id',
+  requirePermission('manage_reservations'),
+  validateObjectId('id'),
+  validate('body', schemas.updateGroup),
+  groupController.updateGroup
+);
+
+router.post(
+  '/:id/release',
+  requirePermission('manage_reservations'),
+  validateObjectId('id'),
+  groupController.releaseGroup
+);
+
+router.post(
+  '/:id/rooming-list',
+  requirePermission('manage_reservations'),
+  validateObjectId('id'),
+  validate('body', schemas.roomingList),
+  groupController.convertRoomingList
+);
+
+router.get(
+  '/:id/folio',
+  requireAnyPermission('manage_reservations', 'manage_payments'),
+  validateObjectId('id'),
+  groupController.getGroupFolio
+);
+
+module.exports = router;
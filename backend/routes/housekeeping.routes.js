@@ -0,0 +1,30 @@
+const express = require('express');
+const housekeepingController = require('../controllers/housekeeping.controller');
+const {
+  protect,
+  requirePermission,
+  validate,
+  validateObjectId,
+  schemas
+} = require('../middlewares');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get(
+  '/',
+  requirePermission('manage_housekeeping'),
+  validate('query', schemas.housekeepingQuery),
+  housekeepingController.listTasks
+);
+
+router.post(
+  '/:id/complete',
+  requirePermission('manage_housekeeping'),
+  validateObjectId('id'),
+  validate('body', schemas.completeHousekeepingTask),
+  housekeepingController.completeTask
+);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const nightAuditController = require('../controllers/nightAudit.controller');
+const {
+  protect,
+  requirePermission,
+  requireMinimumRole,
+  strictLimiter,
+  reportLimiter
+} = require('../middlewares');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/business-day', nightAuditController.getBusinessDay);
+
+router.post(
+  '/close',
+  strictLimiter,
+  requirePermission('manage_payments'),
+  requireMinimumRole('MANAGER'),
+  nightAuditController.closeBusinessDay
+);
+
+router.get(
+  '/reports',
+  reportLimiter,
+  requirePermission('view_reports'),
+  nightAuditController.listReports
+);
+
+router.get(
+  '/reports/:date',
+  reportLimiter,
+  requirePermission('view_reports'),
+  nightAuditController.getReport
+);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const notificationController = require('../controllers/notification.controller');
+const { protect, validate, validateObjectId, schemas } = require('../middlewares');
+
+const router = express.Router();
+
+// Each user sees the notifications their permissions cover
+router.use(protect);
+
+router.get(
+  '/',
+  validate('query', schemas.notificationQuery),
+  notificationController.listNotifications
+);
+
+router.post(
+  '/:id/read',
+  validateObjectId('id'),
+  notificationController.markRead
+);
+
+module.exports = router;
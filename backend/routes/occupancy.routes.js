@@ -0,0 +1,46 @@
+const express = require('express');
+const occupancyController = require('../controllers/occupancy.controller');
+const {
+  protect,
+  requirePermission,
+  validate,
+  validateObjectId,
+  schemas
+} = require('../middlewares');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.post(
+  '/check-in',
+  requirePermission('check_in'),
+  validate('body', schemas.checkIn),
+  occupancyController.checkIn
+);
+
+router.post(
+  '/:id/check-out',
+  requirePermission('check_out'),
+  validateObjectId('id'),
+  validate('body', schemas.checkOut),
+  occupancyController.checkOut
+);
+
+router.post(
+  '/:id/extend',
+  requirePermission('manage_reservations'),
+  validateObjectId('id'),
+  validate('body', schemas.extendStay),
+  occupancyController.extendStay
+);
+
+router.post(
+  '/:id/move',
+  requirePermission('manage_reservations'),
+  validateObjectId('id'),
+  validate('body', schemas.moveRoom),
+  occupancyController.moveRoom
+);
+
+module.exports = router;
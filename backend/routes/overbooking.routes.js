@@ -0,0 +1,49 @@
+const express = require('express');
+const overbookingController = require('../controllers/overbooking.controller');
+const {
+  protect,
+  requirePermission,
+  requireMinimumRole,
+  reportLimiter,
+  validate,
+  validateObjectId,
+  schemas
+} = require('../middlewares');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get(
+  '/',
+  requirePermission('manage_rooms'),
+  validate('query', schemas.overbookingRuleQuery),
+  overbookingController.listOverbookingRules
+);
+
+router.get(
+  '/oversold',
+  reportLimiter,
+  requirePermission('view_reports'),
+  validate('query', schemas.oversoldQuery),
+  overbookingController.getOversoldReport
+);
+
+router.post(
+  '/',
+  requirePermission('manage_rooms'),
+  requireMinimumRole('MANAGER'),
+  validate('body', schemas.createOverbookingRule),
+  overbookingController.createOverbookingRule
+);
+
+router.patch(
+  '/:id',
+  requirePermission('manage_rooms'),
+  requireMinimumRole('MANAGER'),
+  validateObjectId('id'),
+  validate('body', schemas.updateOverbookingRule),
+  overbookingController.updateOverbookingRule
+);
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const paymentController = require('../controllers/payment.controller');
+const {
+  protect,
+  requirePermission,
+  requireAnyPermission,
+  requireMinimumRole,
+  strictLimiter,
+  validate,
+  validateObjectId,
+  schemas
+} = require('../middlewares');
+
+const router = express.Router();
+
+// Provider callbacks carry no session; the provider signature authenticates them
+router.post('/webhooks/:provider', paymentController.handleWebhook);
+
+router.use(protect);
+
+router.post(
+  '/',
+  strictLimiter,
+  requirePermission('manage_payments'),
+  validate('body', schemas.createPayment),
+  paymentController.recordPayment
+);
+
+router.get(
+  '/:id',
+  requireAnyPermission('manage_payments', 'view_reports'),
+  validateObjectId('id'),
+  paymentController.getPayment
+);
+
+router.post(
+  '/:id/refund',
+  strictLimiter,
+  requirePermission('manage_payments'),
+  requireMinimumRole('MANAGER'),
+  validateObjectId('id'),
+  validate('body', schemas.refundPayment),
+  paymentController.refundPayment
+);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const promotionController = require('../controllers/promotion.controller');
+const {
+  protect,
+  requirePermission,
+  requireMinimumRole,
+  validate,
+  validateObjectId,
+  schemas
+} = require('../middlewares');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', promotionController.listPromotions);
+
+router.post(
+  '/',
+  requirePermission('manage_rooms'),
+  requireMinimumRole('MANAGER'),
+  validate('body', schemas.createPromotion),
+  promotionController.createPromotion
+);
+
+router.patch(
+  '/:id',
+  requirePermission('manage_rooms'),
+  requireMinimumRole('MANAGER'),
+  validateObjectId('id'),
+  validate('body', schemas.updatePromotion),
+  promotionController.updatePromotion
+);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const ratePlanController = require('../controllers/ratePlan.controller');
+const {
+  protect,
+  optionalAuth,
+  requirePermission,
+  requireMinimumRole,
+  validate,
+  validateObjectId,
+  schemas
+} = require('../middlewares');
+
+const router = express.Router();
+
+// Public: guests can price a stay; signed-in staff can also quote private plans
+router.get(
+  '/quote',
+  optionalAuth,
+  validate('query', schemas.quoteQuery),
+  ratePlanController.quote
+);
+
+router.get('/', optionalAuth, ratePlanController.listRatePlans);
+
+router.use(protect);
+
+router.get(
+  '/:id',
+  validateObjectId('id'),
+  ratePlanController.getRatePlan
+);
+
+router.post(
+  '/',
+  requirePermission('manage_rooms'),
+  requireMinimumRole('MANAGER'),
+  validate('body', schemas.createRatePlan),
+  ratePlanController.createRatePlan
+);
+
+router.patch(
+  '/:id',
+  requirePermission('manage_rooms'),
+  requireMinimumRole('MANAGER'),
+  validateObjectId('id'),
+  validate('body', schemas.updateRatePlan),
+  ratePlanController.updateRatePlan
+);
+
+module.exports = router;
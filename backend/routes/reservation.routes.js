@@ -0,0 +1,131 @@
+const express = require('express');
+const reservationController = require('../controllers/reservation.controller');
+const {
+  protect,
+  requirePermission,
+  requireAnyPermission,
+  requireMinimumRole,
+  strictLimiter,
+  validate,
+  validateObjectId,
+  validateDateRange,
+  schemas
+} = require('../middlewares');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.post(
+  '/',
+  requirePermission('manage_reservations'),
+  validate('body', schemas.createReservation),
+  validateDateRange,
+  reservationController.createReservation
+);
+
+router.get(
+  '/:id',
+  requirePermission('view_reservations'),
+  validateObjectId('id'),
+  reservationController.getReservation
+);
+
+router.patch(
+  '/:id',
+  requirePermission('manage_reservations'),
+  validateObjectId('id'),
+  validate('body', schemas.modifyReservation),
+  validateDateRange,
+  reservationController.modifyReservation
+);
+
+router.post(
+  '/:id/modification-preview',
+  requirePermission('manage_reservations'),
+  validateObjectId('id'),
+  validate('body', schemas.modifyReservation),
+  validateDateRange,
+  reservationController.previewModification
+);
+
+router.patch(
+  '/:id/dates',
+  requirePermission('manage_reservations'),
+  validateObjectId('id'),
+  validate('body', schemas.updateReservationDates),
+  validateDateRange,
+  reservationController.updateReservationDates
+);
+
+router.patch(
+  '/:id/room',
+  requirePermission('manage_reservations'),
+  validateObjectId('id'),
+  validate('body', schemas.assignRoom),
+  reservationController.assignRoom
+);
+
+router.post(
+  '/:id/confirm',
+  requirePermission('manage_reservations'),
+  validateObjectId('id'),
+  reservationController.confirmReservation
+);
+
+router.get(
+  '/:id/cancellation',
+  requirePermission('manage_reservations'),
+  validateObjectId('id'),
+  reservationController.getCancellationQuote
+);
+
+router.post(
+  '/:id/cancel',
+  requirePermission('manage_reservations'),
+  validateObjectId('id'),
+  validate('body', schemas.cancelReservation),
+  reservationController.cancelReservation
+);
+
+router.post(
+  '/:id/deposit-hold',
+  strictLimiter,
+  requirePermission('manage_payments'),
+  validateObjectId('id'),
+  validate('body', schemas.placeDepositHold),
+  reservationController.placeDepositHold
+);
+
+router.get(
+  '/:id/folio',
+  requireAnyPermission('manage_reservations', 'manage_payments'),
+  validateObjectId('id'),
+  reservationController.getFolio
+);
+
+router.post(
+  '/:id/folio/charges',
+  requirePermission('manage_reservations'),
+  validateObjectId('id'),
+  validate('body', schemas.postFolioCharge),
+  reservationController.postFolioCharge
+);
+
+router.post(
+  '/:id/folio/entries/:entryId/void',
+  requirePermission('manage_payments'),
+  requireMinimumRole('MANAGER'),
+  validateObjectId('id', 'entryId'),
+  validate('body', schemas.voidFolioEntry),
+  reservationController.voidFolioEntry
+);
+
+router.get(
+  '/:id/taxes',
+  requireAnyPermission('manage_reservations', 'manage_payments'),
+  validateObjectId('id'),
+  reservationController.getTaxBreakdown
+);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const roomController = require('../controllers/room.controller');
+const { validate, schemas } = require('../middlewares');
+
+const router = express.Router();
+
+// Public
+router.get(
+  '/availability',
+  validate('query', schemas.availabilityQuery),
+  roomController.searchAvailability
+);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const taxRuleController = require('../controllers/taxRule.controller');
+const {
+  protect,
+  requirePermission,
+  requireMinimumRole,
+  validate,
+  validateObjectId,
+  schemas
+} = require('../middlewares');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', taxRuleController.listTaxRules);
+
+router.post(
+  '/',
+  requirePermission('manage_payments'),
+  requireMinimumRole('MANAGER'),
+  validate('body', schemas.createTaxRule),
+  taxRuleController.createTaxRule
+);
+
+router.patch(
+  '/:id',
+  requirePermission('manage_payments'),
+  requireMinimumRole('MANAGER'),
+  validateObjectId('id'),
+  validate('body', schemas.updateTaxRule),
+  taxRuleController.updateTaxRule
+);
+
+module.exports = router;
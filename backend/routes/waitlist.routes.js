@@ -0,0 +1,38 @@
+const express = require('express');
+const waitlistController = require('../controllers/waitlist.controller');
+const {
+  protect,
+  requirePermission,
+  validate,
+  validateObjectId,
+  validateDateRange,
+  schemas
+} = require('../middlewares');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get(
+  '/',
+  requirePermission('manage_reservations'),
+  validate('query', schemas.waitlistQuery),
+  waitlistController.listEntries
+);
+
+router.post(
+  '/',
+  requirePermission('manage_reservations'),
+  validate('body', schemas.createWaitlistEntry),
+  validateDateRange,
+  waitlistController.createEntry
+);
+
+router.post(
+  '/:id/cancel',
+  requirePermission('manage_reservations'),
+  validateObjectId('id'),
+  waitlistController.cancelEntry
+);
+
+module.exports = router;
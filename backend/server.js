@@ -88,6 +88,7 @@ const createApp = require('./app');
 const { connectDB, disconnectDB, getDBHealth } = require('./config/db');
 const { setupProcessErrorHandlers } = require('./middlewares/errorHandler');
 const { logger } = require('./middlewares/logger');
+const { startJobs, stopJobs } = require('./jobs');
 
 /**
  * ─────────────────────────────────────────────────────────────────────────────
@@ -187,6 +188,9 @@ const setupGracefulShutdown = (server) => {
     forceKillTimeout.unref();
 
     try {
+      // Step 0: Stop background job timers
+      stopJobs();
+
       // Step 1: Stop accepting new HTTP connections
       await new Promise((resolve, reject) => {
         server.close((err) => {
@@ -311,6 +315,11 @@ const bootstrap = async () => {
       });
     });
 
+    // ── Background Jobs (set JOBS_ENABLED=false on extra replicas) ───────────
+    if (process.env.JOBS_ENABLED !== 'false') {
+      startJobs();
+    }
+
     // ── Print Startup Summary ─────────────────────────────────────────────────
     const dbHealth = getDBHealth();
     logStartupBanner(protocol, HOST, PORT, dbHealth);
@@ -0,0 +1,464 @@
+const Room = require('../models/Room');
+const RoomType = require('../models/RoomType');
+const Reservation = require('../models/Reservation');
+const Maintenance = require('../models/Maintenace');
+const OverbookingRule = require('../models/OverbookingRule');
+const Group = require('../models/Group');
+const { AppError } = require('../middlewares/errorHandler');
+const { dayKey, toBusinessDate, nextBusinessDate } = require('./businessDay.service');
+
+/**
+ * Reservation statuses that hold a room for their date range
+ */
+const ACTIVE_RESERVATION_STATUSES = ['CONFIRMED', 'CHECKED_IN'];
+
+/**
+ * Statuses a new booking must not overlap. PENDING is included so two desks
+ * cannot both create a tentative booking for the same room and dates.
+ */
+const HOLDING_RESERVATION_STATUSES = ['PENDING', ...ACTIVE_RESERVATION_STATUSES];
+
+/**
+ * Maintenance statuses that take a room out of the bookable pool
+ */
+const OPEN_MAINTENANCE_STATUSES = ['PENDING', 'IN_PROGRESS', 'ON_HOLD'];
+
+/**
+ * Ticket types for turning a room over between guests; they never block future stays
+ */
+const HOUSEKEEPING_TASK_TYPES = ['HOUSEKEEPING', 'CLEANING'];
+
+const DURATION_MS = { MINUTES: 60 * 1000, HOURS: 60 * 60 * 1000, DAYS: 24 * 60 * 60 * 1000 };
+
+/**
+ * DATE RANGE OVERLAP FILTER
+ * Two stays overlap when one starts before the other ends and ends after it starts.
+ * Back-to-back stays (checkout day == next check-in day) do not overlap.
+ */
+const buildOverlapFilter = (checkIn, checkOut) => ({
+  checkInDate: { $lt: checkOut },
+  checkOutDate: { $gt: checkIn }
+});
+
+/**
+ * Resolve a room type given either its ObjectId or its name (e.g. "DELUXE")
+ */
+const resolveRoomTypeId = async (roomType) => {
+  // ObjectId.isValid() would also accept 12-letter names such as "PRESIDENTIAL"
+  if (/^[0-9a-fA-F]{24}$/.test(String(roomType))) {
+    return roomType;
+  }
+
+  const type = await RoomType.findOne({ name: roomType.toUpperCase(), isActive: true }).select('_id');
+  if (!type) {
+    throw new AppError(`Unknown room type: ${roomType}`, 400, 'INVALID_ROOM_TYPE');
+  }
+  return type._id;
+};
+
+/**
+ * FIND CONFLICTING RESERVATION
+ * Returns the first active reservation overlapping the range for a room, or null
+ */
+const findConflictingReservation = (
+  roomId,
+  checkIn,
+  checkOut,
+  { excludeReservationId, session, statuses = ACTIVE_RESERVATION_STATUSES } = {}
+) => {
+  const filter = {
+    room: roomId,
+    status: { $in: statuses },
+    ...buildOverlapFilter(checkIn, checkOut)
+  };
+
+  if (excludeReservationId) {
+    filter._id = { $ne: excludeReservationId };
+  }
+
+  return Reservation.findOne(filter)
+    .select('reservationNumber checkInDate checkOutDate status')
+    .session(session || null);
+};
+
+/**
+ * Days an open maintenance ticket keeps its room out of use: from its scheduled
+ * date (or the day it was raised) for its estimated duration, at least that day
+ */
+const maintenanceWindow = (ticket) => {
+  const start = toBusinessDate(ticket.scheduledDate || ticket.createdAt);
+  const { value = 0, unit = 'HOURS' } = ticket.estimatedDuration || {};
+
+  return {
+    start,
+    end: new Date(Math.max(start.getTime() + value * DURATION_MS[unit], nextBusinessDate(start).getTime()))
+  };
+};
+
+/**
+ * FIND MAINTENANCE BLOCKED ROOMS
+ * Ids of the rooms whose open maintenance tickets (housekeeping excluded)
+ * overlap the stay
+ */
+const findMaintenanceBlockedRooms = async (roomIds, checkIn, checkOut, { session } = {}) => {
+  const tickets = await Maintenance.find({
+    room: { $in: roomIds },
+    status: { $in: OPEN_MAINTENANCE_STATUSES },
+    taskType: { $nin: HOUSEKEEPING_TASK_TYPES }
+  })
+    .select('room scheduledDate estimatedDuration createdAt')
+    .session(session || null);
+
+  return tickets
+    .filter((ticket) => {
+      const { start, end } = maintenanceWindow(ticket);
+      return start < new Date(checkOut) && end > new Date(checkIn);
+    })
+    .map((ticket) => ticket.room);
+};
+
+/**
+ * IS ROOM AVAILABLE
+ * Single-room check used by booking and stay changes
+ */
+const isRoomAvailable = async (roomId, checkIn, checkOut, options = {}) => {
+  const conflict = await findConflictingReservation(roomId, checkIn, checkOut, options);
+  if (conflict) return false;
+
+  const blocked = await findMaintenanceBlockedRooms([roomId], checkIn, checkOut, options);
+  return blocked.length === 0;
+};
+
+/**
+ * LOCK ROOM FOR BOOKING
+ * Must run inside a transaction. Writing to the room document makes any other
+ * transaction booking the same room write-conflict; the driver then retries it
+ * and its overlap check sees the reservation committed here.
+ */
+const lockRoomForBooking = async (roomId, session) => {
+  const room = await Room.findOneAndUpdate(
+    { _id: roomId, isActive: true },
+    { $inc: { bookingVersion: 1 } },
+    { session, returnDocument: 'after' }
+  );
+
+  if (!room) {
+    throw new AppError('Room not found or inactive.', 404, 'ROOM_NOT_FOUND');
+  }
+
+  return room;
+};
+
+/**
+ * FIND BOOKABLE ROOM / ROOM TYPE
+ * The same lookups without the lock, for quotes that must not conflict with bookings
+ */
+const findBookableRoom = async (roomId, session) => {
+  const room = await Room.findOne({ _id: roomId, isActive: true }).session(session || null);
+
+  if (!room) {
+    throw new AppError('Room not found or inactive.', 404, 'ROOM_NOT_FOUND');
+  }
+
+  return room;
+};
+
+const findBookableRoomType = async (roomTypeId, session) => {
+  const roomType = await RoomType.findOne({ _id: roomTypeId, isActive: true }).session(session || null);
+
+  if (!roomType) {
+    throw new AppError('Room type not found or inactive.', 404, 'ROOM_TYPE_NOT_FOUND');
+  }
+
+  return roomType;
+};
+
+/**
+ * ASSERT NO OVERLAP
+ * Throws 409 when the range overlaps a pending or active reservation for the room
+ */
+const assertNoOverlap = async (roomId, checkIn, checkOut, options = {}) => {
+  const conflict = await findConflictingReservation(roomId, checkIn, checkOut, {
+    statuses: HOLDING_RESERVATION_STATUSES,
+    ...options
+  });
+
+  if (conflict) {
+    throw new AppError(
+      `Room is already booked for the selected dates (reservation ${conflict.reservationNumber}).`,
+      409,
+      'ROOM_ALREADY_BOOKED'
+    );
+  }
+};
+
+/**
+ * LOCK ROOM TYPE FOR BOOKING
+ * The same write-conflict trick one level up: every booking that takes
+ * inventory of the type bumps it, so two cannot both take the last unit.
+ */
+const lockRoomTypeForBooking = async (roomTypeId, session) => {
+  const roomType = await RoomType.findOneAndUpdate(
+    { _id: roomTypeId, isActive: true },
+    { $inc: { bookingVersion: 1 } },
+    { session, returnDocument: 'after' }
+  );
+
+  if (!roomType) {
+    throw new AppError('Room type not found or inactive.', 404, 'ROOM_TYPE_NOT_FOUND');
+  }
+
+  return roomType;
+};
+
+/**
+ * GET ROOM TYPE INVENTORY
+ * Per night of the range: physical rooms, rooms sold (assigned or not), rooms
+ * still held by group blocks, the overbooking limit in force and what is left
+ * to sell (negative when oversold)
+ */
+const getRoomTypeInventory = async (roomTypeId, checkIn, checkOut, { session, excludeReservationId } = {}) => {
+  const rooms = await Room.find({ roomType: roomTypeId, isActive: true })
+    .select('status')
+    .session(session || null);
+  const physical = rooms.filter((room) => room.status !== 'OUT_OF_SERVICE').length;
+
+  const filter = {
+    // Older bookings only carry the room
+    $or: [{ roomType: roomTypeId }, { room: { $in: rooms.map((room) => room._id) } }],
+    status: { $in: HOLDING_RESERVATION_STATUSES },
+    ...buildOverlapFilter(new Date(checkIn), new Date(checkOut))
+  };
+
+  if (excludeReservationId) {
+    filter._id = { $ne: excludeReservationId };
+  }
+
+  const reservations = await Reservation.find(filter)
+    .select('room group checkInDate checkOutDate')
+    .session(session || null);
+
+  // Blocks hold their unpicked rooms until the release date
+  const blocks = await Group.find({
+    status: 'OPEN',
+    releaseDate: { $gt: new Date() },
+    'allotments.roomType': roomTypeId,
+    ...buildOverlapFilter(new Date(checkIn), new Date(checkOut))
+  })
+    .select('checkInDate checkOutDate allotments')
+    .session(session || null);
+
+  const rules = await OverbookingRule.find({
+    roomType: roomTypeId,
+    isActive: true,
+    startDate: { $lt: new Date(checkOut) },
+    endDate: { $gte: toBusinessDate(checkIn) }
+  }).session(session || null);
+
+  const nights = [];
+  for (let night = toBusinessDate(checkIn); night < new Date(checkOut); night = nextBusinessDate(night)) {
+    const key = dayKey(night);
+    const staying = reservations.filter(
+      (r) => dayKey(r.checkInDate) <= key && key < dayKey(r.checkOutDate)
+    );
+    const blocked = blocks
+      .filter((block) => dayKey(block.checkInDate) <= key && key < dayKey(block.checkOutDate))
+      .reduce((sum, block) => {
+        const allotment = block.allotments.find((a) => a.roomType.equals(roomTypeId));
+        const pickedUp = staying.filter((r) => r.group?.equals(block._id)).length;
+        return sum + Math.max(allotment.rooms - pickedUp, 0);
+      }, 0);
+    const overbookingLimit = Math.max(
+      0,
+      ...rules.filter((rule) => dayKey(rule.startDate) <= key && key <= dayKey(rule.endDate)).map((rule) => rule.limit)
+    );
+
+    nights.push({
+      date: key,
+      physical,
+      sold: staying.length,
+      unassigned: staying.filter((r) => !r.room).length,
+      blocked,
+      overbookingLimit,
+      available: physical + overbookingLimit - staying.length - blocked
+    });
+  }
+
+  return nights;
+};
+
+/**
+ * ASSERT ALLOTMENT AVAILABLE
+ * A booking picked up from a holding block draws on the block's allotment for
+ * its room type instead of general inventory
+ */
+const assertAllotmentAvailable = async (group, roomTypeId, checkIn, checkOut, { session, excludeReservationId } = {}) => {
+  const allotment = group.allotments.find((a) => a.roomType.equals(roomTypeId));
+
+  if (!allotment) {
+    throw new AppError(`Group ${group.groupNumber} holds no rooms of this type.`, 400, 'NOT_IN_ALLOTMENT');
+  }
+
+  if (checkIn < group.checkInDate || checkOut > group.checkOutDate) {
+    throw new AppError(
+      `Stays on group ${group.groupNumber}'s block must fall within its dates.`,
+      400,
+      'OUTSIDE_GROUP_DATES'
+    );
+  }
+
+  const filter = {
+    group: group._id,
+    roomType: roomTypeId,
+    status: { $in: HOLDING_RESERVATION_STATUSES },
+    ...buildOverlapFilter(checkIn, checkOut)
+  };
+
+  if (excludeReservationId) {
+    filter._id = { $ne: excludeReservationId };
+  }
+
+  const pickedUp = await Reservation.find(filter)
+    .select('checkInDate checkOutDate')
+    .session(session || null);
+
+  for (let night = toBusinessDate(checkIn); night < checkOut; night = nextBusinessDate(night)) {
+    const key = dayKey(night);
+    const taken = pickedUp.filter((r) => dayKey(r.checkInDate) <= key && key < dayKey(r.checkOutDate)).length;
+
+    if (taken >= allotment.rooms) {
+      throw new AppError(
+        `Group ${group.groupNumber} has no rooms of this type left on ${key}.`,
+        409,
+        'ALLOTMENT_EXHAUSTED'
+      );
+    }
+  }
+};
+
+/**
+ * ASSERT ROOM TYPE INVENTORY
+ * Throws 409 when any night of the range has fewer than `rooms` left to sell,
+ * counting the overbooking allowance. Bookings of a holding block (`group`)
+ * are checked against its allotment instead.
+ */
+const assertRoomTypeInventory = async (roomTypeId, checkIn, checkOut, { group, rooms = 1, ...options } = {}) => {
+  if (group?.isHolding()) {
+    return assertAllotmentAvailable(group, roomTypeId, new Date(checkIn), new Date(checkOut), options);
+  }
+
+  const nights = await getRoomTypeInventory(roomTypeId, checkIn, checkOut, options);
+  const soldOut = nights.find((night) => night.available < rooms);
+
+  if (soldOut) {
+    throw new AppError(
+      `${rooms === 1 ? 'No rooms' : `Fewer than ${rooms} rooms`} of this type left to sell on ${soldOut.date}.`,
+      409,
+      'ROOM_TYPE_SOLD_OUT'
+    );
+  }
+};
+
+/**
+ * Fewest rooms left on any night of the range
+ */
+const sellableCount = (nights) => Math.max(Math.min(...nights.map((night) => night.available)), 0);
+
+/**
+ * FIND AVAILABLE ROOMS
+ * Active rooms matching the filters with no overlapping pending or active
+ * reservation (the set booking refuses to overlap) and no open maintenance
+ * ticket over the stay
+ */
+const findAvailableRooms = async ({
+  checkIn,
+  checkOut,
+  guests = 1,
+  roomType,
+  viewType,
+  smokingAllowed,
+  wheelchairAccessible
+}) => {
+  const roomFilter = {
+    isActive: true,
+    status: { $ne: 'OUT_OF_SERVICE' },
+    capacity: { $gte: guests }
+  };
+
+  if (roomType) roomFilter.roomType = await resolveRoomTypeId(roomType);
+  if (viewType) roomFilter.viewType = viewType;
+  if (smokingAllowed !== undefined) roomFilter.smokingAllowed = smokingAllowed;
+  if (wheelchairAccessible) roomFilter['accessibility.wheelchairAccessible'] = true;
+
+  const candidateIds = await Room.find(roomFilter).distinct('_id');
+  if (candidateIds.length === 0) return [];
+
+  // Both lookups hit indexed fields: availability_check_index and { room, status }
+  const [bookedRoomIds, blockedRoomIds] = await Promise.all([
+    Reservation.find({
+      room: { $in: candidateIds },
+      status: { $in: HOLDING_RESERVATION_STATUSES },
+      ...buildOverlapFilter(checkIn, checkOut)
+    }).distinct('room'),
+    findMaintenanceBlockedRooms(candidateIds, checkIn, checkOut)
+  ]);
+
+  const unavailable = new Set([...bookedRoomIds, ...blockedRoomIds].map((id) => id.toString()));
+  const availableIds = candidateIds.filter((id) => !unavailable.has(id.toString()));
+
+  const rooms = await Room.find({ _id: { $in: availableIds } })
+    .populate({ path: 'roomType', select: 'name basePrice maxOccupancy bedType amenities images' })
+    .sort({ pricePerNight: 1, roomNumber: 1 });
+
+  // A free room is not sellable once unassigned bookings have taken its type's inventory
+  const soldOutTypes = new Set();
+  for (const typeId of new Set(rooms.map((room) => room.roomType?._id?.toString()).filter(Boolean))) {
+    const nights = await getRoomTypeInventory(typeId, checkIn, checkOut);
+    if (sellableCount(nights) === 0) soldOutTypes.add(typeId);
+  }
+
+  return rooms.filter((room) => !soldOutTypes.has(room.roomType?._id?.toString()));
+};
+
+/**
+ * FIND AVAILABLE ROOM TYPES
+ * Room types that can still be booked without a room, with how many are left
+ * across the whole stay (overbooking allowance included)
+ */
+const findAvailableRoomTypes = async ({ checkIn, checkOut, guests = 1, roomType }) => {
+  const filter = { isActive: true, maxOccupancy: { $gte: guests } };
+  if (roomType) filter._id = await resolveRoomTypeId(roomType);
+
+  const types = await RoomType.find(filter)
+    .select('name basePrice maxOccupancy bedType amenities images')
+    .sort({ basePrice: 1 });
+
+  const result = [];
+  for (const type of types) {
+    const available = sellableCount(await getRoomTypeInventory(type._id, checkIn, checkOut));
+    if (available > 0) result.push({ roomType: type, available });
+  }
+
+  return result;
+};
+
+module.exports = {
+  ACTIVE_RESERVATION_STATUSES,
+  HOLDING_RESERVATION_STATUSES,
+  OPEN_MAINTENANCE_STATUSES,
+  HOUSEKEEPING_TASK_TYPES,
+  buildOverlapFilter,
+  findConflictingReservation,
+  isRoomAvailable,
+  resolveRoomTypeId,
+  lockRoomForBooking,
+  lockRoomTypeForBooking,
+  findBookableRoom,
+  findBookableRoomType,
+  assertNoOverlap,
+  getRoomTypeInventory,
+  assertAllotmentAvailable,
+  assertRoomTypeInventory,
+  findAvailableRooms,
+  findAvailableRoomTypes
+};
@@ -0,0 +1,286 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Guest = require('../models/Guest');
+const Reservation = require('../models/Reservation');
+const Payment = require('../models/Payment');
+const AuditLog = require('../models/AuditLog');
+const { AppError } = require('../middlewares/errorHandler');
+const { logger } = require('../middlewares/logger');
+const { ROLE_HIERARCHY } = require('../middlewares/rbac');
+const { syncBooking } = require('./folio.service');
+const {
+  bookReservation,
+  logReservationCreated,
+  changeReservationDates,
+  logDatesChanged
+} = require('./reservation.service');
+const { CANCELLABLE_STATUSES, cancelReservation } = require('./cancellation.service');
+
+/**
+ * Line statuses whose dates can still move with the booking
+ */
+const MODIFIABLE_LINE_STATUSES = ['PENDING', 'CONFIRMED'];
+
+const findBooking = async (id, session) => {
+  const booking = await Booking.findById(id).session(session || null);
+
+  if (!booking) {
+    throw new AppError('Booking not found.', 404, 'BOOKING_NOT_FOUND');
+  }
+
+  return booking;
+};
+
+/**
+ * Room line fields for a new reservation under `booking`
+ */
+const lineData = (booking, line) => ({
+  ...line,
+  guest: line.guest || booking.guest,
+  bookingSource: booking.bookingSource,
+  booking: booking._id
+});
+
+/**
+ * LIST BOOKINGS
+ */
+const listBookings = ({ status, guest } = {}) => {
+  const filter = {};
+  if (status) filter.status = status;
+  if (guest) filter.guest = guest;
+
+  return Booking.find(filter)
+    .populate('guest', 'fullName email')
+    .sort({ createdAt: -1 });
+};
+
+/**
+ * GET BOOKING
+ * With its room lines and every payment taken on the booking or a line
+ */
+const getBooking = async (id) => {
+  const booking = await Booking.findById(id)
+    .populate('guest', 'fullName email phone')
+    .populate({
+      path: 'lines',
+      select: 'reservationNumber guest room roomType status checkInDate checkOutDate numberOfGuests totalAmount paidAmount balanceAmount',
+      options: { sort: { checkInDate: 1 } },
+      populate: [
+        { path: 'guest', select: 'fullName' },
+        { path: 'room', select: 'roomNumber' },
+        { path: 'roomType', select: 'name' }
+      ]
+    });
+
+  if (!booking) {
+    throw new AppError('Booking not found.', 404, 'BOOKING_NOT_FOUND');
+  }
+
+  const payments = await Payment.find({
+    $or: [{ reservation: booking._id }, { reservation: { $in: booking.lines.map((line) => line._id) } }]
+  })
+    .select('paymentNumber reservation reservationModel amount currency paymentMethod paymentStatus refundAmount allocations transactionDate')
+    .sort({ transactionDate: 1 });
+
+  return { booking, payments };
+};
+
+/**
+ * CREATE BOOKING
+ * The booking and all of its room lines are booked in one transaction: if any
+ * line cannot be sold, nothing is.
+ */
+const createBooking = async (data, user, context = {}) => {
+  if (!(await Guest.exists({ _id: data.guest }))) {
+    throw new AppError('Guest not found.', 404, 'GUEST_NOT_FOUND');
+  }
+
+  const { booking, reservations } = await mongoose.connection.transaction(async (session) => {
+    const [created] = await Booking.create(
+      [
+        {
+          guest: data.guest,
+          bookingSource: data.bookingSource,
+          notes: data.notes,
+          createdBy: user._id
+        }
+      ],
+      { session }
+    );
+
+    const lines = [];
+    for (const line of data.rooms) {
+      lines.push(await bookReservation(lineData(created, line), user, session));
+    }
+
+    const synced = await syncBooking(created._id, { session });
+
+    await AuditLog.logAction(
+      {
+        user: user._id,
+        action: 'CREATE',
+        targetEntity: 'Booking',
+        targetId: synced._id,
+        ipAddress: context.ip,
+        userAgent: context.userAgent,
+        metadata: {
+          bookingNumber: synced.bookingNumber,
+          reservationNumbers: lines.map((line) => line.reservationNumber),
+          totalAmount: synced.totalAmount
+        },
+        status: 'SUCCESS'
+      },
+      { session }
+    );
+
+    for (const line of lines) {
+      await logReservationCreated(line, user, context, { session });
+    }
+
+    return { booking: synced, reservations: lines };
+  });
+
+  return { booking, reservations };
+};
+
+/**
+ * ADD LINE
+ * Books one more room under an active booking
+ */
+const addLine = async (id, line, user, context = {}) => {
+  const { booking, reservation } = await mongoose.connection.transaction(async (session) => {
+    const current = await findBooking(id, session);
+
+    if (current.status !== 'ACTIVE') {
+      throw new AppError(
+        `Cannot add rooms to a ${current.status.toLowerCase()} booking.`,
+        409,
+        'BOOKING_LOCKED'
+      );
+    }
+
+    const created = await bookReservation(lineData(current, line), user, session);
+    await logReservationCreated(created, user, context, { session });
+
+    return { booking: await Booking.findById(current._id).session(session), reservation: created };
+  });
+
+  return { booking, reservation };
+};
+
+/**
+ * UPDATE BOOKING DATES
+ * Moves the booking's open lines to new dates in one transaction: either all
+ * of them to the same dates, or each named line to its own
+ */
+const updateBookingDates = async (id, data, user, context = {}) => {
+  const changed = [];
+
+  const booking = await mongoose.connection.transaction(async (session) => {
+    changed.length = 0;
+    const current = await findBooking(id, session);
+
+    const lines = await Reservation.find({ booking: current._id }).session(session);
+    const changes = data.lines
+      ? data.lines.map((change) => {
+        const line = lines.find((l) => l._id.equals(change.reservation));
+        if (!line) {
+          throw new AppError(
+            `Reservation ${change.reservation} is not part of booking ${current.bookingNumber}.`,
+            400,
+            'RESERVATION_NOT_IN_BOOKING'
+          );
+        }
+        return { line, checkInDate: change.checkInDate, checkOutDate: change.checkOutDate };
+      })
+      : lines
+        .filter((line) => MODIFIABLE_LINE_STATUSES.includes(line.status))
+        .map((line) => ({ line, checkInDate: data.checkInDate, checkOutDate: data.checkOutDate }));
+
+    if (changes.length === 0) {
+      throw new AppError('The booking has no lines whose dates can change.', 409, 'BOOKING_LOCKED');
+    }
+
+    for (const { line, checkInDate, checkOutDate } of changes) {
+      const before = await changeReservationDates(line, new Date(checkInDate), new Date(checkOutDate), user, session);
+      changed.push({ reservation: line, before });
+    }
+
+    return Booking.findById(current._id).session(session);
+  });
+
+  for (const { reservation, before } of changed) {
+    await logDatesChanged(reservation, before, user, context);
+  }
+
+  return { booking, reservations: changed.map((c) => c.reservation) };
+};
+
+/**
+ * CANCEL BOOKING
+ * Cancels every line that can still be cancelled, each under its own policy.
+ * Lines are cancelled one by one, so a failure leaves the others cancelled.
+ */
+const cancelBooking = async (id, { reason, waivePenalty = false }, user, context = {}) => {
+  if (waivePenalty && !(ROLE_HIERARCHY[user.role?.name] >= ROLE_HIERARCHY.MANAGER)) {
+    throw new AppError('Only a MANAGER can waive a cancellation penalty.', 403, 'INSUFFICIENT_ROLE');
+  }
+
+  const booking = await findBooking(id);
+  const lines = await Reservation.find({ booking: booking._id, status: { $in: CANCELLABLE_STATUSES } })
+    .select('_id reservationNumber')
+    .sort({ checkInDate: 1 });
+
+  if (lines.length === 0) {
+    throw new AppError(
+      `Booking ${booking.bookingNumber} has no lines that can be cancelled.`,
+      409,
+      'BOOKING_NOT_CANCELLABLE'
+    );
+  }
+
+  const cancelled = [];
+  const failed = [];
+
+  for (const line of lines) {
+    try {
+      cancelled.push(await cancelReservation(line._id, { reason, waivePenalty }, user, context));
+    } catch (err) {
+      logger.error(`[BOOKING] Cancelling ${line.reservationNumber} of ${booking.bookingNumber} failed: ${err.message}`);
+      failed.push({ reservationNumber: line.reservationNumber, code: err.errorCode, message: err.message });
+    }
+  }
+
+  const updated = await Booking.findById(booking._id);
+
+  await AuditLog.logAction({
+    user: user._id,
+    action: 'RESERVATION_CANCELLED',
+    targetEntity: 'Booking',
+    targetId: booking._id,
+    ipAddress: context.ip,
+    userAgent: context.userAgent,
+    metadata: {
+      bookingNumber: booking.bookingNumber,
+      reason,
+      cancelled: cancelled.map((c) => c.reservation.reservationNumber),
+      failed: failed.map((f) => f.reservationNumber)
+    },
+    changes: {
+      before: { status: booking.status },
+      after: { status: updated.status }
+    },
+    status: failed.length === 0 ? 'SUCCESS' : 'FAILURE'
+  });
+
+  return { booking: updated, cancelled, failed };
+};
+
+module.exports = {
+  listBookings,
+  getBooking,
+  createBooking,
+  addLine,
+  updateBookingDates,
+  cancelBooking
+};
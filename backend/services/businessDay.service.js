@@ -0,0 +1,84 @@
+const BusinessDay = require('../models/BusinessDay');
+const { AppError } = require('../middlewares/errorHandler');
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * UTC midnight of the date's day, the form business dates are stored in
+ */
+const toBusinessDate = (date) => new Date(dayKey(date));
+
+const nextBusinessDate = (date) => new Date(toBusinessDate(date).getTime() + ONE_DAY);
+
+/**
+ * GET CURRENT BUSINESS DAY
+ * The first call on a fresh database opens today's date. Opening it runs
+ * outside the caller's transaction: a lost race aborts the transaction it
+ * fails in, and the day must exist whether or not the caller commits.
+ */
+const getCurrentBusinessDay = async ({ session } = {}) => {
+  const existing = await BusinessDay.findOne({ current: true }).session(session || null);
+  if (existing) return existing;
+
+  try {
+    return await BusinessDay.findOneAndUpdate(
+      { current: true },
+      { $setOnInsert: { date: toBusinessDate(new Date()), status: 'OPEN', openedAt: new Date() } },
+      { upsert: true, returnDocument: 'after' }
+    );
+  } catch (err) {
+    // Another request opened the day first
+    if (err.code === 11000) return BusinessDay.findOne({ current: true });
+    throw err;
+  }
+};
+
+/**
+ * Date that postings without an explicit date belong to
+ */
+const currentBusinessDate = async ({ session } = {}) => (await getCurrentBusinessDay({ session })).date;
+
+/**
+ * Day keys (YYYY-MM-DD) among `dates` that have been closed
+ */
+const closedDaysAmong = async (dates, { session } = {}) => {
+  const keys = [...new Set(dates.map(dayKey))];
+  if (keys.length === 0) return new Set();
+
+  const closed = await BusinessDay.find({
+    date: { $in: keys.map((key) => new Date(key)) },
+    status: 'CLOSED'
+  })
+    .select('date')
+    .session(session || null);
+
+  return new Set(closed.map((day) => dayKey(day.date)));
+};
+
+/**
+ * Throws when `date` falls on a closed business day
+ */
+const assertDayOpen = async (date, { session, action = 'post to' } = {}) => {
+  const closed = await BusinessDay.exists({ date: toBusinessDate(date), status: 'CLOSED' })
+    .session(session || null);
+
+  if (closed) {
+    throw new AppError(
+      `Business day ${dayKey(date)} is closed; cannot ${action} it. Post a correction on the current day.`,
+      409,
+      'BUSINESS_DAY_CLOSED'
+    );
+  }
+};
+
+module.exports = {
+  dayKey,
+  toBusinessDate,
+  nextBusinessDate,
+  getCurrentBusinessDay,
+  currentBusinessDate,
+  closedDaysAmong,
+  assertDayOpen
+};
@@ -0,0 +1,505 @@
+const mongoose = require('mongoose');
+const CancellationPolicy = require('../models/CancellationPolicy');
+const RatePlan = require('../models/RatePlan');
+const Room = require('../models/Room');
+const RoomType = require('../models/RoomType');
+const Reservation = require('../models/Reservation');
+const Payment = require('../models/Payment');
+const FolioEntry = require('../models/FolioEntry');
+const AuditLog = require('../models/AuditLog');
+const { AppError } = require('../middlewares/errorHandler');
+const { logger } = require('../middlewares/logger');
+const { ROLE_HIERARCHY } = require('../middlewares/rbac');
+const { policies, atPolicyTime } = require('../config/policies');
+const { roundCurrency } = require('../utils/money');
+const { postEntry, voidEntriesOfType, applyFolioTotals } = require('./folio.service');
+const { refundPayment } = require('./payment.service');
+const { getSecuredDeposit, captureDepositHolds, releaseDepositHolds } = require('./deposit.service');
+const { releasePromotion } = require('./promotion.service');
+const { matchWaitlist } = require('./waitlist.service');
+const { transition } = require('./stateMachine.service');
+
+/**
+ * Policy used when neither the rate plan nor the room type names one
+ */
+const DEFAULT_CANCELLATION_POLICY_CODE = process.env.DEFAULT_CANCELLATION_POLICY || 'STANDARD';
+
+/**
+ * Statuses a booking can be cancelled from
+ */
+const CANCELLABLE_STATUSES = ['PENDING', 'CONFIRMED'];
+
+// Non-refundable plans without a policy of their own keep the whole stay
+const NON_REFUNDABLE_RULE = { penaltyType: 'PERCENT', value: 100 };
+
+const ONE_HOUR = 60 * 60 * 1000;
+
+/**
+ * RESOLVE POLICY
+ * Rate plan → room type → property default. Returns null when none applies.
+ */
+const resolvePolicy = async (reservation, { session } = {}) => {
+  const ratePlan = reservation.ratePlan
+    ? await RatePlan.findById(reservation.ratePlan)
+      .select('code refundable cancellationPolicy')
+      .session(session || null)
+    : null;
+
+  let policyId = ratePlan?.cancellationPolicy;
+
+  if (!policyId) {
+    const roomTypeId = reservation.roomType
+      || (await Room.findById(reservation.room).select('roomType').session(session || null))?.roomType;
+    const roomType = roomTypeId
+      ? await RoomType.findById(roomTypeId).select('cancellationPolicy').session(session || null)
+      : null;
+    policyId = roomType?.cancellationPolicy;
+  }
+
+  const policy = await CancellationPolicy.findOne(
+    policyId ? { _id: policyId, isActive: true } : { code: DEFAULT_CANCELLATION_POLICY_CODE, isActive: true }
+  ).session(session || null);
+
+  return { policy, ratePlan };
+};
+
+/**
+ * Penalty a rule works out to, never more than the room charges
+ */
+const penaltyAmount = (rule, { nightRates, roomCharges }) => {
+  let amount;
+
+  switch (rule?.penaltyType) {
+    case 'NIGHTS':
+      amount = nightRates.slice(0, rule.value).reduce((sum, rate) => sum + rate, 0);
+      break;
+    case 'PERCENT':
+      amount = (roomCharges * rule.value) / 100;
+      break;
+    case 'FIXED':
+      amount = rule.value;
+      break;
+    default:
+      amount = 0;
+  }
+
+  return roundCurrency(Math.min(amount, roomCharges));
+};
+
+/**
+ * Room night rates (in stay order) and net room charges from the live folio
+ */
+const loadRoomCharges = async (reservation, { session } = {}) => {
+  const entries = await FolioEntry.find({
+    reservation: reservation._id,
+    type: { $in: ['ROOM_NIGHT', 'DISCOUNT'] },
+    voided: false
+  })
+    .sort({ serviceDate: 1 })
+    .select('type amount')
+    .session(session || null);
+
+  const nightRates = entries.filter((e) => e.type === 'ROOM_NIGHT').map((e) => e.amount);
+  const gross = nightRates.reduce((sum, rate) => sum + rate, 0);
+  const discounts = entries.filter((e) => e.type === 'DISCOUNT').reduce((sum, e) => sum - e.amount, 0);
+
+  return { nightRates, roomCharges: roundCurrency(Math.max(gross - discounts, 0)) };
+};
+
+/**
+ * QUOTE CANCELLATION
+ * What cancelling now would cost. The rule with the smallest window the guest
+ * is already inside applies; before every window cancellation is free.
+ */
+const quoteCancellation = async (reservation, { now = new Date(), session } = {}) => {
+  const { policy, ratePlan } = await resolvePolicy(reservation, { session });
+  const charges = await loadRoomCharges(reservation, { session });
+
+  const arrival = atPolicyTime(reservation.checkInDate, policies.checkInTime);
+  const hoursBeforeArrival = Math.max((arrival - now) / ONE_HOUR, 0);
+
+  let rule = null;
+  if (policy) {
+    rule = policy.rules
+      .filter((r) => hoursBeforeArrival < r.withinHours || (r.withinHours === 0 && hoursBeforeArrival === 0))
+      .sort((a, b) => a.withinHours - b.withinHours)[0] || null;
+  } else if (ratePlan && !ratePlan.refundable) {
+    rule = NON_REFUNDABLE_RULE;
+  }
+
+  return {
+    policy: policy ? { _id: policy._id, code: policy.code, name: policy.name } : null,
+    rule,
+    hoursBeforeArrival: Math.round(hoursBeforeArrival * 10) / 10,
+    roomCharges: charges.roomCharges,
+    penalty: penaltyAmount(rule, charges)
+  };
+};
+
+/**
+ * PREVIEW CANCELLATION
+ */
+const previewCancellation = async (reservationId) => {
+  const reservation = await Reservation.findById(reservationId);
+
+  if (!reservation) {
+    throw new AppError('Reservation not found.', 404, 'RESERVATION_NOT_FOUND');
+  }
+
+  const quote = await quoteCancellation(reservation);
+
+  return {
+    reservationNumber: reservation.reservationNumber,
+    status: reservation.status,
+    cancellable: CANCELLABLE_STATUSES.includes(reservation.status),
+    paidAmount: reservation.paidAmount,
+    refundDue: roundCurrency(Math.max(reservation.paidAmount - quote.penalty, 0)),
+    ...quote
+  };
+};
+
+/**
+ * Refunds `excess` (base currency) from the reservation's settled payments,
+ * newest first, including its share of payments taken on a parent booking.
+ * Provider failures are reported, not thrown: the cancellation itself has
+ * already been committed.
+ */
+const refundExcess = async (reservation, excess, user, context) => {
+  const refunds = [];
+  const refundErrors = [];
+  let remaining = roundCurrency(excess);
+
+  const payments = await Payment.find({
+    $or: [{ reservation: reservation._id }, { 'allocations.reservation': reservation._id }],
+    paymentStatus: { $in: ['COMPLETED', 'PARTIALLY_REFUNDED'] }
+  }).sort({ createdAt: -1 });
+
+  for (const payment of payments) {
+    if (remaining <= 0) break;
+
+    const allocation = payment.allocations.find((a) => a.reservation.equals(reservation._id));
+    const refundableBase = roundCurrency(Math.min(
+      payment.refundableAmount * payment.exchangeRate,
+      allocation ? allocation.baseAmount - allocation.refundedBaseAmount : Infinity
+    ));
+    if (refundableBase <= 0) continue;
+
+    const take = Math.min(remaining, refundableBase);
+    const amount = !allocation && take === refundableBase
+      ? payment.refundableAmount
+      : roundCurrency(take / payment.exchangeRate);
+
+    try {
+      await refundPayment(
+        payment._id,
+        {
+          amount,
+          reason: `Cancellation of reservation ${reservation.reservationNumber}`,
+          reservation: reservation._id
+        },
+        user,
+        context
+      );
+      refunds.push({ paymentNumber: payment.paymentNumber, amount, currency: payment.currency });
+      remaining = roundCurrency(remaining - Math.min(refundableBase, amount * payment.exchangeRate));
+    } catch (err) {
+      logger.error(`[CANCELLATION] Refund of ${payment.paymentNumber} failed: ${err.message}`);
+      refundErrors.push({ paymentNumber: payment.paymentNumber, amount, message: err.message });
+    }
+  }
+
+  return { refunds, refundErrors, unrefunded: Math.max(remaining, 0) };
+};
+
+/**
+ * Cancels a loaded reservation inside the caller's transaction: its room
+ * charges are replaced by `penalty`, the promo use it claimed is given back
+ * and its totals (with the parent booking's) refreshed. Returns the folio
+ * summary.
+ */
+const cancelInTransaction = async (current, { reason, penalty = 0, policy, user, system = false, context, metadata }, session) => {
+  await voidEntriesOfType(current, ['ROOM_NIGHT', 'DISCOUNT'], 'Reservation cancelled', user, { session });
+
+  if (penalty > 0) {
+    await postEntry(
+      current,
+      {
+        type: 'FEE',
+        description: `Cancellation penalty${policy ? ` (${policy.code})` : ''}`,
+        amount: penalty,
+        referenceKey: 'FEE:CANCELLATION'
+      },
+      user,
+      { session }
+    );
+  }
+
+  transition(current, 'CANCELLED', { user, system, context, metadata });
+  current.set({
+    cancellationReason: reason,
+    cancelledAt: new Date(),
+    cancelledBy: system ? undefined : user._id,
+    cancellationPolicy: policy?._id,
+    cancellationPenalty: penalty
+  });
+
+  await releasePromotion(current, { session });
+  return applyFolioTotals(current, { user, session });
+};
+
+/**
+ * Offers the inventory a cancellation freed to the waitlist; the
+ * cancellation stands either way
+ */
+const offerToWaitlist = async (freed, user, context) => {
+  try {
+    return await matchWaitlist(freed, user, context);
+  } catch (err) {
+    logger.error(`[CANCELLATION] Waitlist matching for ${freed.reservationNumber} failed: ${err.message}`);
+    return null;
+  }
+};
+
+/**
+ * CANCEL RESERVATION
+ * Replaces the stay's room charges with the policy penalty, then settles:
+ * card holds pay the penalty first (the rest is released) and anything paid
+ * beyond the penalty is refunded. Waiving the penalty needs a MANAGER.
+ * The freed room is then offered to the waitlist.
+ */
+const cancelReservation = async (reservationId, { reason, waivePenalty = false }, user, context = {}) => {
+  if (waivePenalty && !(ROLE_HIERARCHY[user.role?.name] >= ROLE_HIERARCHY.MANAGER)) {
+    throw new AppError('Only a MANAGER can waive a cancellation penalty.', 403, 'INSUFFICIENT_ROLE');
+  }
+
+  let quote;
+  let previousStatus;
+
+  const reservation = await mongoose.connection.transaction(async (session) => {
+    const current = await Reservation.findById(reservationId).session(session);
+
+    if (!current) {
+      throw new AppError('Reservation not found.', 404, 'RESERVATION_NOT_FOUND');
+    }
+
+    if (!CANCELLABLE_STATUSES.includes(current.status)) {
+      throw new AppError(
+        `A ${current.status.toLowerCase()} reservation cannot be cancelled.`,
+        409,
+        'RESERVATION_NOT_CANCELLABLE'
+      );
+    }
+
+    previousStatus = current.status;
+    quote = await quoteCancellation(current, { session });
+    const penalty = waivePenalty ? 0 : quote.penalty;
+
+    const summary = await cancelInTransaction(
+      current,
+      { reason, penalty, policy: quote.policy, user, context },
+      session
+    );
+
+    await AuditLog.logAction(
+      {
+        user: user._id,
+        action: 'RESERVATION_CANCELLED',
+        targetEntity: 'Reservation',
+        targetId: current._id,
+        ipAddress: context.ip,
+        userAgent: context.userAgent,
+        metadata: {
+          reservationNumber: current.reservationNumber,
+          reason,
+          policy: quote.policy?.code,
+          hoursBeforeArrival: quote.hoursBeforeArrival,
+          penalty,
+          penaltyWaived: waivePenalty && quote.penalty > 0,
+          refundDue: Math.max(-summary.balance, 0)
+        },
+        changes: {
+          before: { status: previousStatus },
+          after: { status: 'CANCELLED' }
+        },
+        status: 'SUCCESS'
+      },
+      { session }
+    );
+
+    return current;
+  });
+
+  // Provider calls stay outside the transaction so a retry cannot repeat them
+  await captureDepositHolds(reservation._id, user);
+  await releaseDepositHolds(reservation._id);
+
+  const settled = await Reservation.findById(reservation._id);
+  const excess = roundCurrency(settled.paidAmount - settled.totalAmount);
+  const { refunds, refundErrors, unrefunded } = excess > 0
+    ? await refundExcess(settled, excess, user, context)
+    : { refunds: [], refundErrors: [], unrefunded: 0 };
+
+  const waitlistMatch = await offerToWaitlist(settled, user, context);
+
+  return {
+    reservation: await Reservation.findById(reservation._id),
+    penalty: reservation.cancellationPenalty,
+    policy: quote.policy,
+    refunds,
+    refundErrors,
+    unrefunded,
+    waitlistMatch
+  };
+};
+
+/**
+ * CANCEL EXPIRED DEPOSIT HOLDS
+ * Sweep run by the scheduler: PENDING bookings whose required deposit was not
+ * secured by `depositDueAt` are cancelled without a penalty, through the same
+ * folio path as a staff cancellation, and any partial holds released. The
+ * freed rooms are offered to the waitlist.
+ */
+const cancelExpiredDepositHolds = async (now = new Date()) => {
+  const expired = await Reservation.find({
+    status: 'PENDING',
+    depositRequired: true,
+    depositDueAt: { $lte: now }
+  }).select('_id reservationNumber');
+
+  const cancelled = [];
+
+  for (const { _id, reservationNumber } of expired) {
+    let reservation;
+
+    try {
+      reservation = await mongoose.connection.transaction(async (session) => {
+        // A confirmation that got in first wins
+        const current = await Reservation.findOne({ _id, status: 'PENDING' }).session(session);
+        if (!current) return null;
+
+        const secured = await getSecuredDeposit(current._id, session);
+        if (secured >= current.depositAmount) return null;
+
+        // The reservation's creator stays the poster of record for system postings
+        const poster = { _id: current.createdBy };
+
+        await cancelInTransaction(
+          current,
+          {
+            reason: `Deposit not received within ${policies.depositWindowHours} hours`,
+            user: poster,
+            system: true,
+            metadata: { source: 'DEPOSIT_EXPIRY' }
+          },
+          session
+        );
+
+        await AuditLog.logAction(
+          {
+            user: poster._id,
+            action: 'RESERVATION_CANCELLED',
+            targetEntity: 'Reservation',
+            targetId: current._id,
+            metadata: {
+              source: 'DEPOSIT_EXPIRY',
+              reservationNumber: current.reservationNumber,
+              depositAmount: current.depositAmount,
+              depositSecured: secured,
+              depositDueAt: current.depositDueAt
+            },
+            changes: { before: { status: 'PENDING' }, after: { status: 'CANCELLED' } },
+            status: 'SUCCESS'
+          },
+          { session }
+        );
+
+        return current;
+      });
+    } catch (err) {
+      logger.error(`[DEPOSIT] Cancelling ${reservationNumber} for an expired deposit failed: ${err.message}`);
+      continue;
+    }
+
+    if (!reservation) continue;
+
+    await releaseDepositHolds(reservation._id);
+    await offerToWaitlist(reservation, { _id: reservation.createdBy });
+
+    cancelled.push(reservation.reservationNumber);
+  }
+
+  if (cancelled.length > 0) {
+    logger.info(`[DEPOSIT] Cancelled ${cancelled.length} reservation(s) with expired deposits: ${cancelled.join(', ')}`);
+  }
+
+  return { checked: expired.length, cancelled };
+};
+
+/**
+ * LIST / CREATE / UPDATE POLICIES
+ */
+const listPolicies = ({ includeInactive = false } = {}) =>
+  CancellationPolicy.find(includeInactive ? {} : { isActive: true }).sort({ code: 1 });
+
+const createPolicy = async (data, user, context = {}) => {
+  if (await CancellationPolicy.exists({ code: data.code })) {
+    throw new AppError(`Cancellation policy ${data.code} already exists.`, 409, 'CANCELLATION_POLICY_EXISTS');
+  }
+
+  const policy = await CancellationPolicy.create({ ...data, createdBy: user._id });
+
+  await AuditLog.logAction({
+    user: user._id,
+    action: 'CREATE',
+    targetEntity: 'System',
+    targetId: policy._id,
+    ipAddress: context.ip,
+    userAgent: context.userAgent,
+    metadata: { type: 'CANCELLATION_POLICY', code: policy.code },
+    status: 'SUCCESS'
+  });
+
+  return policy;
+};
+
+const updatePolicy = async (id, data, user, context = {}) => {
+  const policy = await CancellationPolicy.findById(id);
+
+  if (!policy) {
+    throw new AppError('Cancellation policy not found.', 404, 'CANCELLATION_POLICY_NOT_FOUND');
+  }
+
+  const before = {};
+  for (const key of Object.keys(data)) before[key] = policy.get(key);
+
+  policy.set(data);
+  await policy.save();
+
+  await AuditLog.logAction({
+    user: user._id,
+    action: 'UPDATE',
+    targetEntity: 'System',
+    targetId: policy._id,
+    ipAddress: context.ip,
+    userAgent: context.userAgent,
+    metadata: { type: 'CANCELLATION_POLICY', code: policy.code },
+    changes: { before, after: data },
+    status: 'SUCCESS'
+  });
+
+  return policy;
+};
+
+module.exports = {
+  CANCELLABLE_STATUSES,
+  resolvePolicy,
+  penaltyAmount,
+  loadRoomCharges,
+  quoteCancellation,
+  previewCancellation,
+  cancelReservation,
+  cancelExpiredDepositHolds,
+  listPolicies,
+  createPolicy,
+  updatePolicy
+};
@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Reservation = require('../models/Reservation');
+const AuditLog = require('../models/AuditLog');
+const { AppError } = require('../middlewares/errorHandler');
+const { logger } = require('../middlewares/logger');
+const { roundCurrency } = require('../utils/money');
+const { property } = require('../config/property');
+const { getPaymentProvider } = require('./paymentProviders');
+const { creditPaymentToFolio } = require('./payment.service');
+const { transition } = require('./stateMachine.service');
+
+/**
+ * Deposit payment statuses that count towards a required deposit
+ */
+const SECURED_DEPOSIT_STATUSES = ['AUTHORIZED', 'COMPLETED', 'PARTIALLY_REFUNDED'];
+
+/**
+ * DEPOSIT SECURED
+ * Amount held or collected as DEPOSIT payments, net of refunds, in the base currency
+ */
+const getSecuredDeposit = async (reservationId, session) => {
+  const deposits = await Payment.find({
+    reservation: reservationId,
+    paymentType: 'DEPOSIT',
+    paymentStatus: { $in: SECURED_DEPOSIT_STATUSES }
+  })
+    .select('amount refundAmount exchangeRate')
+    .session(session || null);
+
+  return roundCurrency(
+    deposits.reduce((sum, p) => sum + (p.amount - (p.refundAmount || 0)) * (p.exchangeRate || 1), 0)
+  );
+};
+
+/**
+ * PLACE DEPOSIT HOLD
+ * Pre-authorizes the deposit on the guest's card without capturing it. The
+ * hold is captured against the final bill at check-out, or released if the
+ * booking is cancelled.
+ */
+const placeDepositHold = async (reservationId, { cardToken, amount }, user, context = {}) => {
+  const reservation = await Reservation.findById(reservationId);
+
+  if (!reservation) {
+    throw new AppError('Reservation not found.', 404, 'RESERVATION_NOT_FOUND');
+  }
+
+  if (!['PENDING', 'CONFIRMED'].includes(reservation.status)) {
+    throw new AppError(
+      `Cannot take a deposit for a ${reservation.status.toLowerCase()} reservation.`,
+      409,
+      'RESERVATION_NOT_PAYABLE'
+    );
+  }
+
+  const holdAmount = amount || reservation.depositAmount;
+  if (!holdAmount) {
+    throw new AppError('No deposit amount is set for this reservation.', 400, 'DEPOSIT_AMOUNT_REQUIRED');
+  }
+
+  const provider = getPaymentProvider();
+  const auth = await provider.authorize({
+    amount: holdAmount,
+    currency: property.baseCurrency,
+    cardToken,
+    reference: String(reservation._id)
+  });
+
+  if (auth.status === 'DECLINED') {
+    throw new AppError(`Deposit authorization declined: ${auth.message}.`, 402, 'PAYMENT_DECLINED');
+  }
+
+  // A hold is only useful once it is in place; asynchronous authorizations are not supported
+  if (auth.status === 'PENDING') {
+    await provider.void(auth.transactionId);
+    throw new AppError('The card could not be pre-authorized immediately. Use another card.', 402, 'DEPOSIT_HOLD_UNAVAILABLE');
+  }
+
+  try {
+    const [payment] = await Payment.create([
+      {
+        reservation: reservation._id,
+        guest: reservation.guest,
+        amount: holdAmount,
+        paymentMethod: 'CREDIT_CARD',
+        paymentType: 'DEPOSIT',
+        paymentStatus: 'AUTHORIZED',
+        transactionReference: auth.transactionId,
+        cardDetails: auth.card,
+        processedBy: user._id,
+        notes: 'Deposit pre-authorization'
+      }
+    ]);
+
+    await AuditLog.logAction({
+      user: user._id,
+      action: 'PAYMENT_RECEIVED',
+      targetEntity: 'Payment',
+      targetId: payment._id,
+      ipAddress: context.ip,
+      userAgent: context.userAgent,
+      metadata: {
+        type: 'DEPOSIT_HOLD',
+        paymentNumber: payment.paymentNumber,
+        reservationNumber: reservation.reservationNumber,
+        amount: holdAmount
+      },
+      status: 'SUCCESS'
+    });
+
+    return { payment, reservation };
+  } catch (err) {
+    await provider.void(auth.transactionId);
+    throw err;
+  }
+};
+
+/**
+ * CONFIRM RESERVATION
+ * PENDING → CONFIRMED. Refused while a required deposit is not yet secured.
+ */
+const confirmReservation = async (reservationId, user, context = {}) => {
+  return mongoose.connection.transaction(async (session) => {
+    const reservation = await Reservation.findById(reservationId).session(session);
+
+    if (!reservation) {
+      throw new AppError('Reservation not found.', 404, 'RESERVATION_NOT_FOUND');
+    }
+
+    if (reservation.status !== 'PENDING') {
+      throw new AppError(
+        `Only pending reservations can be confirmed (current status: ${reservation.status}).`,
+        409,
+        'RESERVATION_NOT_PENDING'
+      );
+    }
+
+    const secured = await getSecuredDeposit(reservation._id, session);
+
+    if (reservation.depositRequired && secured < reservation.depositAmount) {
+      throw new AppError(
+        `A deposit of ${reservation.depositAmount.toFixed(2)} is required before confirmation ` +
+          `(${secured.toFixed(2)} secured).`,
+        409,
+        'DEPOSIT_REQUIRED'
+      );
+    }
+
+    transition(reservation, 'CONFIRMED', { user, context, metadata: { depositSecured: secured } });
+    if (secured > 0) reservation.depositReceivedAt = reservation.depositReceivedAt || new Date();
+    await reservation.save({ session });
+
+    return reservation;
+  });
+};
+
+/**
+ * RELEASE DEPOSIT HOLDS
+ * Voids every uncaptured card hold on the reservation
+ */
+const releaseDepositHolds = async (reservationId) => {
+  const holds = await Payment.find({
+    reservation: reservationId,
+    paymentType: 'DEPOSIT',
+    paymentStatus: 'AUTHORIZED'
+  });
+
+  const provider = getPaymentProvider();
+
+  for (const hold of holds) {
+    const result = await provider.void(hold.transactionReference);
+
+    if (result.status !== 'VOIDED') {
+      logger.error(`[DEPOSIT] Could not release hold ${hold.paymentNumber}: ${result.message}`);
+      continue;
+    }
+
+    hold.paymentStatus = 'VOIDED';
+    await hold.save();
+  }
+
+  return holds.length;
+};
+
+/**
+ * CAPTURE DEPOSIT HOLDS
+ * Applies card holds to the final bill at check-out: each hold is captured up
+ * to the outstanding balance and credited to the folio. Holds that are no
+ * longer needed are released.
+ */
+const captureDepositHolds = async (reservationId, user) => {
+  const holds = await Payment.find({
+    reservation: reservationId,
+    paymentType: 'DEPOSIT',
+    paymentStatus: 'AUTHORIZED'
+  }).sort({ createdAt: 1 });
+
+  const provider = getPaymentProvider();
+
+  for (const hold of holds) {
+    const reservation = await Reservation.findById(reservationId);
+    const outstanding = roundCurrency(reservation.totalAmount - reservation.paidAmount);
+    const captureAmount = Math.min(hold.amount, outstanding);
+
+    if (captureAmount <= 0) {
+      const voided = await provider.void(hold.transactionReference);
+      if (voided.status === 'VOIDED') {
+        hold.paymentStatus = 'VOIDED';
+        await hold.save();
+      }
+      continue;
+    }
+
+    const captured = await provider.capture(hold.transactionReference, captureAmount);
+
+    if (captured.status !== 'CAPTURED') {
+      logger.error(`[DEPOSIT] Capture failed for hold ${hold.paymentNumber}: ${captured.message}`);
+      continue;
+    }
+
+    await mongoose.connection.transaction(async (session) => {
+      const payment = await Payment.findById(hold._id).session(session);
+      const current = await Reservation.findById(reservationId).session(session);
+
+      if (captureAmount < payment.amount) {
+        payment.notes = `Hold of ${payment.amount.toFixed(2)}, captured ${captureAmount.toFixed(2)}`;
+        payment.amount = captureAmount;
+      }
+      payment.paymentStatus = 'COMPLETED';
+      payment.transactionDate = new Date();
+      await payment.save({ session });
+
+      await creditPaymentToFolio(payment, current, user, session);
+
+      await AuditLog.logAction(
+        {
+          user: user._id,
+          action: 'PAYMENT_RECEIVED',
+          targetEntity: 'Payment',
+          targetId: payment._id,
+          metadata: {
+            type: 'DEPOSIT_CAPTURE',
+            paymentNumber: payment.paymentNumber,
+            reservationNumber: current.reservationNumber,
+            amount: captureAmount
+          },
+          status: 'SUCCESS'
+        },
+        { session }
+      );
+    });
+  }
+};
+
+module.exports = {
+  getSecuredDeposit,
+  placeDepositHold,
+  confirmReservation,
+  releaseDepositHolds,
+  captureDepositHolds
+};
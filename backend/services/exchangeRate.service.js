@@ -0,0 +1,112 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const AuditLog = require('../models/AuditLog');
+const { AppError } = require('../middlewares/errorHandler');
+const { property } = require('../config/property');
+const { roundCurrency } = require('../utils/money');
+
+/**
+ * GET EXCHANGE RATE
+ * Rate in force for `currency` at `at`; the base currency is always 1
+ */
+const getExchangeRate = async (currency, { at = new Date(), session } = {}) => {
+  const code = currency.toUpperCase();
+  if (code === property.baseCurrency) return 1;
+
+  const row = await ExchangeRate.findOne({
+    baseCurrency: property.baseCurrency,
+    currency: code,
+    effectiveFrom: { $lte: at }
+  })
+    .sort({ effectiveFrom: -1 })
+    .session(session || null);
+
+  if (!row) {
+    throw new AppError(
+      `No exchange rate from ${code} to ${property.baseCurrency} is configured.`,
+      422,
+      'EXCHANGE_RATE_UNAVAILABLE'
+    );
+  }
+
+  return row.rate;
+};
+
+/**
+ * CONVERT TO BASE
+ * Snapshot of the rate used and the base-currency equivalent
+ */
+const convertToBase = async (amount, currency, options = {}) => {
+  const rate = await getExchangeRate(currency, options);
+
+  return {
+    currency: currency.toUpperCase(),
+    baseCurrency: property.baseCurrency,
+    exchangeRate: rate,
+    baseAmount: roundCurrency(amount * rate)
+  };
+};
+
+/**
+ * SET EXCHANGE RATE
+ * Adds a new rate row; earlier rows stay for history
+ */
+const setExchangeRate = async ({ currency, rate, effectiveFrom, source }, user, context = {}) => {
+  if (currency === property.baseCurrency) {
+    throw new AppError('The base currency always has a rate of 1.', 400, 'BASE_CURRENCY_RATE');
+  }
+
+  const previous = await getExchangeRate(currency).catch(() => null);
+
+  const row = await ExchangeRate.create({
+    currency,
+    rate,
+    baseCurrency: property.baseCurrency,
+    effectiveFrom,
+    source,
+    setBy: user._id
+  });
+
+  await AuditLog.logAction({
+    user: user._id,
+    action: 'UPDATE',
+    targetEntity: 'System',
+    targetId: row._id,
+    ipAddress: context.ip,
+    userAgent: context.userAgent,
+    metadata: { type: 'EXCHANGE_RATE', currency: row.currency, effectiveFrom: row.effectiveFrom },
+    changes: { before: { rate: previous }, after: { rate: row.rate } },
+    status: 'SUCCESS'
+  });
+
+  return row;
+};
+
+/**
+ * LIST CURRENT RATES
+ * Latest effective rate per currency
+ */
+const listCurrentRates = async (at = new Date()) => {
+  const rates = await ExchangeRate.aggregate([
+    { $match: { baseCurrency: property.baseCurrency, effectiveFrom: { $lte: at } } },
+    { $sort: { effectiveFrom: -1 } },
+    {
+      $group: {
+        _id: '$currency',
+        rate: { $first: '$rate' },
+        effectiveFrom: { $first: '$effectiveFrom' },
+        source: { $first: '$source' }
+      }
+    },
+    { $project: { _id: 0, currency: '$_id', rate: 1, effectiveFrom: 1, source: 1 } },
+    { $sort: { currency: 1 } }
+  ]);
+
+  return { baseCurrency: property.baseCurrency, rates };
+};
+
+module.exports = {
+  getExchangeRate,
+  convertToBase,
+  setExchangeRate,
+  listCurrentRates
+};
@@ -0,0 +1,615 @@
+const mongoose = require('mongoose');
+const FolioEntry = require('../models/FolioEntry');
+const Reservation = require('../models/Reservation');
+const Group = require('../models/Group');
+const Booking = require('../models/Booking');
+const AuditLog = require('../models/AuditLog');
+const { AppError } = require('../middlewares/errorHandler');
+const { roundCurrency } = require('../utils/money');
+const { ROLE_HIERARCHY } = require('../middlewares/rbac');
+const {
+  taxKey,
+  taxCodeOf,
+  loadActiveRules,
+  loadTaxGuest,
+  calculateTaxes,
+  folioTaxInput
+} = require('./tax.service');
+const { dayKey, currentBusinessDate, closedDaysAmong, assertDayOpen } = require('./businessDay.service');
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+const nightKey = (date) => `NIGHT:${dayKey(date)}`;
+
+/**
+ * Nights covered by a stay: every date from check-in up to (not including) check-out
+ */
+const listNights = (checkIn, checkOut) => {
+  const nights = [];
+  for (let t = new Date(checkIn).getTime(); t < new Date(checkOut).getTime(); t += ONE_DAY) {
+    nights.push(new Date(t));
+  }
+  return nights;
+};
+
+/**
+ * POST ENTRY
+ * Adds one line to a reservation's folio, dated on the current business day
+ * unless the entry names its own serviceDate. Callers recompute totals afterwards.
+ */
+const postEntry = async (reservation, entry, user, { session } = {}) => {
+  const serviceDate = entry.serviceDate || await currentBusinessDate({ session });
+  await assertDayOpen(serviceDate, { session });
+
+  const [created] = await FolioEntry.create(
+    [
+      {
+        reservation: reservation._id,
+        guest: reservation.guest?._id || reservation.guest,
+        quantity: 1,
+        ...entry,
+        serviceDate,
+        amount: roundCurrency(entry.amount),
+        postedBy: user._id
+      }
+    ],
+    { session }
+  );
+
+  return created;
+};
+
+/**
+ * POST MASTER ENTRY
+ * Adds one line to a group's master folio, billed to the organizer
+ */
+const postMasterEntry = async (group, entry, user, { session } = {}) => {
+  const serviceDate = entry.serviceDate || await currentBusinessDate({ session });
+  await assertDayOpen(serviceDate, { session });
+
+  const [created] = await FolioEntry.create(
+    [
+      {
+        group: group._id,
+        guest: group.organizer?._id || group.organizer,
+        quantity: 1,
+        ...entry,
+        serviceDate,
+        amount: roundCurrency(entry.amount),
+        postedBy: user._id
+      }
+    ],
+    { session }
+  );
+
+  return created;
+};
+
+const voidEntryDocument = async (entry, user, reason, session) => {
+  await assertDayOpen(entry.serviceDate, { session, action: 'void entries on' });
+
+  entry.set({
+    voided: true,
+    voidedAt: new Date(),
+    voidedBy: user._id,
+    voidReason: reason
+  });
+  return entry.save({ session });
+};
+
+/**
+ * VOID ENTRIES
+ * Voids every live line of the given types (e.g. the room nights of a stay
+ * that will not happen). Returns the voided entries.
+ */
+const voidEntriesOfType = async (reservation, types, reason, user, { session } = {}) => {
+  const entries = await FolioEntry.find({
+    reservation: reservation._id,
+    type: { $in: types },
+    voided: false
+  }).session(session || null);
+
+  for (const entry of entries) {
+    await voidEntryDocument(entry, user, reason, session);
+  }
+
+  return entries;
+};
+
+/**
+ * SET SYSTEM ENTRY
+ * Keeps exactly one live line under `entry.referenceKey` at `entry.amount`;
+ * a changed amount voids and reposts it, zero removes it
+ */
+const setSystemEntry = async (reservation, entry, user, { session } = {}) => {
+  const amount = roundCurrency(entry.amount);
+  const current = await FolioEntry.findOne({
+    reservation: reservation._id,
+    referenceKey: entry.referenceKey,
+    voided: false
+  }).session(session || null);
+
+  if (current && current.amount === amount) return current;
+
+  if (current) {
+    await voidEntryDocument(current, user, 'Amount recalculated', session);
+  }
+
+  return amount === 0 ? null : postEntry(reservation, { ...entry, amount }, user, { session });
+};
+
+/**
+ * SYNC ROOM NIGHTS
+ * Makes the live ROOM_NIGHT lines match the reservation's dates: nights outside
+ * the stay are voided, missing nights are posted at `nightlyRate`, and nights on
+ * or after `repriceFrom` are reposted when their rate differs. `nightlyRate` is
+ * a flat number or a function of the night (see pricing.service rateResolver).
+ */
+const syncRoomNights = async (reservation, { nightlyRate, label, repriceFrom, user, session }) => {
+  const rateFor = typeof nightlyRate === 'function' ? nightlyRate : () => nightlyRate;
+  const expected = listNights(reservation.checkInDate, reservation.checkOutDate);
+  const expectedKeys = new Set(expected.map(nightKey));
+
+  const live = await FolioEntry.find({
+    reservation: reservation._id,
+    type: 'ROOM_NIGHT',
+    voided: false
+  }).session(session || null);
+
+  const liveByKey = new Map();
+
+  for (const entry of live) {
+    const stale = !expectedKeys.has(entry.referenceKey);
+    const reprice = repriceFrom &&
+      entry.serviceDate >= repriceFrom &&
+      entry.unitPrice !== rateFor(entry.serviceDate);
+
+    if (stale || reprice) {
+      // Void first so the live-reference unique index allows the repost
+      await voidEntryDocument(entry, user, stale ? 'Night no longer part of stay' : 'Night repriced', session);
+    } else {
+      liveByKey.set(entry.referenceKey, entry);
+    }
+  }
+
+  for (const night of expected) {
+    const key = nightKey(night);
+    if (liveByKey.has(key)) continue;
+
+    const rate = rateFor(night);
+    await postEntry(
+      reservation,
+      {
+        type: 'ROOM_NIGHT',
+        description: `Room night ${dayKey(night)}${label ? ` (${label})` : ''}`,
+        unitPrice: rate,
+        amount: rate,
+        serviceDate: night,
+        referenceKey: key
+      },
+      user,
+      { session }
+    );
+  }
+};
+
+/**
+ * SUMMARIZE
+ * Folds live entries into the reservation's financial fields
+ */
+const summarize = (entries) => {
+  const byType = {};
+  for (const entry of entries) {
+    if (entry.voided) continue;
+    byType[entry.type] = roundCurrency((byType[entry.type] || 0) + entry.amount);
+  }
+
+  const sum = (types) => roundCurrency(types.reduce((acc, type) => acc + (byType[type] || 0), 0));
+
+  const payments = -sum(['PAYMENT']);
+  const refunds = sum(['REFUND']);
+  const discounts = -sum(['DISCOUNT']);
+  const taxes = sum(['TAX']);
+  const charges = sum([...FolioEntry.CHARGE_TYPES, 'ADJUSTMENT']);
+  // Negative on a member folio (routed away), positive on a master folio
+  const transfers = sum(['TRANSFER']);
+  const total = roundCurrency(charges + transfers - discounts);
+  const paid = roundCurrency(payments - refunds);
+
+  return {
+    byType,
+    charges,
+    taxes,
+    discounts,
+    transfers,
+    payments,
+    refunds,
+    total,
+    paid,
+    balance: roundCurrency(total - paid)
+  };
+};
+
+/**
+ * SYNC TAXES
+ * Re-evaluates the tax rules against the live folio and brings each rule's TAX
+ * lines in step with the result. Lines on closed business days are frozen, so
+ * a change is posted as the difference on the current day. Returns the live
+ * entries after the sync.
+ */
+const syncTaxes = async (reservation, entries, { user, session }) => {
+  // Sequential: a transaction session cannot run operations in parallel
+  const rules = await loadActiveRules({ session });
+  const guest = await loadTaxGuest(reservation.guest?._id || reservation.guest, { session });
+
+  const { lines } = calculateTaxes(rules, folioTaxInput(reservation, entries, guest));
+  const due = new Map(lines.map((line) => [line.code, line]));
+
+  const isSystemTax = (entry) => entry.type === 'TAX' && entry.referenceKey?.startsWith('TAX:');
+  const taxEntries = entries.filter(isSystemTax);
+  const kept = entries.filter((entry) => !isSystemTax(entry));
+
+  const closed = await closedDaysAmong(taxEntries.map((entry) => entry.serviceDate), { session });
+  const total = (list) => roundCurrency(list.reduce((sum, entry) => sum + entry.amount, 0));
+
+  const codes = new Set([...due.keys(), ...taxEntries.map((entry) => taxCodeOf(entry.referenceKey))]);
+  let businessDate;
+
+  for (const code of codes) {
+    const line = due.get(code);
+    const target = line?.amount || 0;
+    const own = taxEntries.filter((entry) => taxCodeOf(entry.referenceKey) === code);
+    const frozen = own.filter((entry) => closed.has(dayKey(entry.serviceDate)));
+    const open = own.filter((entry) => !closed.has(dayKey(entry.serviceDate)));
+
+    kept.push(...frozen);
+
+    if (roundCurrency(total(frozen) + total(open)) === target) {
+      kept.push(...open);
+      continue;
+    }
+
+    for (const entry of open) {
+      await voidEntryDocument(entry, user, line ? 'Tax recalculated' : 'Tax no longer applies', session);
+    }
+
+    const amount = roundCurrency(target - total(frozen));
+    if (amount === 0) continue;
+
+    businessDate = businessDate || await currentBusinessDate({ session });
+    const name = line?.name || code;
+    const correction = frozen.length > 0;
+
+    kept.push(
+      await postEntry(
+        reservation,
+        {
+          type: 'TAX',
+          description: line?.calculation === 'PERCENTAGE' && !correction
+            ? `${name} (${line.rate}%)`
+            : `${name}${correction ? ' correction' : ''}`,
+          quantity: correction ? 1 : line.quantity,
+          unitPrice: correction || line.calculation === 'PERCENTAGE' ? amount : line.rate,
+          amount,
+          serviceDate: businessDate,
+          referenceKey: taxKey(code, businessDate)
+        },
+        user,
+        { session }
+      )
+    );
+  }
+
+  return kept;
+};
+
+/**
+ * SYNC ROUTING
+ * Moves a group member's routed charges to the group master folio. Only the
+ * difference to what was moved before is posted, on both folios, so nothing
+ * on a closed day ever needs voiding. Returns the live entries after the sync.
+ */
+const syncRouting = async (reservation, entries, { user, session }) => {
+  if (!reservation.group) return entries;
+
+  const group = await Group.findById(reservation.group)
+    .select('groupNumber organizer routedTypes')
+    .session(session || null);
+  if (!group) return entries;
+
+  const total = (list) => roundCurrency(list.reduce((sum, entry) => sum + entry.amount, 0));
+  const billable = total(entries.filter((entry) => entry.type !== 'TRANSFER' && !['PAYMENT', 'REFUND'].includes(entry.type)));
+  const routable = total(entries.filter((entry) => group.routedTypes.includes(entry.type)));
+
+  // Never route more than the folio carries, e.g. when discounts are not routed
+  const target = -Math.min(Math.max(routable, 0), Math.max(billable, 0));
+  const delta = roundCurrency(target - total(entries.filter((entry) => entry.type === 'TRANSFER')));
+
+  if (delta === 0) return entries;
+
+  const memberLine = await postEntry(
+    reservation,
+    {
+      type: 'TRANSFER',
+      description: `Routed to group ${group.groupNumber}`,
+      amount: delta,
+      group: group._id
+    },
+    user,
+    { session }
+  );
+
+  await postMasterEntry(
+    group,
+    {
+      type: 'TRANSFER',
+      description: `Routed from ${reservation.reservationNumber}`,
+      amount: -delta,
+      routedFrom: reservation._id
+    },
+    user,
+    { session }
+  );
+
+  return [...entries, memberLine];
+};
+
+/**
+ * APPLY FOLIO TOTALS
+ * Brings the tax and routing lines up to date, then derives totalAmount, taxAmount,
+ * discountAmount and paidAmount from the ledger and saves the reservation
+ * (its pre-save hook derives the balance)
+ */
+const applyFolioTotals = async (reservation, { user, session } = {}) => {
+  const entries = await FolioEntry.find({ reservation: reservation._id, voided: false })
+    .session(session || null);
+
+  const taxed = await syncTaxes(reservation, entries, { user, session });
+  const summary = summarize(await syncRouting(reservation, taxed, { user, session }));
+
+  if (summary.total < 0) {
+    throw new AppError('Discounts cannot exceed the reservation charges.', 400, 'DISCOUNT_EXCEEDS_TOTAL');
+  }
+
+  reservation.set({
+    totalAmount: summary.total,
+    taxAmount: summary.taxes,
+    discountAmount: summary.discounts,
+    paidAmount: Math.max(summary.paid, 0)
+  });
+  await reservation.save({ session });
+
+  if (reservation.booking) {
+    await syncBooking(reservation.booking, { session });
+  }
+
+  return summary;
+};
+
+/**
+ * SYNC BOOKING
+ * Refreshes a parent booking's totals and status from its room lines. Call it
+ * after any line's totals or status change.
+ */
+const syncBooking = async (bookingId, { session } = {}) => {
+  const lines = await Reservation.find({ booking: bookingId })
+    .select('status totalAmount paidAmount')
+    .session(session || null);
+
+  const totalAmount = roundCurrency(lines.reduce((sum, line) => sum + line.totalAmount, 0));
+  const paidAmount = roundCurrency(lines.reduce((sum, line) => sum + line.paidAmount, 0));
+
+  return Booking.findByIdAndUpdate(
+    bookingId,
+    {
+      $set: {
+        totalAmount,
+        paidAmount,
+        balanceAmount: roundCurrency(totalAmount - paidAmount),
+        status: Booking.statusFor(lines)
+      }
+    },
+    { returnDocument: 'after', session: session || null }
+  );
+};
+
+/**
+ * GET STATEMENT
+ * Chronological folio with a running balance
+ */
+const getStatement = async (reservationId) => {
+  const reservation = await Reservation.findById(reservationId)
+    .select('reservationNumber status guest room checkInDate checkOutDate totalAmount paidAmount balanceAmount')
+    .populate('guest', 'fullName email')
+    .populate('room', 'roomNumber');
+
+  if (!reservation) {
+    throw new AppError('Reservation not found.', 404, 'RESERVATION_NOT_FOUND');
+  }
+
+  const entries = await FolioEntry.find({ reservation: reservation._id })
+    .sort({ serviceDate: 1, createdAt: 1 })
+    .populate('postedBy', 'fullName')
+    .lean();
+
+  let running = 0;
+  const lines = entries.map((entry) => {
+    if (!entry.voided) running = roundCurrency(running + entry.amount);
+    return { ...entry, runningBalance: running };
+  });
+
+  return {
+    reservation,
+    entries: lines,
+    summary: summarize(entries)
+  };
+};
+
+/**
+ * GET MASTER STATEMENT
+ * A group's master folio with a running balance
+ */
+const getMasterStatement = async (groupId) => {
+  const group = await Group.findById(groupId)
+    .select('groupNumber name organizer status checkInDate checkOutDate')
+    .populate('organizer', 'fullName email');
+
+  if (!group) {
+    throw new AppError('Group not found.', 404, 'GROUP_NOT_FOUND');
+  }
+
+  const entries = await FolioEntry.find({ group: group._id, reservation: { $exists: false } })
+    .sort({ serviceDate: 1, createdAt: 1 })
+    .populate('routedFrom', 'reservationNumber')
+    .populate('postedBy', 'fullName')
+    .lean();
+
+  let running = 0;
+  const lines = entries.map((entry) => {
+    if (!entry.voided) running = roundCurrency(running + entry.amount);
+    return { ...entry, runningBalance: running };
+  });
+
+  return {
+    group,
+    entries: lines,
+    summary: summarize(entries)
+  };
+};
+
+/**
+ * POST CHARGE
+ * Manual folio posting by staff (extras, fees, damages, adjustments).
+ * Negative adjustments credit the guest and need MANAGER or above.
+ */
+const postCharge = async (reservationId, data, user, context = {}) => {
+  if (data.unitPrice < 0 && !(ROLE_HIERARCHY[user.role?.name] >= ROLE_HIERARCHY.MANAGER)) {
+    throw new AppError('Only a MANAGER can post a credit adjustment.', 403, 'INSUFFICIENT_ROLE');
+  }
+
+  return mongoose.connection.transaction(async (session) => {
+    const reservation = await Reservation.findById(reservationId).session(session);
+
+    if (!reservation) {
+      throw new AppError('Reservation not found.', 404, 'RESERVATION_NOT_FOUND');
+    }
+
+    if (['CANCELLED', 'NO_SHOW', 'COMPLETED'].includes(reservation.status)) {
+      throw new AppError(
+        `Cannot post charges to a ${reservation.status.toLowerCase()} reservation.`,
+        409,
+        'FOLIO_CLOSED'
+      );
+    }
+
+    const entry = await postEntry(
+      reservation,
+      {
+        type: data.type,
+        description: data.description,
+        quantity: data.quantity,
+        unitPrice: data.unitPrice,
+        amount: data.unitPrice * data.quantity,
+        serviceDate: data.serviceDate
+      },
+      user,
+      { session }
+    );
+
+    const summary = await applyFolioTotals(reservation, { user, session });
+
+    await AuditLog.logAction(
+      {
+        user: user._id,
+        action: 'CREATE',
+        targetEntity: 'FolioEntry',
+        targetId: entry._id,
+        ipAddress: context.ip,
+        userAgent: context.userAgent,
+        metadata: {
+          reservationNumber: reservation.reservationNumber,
+          type: entry.type,
+          amount: entry.amount
+        },
+        status: 'SUCCESS'
+      },
+      { session }
+    );
+
+    return { entry, summary };
+  });
+};
+
+/**
+ * VOID ENTRY
+ * Ledger lines are never deleted; voiding keeps them on the statement
+ */
+const voidEntry = async (reservationId, entryId, reason, user, context = {}) => {
+  return mongoose.connection.transaction(async (session) => {
+    const entry = await FolioEntry.findOne({ _id: entryId, reservation: reservationId }).session(session);
+
+    if (!entry) {
+      throw new AppError('Folio entry not found.', 404, 'FOLIO_ENTRY_NOT_FOUND');
+    }
+
+    if (entry.voided) {
+      throw new AppError('This folio entry is already voided.', 409, 'FOLIO_ENTRY_VOIDED');
+    }
+
+    if (['PAYMENT', 'REFUND'].includes(entry.type)) {
+      throw new AppError('Payments and refunds are reversed through the payments API.', 409, 'FOLIO_ENTRY_LOCKED');
+    }
+
+    if (entry.type === 'TAX') {
+      throw new AppError('Taxes are recalculated automatically; use a tax exemption instead.', 409, 'FOLIO_ENTRY_LOCKED');
+    }
+
+    if (entry.type === 'TRANSFER') {
+      throw new AppError('Group routing is recalculated automatically; change the group instead.', 409, 'FOLIO_ENTRY_LOCKED');
+    }
+
+    await voidEntryDocument(entry, user, reason, session);
+
+    const reservation = await Reservation.findById(reservationId).session(session);
+    const summary = await applyFolioTotals(reservation, { user, session });
+
+    await AuditLog.logAction(
+      {
+        user: user._id,
+        action: 'UPDATE',
+        targetEntity: 'FolioEntry',
+        targetId: entry._id,
+        ipAddress: context.ip,
+        userAgent: context.userAgent,
+        metadata: {
+          type: 'FOLIO_VOID',
+          reservationNumber: reservation.reservationNumber,
+          entryType: entry.type,
+          amount: entry.amount,
+          reason
+        },
+        status: 'SUCCESS'
+      },
+      { session }
+    );
+
+    return { entry, summary };
+  });
+};
+
+module.exports = {
+  listNights,
+  postEntry,
+  postMasterEntry,
+  setSystemEntry,
+  voidEntryDocument,
+  voidEntriesOfType,
+  syncRoomNights,
+  summarize,
+  applyFolioTotals,
+  syncBooking,
+  getStatement,
+  getMasterStatement,
+  postCharge,
+  voidEntry
+};
@@ -0,0 +1,277 @@
+const mongoose = require('mongoose');
+const Group = require('../models/Group');
+const Guest = require('../models/Guest');
+const Reservation = require('../models/Reservation');
+const AuditLog = require('../models/AuditLog');
+const { AppError } = require('../middlewares/errorHandler');
+const { logger } = require('../middlewares/logger');
+const {
+  HOLDING_RESERVATION_STATUSES,
+  resolveRoomTypeId,
+  lockRoomTypeForBooking,
+  assertRoomTypeInventory
+} = require('./availability.service');
+const { applyFolioTotals, getMasterStatement } = require('./folio.service');
+const { createReservation } = require('./reservation.service');
+const { dayKey, toBusinessDate, nextBusinessDate } = require('./businessDay.service');
+
+const findGroup = async (id, session) => {
+  const group = await Group.findById(id).session(session || null);
+
+  if (!group) {
+    throw new AppError('Group not found.', 404, 'GROUP_NOT_FOUND');
+  }
+
+  return group;
+};
+
+/**
+ * PICKUP
+ * Per allotment and night: rooms held and rooms already booked from the block
+ */
+const pickupSummary = async (group) => {
+  const reservations = await Reservation.find({
+    group: group._id,
+    status: { $in: HOLDING_RESERVATION_STATUSES }
+  }).select('roomType checkInDate checkOutDate');
+
+  return group.allotments.map((allotment) => {
+    const own = reservations.filter((r) => r.roomType?.equals(allotment.roomType._id || allotment.roomType));
+    const nights = [];
+
+    for (let night = toBusinessDate(group.checkInDate); night < group.checkOutDate; night = nextBusinessDate(night)) {
+      const key = dayKey(night);
+      const pickedUp = own.filter((r) => dayKey(r.checkInDate) <= key && key < dayKey(r.checkOutDate)).length;
+      nights.push({ date: key, rooms: allotment.rooms, pickedUp, remaining: Math.max(allotment.rooms - pickedUp, 0) });
+    }
+
+    return { roomType: allotment.roomType, rooms: allotment.rooms, nights };
+  });
+};
+
+/**
+ * LIST GROUPS
+ */
+const listGroups = ({ status } = {}) =>
+  Group.find(status ? { status } : {})
+    .populate('organizer', 'fullName email')
+    .sort({ checkInDate: 1 });
+
+/**
+ * GET GROUP
+ * With its member reservations and pickup against the block
+ */
+const getGroup = async (id) => {
+  const group = await Group.findById(id)
+    .populate('organizer', 'fullName email phone')
+    .populate('allotments.roomType', 'name basePrice')
+    .populate('allotments.ratePlan', 'code name')
+    .populate({
+      path: 'reservations',
+      select: 'reservationNumber guest room roomType status checkInDate checkOutDate totalAmount balanceAmount',
+      populate: [
+        { path: 'guest', select: 'fullName' },
+        { path: 'room', select: 'roomNumber' }
+      ]
+    });
+
+  if (!group) {
+    throw new AppError('Group not found.', 404, 'GROUP_NOT_FOUND');
+  }
+
+  return { group, pickup: await pickupSummary(group), holding: group.isHolding() };
+};
+
+/**
+ * CREATE GROUP
+ * The block takes its allotments out of general inventory at once, so every
+ * room type must have enough rooms left on every night of the stay
+ */
+const createGroup = async (data, user, context = {}) => {
+  if (!(await Guest.exists({ _id: data.organizer }))) {
+    throw new AppError('Organizer not found.', 404, 'GUEST_NOT_FOUND');
+  }
+
+  const checkIn = new Date(data.checkInDate);
+  const checkOut = new Date(data.checkOutDate);
+
+  const group = await mongoose.connection.transaction(async (session) => {
+    const allotments = [];
+
+    for (const allotment of data.allotments) {
+      const roomType = await lockRoomTypeForBooking(await resolveRoomTypeId(allotment.roomType), session);
+      await assertRoomTypeInventory(roomType._id, checkIn, checkOut, { rooms: allotment.rooms, session });
+      allotments.push({ ...allotment, roomType: roomType._id });
+    }
+
+    const [created] = await Group.create(
+      [{ ...data, allotments, createdBy: user._id }],
+      { session }
+    );
+
+    await AuditLog.logAction(
+      {
+        user: user._id,
+        action: 'CREATE',
+        targetEntity: 'Group',
+        targetId: created._id,
+        ipAddress: context.ip,
+        userAgent: context.userAgent,
+        metadata: {
+          groupNumber: created.groupNumber,
+          rooms: allotments.reduce((sum, a) => sum + a.rooms, 0),
+          releaseDate: created.releaseDate
+        },
+        status: 'SUCCESS'
+      },
+      { session }
+    );
+
+    return created;
+  });
+
+  return group;
+};
+
+/**
+ * Re-routes every live member folio after the group's routing changed
+ */
+const rerouteMembers = async (group, user) => {
+  const members = await Reservation.find({
+    group: group._id,
+    status: { $nin: ['CANCELLED', 'NO_SHOW'] }
+  }).select('_id reservationNumber');
+
+  for (const member of members) {
+    try {
+      await mongoose.connection.transaction(async (session) => {
+        const reservation = await Reservation.findById(member._id).session(session);
+        await applyFolioTotals(reservation, { user, session });
+      });
+    } catch (err) {
+      logger.error(`[GROUP] Re-routing ${member.reservationNumber} failed: ${err.message}`);
+    }
+  }
+};
+
+/**
+ * UPDATE GROUP
+ * The release date only moves while the block still holds rooms; changed
+ * routing is applied to the members' folios straight away
+ */
+const updateGroup = async (id, data, user, context = {}) => {
+  const group = await findGroup(id);
+
+  if (data.releaseDate && !group.isHolding()) {
+    throw new AppError('The block has already been released.', 409, 'GROUP_RELEASED');
+  }
+
+  const before = {};
+  for (const key of Object.keys(data)) before[key] = group.get(key);
+
+  group.set(data);
+  await group.save();
+
+  if (data.routedTypes) {
+    await rerouteMembers(group, user);
+  }
+
+  await AuditLog.logAction({
+    user: user._id,
+    action: 'UPDATE',
+    targetEntity: 'Group',
+    targetId: group._id,
+    ipAddress: context.ip,
+    userAgent: context.userAgent,
+    metadata: { groupNumber: group.groupNumber },
+    changes: { before, after: data },
+    status: 'SUCCESS'
+  });
+
+  return group;
+};
+
+/**
+ * RELEASE GROUP
+ * Hands the block's unpicked rooms back to general inventory before the
+ * release date. Existing group reservations are untouched.
+ */
+const releaseGroup = async (id, user, context = {}) => {
+  const group = await Group.findOneAndUpdate(
+    { _id: id, status: 'OPEN' },
+    { $set: { status: 'RELEASED', releasedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+
+  if (!group) {
+    await findGroup(id);
+    throw new AppError('Only open groups can be released.', 409, 'GROUP_NOT_OPEN');
+  }
+
+  await AuditLog.logAction({
+    user: user._id,
+    action: 'STATUS_CHANGE',
+    targetEntity: 'Group',
+    targetId: group._id,
+    ipAddress: context.ip,
+    userAgent: context.userAgent,
+    metadata: { groupNumber: group.groupNumber },
+    changes: { before: { status: 'OPEN' }, after: { status: 'RELEASED' } },
+    status: 'SUCCESS'
+  });
+
+  return group;
+};
+
+/**
+ * CONVERT ROOMING LIST
+ * Books one reservation per rooming list line against the block. Lines are
+ * booked independently, so one failure does not undo the others.
+ */
+const convertRoomingList = async (id, entries, user, context = {}) => {
+  const group = await findGroup(id);
+
+  if (group.status === 'CANCELLED') {
+    throw new AppError(`Group ${group.groupNumber} is cancelled.`, 409, 'GROUP_CANCELLED');
+  }
+
+  const created = [];
+  const failed = [];
+
+  for (const [index, entry] of entries.entries()) {
+    try {
+      const reservation = await createReservation(
+        {
+          ...entry,
+          checkInDate: entry.checkInDate || group.checkInDate,
+          checkOutDate: entry.checkOutDate || group.checkOutDate,
+          group: group._id
+        },
+        user,
+        context
+      );
+
+      created.push({ index, guest: entry.guest, reservation });
+    } catch (err) {
+      failed.push({ index, guest: entry.guest, code: err.errorCode, message: err.message });
+    }
+  }
+
+  return { group, created, failed };
+};
+
+/**
+ * GET GROUP FOLIO
+ * The master folio routed charges land on
+ */
+const getGroupFolio = (id) => getMasterStatement(id);
+
+module.exports = {
+  listGroups,
+  getGroup,
+  createGroup,
+  updateGroup,
+  releaseGroup,
+  convertRoomingList,
+  getGroupFolio
+};
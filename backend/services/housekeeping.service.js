@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const Maintenance = require('../models/Maintenace');
+const Room = require('../models/Room');
+const { AppError } = require('../middlewares/errorHandler');
+const { OPEN_MAINTENANCE_STATUSES, HOUSEKEEPING_TASK_TYPES } = require('./availability.service');
+const { transition } = require('./stateMachine.service');
+
+/**
+ * LIST TASKS
+ * Housekeeping tickets, open ones by default, most urgent first
+ */
+const listTasks = ({ status, room } = {}) => {
+  const filter = {
+    taskType: { $in: HOUSEKEEPING_TASK_TYPES },
+    status: status || { $in: OPEN_MAINTENANCE_STATUSES }
+  };
+  if (room) filter.room = room;
+
+  return Maintenance.find(filter)
+    .populate('room', 'roomNumber floor status')
+    .populate('assignedTo', 'fullName')
+    .sort({ priority: -1, scheduledDate: 1, createdAt: 1 });
+};
+
+/**
+ * COMPLETE TASK
+ * Closes a housekeeping ticket. A room waiting in CLEANING goes back to
+ * AVAILABLE once its last open housekeeping ticket is done.
+ */
+const completeTask = async (id, { completionNotes }, user, context = {}) => {
+  return mongoose.connection.transaction(async (session) => {
+    const ticket = await Maintenance.findOne({ _id: id, taskType: { $in: HOUSEKEEPING_TASK_TYPES } }).session(session);
+
+    if (!ticket) {
+      throw new AppError('Housekeeping task not found.', 404, 'HOUSEKEEPING_TASK_NOT_FOUND');
+    }
+
+    if (!OPEN_MAINTENANCE_STATUSES.includes(ticket.status)) {
+      throw new AppError(
+        `Task ${ticket.ticketNumber} is already ${ticket.status.toLowerCase()}.`,
+        409,
+        'HOUSEKEEPING_TASK_CLOSED'
+      );
+    }
+
+    transition(ticket, 'COMPLETED', { user, context });
+    if (completionNotes) ticket.completionNotes = completionNotes;
+    await ticket.save({ session });
+
+    const room = await Room.findById(ticket.room).session(session);
+    const stillOpen = await Maintenance.exists({
+      room: ticket.room,
+      taskType: { $in: HOUSEKEEPING_TASK_TYPES },
+      status: { $in: OPEN_MAINTENANCE_STATUSES }
+    }).session(session);
+
+    if (room?.status === 'CLEANING' && !stillOpen) {
+      transition(room, 'AVAILABLE', { user, context, metadata: { ticketNumber: ticket.ticketNumber } });
+      await room.save({ session });
+    }
+
+    return { ticket, room };
+  });
+};
+
+module.exports = {
+  listTasks,
+  completeTask
+};
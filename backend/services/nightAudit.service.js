@@ -0,0 +1,322 @@
+const mongoose = require('mongoose');
+const BusinessDay = require('../models/BusinessDay');
+const NightAuditReport = require('../models/NightAuditReport');
+const FolioEntry = require('../models/FolioEntry');
+const Occupancy = require('../models/Occupancy');
+const Reservation = require('../models/Reservation');
+const Room = require('../models/Room');
+const AuditLog = require('../models/AuditLog');
+const { AppError } = require('../middlewares/errorHandler');
+const { logger } = require('../middlewares/logger');
+const { roundCurrency } = require('../utils/money');
+const { property } = require('../config/property');
+const { syncRoomNights, applyFolioTotals } = require('./folio.service');
+const { quoteReservation, rateResolver } = require('./pricing.service');
+const { processNoShows } = require('./noShow.service');
+const {
+  dayKey,
+  toBusinessDate,
+  nextBusinessDate,
+  getCurrentBusinessDay
+} = require('./businessDay.service');
+
+const IN_HOUSE_STATUSES = ['CHECKED_IN', 'EXTENDED'];
+
+/**
+ * Stay lines are only sold once the guest has arrived: nights left on a
+ * booking still pending, or one that left the pipeline without them being
+ * voided, are not revenue
+ */
+const STAY_ENTRY_TYPES = ['ROOM_NIGHT', 'TAX', 'DISCOUNT'];
+const STAYED_RESERVATION_STATUSES = ['CHECKED_IN', 'CHECKED_OUT', 'COMPLETED'];
+
+const countsForDay = (entry) =>
+  !STAY_ENTRY_TYPES.includes(entry.type) ||
+  !entry.reservation ||
+  STAYED_RESERVATION_STATUSES.includes(entry.reservation.status);
+
+/**
+ * POST IN-HOUSE CHARGES
+ * Makes sure every in-house stay carries its room night for `date` and that
+ * its taxes are current. Stays are handled one transaction each so one bad
+ * folio does not stop the audit.
+ */
+const postInHouseCharges = async (date, user) => {
+  const stays = await Occupancy.find({ status: { $in: IN_HOUSE_STATUSES } })
+    .select('reservation')
+    .populate('reservation', 'reservationNumber');
+
+  const result = { inHouse: stays.length, roomNightsPosted: 0, foliosUpdated: 0, exceptions: [] };
+
+  for (const stay of stays) {
+    const reservationNumber = stay.reservation?.reservationNumber;
+
+    try {
+      await mongoose.connection.transaction(async (session) => {
+        const reservation = await Reservation.findById(stay.reservation._id).session(session);
+
+        if (date >= reservation.checkOutDate) {
+          result.exceptions.push({ reservationNumber, message: 'Guest is in-house past the planned departure date' });
+          return;
+        }
+
+        const posted = await FolioEntry.exists({
+          reservation: reservation._id,
+          referenceKey: `NIGHT:${dayKey(date)}`,
+          voided: false
+        }).session(session);
+
+        if (!posted) {
+          const room = await Room.findById(reservation.room).session(session);
+          const quote = await quoteReservation(reservation, room, { session });
+          await syncRoomNights(reservation, {
+            nightlyRate: rateResolver(quote),
+            label: quote.ratePlan?.code,
+            user,
+            session
+          });
+          result.roomNightsPosted += 1;
+        }
+
+        await applyFolioTotals(reservation, { user, session });
+        result.foliosUpdated += 1;
+      });
+    } catch (err) {
+      logger.error(`[NIGHT AUDIT] Posting for ${reservationNumber} failed: ${err.message}`);
+      result.exceptions.push({ reservationNumber, message: err.message });
+    }
+  }
+
+  return result;
+};
+
+/**
+ * BUILD SNAPSHOT
+ * Revenue, occupancy and payment figures for one business date, from the
+ * live folio lines dated on it (stay lines only for guests who arrived)
+ */
+const buildSnapshot = async (date) => {
+  const range = { $gte: date, $lt: nextBusinessDate(date) };
+
+  const [lines, totalRooms, arrivals, departures, cancellations] = await Promise.all([
+    FolioEntry.find({ serviceDate: range, voided: false })
+      .select('type amount payment reservation')
+      .populate('payment', 'paymentMethod')
+      .populate('reservation', 'status')
+      .lean(),
+    Room.countDocuments({ isActive: true, status: { $ne: 'OUT_OF_SERVICE' } }),
+    Occupancy.countDocuments({ actualCheckInTime: range }),
+    Occupancy.countDocuments({ actualCheckOutTime: range }),
+    Reservation.countDocuments({ status: 'CANCELLED', cancelledAt: range })
+  ]);
+  const entries = lines.filter(countsForDay);
+
+  const sum = (types) => roundCurrency(
+    entries.filter((e) => types.includes(e.type)).reduce((total, e) => total + e.amount, 0)
+  );
+
+  const revenue = {
+    rooms: sum(['ROOM_NIGHT']),
+    taxes: sum(['TAX']),
+    extras: sum(['EXTRA']),
+    fees: sum(['FEE', 'DAMAGE']),
+    discounts: -sum(['DISCOUNT']),
+    adjustments: sum(['ADJUSTMENT'])
+  };
+  revenue.total = roundCurrency(
+    revenue.rooms + revenue.taxes + revenue.extras + revenue.fees + revenue.adjustments - revenue.discounts
+  );
+
+  const roomsSold = entries.filter((e) => e.type === 'ROOM_NIGHT').length;
+
+  const byMethod = {};
+  // A booking payment is split over several folios but counts once
+  const paymentIds = new Set();
+  for (const entry of entries) {
+    if (!['PAYMENT', 'REFUND'].includes(entry.type)) continue;
+    const method = entry.payment?.paymentMethod || 'UNKNOWN';
+    // Payments are credits (negative) on the folio, refunds charges
+    byMethod[method] = roundCurrency((byMethod[method] || 0) - entry.amount);
+    if (entry.type === 'PAYMENT') paymentIds.add(String(entry.payment?._id || entry._id));
+  }
+  const count = paymentIds.size;
+
+  const received = -sum(['PAYMENT']);
+  const refunded = sum(['REFUND']);
+
+  return {
+    revenue,
+    occupancy: {
+      totalRooms,
+      roomsSold,
+      occupancyRate: totalRooms ? roundCurrency((roomsSold / totalRooms) * 100) : 0,
+      averageDailyRate: roomsSold ? roundCurrency(revenue.rooms / roomsSold) : 0,
+      revPar: totalRooms ? roundCurrency(revenue.rooms / totalRooms) : 0,
+      arrivals,
+      departures,
+      cancellations
+    },
+    payments: {
+      count,
+      received,
+      refunded,
+      net: roundCurrency(received - refunded),
+      byMethod
+    }
+  };
+};
+
+/**
+ * CLOSE BUSINESS DAY
+ * The night audit: processes the day's no-shows, posts room and tax for every
+ * in-house stay, snapshots the day into a report, then closes the date and
+ * opens the next one. From then on nothing can be posted to or voided on the
+ * closed date.
+ */
+const closeBusinessDay = async (user, context = {}) => {
+  const day = await getCurrentBusinessDay();
+
+  if (day.date > toBusinessDate(new Date())) {
+    throw new AppError(
+      `Business day ${dayKey(day.date)} has not started yet.`,
+      409,
+      'BUSINESS_DAY_NOT_ENDED'
+    );
+  }
+
+  // Claim the day so two audits cannot run at once
+  const claimed = await BusinessDay.findOneAndUpdate(
+    { _id: day._id, status: 'OPEN' },
+    { $set: { status: 'CLOSING', closingStartedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+
+  if (!claimed) {
+    throw new AppError('A night audit is already running for this business day.', 409, 'NIGHT_AUDIT_IN_PROGRESS');
+  }
+
+  const nextDate = nextBusinessDate(day.date);
+
+  try {
+    const noShows = await processNoShows({ arrivalsBefore: nextDate });
+    const postings = await postInHouseCharges(day.date, user);
+    const snapshot = await buildSnapshot(day.date);
+
+    const exceptions = [
+      ...postings.exceptions,
+      ...noShows.failed.map((f) => ({ reservationNumber: f.reservationNumber, message: `No-show: ${f.message}` })),
+      ...noShows.skipped.map((s) => ({ reservationNumber: s.reservationNumber, message: `No-show: ${s.reason}` })),
+      ...noShows.holdsPending.map((h) => ({
+        reservationNumber: h.reservationNumber,
+        message: `No-show deposit holds not settled: ${h.message}`
+      }))
+    ];
+
+    const report = await mongoose.connection.transaction(async (session) => {
+      const [created] = await NightAuditReport.create(
+        [
+          {
+            businessDate: day.date,
+            currency: property.baseCurrency,
+            revenue: snapshot.revenue,
+            occupancy: {
+              ...snapshot.occupancy,
+              inHouse: postings.inHouse,
+              noShows: noShows.noShows.length
+            },
+            payments: snapshot.payments,
+            postings: {
+              roomNightsPosted: postings.roomNightsPosted,
+              foliosUpdated: postings.foliosUpdated
+            },
+            exceptions,
+            generatedBy: user._id
+          }
+        ],
+        { session }
+      );
+
+      await BusinessDay.updateOne(
+        { _id: day._id },
+        {
+          $set: { status: 'CLOSED', closedAt: new Date(), closedBy: user._id, report: created._id },
+          $unset: { current: 1 }
+        },
+        { session }
+      );
+
+      await BusinessDay.create([{ date: nextDate, status: 'OPEN', current: true }], { session });
+
+      await AuditLog.logAction(
+        {
+          user: user._id,
+          action: 'UPDATE',
+          targetEntity: 'System',
+          targetId: day._id,
+          ipAddress: context.ip,
+          userAgent: context.userAgent,
+          metadata: {
+            type: 'NIGHT_AUDIT',
+            businessDate: dayKey(day.date),
+            revenue: snapshot.revenue.total,
+            roomsSold: snapshot.occupancy.roomsSold,
+            noShows: noShows.noShows.length,
+            exceptions: exceptions.length
+          },
+          changes: { before: { status: 'OPEN' }, after: { status: 'CLOSED' } },
+          status: 'SUCCESS'
+        },
+        { session }
+      );
+
+      return created;
+    });
+
+    logger.info(`[NIGHT AUDIT] Closed ${dayKey(day.date)}; business date is now ${dayKey(nextDate)}`);
+    return report;
+  } catch (err) {
+    // Reopen so the audit can be retried
+    await BusinessDay.updateOne(
+      { _id: day._id, status: 'CLOSING' },
+      { $set: { status: 'OPEN' }, $unset: { closingStartedAt: 1 } }
+    );
+    throw err;
+  }
+};
+
+/**
+ * GET REPORT
+ * By business date (YYYY-MM-DD)
+ */
+const getReport = async (date) => {
+  const businessDate = new Date(date);
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(businessDate.getTime())) {
+    throw new AppError('Business date must be formatted YYYY-MM-DD.', 400, 'INVALID_DATE');
+  }
+
+  const report = await NightAuditReport.findOne({ businessDate }).populate('generatedBy', 'fullName');
+
+  if (!report) {
+    throw new AppError(`No night audit report for ${date}.`, 404, 'NIGHT_AUDIT_REPORT_NOT_FOUND');
+  }
+
+  return report;
+};
+
+/**
+ * LIST REPORTS
+ * Most recent first
+ */
+const listReports = ({ limit = 30 } = {}) =>
+  NightAuditReport.find()
+    .select('businessDate revenue.total occupancy.occupancyRate occupancy.roomsSold payments.net exceptions')
+    .sort({ businessDate: -1 })
+    .limit(limit);
+
+module.exports = {
+  closeBusinessDay,
+  buildSnapshot,
+  getReport,
+  listReports
+};
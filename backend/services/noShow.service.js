@@ -0,0 +1,214 @@
+const mongoose = require('mongoose');
+const Reservation = require('../models/Reservation');
+const Occupancy = require('../models/Occupancy');
+const Room = require('../models/Room');
+const Payment = require('../models/Payment');
+const { logger } = require('../middlewares/logger');
+const { policies } = require('../config/policies');
+const { roundCurrency } = require('../utils/money');
+const { postEntry, voidEntriesOfType, applyFolioTotals } = require('./folio.service');
+const { captureDepositHolds, releaseDepositHolds } = require('./deposit.service');
+const { resolvePolicy, loadRoomCharges, penaltyAmount } = require('./cancellation.service');
+const { transition, transitionWhere } = require('./stateMachine.service');
+const { toBusinessDate } = require('./businessDay.service');
+
+/**
+ * No-show fee rule: the booking's cancellation policy, else the full stay on
+ * a non-refundable plan, else the property default
+ */
+const noShowRule = async (reservation, { session }) => {
+  const { policy, ratePlan } = await resolvePolicy(reservation, { session });
+
+  if (policy) return { rule: policy.noShowPenalty, policy };
+  if (ratePlan && !ratePlan.refundable) return { rule: { penaltyType: 'PERCENT', value: 100 }, policy: null };
+  return { rule: { penaltyType: 'NIGHTS', value: policies.noShowPenaltyNights }, policy: null };
+};
+
+/**
+ * MARK NO-SHOW
+ * One reservation: room nights are replaced by the fee and the booking stops
+ * holding the room. Returns null when someone else changed it first.
+ */
+const markNoShow = async (reservationId, now) => {
+  return mongoose.connection.transaction(async (session) => {
+    const reservation = await Reservation.findOne({ _id: reservationId, status: 'CONFIRMED' }).session(session);
+    if (!reservation) return null;
+
+    // The reservation's creator stays the poster of record for system postings
+    const poster = { _id: reservation.createdBy };
+
+    const { rule, policy } = await noShowRule(reservation, { session });
+    const fee = penaltyAmount(rule, await loadRoomCharges(reservation, { session }));
+
+    await voidEntriesOfType(reservation, ['ROOM_NIGHT', 'DISCOUNT'], 'Guest did not arrive', poster, { session });
+
+    if (fee > 0) {
+      await postEntry(
+        reservation,
+        {
+          type: 'FEE',
+          description: `No-show fee${policy ? ` (${policy.code})` : ''}`,
+          amount: fee,
+          serviceDate: reservation.checkInDate,
+          referenceKey: 'FEE:NO_SHOW'
+        },
+        poster,
+        { session }
+      );
+    }
+
+    // Release a room the desk had flagged for this arrival (unassigned bookings hold none)
+    const released = reservation.room
+      ? await transitionWhere(Room, { _id: reservation.room }, {
+        from: 'RESERVED',
+        to: 'AVAILABLE',
+        user: poster,
+        system: true,
+        metadata: { source: 'NO_SHOW_JOB', reservationNumber: reservation.reservationNumber },
+        session
+      })
+      : null;
+
+    transition(reservation, 'NO_SHOW', {
+      user: poster,
+      system: true,
+      metadata: {
+        source: 'NO_SHOW_JOB',
+        policy: policy?.code,
+        fee,
+        roomReleased: Boolean(released),
+        processedAt: now
+      }
+    });
+    const summary = await applyFolioTotals(reservation, { user: poster, session });
+
+    return { reservation, fee, balance: summary.balance };
+  });
+};
+
+/**
+ * Card holds pay the fee; whatever is left on them is released. Provider
+ * calls stay outside the no-show transaction, so a failure here leaves the
+ * holds AUTHORIZED on a NO_SHOW booking for the next run to settle.
+ */
+const settleNoShowHolds = async (reservation) => {
+  const poster = { _id: reservation.createdBy };
+  await captureDepositHolds(reservation._id, poster);
+  await releaseDepositHolds(reservation._id);
+
+  const settled = await Reservation.findById(reservation._id).select('totalAmount paidAmount');
+  return { paid: settled.paidAmount, balance: roundCurrency(settled.totalAmount - settled.paidAmount) };
+};
+
+/**
+ * NO_SHOW bookings still carrying deposit holds from a run whose settlement failed
+ */
+const findUnsettledNoShows = async () => {
+  const held = await Payment.distinct('reservation', { paymentType: 'DEPOSIT', paymentStatus: 'AUTHORIZED' });
+  if (held.length === 0) return [];
+
+  return Reservation.find({ _id: { $in: held }, status: 'NO_SHOW' })
+    .select('reservationNumber guest room checkInDate createdBy')
+    .populate('guest', 'fullName')
+    .populate('room', 'roomNumber');
+};
+
+const summaryLineOf = (reservation) => ({
+  reservationNumber: reservation.reservationNumber,
+  guest: reservation.guest?.fullName,
+  room: reservation.room?.roomNumber,
+  checkInDate: reservation.checkInDate
+});
+
+/**
+ * PROCESS NO-SHOWS
+ * CONFIRMED bookings due to arrive before `arrivalsBefore` (default: the
+ * business day `now` falls on) that never produced an Occupancy become
+ * NO_SHOW and have their holds settled. Earlier no-shows whose holds could
+ * not be settled are retried first. Safe to re-run.
+ */
+const processNoShows = async ({ now = new Date(), arrivalsBefore = toBusinessDate(now) } = {}) => {
+  const report = {
+    arrivalsBefore: arrivalsBefore.toISOString().slice(0, 10),
+    startedAt: now,
+    checked: 0,
+    noShows: [],
+    holdsSettled: [],
+    holdsPending: [],
+    skipped: [],
+    failed: [],
+    totalFees: 0
+  };
+
+  for (const unsettled of await findUnsettledNoShows()) {
+    const summaryLine = summaryLineOf(unsettled);
+
+    try {
+      report.holdsSettled.push({ ...summaryLine, ...(await settleNoShowHolds(unsettled)) });
+    } catch (err) {
+      logger.error(`[NO-SHOW] ${unsettled.reservationNumber} holds still unsettled: ${err.message}`);
+      report.holdsPending.push({ ...summaryLine, message: err.message });
+    }
+  }
+
+  const candidates = await Reservation.find({
+    status: 'CONFIRMED',
+    checkInDate: { $lt: arrivalsBefore }
+  })
+    .select('reservationNumber guest room checkInDate createdBy')
+    .populate('guest', 'fullName')
+    .populate('room', 'roomNumber');
+
+  report.checked = candidates.length;
+
+  for (const candidate of candidates) {
+    const summaryLine = summaryLineOf(candidate);
+
+    if (await Occupancy.exists({ reservation: candidate._id })) {
+      report.skipped.push({ ...summaryLine, reason: 'Occupancy exists; status needs manual review' });
+      continue;
+    }
+
+    let result;
+    try {
+      result = await markNoShow(candidate._id, now);
+    } catch (err) {
+      logger.error(`[NO-SHOW] ${candidate.reservationNumber} failed: ${err.message}`);
+      report.failed.push({ ...summaryLine, message: err.message });
+      continue;
+    }
+
+    if (!result) {
+      report.skipped.push({ ...summaryLine, reason: 'Reservation changed while processing' });
+      continue;
+    }
+
+    report.totalFees = roundCurrency(report.totalFees + result.fee);
+
+    try {
+      report.noShows.push({ ...summaryLine, fee: result.fee, ...(await settleNoShowHolds(candidate)) });
+    } catch (err) {
+      // The no-show stands; its holds stay AUTHORIZED and the next run settles them
+      logger.error(`[NO-SHOW] ${candidate.reservationNumber} holds not settled: ${err.message}`);
+      report.noShows.push({ ...summaryLine, fee: result.fee, holdsPending: true });
+      report.holdsPending.push({ ...summaryLine, message: err.message });
+    }
+  }
+
+  report.finishedAt = new Date();
+
+  if (report.noShows.length > 0 || report.failed.length > 0 || report.holdsPending.length > 0) {
+    logger.info(
+      `[NO-SHOW] Arrivals before ${report.arrivalsBefore}: ${report.noShows.length} no-show(s), ` +
+        `${report.failed.length} failure(s), ${report.holdsPending.length} unsettled hold(s), ` +
+        `fees ${report.totalFees.toFixed(2)}`
+    );
+  }
+
+  return report;
+};
+
+module.exports = {
+  processNoShows,
+  markNoShow
+};
@@ -0,0 +1,53 @@
+const Notification = require('../models/Notification');
+const { AppError } = require('../middlewares/errorHandler');
+const { logger } = require('../middlewares/logger');
+const { effectivePermissions } = require('../middlewares/rbac');
+
+/**
+ * NOTIFY STAFF
+ * Leaves a message for every staff member holding `permission`
+ */
+const notifyStaff = async ({ type, title, message, permission, targetEntity, targetId }, { session } = {}) => {
+  const [notification] = await Notification.create(
+    [{ type, title, message, permission, targetEntity, targetId }],
+    { session: session || null }
+  );
+
+  logger.info(`[NOTIFY] ${permission}: ${title}`);
+
+  return notification;
+};
+
+/**
+ * LIST NOTIFICATIONS
+ * The ones the user's permissions entitle them to, newest first
+ */
+const listNotifications = (user, { unread = false, limit = 50 } = {}) => {
+  const filter = { permission: { $in: [...effectivePermissions(user)] } };
+  if (unread) filter.readBy = { $ne: user._id };
+
+  return Notification.find(filter).sort({ createdAt: -1 }).limit(limit);
+};
+
+/**
+ * MARK READ
+ */
+const markRead = async (id, user) => {
+  const notification = await Notification.findOneAndUpdate(
+    { _id: id, permission: { $in: [...effectivePermissions(user)] } },
+    { $addToSet: { readBy: user._id } },
+    { returnDocument: 'after' }
+  );
+
+  if (!notification) {
+    throw new AppError('Notification not found.', 404, 'NOTIFICATION_NOT_FOUND');
+  }
+
+  return notification;
+};
+
+module.exports = {
+  notifyStaff,
+  listNotifications,
+  markRead
+};
@@ -0,0 +1,651 @@
+const mongoose = require('mongoose');
+const Reservation = require('../models/Reservation');
+const Occupancy = require('../models/Occupancy');
+const Room = require('../models/Room');
+const Guest = require('../models/Guest');
+const Maintenance = require('../models/Maintenace');
+const AuditLog = require('../models/AuditLog');
+const { AppError } = require('../middlewares/errorHandler');
+const { policies, atPolicyTime } = require('../config/policies');
+const { roundCurrency } = require('../utils/money');
+const { ROLE_HIERARCHY } = require('../middlewares/rbac');
+const {
+  lockRoomForBooking,
+  lockRoomTypeForBooking,
+  assertNoOverlap,
+  assertRoomTypeInventory
+} = require('./availability.service');
+const { countNights } = require('./reservation.service');
+const { postEntry, setSystemEntry, syncRoomNights, applyFolioTotals, syncBooking } = require('./folio.service');
+const { captureDepositHolds } = require('./deposit.service');
+const { quoteReservation, rateResolver } = require('./pricing.service');
+const { transition } = require('./stateMachine.service');
+const { dayKey, currentBusinessDate } = require('./businessDay.service');
+
+/**
+ * Room statuses a guest can be checked into
+ */
+const CHECK_IN_READY_ROOM_STATUSES = ['AVAILABLE', 'RESERVED'];
+
+/**
+ * Occupancy statuses that still have a guest in the room
+ */
+const IN_HOUSE_STATUSES = ['CHECKED_IN', 'EXTENDED'];
+
+/**
+ * EARLY CHECK-IN FEE
+ * Arrivals on the check-in date but before the standard time pay a fraction
+ * of one night. Arrivals on an earlier day must modify the reservation instead.
+ */
+const computeEarlyCheckIn = (reservation, room, now) => {
+  const checkInDay = new Date(reservation.checkInDate);
+  // Stay dates are UTC days, so the arrival is compared as one too
+  const arrivalDay = dayKey(now) === dayKey(checkInDay);
+
+  if (dayKey(now) < dayKey(checkInDay)) {
+    throw new AppError(
+      'Check-in is only possible from the reservation check-in date. Modify the reservation to arrive earlier.',
+      409,
+      'CHECK_IN_TOO_EARLY'
+    );
+  }
+
+  if (now >= reservation.checkOutDate) {
+    throw new AppError('The reservation check-out date has already passed.', 409, 'CHECK_IN_TOO_LATE');
+  }
+
+  const standardTime = atPolicyTime(checkInDay, policies.checkInTime);
+  const earlyCheckIn = arrivalDay && now < standardTime;
+
+  return {
+    earlyCheckIn,
+    earlyCheckInCharge: earlyCheckIn
+      ? roundCurrency(room.pricePerNight * policies.earlyCheckInFeeRate)
+      : 0
+  };
+};
+
+/**
+ * CHECK IN
+ * One transaction: validate reservation and guest, open the Occupancy, mark the
+ * room OCCUPIED, move the reservation to CHECKED_IN and write the audit entry.
+ */
+const checkIn = async (data, user, context = {}) => {
+  const now = new Date();
+
+  return mongoose.connection.transaction(async (session) => {
+    const reservation = await Reservation.findById(data.reservation)
+      .populate({ path: 'guest', select: 'fullName blacklisted blacklistReason' })
+      .session(session);
+
+    if (!reservation) {
+      throw new AppError('Reservation not found.', 404, 'RESERVATION_NOT_FOUND');
+    }
+
+    if (reservation.status !== 'CONFIRMED') {
+      throw new AppError(
+        `Only confirmed reservations can be checked in (current status: ${reservation.status}).`,
+        409,
+        'RESERVATION_NOT_CONFIRMED'
+      );
+    }
+
+    if (!reservation.guest) {
+      throw new AppError('Guest not found.', 404, 'GUEST_NOT_FOUND');
+    }
+
+    if (reservation.guest.blacklisted) {
+      throw new AppError(
+        `Guest ${reservation.guest.fullName} is blacklisted and cannot be checked in.`,
+        403,
+        'GUEST_BLACKLISTED'
+      );
+    }
+
+    if (!reservation.room) {
+      throw new AppError(
+        'Assign a room to the reservation before checking the guest in.',
+        409,
+        'ROOM_NOT_ASSIGNED'
+      );
+    }
+
+    const room = await Room.findById(reservation.room).session(session);
+
+    if (!room || !room.isActive) {
+      throw new AppError('Room not found or inactive.', 404, 'ROOM_NOT_FOUND');
+    }
+
+    if (!CHECK_IN_READY_ROOM_STATUSES.includes(room.status)) {
+      throw new AppError(
+        `Room ${room.roomNumber} is not ready for check-in (status: ${room.status}).`,
+        409,
+        'ROOM_NOT_READY'
+      );
+    }
+
+    const { earlyCheckIn, earlyCheckInCharge } = computeEarlyCheckIn(reservation, room, now);
+
+    const [occupancy] = await Occupancy.create(
+      [
+        {
+          reservation: reservation._id,
+          room: room._id,
+          guest: reservation.guest._id,
+          actualCheckInTime: now,
+          plannedCheckInDate: reservation.checkInDate,
+          plannedCheckOutDate: reservation.checkOutDate,
+          checkedInBy: user._id,
+          numberOfGuests: data.numberOfGuests || reservation.numberOfGuests,
+          accompaniedGuests: data.accompaniedGuests,
+          keyCardNumbers: data.keyCardNumbers,
+          earlyCheckIn,
+          earlyCheckInCharge,
+          notes: data.notes
+        }
+      ],
+      { session }
+    );
+
+    const previousRoomStatus = room.status;
+    transition(room, 'OCCUPIED', { user, context, metadata: { reservationNumber: reservation.reservationNumber } });
+    await room.save({ session });
+
+    if (earlyCheckInCharge > 0) {
+      await postEntry(
+        reservation,
+        {
+          type: 'FEE',
+          description: 'Early check-in fee',
+          unitPrice: earlyCheckInCharge,
+          amount: earlyCheckInCharge,
+          serviceDate: now,
+          referenceKey: 'FEE:EARLY_CHECK_IN'
+        },
+        user,
+        { session }
+      );
+    }
+
+    transition(reservation, 'CHECKED_IN', { user, context });
+    await applyFolioTotals(reservation, { user, session });
+
+    await AuditLog.logAction(
+      {
+        user: user._id,
+        action: 'CHECK_IN',
+        targetEntity: 'Occupancy',
+        targetId: occupancy._id,
+        ipAddress: context.ip,
+        userAgent: context.userAgent,
+        metadata: {
+          reservationNumber: reservation.reservationNumber,
+          roomNumber: room.roomNumber,
+          earlyCheckIn,
+          earlyCheckInCharge
+        },
+        changes: {
+          before: { reservationStatus: 'CONFIRMED', roomStatus: previousRoomStatus },
+          after: { reservationStatus: 'CHECKED_IN', roomStatus: 'OCCUPIED' }
+        },
+        status: 'SUCCESS'
+      },
+      { session }
+    );
+
+    return occupancy;
+  });
+};
+
+/**
+ * TURNOVER TICKET
+ * HOUSEKEEPING task raised whenever a guest vacates a room
+ */
+const createTurnoverTicket = async (room, user, session, { description, priority = 'MEDIUM' }) => {
+  const [ticket] = await Maintenance.create(
+    [
+      {
+        room: room._id,
+        taskType: 'HOUSEKEEPING',
+        priority,
+        reportedBy: user._id,
+        description,
+        scheduledDate: new Date()
+      }
+    ],
+    { session }
+  );
+
+  return ticket;
+};
+
+/**
+ * LATE CHECK-OUT FEE
+ * Departures after the standard time on (or after) the planned date pay a
+ * fraction of one night
+ */
+const computeLateCheckOut = (occupancy, room, now) => {
+  const standardTime = atPolicyTime(occupancy.plannedCheckOutDate, policies.checkOutTime);
+  const lateCheckOut = now > standardTime;
+
+  return {
+    lateCheckOut,
+    lateCheckOutCharge: lateCheckOut
+      ? roundCurrency(room.pricePerNight * policies.lateCheckOutFeeRate)
+      : 0
+  };
+};
+
+/**
+ * Load an in-house occupancy with its reservation inside a transaction
+ */
+const loadInHouseStay = async (occupancyId, session) => {
+  const occupancy = await Occupancy.findById(occupancyId).session(session);
+
+  if (!occupancy) {
+    throw new AppError('Occupancy not found.', 404, 'OCCUPANCY_NOT_FOUND');
+  }
+
+  if (!IN_HOUSE_STATUSES.includes(occupancy.status)) {
+    throw new AppError('This guest has already checked out.', 409, 'ALREADY_CHECKED_OUT');
+  }
+
+  const reservation = await Reservation.findById(occupancy.reservation).session(session);
+
+  if (!reservation) {
+    throw new AppError('Reservation for this stay no longer exists.', 404, 'RESERVATION_NOT_FOUND');
+  }
+
+  return { occupancy, reservation };
+};
+
+/**
+ * Load an in-house stay with its room inside a transaction
+ */
+const loadDeparture = async (occupancyId, session) => {
+  const { occupancy, reservation } = await loadInHouseStay(occupancyId, session);
+  const room = await Room.findById(occupancy.room).session(session);
+
+  if (!room) {
+    throw new AppError('Room for this stay no longer exists.', 404, 'ROOM_NOT_FOUND');
+  }
+
+  return { occupancy, reservation, room };
+};
+
+/**
+ * DEPARTURE CHARGES
+ * Damages and the late check-out fee at the amounts of this check-out attempt.
+ * Each is kept as one system line, so a retried check-out replaces rather
+ * than repeats them.
+ */
+const postDepartureCharges = async (occupancyId, data, now, user) => {
+  return mongoose.connection.transaction(async (session) => {
+    const { occupancy, reservation, room } = await loadDeparture(occupancyId, session);
+    const { lateCheckOutCharge } = computeLateCheckOut(occupancy, room, now);
+
+    await setSystemEntry(
+      reservation,
+      {
+        type: 'DAMAGE',
+        description: `Damages: ${data.damageDetails}`.slice(0, 200),
+        unitPrice: data.damageCharge || 0,
+        amount: data.damageCharge || 0,
+        serviceDate: now,
+        referenceKey: 'DAMAGE:CHECK_OUT'
+      },
+      user,
+      { session }
+    );
+
+    await setSystemEntry(
+      reservation,
+      {
+        type: 'FEE',
+        description: 'Late check-out fee',
+        unitPrice: lateCheckOutCharge,
+        amount: lateCheckOutCharge,
+        serviceDate: now,
+        referenceKey: 'FEE:LATE_CHECK_OUT'
+      },
+      user,
+      { session }
+    );
+
+    await applyFolioTotals(reservation, { user, session });
+    return reservation;
+  });
+};
+
+/**
+ * CHECK OUT
+ * Departure charges are posted first and card deposit holds captured against
+ * that final bill (provider calls stay outside the transaction so a retry
+ * cannot capture twice). Then one transaction closes the Occupancy, credits
+ * the guest's stay history, sends the room to CLEANING and raises a
+ * HOUSEKEEPING ticket. Refused while a balance is outstanding unless a
+ * MANAGER (or above) overrides.
+ */
+const checkOut = async (occupancyId, data, user, context = {}) => {
+  const now = new Date();
+
+  const departing = await postDepartureCharges(occupancyId, data, now, user);
+  await captureDepositHolds(departing._id, user);
+
+  return mongoose.connection.transaction(async (session) => {
+    const { occupancy, reservation, room } = await loadDeparture(occupancyId, session);
+    const { lateCheckOut, lateCheckOutCharge } = computeLateCheckOut(occupancy, room, now);
+    const damageCharge = data.damageCharge || 0;
+
+    const { balance } = await applyFolioTotals(reservation, { user, session });
+
+    if (balance > 0) {
+      const canOverride = ROLE_HIERARCHY[user.role?.name] >= ROLE_HIERARCHY.MANAGER;
+
+      if (!data.overrideBalance || !canOverride) {
+        throw new AppError(
+          `Outstanding balance of ${balance.toFixed(2)} must be settled before check-out` +
+            (data.overrideBalance ? '. Only a MANAGER can override.' : '.'),
+          409,
+          'OUTSTANDING_BALANCE'
+        );
+      }
+    }
+
+    occupancy.set({
+      actualCheckOutTime: now,
+      checkedOutBy: user._id,
+      keyCardsReturned: data.keyCardsReturned,
+      damagesReported: data.damagesReported,
+      damageDetails: data.damageDetails,
+      damageCharge,
+      lateCheckOut,
+      lateCheckOutCharge,
+      rating: data.rating,
+      feedbackProvided: data.rating !== undefined,
+      notes: data.notes ?? occupancy.notes
+    });
+    transition(occupancy, 'CHECKED_OUT', { user, context });
+    await occupancy.save({ session });
+
+    transition(reservation, 'CHECKED_OUT', { user, context });
+    await reservation.save({ session });
+
+    if (reservation.booking) {
+      await syncBooking(reservation.booking, { session });
+    }
+
+    await Guest.updateOne(
+      { _id: occupancy.guest },
+      { $inc: { totalStays: 1, totalSpent: reservation.totalAmount } },
+      { session }
+    );
+
+    const previousRoomStatus = room.status;
+    transition(room, 'CLEANING', { user, context, metadata: { reservationNumber: reservation.reservationNumber } });
+    await room.save({ session });
+
+    const ticket = await createTurnoverTicket(room, user, session, {
+      priority: data.damagesReported ? 'HIGH' : 'MEDIUM',
+      description: `Post check-out turnover for room ${room.roomNumber} (reservation ${reservation.reservationNumber})` +
+        (data.damagesReported ? ` — damages reported: ${data.damageDetails}` : '')
+    });
+
+    await AuditLog.logAction(
+      {
+        user: user._id,
+        action: 'CHECK_OUT',
+        targetEntity: 'Occupancy',
+        targetId: occupancy._id,
+        ipAddress: context.ip,
+        userAgent: context.userAgent,
+        metadata: {
+          reservationNumber: reservation.reservationNumber,
+          roomNumber: room.roomNumber,
+          damageCharge,
+          lateCheckOutCharge,
+          outstandingBalance: balance,
+          balanceOverridden: balance > 0,
+          housekeepingTicket: ticket.ticketNumber
+        },
+        changes: {
+          before: { reservationStatus: 'CHECKED_IN', roomStatus: previousRoomStatus },
+          after: { reservationStatus: 'CHECKED_OUT', roomStatus: 'CLEANING' }
+        },
+        status: 'SUCCESS'
+      },
+      { session }
+    );
+
+    return { occupancy, reservation, housekeepingTicket: ticket };
+  });
+};
+
+/**
+ * EXTEND STAY
+ * Pushes the planned departure out after checking the same room is free for the
+ * extra nights, and charges those nights at the room's nightly rate
+ */
+const extendStay = async (occupancyId, { newCheckOutDate }, user, context = {}) => {
+  const newCheckOut = new Date(newCheckOutDate);
+
+  return mongoose.connection.transaction(async (session) => {
+    const { occupancy, reservation } = await loadInHouseStay(occupancyId, session);
+    const currentCheckOut = occupancy.plannedCheckOutDate;
+
+    if (newCheckOut <= currentCheckOut) {
+      throw new AppError(
+        'The new check-out date must be later than the current planned check-out date.',
+        400,
+        'INVALID_EXTENSION_DATE'
+      );
+    }
+
+    const room = await lockRoomForBooking(occupancy.room, session);
+    await assertNoOverlap(room._id, currentCheckOut, newCheckOut, {
+      session,
+      excludeReservationId: reservation._id
+    });
+
+    // Extra nights also need room type inventory left after overbooked sales
+    await lockRoomTypeForBooking(room.roomType, session);
+    await assertRoomTypeInventory(room.roomType, currentCheckOut, newCheckOut, {
+      session,
+      excludeReservationId: reservation._id
+    });
+
+    const extraNights = countNights(currentCheckOut, newCheckOut);
+    const before = {
+      plannedCheckOutDate: currentCheckOut,
+      totalAmount: reservation.totalAmount
+    };
+
+    occupancy.plannedCheckOutDate = newCheckOut;
+    transition(occupancy, 'EXTENDED', { user, context });
+    await occupancy.save({ session });
+
+    reservation.checkOutDate = newCheckOut;
+    const quote = await quoteReservation(reservation, room, { session });
+    await syncRoomNights(reservation, {
+      nightlyRate: rateResolver(quote),
+      label: quote.ratePlan?.code,
+      user,
+      session
+    });
+    await applyFolioTotals(reservation, { user, session });
+
+    const extensionCharge = roundCurrency(reservation.totalAmount - before.totalAmount);
+
+    await AuditLog.logAction(
+      {
+        user: user._id,
+        action: 'RESERVATION_MODIFIED',
+        targetEntity: 'Reservation',
+        targetId: reservation._id,
+        ipAddress: context.ip,
+        userAgent: context.userAgent,
+        metadata: {
+          type: 'STAY_EXTENDED',
+          occupancy: occupancy._id,
+          extraNights,
+          ratePlan: quote.ratePlan?.code,
+          extensionCharge
+        },
+        changes: {
+          before,
+          after: {
+            plannedCheckOutDate: newCheckOut,
+            totalAmount: reservation.totalAmount
+          }
+        },
+        status: 'SUCCESS'
+      },
+      { session }
+    );
+
+    return { occupancy, reservation, extensionCharge };
+  });
+};
+
+/**
+ * MOVE ROOM
+ * Moves an in-house guest to another room on the same reservation. The old room
+ * goes to CLEANING with a turnover ticket, the new one becomes OCCUPIED, and the
+ * remaining nights are repriced at the new room's rate unless waived.
+ */
+const moveRoom = async (occupancyId, { newRoom, reason, waivePriceDifference }, user, context = {}) => {
+  const now = new Date();
+
+  return mongoose.connection.transaction(async (session) => {
+    const { occupancy, reservation } = await loadInHouseStay(occupancyId, session);
+    // Nights from the open business day on are repriced, as modifyStay does
+    const today = await currentBusinessDate({ session });
+
+    if (occupancy.room.equals(newRoom)) {
+      throw new AppError('The guest is already in this room.', 400, 'SAME_ROOM');
+    }
+
+    // One operation at a time: a transaction session cannot run them in parallel
+    const oldRoom = await Room.findById(occupancy.room).session(session);
+    const targetRoom = await lockRoomForBooking(newRoom, session);
+
+    if (!CHECK_IN_READY_ROOM_STATUSES.includes(targetRoom.status)) {
+      throw new AppError(
+        `Room ${targetRoom.roomNumber} is not ready for a move-in (status: ${targetRoom.status}).`,
+        409,
+        'ROOM_NOT_READY'
+      );
+    }
+
+    if (occupancy.numberOfGuests > targetRoom.capacity) {
+      throw new AppError(
+        `Room ${targetRoom.roomNumber} sleeps at most ${targetRoom.capacity} guest(s).`,
+        400,
+        'ROOM_CAPACITY_EXCEEDED'
+      );
+    }
+
+    await assertNoOverlap(targetRoom._id, now, occupancy.plannedCheckOutDate, {
+      session,
+      excludeReservationId: reservation._id
+    });
+
+    if (!targetRoom.roomType.equals(oldRoom.roomType)) {
+      await lockRoomTypeForBooking(targetRoom.roomType, session);
+      await assertRoomTypeInventory(targetRoom.roomType, today, occupancy.plannedCheckOutDate, {
+        session,
+        excludeReservationId: reservation._id
+      });
+    }
+
+    const remainingNights = Math.max(countNights(today, occupancy.plannedCheckOutDate), 0);
+    const rateDifference = targetRoom.pricePerNight - oldRoom.pricePerNight;
+    const priceDifferenceWaived = Boolean(waivePriceDifference && rateDifference > 0);
+
+    const before = {
+      room: oldRoom._id,
+      roomNumber: oldRoom.roomNumber,
+      totalAmount: reservation.totalAmount
+    };
+
+    // Repost only the nights still to come at the new room's rate
+    reservation.room = targetRoom._id;
+    reservation.roomType = targetRoom.roomType;
+    if (!priceDifferenceWaived) {
+      const quote = await quoteReservation(reservation, targetRoom, { session });
+      await syncRoomNights(reservation, {
+        nightlyRate: rateResolver(quote),
+        label: quote.ratePlan?.code,
+        repriceFrom: today,
+        user,
+        session
+      });
+    }
+    await applyFolioTotals(reservation, { user, session });
+
+    const priceAdjustment = roundCurrency(reservation.totalAmount - before.totalAmount);
+
+    occupancy.room = targetRoom._id;
+    occupancy.roomMoves.push({
+      fromRoom: oldRoom._id,
+      toRoom: targetRoom._id,
+      movedAt: now,
+      movedBy: user._id,
+      reason,
+      priceAdjustment
+    });
+    await occupancy.save({ session });
+
+    const moveMetadata = { type: 'ROOM_MOVE', reservationNumber: reservation.reservationNumber };
+
+    transition(oldRoom, 'CLEANING', { user, context, metadata: moveMetadata });
+    await oldRoom.save({ session });
+
+    transition(targetRoom, 'OCCUPIED', { user, context, metadata: moveMetadata });
+    await targetRoom.save({ session });
+
+    const ticket = await createTurnoverTicket(oldRoom, user, session, {
+      description: `Turnover after room move ${oldRoom.roomNumber} → ${targetRoom.roomNumber} (reservation ${reservation.reservationNumber})`
+    });
+
+    await AuditLog.logAction(
+      {
+        user: user._id,
+        action: 'RESERVATION_MODIFIED',
+        targetEntity: 'Reservation',
+        targetId: reservation._id,
+        ipAddress: context.ip,
+        userAgent: context.userAgent,
+        metadata: {
+          type: 'ROOM_MOVE',
+          occupancy: occupancy._id,
+          reason,
+          remainingNights,
+          priceAdjustment,
+          priceDifferenceWaived,
+          housekeepingTicket: ticket.ticketNumber
+        },
+        changes: {
+          before,
+          after: {
+            room: targetRoom._id,
+            roomNumber: targetRoom.roomNumber,
+            totalAmount: reservation.totalAmount
+          }
+        },
+        status: 'SUCCESS'
+      },
+      { session }
+    );
+
+    return { occupancy, reservation, priceAdjustment };
+  });
+};
+
+module.exports = {
+  IN_HOUSE_STATUSES,
+  checkIn,
+  checkOut,
+  extendStay,
+  moveRoom
+};
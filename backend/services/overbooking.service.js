@@ -0,0 +1,124 @@
+const OverbookingRule = require('../models/OverbookingRule');
+const RoomType = require('../models/RoomType');
+const AuditLog = require('../models/AuditLog');
+const { AppError } = require('../middlewares/errorHandler');
+const { getRoomTypeInventory } = require('./availability.service');
+const { dayKey, toBusinessDate, nextBusinessDate } = require('./businessDay.service');
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Longest range the oversold report scans in one call
+ */
+const MAX_REPORT_DAYS = 366;
+
+/**
+ * LIST / CREATE / UPDATE RULES
+ */
+const listRules = ({ roomType, includeInactive = false } = {}) => {
+  const filter = includeInactive ? {} : { isActive: true };
+  if (roomType) filter.roomType = roomType;
+
+  return OverbookingRule.find(filter).populate('roomType', 'name').sort({ startDate: 1 });
+};
+
+const createRule = async (data, user, context = {}) => {
+  if (!(await RoomType.exists({ _id: data.roomType, isActive: true }))) {
+    throw new AppError('Room type not found or inactive.', 404, 'ROOM_TYPE_NOT_FOUND');
+  }
+
+  const rule = await OverbookingRule.create({ ...data, createdBy: user._id });
+
+  await AuditLog.logAction({
+    user: user._id,
+    action: 'CREATE',
+    targetEntity: 'System',
+    targetId: rule._id,
+    ipAddress: context.ip,
+    userAgent: context.userAgent,
+    metadata: {
+      type: 'OVERBOOKING_RULE',
+      roomType: rule.roomType,
+      startDate: dayKey(rule.startDate),
+      endDate: dayKey(rule.endDate),
+      limit: rule.limit
+    },
+    status: 'SUCCESS'
+  });
+
+  return rule;
+};
+
+const updateRule = async (id, data, user, context = {}) => {
+  const rule = await OverbookingRule.findById(id);
+
+  if (!rule) {
+    throw new AppError('Overbooking rule not found.', 404, 'OVERBOOKING_RULE_NOT_FOUND');
+  }
+
+  const before = {};
+  for (const key of Object.keys(data)) before[key] = rule.get(key);
+
+  rule.set(data);
+  await rule.save();
+
+  await AuditLog.logAction({
+    user: user._id,
+    action: 'UPDATE',
+    targetEntity: 'System',
+    targetId: rule._id,
+    ipAddress: context.ip,
+    userAgent: context.userAgent,
+    metadata: { type: 'OVERBOOKING_RULE', roomType: rule.roomType },
+    changes: { before, after: data },
+    status: 'SUCCESS'
+  });
+
+  return rule;
+};
+
+/**
+ * GET OVERSOLD DATES
+ * Nights (inclusive range, default the next 30 from today) on which a room
+ * type has more bookings than physical rooms. `overLimit` flags nights sold
+ * beyond the overbooking allowance too, e.g. after a room went out of service.
+ */
+const getOversoldDates = async ({ from, to, roomType } = {}) => {
+  const start = toBusinessDate(from || new Date());
+  const end = to ? toBusinessDate(to) : new Date(start.getTime() + 29 * ONE_DAY);
+
+  if (end < start) {
+    throw new AppError('The report range ends before it starts.', 400, 'INVALID_DATE_RANGE');
+  }
+
+  if ((end - start) / ONE_DAY >= MAX_REPORT_DAYS) {
+    throw new AppError(`The report covers at most ${MAX_REPORT_DAYS} days.`, 400, 'INVALID_DATE_RANGE');
+  }
+
+  const types = await RoomType.find(roomType ? { _id: roomType } : { isActive: true }).select('name');
+  const dates = [];
+
+  for (const type of types) {
+    const nights = await getRoomTypeInventory(type._id, start, nextBusinessDate(end));
+
+    for (const night of nights.filter((n) => n.sold > n.physical)) {
+      dates.push({
+        ...night,
+        roomType: { _id: type._id, name: type.name },
+        oversoldBy: night.sold - night.physical,
+        overLimit: night.available < 0
+      });
+    }
+  }
+
+  dates.sort((a, b) => a.date.localeCompare(b.date) || a.roomType.name.localeCompare(b.roomType.name));
+
+  return { from: dayKey(start), to: dayKey(end), dates };
+};
+
+module.exports = {
+  listRules,
+  createRule,
+  updateRule,
+  getOversoldDates
+};
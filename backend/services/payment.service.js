@@ -0,0 +1,721 @@
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Reservation = require('../models/Reservation');
+const Booking = require('../models/Booking');
+const FolioEntry = require('../models/FolioEntry');
+const AuditLog = require('../models/AuditLog');
+const { AppError } = require('../middlewares/errorHandler');
+const { roundCurrency } = require('../utils/money');
+const { logger } = require('../middlewares/logger');
+const { postEntry, voidEntryDocument, applyFolioTotals } = require('./folio.service');
+const { getPaymentProvider } = require('./paymentProviders');
+const { convertToBase } = require('./exchangeRate.service');
+const { property } = require('../config/property');
+const { dayKey, closedDaysAmong } = require('./businessDay.service');
+
+/**
+ * Reservation statuses that can no longer take payments
+ */
+const UNPAYABLE_STATUSES = ['CANCELLED', 'NO_SHOW'];
+
+/**
+ * Payment statuses that still hold money that can be refunded
+ */
+const REFUNDABLE_STATUSES = ['COMPLETED', 'PARTIALLY_REFUNDED'];
+
+/**
+ * Methods settled through the payment provider
+ */
+const CARD_METHODS = ['CREDIT_CARD', 'DEBIT_CARD'];
+
+/**
+ * Refund base amounts can drift from the allocations by a rounding cent
+ */
+const ALLOCATION_TOLERANCE = 0.01;
+
+/**
+ * PAYABLE
+ * What a payment is taken against: a reservation, or a parent booking whose
+ * live room lines (arrival order) share the money
+ */
+const loadPayable = async (id, session) => {
+  const reservation = await Reservation.findById(id).session(session || null);
+  if (reservation) {
+    return { model: 'Reservation', doc: reservation, lines: [reservation] };
+  }
+
+  const booking = await Booking.findById(id).session(session || null);
+  if (!booking) return null;
+
+  const lines = await Reservation.find({ booking: booking._id, status: { $nin: UNPAYABLE_STATUSES } })
+    .sort({ checkInDate: 1, createdAt: 1 })
+    .session(session || null);
+
+  return { model: 'Booking', doc: booking, lines };
+};
+
+/**
+ * Audit reference for a payable
+ */
+const payableNumber = (payable) =>
+  payable.model === 'Booking'
+    ? { bookingNumber: payable.doc.bookingNumber }
+    : { reservationNumber: payable.doc.reservationNumber };
+
+/**
+ * Throws unless the payable can take `amount` (base currency) from `guestId`
+ */
+const assertPayable = (payable, guestId, amount) => {
+  if (!payable) {
+    throw new AppError('Reservation not found.', 404, 'RESERVATION_NOT_FOUND');
+  }
+
+  const { doc, lines } = payable;
+
+  if (!doc.guest.equals(guestId)) {
+    throw new AppError('Guest does not match the reservation.', 400, 'GUEST_MISMATCH');
+  }
+
+  if (payable.model === 'Reservation' && UNPAYABLE_STATUSES.includes(doc.status)) {
+    throw new AppError(
+      `Cannot take a payment for a ${doc.status.toLowerCase()} reservation.`,
+      409,
+      'RESERVATION_NOT_PAYABLE'
+    );
+  }
+
+  if (payable.model === 'Booking' && lines.length === 0) {
+    throw new AppError(
+      `Booking ${doc.bookingNumber} has no room lines left to pay for.`,
+      409,
+      'RESERVATION_NOT_PAYABLE'
+    );
+  }
+
+  const outstanding = roundCurrency(lines.reduce((sum, line) => sum + line.totalAmount - line.paidAmount, 0));
+  if (amount > outstanding) {
+    throw new AppError(
+      `Payment exceeds the outstanding balance of ${outstanding.toFixed(2)}.`,
+      400,
+      'OVERPAYMENT'
+    );
+  }
+};
+
+/**
+ * CHARGE CARD
+ * Authorize then capture through the provider. Returns PENDING when the
+ * provider settles asynchronously (a webhook completes the payment later).
+ */
+const chargeCard = async ({ amount, currency, cardToken, reservation }) => {
+  const provider = getPaymentProvider();
+  const auth = await provider.authorize({ amount, currency, cardToken, reference: String(reservation) });
+
+  if (auth.status === 'DECLINED') {
+    throw new AppError(`Card payment declined: ${auth.message}.`, 402, 'PAYMENT_DECLINED');
+  }
+
+  if (auth.status === 'PENDING') {
+    return { status: 'PENDING', transactionId: auth.transactionId, card: auth.card };
+  }
+
+  const captured = await provider.capture(auth.transactionId, amount);
+
+  if (captured.status !== 'CAPTURED') {
+    await provider.void(auth.transactionId);
+    throw new AppError(`Card payment could not be captured: ${captured.message}.`, 402, 'PAYMENT_CAPTURE_FAILED');
+  }
+
+  return { status: 'COMPLETED', transactionId: auth.transactionId, card: auth.card };
+};
+
+/**
+ * Undo a provider charge when recording it locally failed
+ */
+const releaseCardCharge = async (charge, amount) => {
+  const provider = getPaymentProvider();
+  const result = charge.status === 'PENDING'
+    ? await provider.void(charge.transactionId)
+    : await provider.refund(charge.transactionId, amount);
+
+  if (result.status === 'FAILED') {
+    logger.error(`[PAYMENT] Could not release provider charge ${charge.transactionId}: ${result.message}`);
+  }
+};
+
+/**
+ * Folio wording for a payment, noting the original currency when it differs
+ */
+const describeAmount = (payment, amount) =>
+  payment.currency === payment.baseCurrency
+    ? ''
+    : ` — ${payment.currency} ${amount.toFixed(2)} @ ${payment.exchangeRate}`;
+
+/**
+ * Credit a settled payment to the folio (in the base currency) and refresh
+ * the reservation totals
+ */
+const creditPaymentToFolio = async (payment, reservation, user, session) => {
+  await postEntry(
+    reservation,
+    {
+      type: 'PAYMENT',
+      description: `Payment ${payment.paymentNumber} (${payment.paymentMethod})${describeAmount(payment, payment.amount)}`,
+      amount: -payment.baseAmount,
+      payment: payment._id,
+      referenceKey: `PAYMENT:${payment._id}`
+    },
+    user,
+    { session }
+  );
+
+  return applyFolioTotals(reservation, { user, session });
+};
+
+/**
+ * Credit a settled booking payment to its room lines' folios, each line up to
+ * its outstanding balance in arrival order. Anything left over (the balance
+ * moved while the payment was pending) stays on the last line as a credit.
+ */
+const creditPaymentToLines = async (payment, lines, user, session) => {
+  let remaining = payment.baseAmount;
+  const allocations = [];
+
+  for (const [index, line] of lines.entries()) {
+    const outstanding = Math.max(roundCurrency(line.totalAmount - line.paidAmount), 0);
+    const share = index === lines.length - 1 ? remaining : Math.min(remaining, outstanding);
+    if (share <= 0) continue;
+
+    await postEntry(
+      line,
+      {
+        type: 'PAYMENT',
+        description: `Payment ${payment.paymentNumber} (${payment.paymentMethod}) on booking${describeAmount(payment, roundCurrency(share / payment.exchangeRate))}`,
+        amount: -share,
+        payment: payment._id,
+        referenceKey: `PAYMENT:${payment._id}`
+      },
+      user,
+      { session }
+    );
+    await applyFolioTotals(line, { user, session });
+
+    allocations.push({ reservation: line._id, baseAmount: share });
+    remaining = roundCurrency(remaining - share);
+  }
+
+  payment.allocations = allocations;
+  await payment.save({ session });
+
+  return roundCurrency(lines.reduce((sum, line) => sum + line.balanceAmount, 0));
+};
+
+/**
+ * Credit a settled payment to whatever it was taken against; returns the
+ * balance left
+ */
+const creditPayment = async (payment, payable, user, session) => {
+  if (payable.model === 'Booking') {
+    return creditPaymentToLines(payment, payable.lines, user, session);
+  }
+
+  const summary = await creditPaymentToFolio(payment, payable.doc, user, session);
+  return summary.balance;
+};
+
+/**
+ * RECORD PAYMENT
+ * Stores a payment and credits it to the reservation's folio in one
+ * transaction, so paidAmount and the balance always match the ledger.
+ * A payment against a parent booking is split over its room lines.
+ * Card payments are charged through the provider first; if recording then
+ * fails the charge is released again.
+ */
+const recordPayment = async (data, user, context = {}) => {
+  const isCard = CARD_METHODS.includes(data.paymentMethod);
+
+  // Snapshot the exchange rate once; the folio and reports use the base amount
+  const fx = await convertToBase(data.amount, data.currency || property.baseCurrency);
+
+  if (isCard) {
+    // Fail fast before touching the card
+    assertPayable(await loadPayable(data.reservation), data.guest, fx.baseAmount);
+  }
+
+  const charge = isCard ? await chargeCard({ ...data, currency: fx.currency }) : null;
+
+  try {
+    return await mongoose.connection.transaction(async (session) => {
+      const payable = await loadPayable(data.reservation, session);
+      assertPayable(payable, data.guest, fx.baseAmount);
+
+      const [payment] = await Payment.create(
+        [
+          {
+            reservation: payable.doc._id,
+            reservationModel: payable.model,
+            guest: payable.doc.guest,
+            amount: data.amount,
+            paymentMethod: data.paymentMethod,
+            paymentType: data.paymentType,
+            paymentStatus: charge ? charge.status : 'COMPLETED',
+            transactionReference: charge ? charge.transactionId : data.transactionReference,
+            cardDetails: charge?.card,
+            currency: fx.currency,
+            exchangeRate: fx.exchangeRate,
+            baseCurrency: fx.baseCurrency,
+            notes: data.notes,
+            processedBy: user._id
+          }
+        ],
+        { session }
+      );
+
+      // Pending card payments reach the folio when the provider webhook settles them
+      const balanceAfter = payment.paymentStatus === 'COMPLETED'
+        ? await creditPayment(payment, payable, user, session)
+        : roundCurrency(payable.lines.reduce((sum, line) => sum + line.balanceAmount, 0));
+
+      await AuditLog.logAction(
+        {
+          user: user._id,
+          action: 'PAYMENT_RECEIVED',
+          targetEntity: 'Payment',
+          targetId: payment._id,
+          ipAddress: context.ip,
+          userAgent: context.userAgent,
+          metadata: {
+            paymentNumber: payment.paymentNumber,
+            ...payableNumber(payable),
+            amount: payment.amount,
+            currency: payment.currency,
+            baseAmount: payment.baseAmount,
+            paymentMethod: payment.paymentMethod,
+            paymentStatus: payment.paymentStatus,
+            allocations: payment.allocations.length > 0 ? payment.allocations : undefined,
+            balanceAfter
+          },
+          status: 'SUCCESS'
+        },
+        { session }
+      );
+
+      return payable.model === 'Booking'
+        ? { payment, booking: await Booking.findById(payable.doc._id).session(session), reservations: payable.lines }
+        : { payment, reservation: payable.doc };
+    });
+  } catch (err) {
+    if (charge) await releaseCardCharge(charge, data.amount);
+    throw err;
+  }
+};
+
+/**
+ * PROVIDER WEBHOOK
+ * Settles a PENDING card payment as COMPLETED or FAILED. Replays and events
+ * for unknown or already-settled payments are acknowledged and ignored.
+ */
+const handleProviderWebhook = async (providerName, rawBody, headers) => {
+  const event = getPaymentProvider(providerName).parseWebhook(rawBody, headers);
+
+  return mongoose.connection.transaction(async (session) => {
+    const payment = await Payment.findOne({
+      transactionReference: event.transactionId,
+      paymentStatus: 'PENDING'
+    }).session(session);
+
+    if (!payment) {
+      return { processed: false };
+    }
+
+    payment.paymentStatus = event.status;
+    if (event.status === 'FAILED' && event.message) {
+      payment.notes = [payment.notes, `Provider: ${event.message}`].filter(Boolean).join('\n');
+    }
+    await payment.save({ session });
+
+    // The staff member who took the payment stays the poster of record
+    const poster = { _id: payment.processedBy };
+    const payable = event.status === 'COMPLETED' ? await loadPayable(payment.reservation, session) : null;
+
+    if (payable?.lines.length > 0) {
+      await creditPayment(payment, payable, poster, session);
+    } else if (payable) {
+      logger.error(`[PAYMENT] ${payment.paymentNumber} settled with no live reservation to credit`);
+    }
+
+    await AuditLog.logAction(
+      {
+        user: payment.processedBy,
+        action: event.status === 'COMPLETED' ? 'PAYMENT_RECEIVED' : 'STATUS_CHANGE',
+        targetEntity: 'Payment',
+        targetId: payment._id,
+        metadata: {
+          source: 'PROVIDER_WEBHOOK',
+          provider: providerName,
+          paymentNumber: payment.paymentNumber,
+          transactionReference: event.transactionId
+        },
+        changes: {
+          before: { paymentStatus: 'PENDING' },
+          after: { paymentStatus: event.status }
+        },
+        status: event.status === 'COMPLETED' ? 'SUCCESS' : 'FAILURE'
+      },
+      { session }
+    );
+
+    return { processed: true, payment };
+  });
+};
+
+/**
+ * Throws unless `amount` can still be refunded from the payment
+ */
+const assertRefundable = (payment, amount) => {
+  if (!payment) {
+    throw new AppError('Payment not found.', 404, 'PAYMENT_NOT_FOUND');
+  }
+
+  if (!REFUNDABLE_STATUSES.includes(payment.paymentStatus)) {
+    throw new AppError(
+      `A ${payment.paymentStatus.toLowerCase()} payment cannot be refunded.`,
+      409,
+      'PAYMENT_NOT_REFUNDABLE'
+    );
+  }
+
+  if (amount > payment.refundableAmount) {
+    throw new AppError(
+      `Refund exceeds the refundable amount of ${payment.refundableAmount.toFixed(2)}.`,
+      400,
+      'REFUND_EXCEEDS_PAYMENT'
+    );
+  }
+};
+
+/**
+ * Refunds use the payment's own rate snapshot; the one that empties the
+ * payment takes the remainder so the base amounts add up exactly
+ */
+const refundBaseAmount = (payment, amount) => {
+  if (amount !== payment.refundableAmount) {
+    return roundCurrency(amount * payment.exchangeRate);
+  }
+
+  const baseRefunded = payment.refunds
+    .filter((r) => r.status !== 'FAILED')
+    .reduce((sum, r) => sum + (r.baseAmount || 0), 0);
+  return roundCurrency(payment.baseAmount - baseRefunded);
+};
+
+/**
+ * Folios a refund of `baseAmount` is credited back on. A booking payment is
+ * taken off the named room line's allocation, otherwise off the latest
+ * allocations first. Returns [{ reservation, baseAmount, allocation }].
+ */
+const refundTargets = (payment, baseAmount, reservationId) => {
+  if (payment.reservationModel !== 'Booking') {
+    if (reservationId && !payment.reservation.equals(reservationId)) {
+      throw new AppError('Payment was not taken for this reservation.', 400, 'PAYMENT_RESERVATION_MISMATCH');
+    }
+    return [{ reservation: payment.reservation, baseAmount }];
+  }
+
+  const open = (allocation) => roundCurrency(allocation.baseAmount - allocation.refundedBaseAmount);
+
+  if (reservationId) {
+    const allocation = payment.allocations.find((a) => a.reservation.equals(reservationId));
+
+    if (!allocation) {
+      throw new AppError('Payment was not allocated to this reservation.', 400, 'PAYMENT_RESERVATION_MISMATCH');
+    }
+
+    if (baseAmount > open(allocation) + ALLOCATION_TOLERANCE) {
+      throw new AppError(
+        `Refund exceeds the ${open(allocation).toFixed(2)} allocated to this reservation.`,
+        400,
+        'REFUND_EXCEEDS_ALLOCATION'
+      );
+    }
+
+    return [{ reservation: allocation.reservation, baseAmount, allocation }];
+  }
+
+  const targets = [];
+  let remaining = baseAmount;
+
+  for (const allocation of [...payment.allocations].reverse()) {
+    if (remaining <= 0) break;
+    const share = Math.min(open(allocation), remaining);
+    if (share <= 0) continue;
+
+    targets.push({ reservation: allocation.reservation, baseAmount: share, allocation });
+    remaining = roundCurrency(remaining - share);
+  }
+
+  if (targets.length === 0) {
+    throw new AppError('Payment has not been credited to any reservation yet.', 409, 'PAYMENT_NOT_ALLOCATED');
+  }
+
+  // A rounding cent left over goes with the last line refunded
+  targets[targets.length - 1].baseAmount = roundCurrency(targets[targets.length - 1].baseAmount + remaining);
+
+  return targets;
+};
+
+/**
+ * Folio reference of a refund's credit lines
+ */
+const refundKey = (payment, refund) => `REFUND:${payment._id}:${refund._id}`;
+
+/**
+ * Record a refund on the payment and credit it back on the folios, in one
+ * transaction. Returns the new refund entry with the refund result.
+ */
+const recordRefund = async (paymentId, { amount, reason, lineId, status }, user, context) => {
+  return mongoose.connection.transaction(async (session) => {
+    const payment = await Payment.findById(paymentId).session(session);
+    assertRefundable(payment, amount);
+
+    const now = new Date();
+    const previousStatus = payment.paymentStatus;
+    const fullyRefunded = amount === payment.refundableAmount;
+    const baseAmount = refundBaseAmount(payment, amount);
+    const targets = refundTargets(payment, baseAmount, lineId);
+
+    payment.refunds.push({
+      amount,
+      baseAmount,
+      reason,
+      refundedAt: now,
+      refundedBy: user._id,
+      status
+    });
+    const refund = payment.refunds[payment.refunds.length - 1];
+
+    payment.set({
+      refundAmount: roundCurrency(payment.refundAmount + amount),
+      refundReason: reason,
+      refundedAt: now,
+      refundedBy: user._id
+    });
+    for (const target of targets) {
+      if (target.allocation) {
+        target.allocation.refundedBaseAmount = roundCurrency(target.allocation.refundedBaseAmount + target.baseAmount);
+      }
+    }
+    payment.paymentStatus = fullyRefunded ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+    await payment.save({ session });
+
+    const reservations = [];
+    let balanceAfter = 0;
+
+    for (const target of targets) {
+      const reservation = await Reservation.findById(target.reservation).session(session);
+
+      if (!reservation) {
+        throw new AppError('Reservation for this payment no longer exists.', 404, 'RESERVATION_NOT_FOUND');
+      }
+
+      const lineAmount = targets.length === 1 ? amount : roundCurrency(target.baseAmount / payment.exchangeRate);
+      await postEntry(
+        reservation,
+        {
+          type: 'REFUND',
+          description: `Refund of payment ${payment.paymentNumber}${describeAmount(payment, lineAmount)}`,
+          amount: target.baseAmount,
+          payment: payment._id,
+          referenceKey: refundKey(payment, refund)
+        },
+        user,
+        { session }
+      );
+
+      const summary = await applyFolioTotals(reservation, { user, session });
+      balanceAfter = roundCurrency(balanceAfter + summary.balance);
+      reservations.push(reservation);
+    }
+
+    const booking = payment.reservationModel === 'Booking'
+      ? await Booking.findById(payment.reservation).session(session)
+      : null;
+
+    await AuditLog.logAction(
+      {
+        user: user._id,
+        action: 'PAYMENT_REFUND',
+        targetEntity: 'Payment',
+        targetId: payment._id,
+        ipAddress: context.ip,
+        userAgent: context.userAgent,
+        metadata: {
+          paymentNumber: payment.paymentNumber,
+          bookingNumber: booking?.bookingNumber,
+          reservationNumber: reservations.map((r) => r.reservationNumber).join(', '),
+          amount,
+          currency: payment.currency,
+          baseAmount,
+          reason,
+          refundStatus: status,
+          totalRefunded: payment.refundAmount,
+          balanceAfter
+        },
+        changes: {
+          before: { paymentStatus: previousStatus },
+          after: { paymentStatus: payment.paymentStatus }
+        },
+        status: 'SUCCESS'
+      },
+      { session }
+    );
+
+    return {
+      refund,
+      result: booking ? { payment, booking, reservations } : { payment, reservation: reservations[0] }
+    };
+  });
+};
+
+/**
+ * The provider accepted a PENDING card refund
+ */
+const completeRefund = async (paymentId, refundId, providerRefundId) => {
+  const payment = await Payment.findOneAndUpdate(
+    { _id: paymentId, refunds: { $elemMatch: { _id: refundId, status: 'PENDING' } } },
+    { $set: { 'refunds.$.status': 'COMPLETED', 'refunds.$.transactionReference': providerRefundId } },
+    { returnDocument: 'after' }
+  );
+
+  return payment || Payment.findById(paymentId);
+};
+
+/**
+ * The provider rejected a PENDING card refund: its folio credits are voided (or
+ * offset on the current business day when their own day is closed) and the
+ * payment's refunded totals and allocations put back as they were
+ */
+const reverseRefund = async (paymentId, refundId, message, user, context) => {
+  return mongoose.connection.transaction(async (session) => {
+    const payment = await Payment.findById(paymentId).session(session);
+    const refund = payment.refunds.id(refundId);
+    if (refund.status !== 'PENDING') return payment;
+
+    const credits = await FolioEntry.find({
+      payment: payment._id,
+      referenceKey: refundKey(payment, refund),
+      voided: false
+    }).session(session);
+    const closed = await closedDaysAmong(credits.map((credit) => credit.serviceDate), { session });
+
+    for (const credit of credits) {
+      if (closed.has(dayKey(credit.serviceDate))) {
+        // The night audit already closed the refund's day: offset it on the current one
+        const reservation = await Reservation.findById(credit.reservation).session(session);
+        await postEntry(
+          reservation,
+          {
+            type: 'REFUND',
+            description: `Refund of payment ${payment.paymentNumber} rejected by the provider`,
+            amount: -credit.amount,
+            payment: payment._id,
+            referenceKey: `${credit.referenceKey}:REVERSAL`
+          },
+          user,
+          { session }
+        );
+      } else {
+        await voidEntryDocument(credit, user, `Provider rejected the refund: ${message}`.slice(0, 500), session);
+      }
+
+      const allocation = payment.allocations.find((a) => a.reservation.equals(credit.reservation));
+      if (allocation) {
+        allocation.refundedBaseAmount = roundCurrency(Math.max(allocation.refundedBaseAmount - credit.amount, 0));
+      }
+    }
+
+    refund.status = 'FAILED';
+    payment.refundAmount = roundCurrency(payment.refundAmount - refund.amount);
+    payment.paymentStatus = payment.refundAmount > 0 ? 'PARTIALLY_REFUNDED' : 'COMPLETED';
+    await payment.save({ session });
+
+    for (const reservationId of new Set(credits.map((credit) => credit.reservation.toString()))) {
+      const reservation = await Reservation.findById(reservationId).session(session);
+      await applyFolioTotals(reservation, { user, session });
+    }
+
+    await AuditLog.logAction(
+      {
+        user: user._id,
+        action: 'PAYMENT_REFUND',
+        targetEntity: 'Payment',
+        targetId: payment._id,
+        ipAddress: context.ip,
+        userAgent: context.userAgent,
+        metadata: {
+          paymentNumber: payment.paymentNumber,
+          amount: refund.amount,
+          currency: payment.currency,
+          refundStatus: 'FAILED'
+        },
+        status: 'FAILURE',
+        errorMessage: `Refund rejected by the payment provider: ${message}`.slice(0, 1000)
+      },
+      { session }
+    );
+
+    return payment;
+  });
+};
+
+/**
+ * REFUND PAYMENT
+ * Full or partial refund against one payment. Partial refunds can be repeated
+ * until the payment is fully refunded; each one is credited back on the folio.
+ * A booking payment's refund can be aimed at one room line via `reservation`.
+ * Card refunds are recorded as PENDING first and only then sent to the
+ * provider, keyed by the refund's id so a retried call cannot refund twice;
+ * a rejected refund is reversed on the ledger. A refund the provider never
+ * answered stays PENDING.
+ */
+const refundPayment = async (paymentId, { amount, reason, reservation: lineId }, user, context = {}) => {
+  const original = await Payment.findById(paymentId);
+  assertRefundable(original, amount);
+  refundTargets(original, refundBaseAmount(original, amount), lineId);
+
+  const viaProvider = CARD_METHODS.includes(original.paymentMethod) && Boolean(original.transactionReference);
+
+  const { refund, result } = await recordRefund(
+    paymentId,
+    { amount, reason, lineId, status: viaProvider ? 'PENDING' : 'COMPLETED' },
+    user,
+    context
+  );
+
+  if (!viaProvider) return result;
+
+  let outcome;
+  try {
+    outcome = await getPaymentProvider().refund(original.transactionReference, amount, {
+      idempotencyKey: refund._id.toString()
+    });
+  } catch (err) {
+    logger.error(`[PAYMENT] Refund ${refund._id} of ${original.paymentNumber} left PENDING: ${err.message}`);
+    throw err;
+  }
+
+  if (outcome.status !== 'REFUNDED') {
+    await reverseRefund(paymentId, refund._id, outcome.message, user, context);
+    throw new AppError(`Refund rejected by the payment provider: ${outcome.message}.`, 502, 'PROVIDER_REFUND_FAILED');
+  }
+
+  return { ...result, payment: await completeRefund(paymentId, refund._id, outcome.refundId) };
+};
+
+module.exports = {
+  CARD_METHODS,
+  creditPaymentToFolio,
+  recordPayment,
+  handleProviderWebhook,
+  refundPayment
+};
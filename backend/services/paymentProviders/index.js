@@ -0,0 +1,58 @@
+const { AppError } = require('../../middlewares/errorHandler');
+const mockProvider = require('./mock.provider');
+
+/**
+ * PAYMENT PROVIDER INTERFACE
+ * Every provider is an object exposing these async methods:
+ *
+ *   authorize({ amount, currency, cardToken, reference })
+ *     → { status: 'AUTHORIZED' | 'PENDING' | 'DECLINED', transactionId, card, message }
+ *   capture(transactionId, amount)  → { status: 'CAPTURED' | 'FAILED', transactionId, message }
+ *   void(transactionId)             → { status: 'VOIDED' | 'FAILED', transactionId, message }
+ *   refund(transactionId, amount, { idempotencyKey })
+ *     → { status: 'REFUNDED' | 'FAILED', refundId, message }
+ *     A repeated idempotencyKey returns the first answer instead of refunding again.
+ *
+ * and one synchronous webhook parser that throws on a bad signature:
+ *
+ *   parseWebhook(rawBody, headers)  → { transactionId, status: 'COMPLETED' | 'FAILED', message }
+ *
+ * `card` is { lastFourDigits, cardType } and is stored on the Payment.
+ * Raw card numbers never reach this server; clients send a provider token.
+ */
+const REQUIRED_METHODS = ['authorize', 'capture', 'void', 'refund', 'parseWebhook'];
+
+const providers = new Map();
+
+/**
+ * Register a provider under a name (e.g. "mock", "stripe")
+ */
+const registerPaymentProvider = (name, provider) => {
+  const missing = REQUIRED_METHODS.filter((method) => typeof provider[method] !== 'function');
+
+  if (missing.length > 0) {
+    throw new Error(`Payment provider "${name}" is missing: ${missing.join(', ')}`);
+  }
+
+  providers.set(name, provider);
+};
+
+/**
+ * Provider selected by name, or PAYMENT_PROVIDER (default "mock")
+ */
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'mock') => {
+  const provider = providers.get(name);
+
+  if (!provider) {
+    throw new AppError(`Payment provider "${name}" is not configured.`, 404, 'UNKNOWN_PAYMENT_PROVIDER');
+  }
+
+  return provider;
+};
+
+registerPaymentProvider('mock', mockProvider);
+
+module.exports = {
+  registerPaymentProvider,
+  getPaymentProvider
+};
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const { AppError } = require('../../middlewares/errorHandler');
+
+/**
+ * MOCK PAYMENT PROVIDER
+ * In-memory card processor for development and tests. The outcome is driven
+ * entirely by the card token, so every flow can be reproduced on demand:
+ *
+ *   tok_visa, tok_mastercard, tok_amex   approved and captured
+ *   tok_declined                         declined at authorization
+ *   tok_capture_fail                     authorized, capture fails (auth is voided)
+ *   tok_pending                          left PENDING until a webhook settles it
+ *   tok_refund_fail                      approved, but refunds are rejected
+ *
+ * Webhooks are signed with HMAC-SHA256 of the raw body using
+ * PAYMENT_WEBHOOK_SECRET and sent in the `x-mock-signature` header.
+ */
+const TEST_CARDS = {
+  tok_visa: { lastFourDigits: '4242', cardType: 'VISA' },
+  tok_mastercard: { lastFourDigits: '4444', cardType: 'MASTERCARD' },
+  tok_amex: { lastFourDigits: '0005', cardType: 'AMEX' },
+  tok_declined: { lastFourDigits: '0002', cardType: 'VISA' },
+  tok_capture_fail: { lastFourDigits: '0341', cardType: 'VISA' },
+  tok_pending: { lastFourDigits: '3220', cardType: 'VISA' },
+  tok_refund_fail: { lastFourDigits: '5556', cardType: 'VISA' }
+};
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+// transactionId → { token, amount, currency, status, refunded }
+const transactions = new Map();
+
+// idempotencyKey → first refund answer
+const refundsByKey = new Map();
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const getWebhookSecret = () => {
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new AppError('Payment webhooks are not configured.', 503, 'WEBHOOK_NOT_CONFIGURED');
+  }
+  return secret;
+};
+
+const authorize = async ({ amount, currency, cardToken }) => {
+  const card = TEST_CARDS[cardToken];
+
+  if (!card || cardToken === 'tok_declined') {
+    return { status: 'DECLINED', card, message: card ? 'Card declined' : 'Unknown card token' };
+  }
+
+  const transactionId = newId('mock_txn');
+  const status = cardToken === 'tok_pending' ? 'PENDING' : 'AUTHORIZED';
+
+  transactions.set(transactionId, { token: cardToken, amount, currency, status, refunded: 0 });
+
+  return { status, transactionId, card };
+};
+
+const capture = async (transactionId, amount) => {
+  const txn = transactions.get(transactionId);
+
+  if (!txn || txn.status !== 'AUTHORIZED' || amount > txn.amount || txn.token === 'tok_capture_fail') {
+    return { status: 'FAILED', transactionId, message: 'Capture failed' };
+  }
+
+  txn.status = 'CAPTURED';
+  txn.amount = amount;
+  return { status: 'CAPTURED', transactionId };
+};
+
+const voidTransaction = async (transactionId) => {
+  const txn = transactions.get(transactionId);
+
+  if (!txn || !['AUTHORIZED', 'PENDING'].includes(txn.status)) {
+    return { status: 'FAILED', transactionId, message: 'Only uncaptured transactions can be voided' };
+  }
+
+  txn.status = 'VOIDED';
+  return { status: 'VOIDED', transactionId };
+};
+
+const refundOnce = (transactionId, amount) => {
+  const txn = transactions.get(transactionId);
+
+  if (!txn || txn.status !== 'CAPTURED' || txn.token === 'tok_refund_fail') {
+    return { status: 'FAILED', message: 'Refund rejected by provider' };
+  }
+
+  if (txn.refunded + amount > txn.amount) {
+    return { status: 'FAILED', message: 'Refund exceeds captured amount' };
+  }
+
+  txn.refunded += amount;
+  return { status: 'REFUNDED', refundId: newId('mock_rfnd') };
+};
+
+const refund = async (transactionId, amount, { idempotencyKey } = {}) => {
+  if (idempotencyKey && refundsByKey.has(idempotencyKey)) {
+    return refundsByKey.get(idempotencyKey);
+  }
+
+  const result = refundOnce(transactionId, amount);
+  if (idempotencyKey) refundsByKey.set(idempotencyKey, result);
+  return result;
+};
+
+/**
+ * Signature for a raw webhook body; use it to simulate provider callbacks
+ */
+const signWebhook = (rawBody) =>
+  crypto.createHmac('sha256', getWebhookSecret()).update(rawBody).digest('hex');
+
+/**
+ * Verify and decode a webhook. Body: { type: 'payment.succeeded' | 'payment.failed', transactionId }
+ */
+const parseWebhook = (rawBody, headers = {}) => {
+  if (!rawBody) {
+    throw new AppError('Webhook body is required.', 400, 'INVALID_WEBHOOK');
+  }
+
+  const signature = String(headers[SIGNATURE_HEADER] || '');
+  const expected = signWebhook(rawBody);
+
+  const valid = signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+  if (!valid) {
+    throw new AppError('Invalid webhook signature.', 401, 'INVALID_WEBHOOK_SIGNATURE');
+  }
+
+  const event = JSON.parse(rawBody.toString());
+  const status = { 'payment.succeeded': 'COMPLETED', 'payment.failed': 'FAILED' }[event.type];
+
+  if (!status || !event.transactionId) {
+    throw new AppError('Unsupported webhook event.', 400, 'UNSUPPORTED_WEBHOOK_EVENT');
+  }
+
+  // Keep the in-memory ledger in step with the simulated settlement
+  const txn = transactions.get(event.transactionId);
+  if (txn && txn.status === 'PENDING') {
+    txn.status = status === 'COMPLETED' ? 'CAPTURED' : 'FAILED';
+  }
+
+  return { transactionId: event.transactionId, status, message: event.message };
+};
+
+module.exports = {
+  name: 'mock',
+  TEST_CARDS,
+  SIGNATURE_HEADER,
+  authorize,
+  capture,
+  void: voidTransaction,
+  refund,
+  parseWebhook,
+  signWebhook
+};
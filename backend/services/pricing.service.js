@@ -0,0 +1,223 @@
+const mongoose = require('mongoose');
+const RatePlan = require('../models/RatePlan');
+const Room = require('../models/Room');
+const RoomType = require('../models/RoomType');
+const { AppError } = require('../middlewares/errorHandler');
+const { roundCurrency } = require('../utils/money');
+const { property } = require('../config/property');
+const { listNights } = require('./folio.service');
+
+/**
+ * Plan used when a booking names none
+ */
+const DEFAULT_RATE_PLAN_CODE = process.env.DEFAULT_RATE_PLAN || 'BAR';
+
+const dateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// ObjectId.isValid() accepts any 12-character string, e.g. "PRESIDENTIAL"
+const isObjectId = (value) =>
+  value instanceof mongoose.Types.ObjectId || /^[0-9a-fA-F]{24}$/.test(String(value));
+
+const applyAdjustment = (rate, { adjustmentType, value }) => {
+  switch (adjustmentType) {
+    case 'PERCENT':
+      return rate * (1 + value / 100);
+    case 'AMOUNT':
+      return rate + value;
+    case 'FIXED_PRICE':
+      return value;
+    default:
+      return rate;
+  }
+};
+
+const appliesToRoomType = (roomTypes, roomTypeId) =>
+  !roomTypes || roomTypes.length === 0 || roomTypes.some((id) => id.equals(roomTypeId));
+
+/**
+ * FIND RATE PLAN
+ * By id or code; falls back to the default plan when none is given.
+ * `includeInactive` lets existing bookings keep a plan that was since retired.
+ */
+const findRatePlan = async (ratePlan, { session, includeInactive = false } = {}) => {
+  const filter = !ratePlan
+    ? { code: DEFAULT_RATE_PLAN_CODE }
+    : isObjectId(ratePlan)
+      ? { _id: ratePlan }
+      : { code: String(ratePlan).toUpperCase() };
+
+  if (!includeInactive) filter.isActive = true;
+
+  const plan = await RatePlan.findOne(filter).session(session || null);
+
+  if (!plan && ratePlan) {
+    throw new AppError(`Rate plan ${ratePlan} not found or inactive.`, 404, 'RATE_PLAN_NOT_FOUND');
+  }
+
+  return plan;
+};
+
+/**
+ * PRICE NIGHT
+ * Rack rate → plan adjustment → season → day-of-week → occupancy surcharge
+ */
+const priceNight = (plan, night, { rackRate, roomTypeId, guests }) => {
+  const key = dateKey(night);
+  const line = { date: key, rackRate, adjustments: [] };
+  let rate = rackRate;
+
+  if (plan.baseAdjustmentPercent) {
+    rate = applyAdjustment(rate, { adjustmentType: 'PERCENT', value: plan.baseAdjustmentPercent });
+    line.adjustments.push({ rule: 'PLAN', value: plan.baseAdjustmentPercent, adjustmentType: 'PERCENT' });
+  }
+
+  // First matching season wins; list more specific seasons first
+  const season = plan.seasons.find(
+    (s) => key >= dateKey(s.startDate) && key <= dateKey(s.endDate) && appliesToRoomType(s.roomTypes, roomTypeId)
+  );
+  if (season) {
+    rate = applyAdjustment(rate, season);
+    line.adjustments.push({ rule: 'SEASON', name: season.name, adjustmentType: season.adjustmentType, value: season.value });
+  }
+
+  const weekday = new Date(night).getUTCDay();
+  for (const rule of plan.dayOfWeekRules.filter((r) => r.days.includes(weekday))) {
+    rate = applyAdjustment(rate, rule);
+    line.adjustments.push({ rule: 'DAY_OF_WEEK', day: weekday, adjustmentType: rule.adjustmentType, value: rule.value });
+  }
+
+  const { baseOccupancy = 2, perExtraGuest = 0 } = plan.occupancySurcharge || {};
+  const extraGuests = Math.max(guests - baseOccupancy, 0);
+  line.occupancySurcharge = roundCurrency(extraGuests * perExtraGuest);
+
+  line.rate = roundCurrency(Math.max(rate, 0) + line.occupancySurcharge);
+  return line;
+};
+
+/**
+ * Throws when the stay breaks the plan's sell rules
+ */
+const assertPlanSellable = (plan, { checkIn, checkOut, nights, roomTypeId }) => {
+  if (!appliesToRoomType(plan.roomTypes, roomTypeId)) {
+    throw new AppError(`Rate plan ${plan.code} is not available for this room type.`, 400, 'RATE_PLAN_NOT_APPLICABLE');
+  }
+
+  if ((plan.validFrom && checkIn < plan.validFrom) || (plan.validTo && checkOut > plan.validTo)) {
+    throw new AppError(`Rate plan ${plan.code} cannot be sold for these dates.`, 400, 'RATE_PLAN_NOT_APPLICABLE');
+  }
+
+  if (nights < plan.minLengthOfStay) {
+    throw new AppError(
+      `Rate plan ${plan.code} requires a stay of at least ${plan.minLengthOfStay} night(s).`,
+      400,
+      'LENGTH_OF_STAY_VIOLATION'
+    );
+  }
+
+  if (plan.maxLengthOfStay && nights > plan.maxLengthOfStay) {
+    throw new AppError(
+      `Rate plan ${plan.code} allows at most ${plan.maxLengthOfStay} night(s).`,
+      400,
+      'LENGTH_OF_STAY_VIOLATION'
+    );
+  }
+};
+
+/**
+ * QUOTE STAY
+ * Per-night breakdown for a room (its own rack rate) or a room type (its base
+ * price). Without a configured plan the rack rate is charged flat.
+ */
+const quoteStay = async ({
+  ratePlan,
+  room,
+  roomType,
+  checkIn,
+  checkOut,
+  guests = 1,
+  allowPrivate = false,
+  includeInactive = false,
+  session
+}) => {
+  let rackRate;
+  let roomTypeId;
+
+  if (room) {
+    const doc = room.pricePerNight !== undefined ? room : await Room.findById(room).session(session || null);
+    if (!doc) throw new AppError('Room not found.', 404, 'ROOM_NOT_FOUND');
+    rackRate = doc.pricePerNight;
+    roomTypeId = doc.roomType?._id || doc.roomType;
+  } else {
+    const filter = isObjectId(roomType)
+      ? { _id: roomType }
+      : { name: String(roomType).toUpperCase() };
+    const type = await RoomType.findOne({ ...filter, isActive: true }).session(session || null);
+    if (!type) throw new AppError('Room type not found.', 404, 'ROOM_TYPE_NOT_FOUND');
+    rackRate = type.basePrice;
+    roomTypeId = type._id;
+  }
+
+  const plan = await findRatePlan(ratePlan, { session, includeInactive });
+  const nights = listNights(checkIn, checkOut);
+
+  if (plan && !plan.isPublic && !allowPrivate) {
+    throw new AppError(`Rate plan ${plan.code} not found or inactive.`, 404, 'RATE_PLAN_NOT_FOUND');
+  }
+
+  if (plan) {
+    assertPlanSellable(plan, { checkIn, checkOut, nights: nights.length, roomTypeId });
+  }
+
+  const lines = nights.map((night) =>
+    plan
+      ? priceNight(plan, night, { rackRate, roomTypeId, guests })
+      : { date: dateKey(night), rackRate, adjustments: [], occupancySurcharge: 0, rate: rackRate }
+  );
+
+  return {
+    ratePlan: plan ? { _id: plan._id, code: plan.code, name: plan.name, refundable: plan.refundable } : null,
+    roomType: roomTypeId,
+    currency: property.baseCurrency,
+    checkInDate: checkIn,
+    checkOutDate: checkOut,
+    guests,
+    nights: lines,
+    numberOfNights: lines.length,
+    total: roundCurrency(lines.reduce((sum, line) => sum + line.rate, 0))
+  };
+};
+
+/**
+ * QUOTE RESERVATION
+ * Re-prices a reservation's full stay on its own plan, for `room`, or for its
+ * room type while no room is assigned
+ */
+const quoteReservation = (reservation, room, { session } = {}) =>
+  quoteStay({
+    ratePlan: reservation.ratePlan,
+    room,
+    roomType: room ? undefined : reservation.roomType,
+    checkIn: reservation.checkInDate,
+    checkOut: reservation.checkOutDate,
+    guests: reservation.numberOfGuests,
+    allowPrivate: true,
+    includeInactive: true,
+    session
+  });
+
+/**
+ * Nightly rate lookup for folio posting, from a quote
+ */
+const rateResolver = (quote) => {
+  const byDate = new Map(quote.nights.map((line) => [line.date, line.rate]));
+  return (night) => byDate.get(dateKey(night));
+};
+
+module.exports = {
+  DEFAULT_RATE_PLAN_CODE,
+  findRatePlan,
+  priceNight,
+  quoteStay,
+  quoteReservation,
+  rateResolver
+};
@@ -0,0 +1,216 @@
+const Promotion = require('../models/Promotion');
+const Reservation = require('../models/Reservation');
+const AuditLog = require('../models/AuditLog');
+const { AppError } = require('../middlewares/errorHandler');
+const { roundCurrency } = require('../utils/money');
+
+/**
+ * Folio reference key of a reservation's promotion discount
+ */
+const PROMO_DISCOUNT_KEY = 'DISCOUNT:PROMO';
+
+/**
+ * FIND PROMOTION
+ * Active promotion by code; unknown and inactive codes look the same to callers
+ */
+const findPromotion = async (code, { session } = {}) => {
+  const promotion = await Promotion.findOne({ code: String(code).toUpperCase(), isActive: true })
+    .session(session || null);
+
+  if (!promotion) {
+    throw new AppError(`Promo code ${code} is not valid.`, 404, 'PROMO_CODE_INVALID');
+  }
+
+  return promotion;
+};
+
+/**
+ * Throws when the code cannot be used for this stay
+ */
+const assertPromotionApplicable = (promotion, { roomTypeId, checkIn, checkOut, nights, now = new Date() }) => {
+  if (now < promotion.validFrom || now > promotion.validTo) {
+    throw new AppError(`Promo code ${promotion.code} is not valid at this time.`, 400, 'PROMO_CODE_EXPIRED');
+  }
+
+  if ((promotion.stayFrom && checkIn < promotion.stayFrom) || (promotion.stayTo && checkOut > promotion.stayTo)) {
+    throw new AppError(`Promo code ${promotion.code} does not cover these dates.`, 400, 'PROMO_CODE_NOT_APPLICABLE');
+  }
+
+  if (promotion.roomTypes.length > 0 && !promotion.roomTypes.some((id) => id.equals(roomTypeId))) {
+    throw new AppError(`Promo code ${promotion.code} does not apply to this room type.`, 400, 'PROMO_CODE_NOT_APPLICABLE');
+  }
+
+  if (nights < promotion.minNights) {
+    throw new AppError(
+      `Promo code ${promotion.code} requires a stay of at least ${promotion.minNights} night(s).`,
+      400,
+      'PROMO_CODE_NOT_APPLICABLE'
+    );
+  }
+};
+
+/**
+ * Discount the promotion gives on `roomCharges`
+ */
+const calculateDiscount = (promotion, roomCharges) => {
+  if (promotion.discountType === 'FIXED') {
+    return roundCurrency(Math.min(promotion.value, roomCharges));
+  }
+
+  const amount = (roomCharges * promotion.value) / 100;
+  return roundCurrency(promotion.maxDiscountAmount ? Math.min(amount, promotion.maxDiscountAmount) : amount);
+};
+
+/**
+ * PREVIEW PROMOTION
+ * Eligibility and discount for a quote; does not consume a use
+ */
+const previewPromotion = async (code, { roomTypeId, checkIn, checkOut, nights, roomCharges }) => {
+  const promotion = await findPromotion(code);
+  assertPromotionApplicable(promotion, { roomTypeId, checkIn, checkOut, nights });
+
+  if (promotion.usageLimit && promotion.usageCount >= promotion.usageLimit) {
+    throw new AppError(`Promo code ${promotion.code} has been fully redeemed.`, 409, 'PROMO_CODE_EXHAUSTED');
+  }
+
+  return {
+    code: promotion.code,
+    name: promotion.name,
+    discountAmount: calculateDiscount(promotion, roomCharges)
+  };
+};
+
+/**
+ * REDEEM PROMOTION
+ * Checks eligibility and the per-guest limit, then claims one use. Runs inside
+ * the booking transaction: the usage increment write-conflicts with any
+ * concurrent redemption, so a retried transaction re-counts the guest's uses.
+ */
+const redeemPromotion = async (code, { guestId, roomTypeId, checkIn, checkOut, nights, roomCharges, session }) => {
+  const promotion = await findPromotion(code, { session });
+  assertPromotionApplicable(promotion, { roomTypeId, checkIn, checkOut, nights });
+
+  if (promotion.perGuestLimit) {
+    // Cancelled bookings gave their use back
+    const used = await Reservation.countDocuments({
+      promotion: promotion._id,
+      guest: guestId,
+      status: { $ne: 'CANCELLED' }
+    }).session(session || null);
+
+    if (used >= promotion.perGuestLimit) {
+      throw new AppError(
+        `This guest has already used promo code ${promotion.code}.`,
+        409,
+        'PROMO_CODE_GUEST_LIMIT'
+      );
+    }
+  }
+
+  const claimed = await Promotion.findOneAndUpdate(
+    {
+      _id: promotion._id,
+      isActive: true,
+      $or: [{ usageLimit: 0 }, { $expr: { $lt: ['$usageCount', '$usageLimit'] } }]
+    },
+    { $inc: { usageCount: 1 } },
+    { session, returnDocument: 'after' }
+  );
+
+  if (!claimed) {
+    throw new AppError(`Promo code ${promotion.code} has been fully redeemed.`, 409, 'PROMO_CODE_EXHAUSTED');
+  }
+
+  return {
+    promotion: claimed,
+    discountAmount: calculateDiscount(claimed, roomCharges)
+  };
+};
+
+/**
+ * RELEASE PROMOTION
+ * Gives back the use a cancelled reservation claimed. Runs in the cancelling
+ * transaction, which a reservation only passes through once.
+ */
+const releasePromotion = async (reservation, { session } = {}) => {
+  if (!reservation.promotion) return null;
+
+  return Promotion.findOneAndUpdate(
+    { _id: reservation.promotion, usageCount: { $gt: 0 } },
+    { $inc: { usageCount: -1 } },
+    { session, returnDocument: 'after' }
+  );
+};
+
+/**
+ * LIST PROMOTIONS
+ */
+const listPromotions = ({ includeInactive = false } = {}) =>
+  Promotion.find(includeInactive ? {} : { isActive: true }).sort({ validFrom: -1 });
+
+/**
+ * CREATE PROMOTION
+ */
+const createPromotion = async (data, user, context = {}) => {
+  if (await Promotion.exists({ code: data.code })) {
+    throw new AppError(`Promo code ${data.code} already exists.`, 409, 'PROMO_CODE_EXISTS');
+  }
+
+  const promotion = await Promotion.create({ ...data, createdBy: user._id });
+
+  await AuditLog.logAction({
+    user: user._id,
+    action: 'CREATE',
+    targetEntity: 'System',
+    targetId: promotion._id,
+    ipAddress: context.ip,
+    userAgent: context.userAgent,
+    metadata: { type: 'PROMOTION', code: promotion.code },
+    status: 'SUCCESS'
+  });
+
+  return promotion;
+};
+
+/**
+ * UPDATE PROMOTION
+ * Redemptions already made keep the discount they were given
+ */
+const updatePromotion = async (id, data, user, context = {}) => {
+  const promotion = await Promotion.findById(id);
+
+  if (!promotion) {
+    throw new AppError('Promotion not found.', 404, 'PROMOTION_NOT_FOUND');
+  }
+
+  const before = {};
+  for (const key of Object.keys(data)) before[key] = promotion.get(key);
+
+  promotion.set(data);
+  await promotion.save();
+
+  await AuditLog.logAction({
+    user: user._id,
+    action: 'UPDATE',
+    targetEntity: 'System',
+    targetId: promotion._id,
+    ipAddress: context.ip,
+    userAgent: context.userAgent,
+    metadata: { type: 'PROMOTION', code: promotion.code },
+    changes: { before, after: data },
+    status: 'SUCCESS'
+  });
+
+  return promotion;
+};
+
+module.exports = {
+  PROMO_DISCOUNT_KEY,
+  calculateDiscount,
+  previewPromotion,
+  redeemPromotion,
+  releasePromotion,
+  listPromotions,
+  createPromotion,
+  updatePromotion
+};
@@ -0,0 +1,78 @@
+const RatePlan = require('../models/RatePlan');
+const AuditLog = require('../models/AuditLog');
+const { AppError } = require('../middlewares/errorHandler');
+
+/**
+ * LIST RATE PLANS
+ * Staff see every plan; anonymous callers only active public ones
+ */
+const listRatePlans = ({ includePrivate = false } = {}) => {
+  const filter = includePrivate ? {} : { isActive: true, isPublic: true };
+
+  return RatePlan.find(filter)
+    .select(includePrivate ? '' : 'code name type description refundable minLengthOfStay maxLengthOfStay roomTypes')
+    .sort({ type: 1, code: 1 });
+};
+
+/**
+ * CREATE RATE PLAN
+ */
+const createRatePlan = async (data, user, context = {}) => {
+  if (await RatePlan.exists({ code: data.code })) {
+    throw new AppError(`Rate plan ${data.code} already exists.`, 409, 'RATE_PLAN_EXISTS');
+  }
+
+  const plan = await RatePlan.create({ ...data, createdBy: user._id });
+
+  await AuditLog.logAction({
+    user: user._id,
+    action: 'CREATE',
+    targetEntity: 'System',
+    targetId: plan._id,
+    ipAddress: context.ip,
+    userAgent: context.userAgent,
+    metadata: { type: 'RATE_PLAN', code: plan.code },
+    status: 'SUCCESS'
+  });
+
+  return plan;
+};
+
+/**
+ * UPDATE RATE PLAN
+ * Existing reservations keep the nights already posted to their folio; new
+ * rules only affect nights priced after the change.
+ */
+const updateRatePlan = async (id, data, user, context = {}) => {
+  const plan = await RatePlan.findById(id);
+
+  if (!plan) {
+    throw new AppError('Rate plan not found.', 404, 'RATE_PLAN_NOT_FOUND');
+  }
+
+  const before = {};
+  for (const key of Object.keys(data)) before[key] = plan.get(key);
+
+  plan.set(data);
+  await plan.save();
+
+  await AuditLog.logAction({
+    user: user._id,
+    action: 'UPDATE',
+    targetEntity: 'System',
+    targetId: plan._id,
+    ipAddress: context.ip,
+    userAgent: context.userAgent,
+    metadata: { type: 'RATE_PLAN', code: plan.code },
+    changes: { before, after: data },
+    status: 'SUCCESS'
+  });
+
+  return plan;
+};
+
+module.exports = {
+  listRatePlans,
+  createRatePlan,
+  updateRatePlan
+};
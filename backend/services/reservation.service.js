@@ -0,0 +1,618 @@
+const mongoose = require('mongoose');
+const Reservation = require('../models/Reservation');
+const Guest = require('../models/Guest');
+const Promotion = require('../models/Promotion');
+const Group = require('../models/Group');
+const AuditLog = require('../models/AuditLog');
+const { AppError } = require('../middlewares/errorHandler');
+const { roundCurrency } = require('../utils/money');
+const { ROLE_HIERARCHY } = require('../middlewares/rbac');
+const { policies } = require('../config/policies');
+const {
+  resolveRoomTypeId,
+  lockRoomForBooking,
+  lockRoomTypeForBooking,
+  findBookableRoom,
+  findBookableRoomType,
+  assertNoOverlap,
+  assertRoomTypeInventory
+} = require('./availability.service');
+const { postEntry, setSystemEntry, syncRoomNights, applyFolioTotals } = require('./folio.service');
+const { quoteStay, quoteReservation, rateResolver } = require('./pricing.service');
+const { PROMO_DISCOUNT_KEY, calculateDiscount, redeemPromotion } = require('./promotion.service');
+const { currentBusinessDate } = require('./businessDay.service');
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Statuses whose dates can no longer be changed
+ */
+const LOCKED_STATUSES = ['CHECKED_OUT', 'CANCELLED', 'NO_SHOW', 'COMPLETED'];
+
+const countNights = (checkIn, checkOut) => Math.round((checkOut - checkIn) / ONE_DAY);
+
+/**
+ * A required deposit is due within the policy window, and never after arrival
+ */
+const depositDueDate = (checkIn, now = new Date()) => {
+  const due = new Date(now.getTime() + policies.depositWindowHours * 60 * 60 * 1000);
+  return due < checkIn ? due : checkIn;
+};
+
+/**
+ * Manual discounts above the policy share of room charges need a MANAGER.
+ * Returns true when the discount is above the limit (i.e. needed approval).
+ */
+const assertManualDiscountAllowed = (amount, roomCharges, user) => {
+  const limit = (roomCharges * policies.manualDiscountLimitPercent) / 100;
+  if (amount <= limit) return false;
+
+  if (!(ROLE_HIERARCHY[user.role?.name] >= ROLE_HIERARCHY.MANAGER)) {
+    throw new AppError(
+      `Discounts above ${policies.manualDiscountLimitPercent}% of the room charges need a MANAGER.`,
+      403,
+      'DISCOUNT_APPROVAL_REQUIRED'
+    );
+  }
+
+  return true;
+};
+
+/**
+ * Group a new booking is picked up for; a cancelled group takes no bookings
+ */
+const loadBookableGroup = async (groupId, session) => {
+  const group = await Group.findById(groupId).session(session);
+
+  if (!group) {
+    throw new AppError('Group not found.', 404, 'GROUP_NOT_FOUND');
+  }
+
+  if (group.status === 'CANCELLED') {
+    throw new AppError(`Group ${group.groupNumber} is cancelled.`, 409, 'GROUP_CANCELLED');
+  }
+
+  return group;
+};
+
+/**
+ * BOOK RESERVATION
+ * Room (or room type) lock, availability checks and insert, inside the
+ * caller's transaction so two concurrent bookings cannot both take the last
+ * unit. Without a room the booking only holds inventory of its type, which
+ * may run past physical rooms up to the overbooking limit.
+ */
+const bookReservation = async (data, user, session) => {
+  const checkIn = new Date(data.checkInDate);
+  const checkOut = new Date(data.checkOutDate);
+
+  const guest = await Guest.findById(data.guest).select('_id fullName blacklisted').session(session);
+  if (!guest) {
+    throw new AppError('Guest not found.', 404, 'GUEST_NOT_FOUND');
+  }
+
+  if (guest.blacklisted) {
+    throw new AppError(`Guest ${guest.fullName} is blacklisted and cannot be booked.`, 403, 'GUEST_BLACKLISTED');
+  }
+
+  const room = data.room ? await lockRoomForBooking(data.room, session) : null;
+  const roomType = await lockRoomTypeForBooking(
+    room ? room.roomType : await resolveRoomTypeId(data.roomType),
+    session
+  );
+
+  const capacity = room ? room.capacity : roomType.maxOccupancy;
+  if (data.numberOfGuests > capacity) {
+    throw new AppError(
+      `${room ? `Room ${room.roomNumber}` : `A ${roomType.name} room`} sleeps at most ${capacity} guest(s).`,
+      400,
+      'ROOM_CAPACITY_EXCEEDED'
+    );
+  }
+
+  const group = data.group ? await loadBookableGroup(data.group, session) : null;
+
+  if (room) await assertNoOverlap(room._id, checkIn, checkOut, { session });
+  await assertRoomTypeInventory(roomType._id, checkIn, checkOut, { group, session });
+
+  const quote = await quoteStay({
+    ratePlan: data.ratePlan || group?.allotments.find((a) => a.roomType.equals(roomType._id))?.ratePlan,
+    room,
+    roomType: roomType._id,
+    checkIn,
+    checkOut,
+    guests: data.numberOfGuests,
+    allowPrivate: true,
+    session
+  });
+
+  const discountAmount = data.discountAmount || 0;
+  const needsApproval = assertManualDiscountAllowed(discountAmount, quote.total, user);
+
+  const promo = data.promoCode
+    ? await redeemPromotion(data.promoCode, {
+      guestId: guest._id,
+      roomTypeId: roomType._id,
+      checkIn,
+      checkOut,
+      nights: quote.numberOfNights,
+      roomCharges: quote.total,
+      session
+    })
+    : null;
+
+  if (discountAmount + (promo?.discountAmount || 0) > quote.total) {
+    throw new AppError('Discount cannot exceed the room charges.', 400, 'DISCOUNT_EXCEEDS_TOTAL');
+  }
+
+  // Financial fields start at zero and are derived from the folio below
+  const [created] = await Reservation.create(
+    [
+      {
+        guest: guest._id,
+        booking: data.booking,
+        room: room?._id,
+        roomType: roomType._id,
+        group: group?._id,
+        checkInDate: checkIn,
+        checkOutDate: checkOut,
+        numberOfGuests: data.numberOfGuests,
+        ratePlan: quote.ratePlan?._id,
+        promotion: promo?.promotion._id,
+        promoCode: promo?.promotion.code,
+        discountApprovedBy: needsApproval ? user._id : undefined,
+        bookingSource: data.bookingSource,
+        specialRequests: data.specialRequests,
+        depositAmount: data.depositAmount,
+        depositRequired: data.depositRequired,
+        depositDueAt: data.depositRequired ? depositDueDate(checkIn) : undefined,
+        totalAmount: 0,
+        createdBy: user._id
+      }
+    ],
+    { session }
+  );
+
+  await syncRoomNights(created, {
+    nightlyRate: rateResolver(quote),
+    label: quote.ratePlan?.code,
+    user,
+    session
+  });
+
+  if (discountAmount > 0) {
+    await postEntry(
+      created,
+      {
+        type: 'DISCOUNT',
+        description: 'Booking discount',
+        amount: -discountAmount,
+        serviceDate: checkIn,
+        referenceKey: 'DISCOUNT:BOOKING'
+      },
+      user,
+      { session }
+    );
+  }
+
+  if (promo?.discountAmount > 0) {
+    await postEntry(
+      created,
+      {
+        type: 'DISCOUNT',
+        description: `Promotion ${promo.promotion.code}`,
+        amount: -promo.discountAmount,
+        serviceDate: checkIn,
+        referenceKey: PROMO_DISCOUNT_KEY
+      },
+      user,
+      { session }
+    );
+  }
+
+  await applyFolioTotals(created, { user, session });
+
+  if (created.depositAmount > created.totalAmount) {
+    throw new AppError('Deposit cannot exceed the reservation total.', 400, 'DEPOSIT_EXCEEDS_TOTAL');
+  }
+
+  return created;
+};
+
+/**
+ * Audit entry for a newly booked reservation
+ */
+const logReservationCreated = (reservation, user, context = {}, options = {}) =>
+  AuditLog.logAction(
+    {
+      user: user._id,
+      action: 'RESERVATION_CREATED',
+      targetEntity: 'Reservation',
+      targetId: reservation._id,
+      ipAddress: context.ip,
+      userAgent: context.userAgent,
+      metadata: {
+        reservationNumber: reservation.reservationNumber,
+        booking: reservation.booking,
+        room: reservation.room,
+        roomType: reservation.roomType,
+        group: reservation.group,
+        promoCode: reservation.promoCode,
+        discountApprovedBy: reservation.discountApprovedBy
+      },
+      status: 'SUCCESS'
+    },
+    options
+  );
+
+/**
+ * CREATE RESERVATION
+ * Books a single reservation in its own transaction
+ */
+const createReservation = async (data, user, context = {}) => {
+  const reservation = await mongoose.connection.transaction((session) => bookReservation(data, user, session));
+
+  await logReservationCreated(reservation, user, context);
+
+  return reservation;
+};
+
+/**
+ * Reservation fields a modification can change, and what it reports on
+ */
+const MODIFIABLE_FIELDS = ['checkInDate', 'checkOutDate', 'room', 'numberOfGuests', 'specialRequests'];
+const PRICED_FIELDS = ['totalAmount', 'taxAmount', 'discountAmount'];
+
+const sameValue = (a, b) =>
+  a instanceof Date || b instanceof Date
+    ? new Date(a).getTime() === new Date(b).getTime()
+    : String(a ?? '') === String(b ?? '');
+
+/**
+ * Modifiable fields `changes` actually gives a new value
+ */
+const changedFields = (current, changes) =>
+  MODIFIABLE_FIELDS.filter((field) => changes[field] !== undefined && !sameValue(changes[field], current.get(field)));
+
+/**
+ * Applies `changes` to a loaded reservation inside the caller's transaction.
+ * Same locking and availability checks as creation, with the reservation
+ * itself excluded. New nights are posted at the current rate; a new room or
+ * guest count reprices the nights still to come. An in-house stay only takes
+ * changes to its special requests: room moves and extensions go through the
+ * stay. Returns the changed fields (and the resulting prices) as they were
+ * before and after. `lock: false` skips the booking locks, for previews.
+ */
+const modifyStay = async (current, changes, user, session, { lock = true } = {}) => {
+  if (LOCKED_STATUSES.includes(current.status)) {
+    throw new AppError(
+      `Cannot modify a ${current.status.toLowerCase()} reservation.`,
+      409,
+      'RESERVATION_LOCKED'
+    );
+  }
+
+  const changed = changedFields(current, changes);
+
+  if (current.status === 'CHECKED_IN' && changed.some((field) => field !== 'specialRequests')) {
+    throw new AppError(
+      'An in-house stay changes room through a room move and its departure through a stay extension.',
+      409,
+      'STAY_IN_PROGRESS'
+    );
+  }
+  const before = {};
+  for (const field of [...changed, ...PRICED_FIELDS]) before[field] = current.get(field);
+
+  const checkIn = new Date(changes.checkInDate ?? current.checkInDate);
+  const checkOut = new Date(changes.checkOutDate ?? current.checkOutDate);
+  if (checkOut <= checkIn) {
+    throw new AppError('Check-out date must be after check-in date.', 400, 'INVALID_DATES');
+  }
+
+  const roomChanged = changed.includes('room');
+  const datesChanged = changed.includes('checkInDate') || changed.includes('checkOutDate');
+  const guestsChanged = changed.includes('numberOfGuests');
+
+  if (roomChanged || datesChanged || guestsChanged) {
+    const roomId = roomChanged ? changes.room : current.room;
+    const loadRoom = lock ? lockRoomForBooking : findBookableRoom;
+    const loadRoomType = lock ? lockRoomTypeForBooking : findBookableRoomType;
+    const room = roomId ? await loadRoom(roomId, session) : null;
+    const roomType = await loadRoomType(room ? room.roomType : current.roomType, session);
+    const typeChanged = !roomType._id.equals(current.roomType);
+
+    const numberOfGuests = changes.numberOfGuests ?? current.numberOfGuests;
+    const capacity = room ? room.capacity : roomType.maxOccupancy;
+    if (numberOfGuests > capacity) {
+      throw new AppError(
+        `${room ? `Room ${room.roomNumber}` : `A ${roomType.name} room`} sleeps at most ${capacity} guest(s).`,
+        400,
+        'ROOM_CAPACITY_EXCEEDED'
+      );
+    }
+
+    if (room && (roomChanged || datesChanged)) {
+      await assertNoOverlap(room._id, checkIn, checkOut, {
+        session,
+        excludeReservationId: current._id
+      });
+    }
+    if (typeChanged || datesChanged) {
+      await assertRoomTypeInventory(roomType._id, checkIn, checkOut, {
+        group: current.group ? await Group.findById(current.group).session(session) : null,
+        session,
+        excludeReservationId: current._id
+      });
+    }
+
+    current.set({
+      checkInDate: checkIn,
+      checkOutDate: checkOut,
+      room: room?._id,
+      roomType: roomType._id,
+      numberOfGuests
+    });
+
+    // Nights dropped from the stay are voided, new ones posted at the current rate
+    const quote = await quoteReservation(current, room, { session });
+    await syncRoomNights(current, {
+      nightlyRate: rateResolver(quote),
+      label: quote.ratePlan?.code,
+      repriceFrom: roomChanged || guestsChanged ? await currentBusinessDate({ session }) : undefined,
+      user,
+      session
+    });
+
+    // The promotion discount is re-evaluated against the new room charges
+    if (current.promotion) {
+      const promotion = await Promotion.findById(current.promotion).session(session);
+      await setSystemEntry(
+        current,
+        {
+          type: 'DISCOUNT',
+          description: `Promotion ${current.promoCode}`,
+          amount: -calculateDiscount(promotion, quote.total),
+          serviceDate: current.checkInDate,
+          referenceKey: PROMO_DISCOUNT_KEY
+        },
+        user,
+        { session }
+      );
+    }
+  }
+
+  if (changed.includes('specialRequests')) {
+    current.specialRequests = changes.specialRequests;
+  }
+
+  // Taxes follow the new nights and guest count
+  await applyFolioTotals(current, { user, session });
+
+  const after = {};
+  for (const field of Object.keys(before)) after[field] = current.get(field);
+
+  return { before, after };
+};
+
+/**
+ * Moves a loaded reservation to new dates inside the caller's transaction.
+ * Returns the values it had before.
+ */
+const changeReservationDates = async (current, checkIn, checkOut, user, session) => {
+  const { before } = await modifyStay(current, { checkInDate: checkIn, checkOutDate: checkOut }, user, session);
+  return before;
+};
+
+/**
+ * Audit entry for a reservation whose dates moved
+ */
+const logDatesChanged = (reservation, before, user, context = {}, options = {}) =>
+  AuditLog.logAction(
+    {
+      user: user._id,
+      action: 'RESERVATION_MODIFIED',
+      targetEntity: 'Reservation',
+      targetId: reservation._id,
+      ipAddress: context.ip,
+      userAgent: context.userAgent,
+      changes: {
+        before,
+        after: {
+          checkInDate: reservation.checkInDate,
+          checkOutDate: reservation.checkOutDate,
+          totalAmount: reservation.totalAmount
+        }
+      },
+      status: 'SUCCESS'
+    },
+    options
+  );
+
+/**
+ * Loads a reservation for modification, refusing requests that change nothing
+ */
+const loadForModification = async (reservationId, changes, session) => {
+  const current = await Reservation.findById(reservationId).session(session);
+
+  if (!current) {
+    throw new AppError('Reservation not found.', 404, 'RESERVATION_NOT_FOUND');
+  }
+
+  if (changedFields(current, changes).length === 0) {
+    throw new AppError('Nothing to change.', 400, 'NO_CHANGES');
+  }
+
+  return current;
+};
+
+/**
+ * UPDATE RESERVATION DATES
+ * Date-only form of a modification, with the same guards
+ */
+const updateReservationDates = async (reservationId, { checkInDate, checkOutDate }, user, context = {}) => {
+  let before;
+
+  const reservation = await mongoose.connection.transaction(async (session) => {
+    const current = await loadForModification(reservationId, { checkInDate, checkOutDate }, session);
+
+    before = await changeReservationDates(current, new Date(checkInDate), new Date(checkOutDate), user, session);
+
+    return current;
+  });
+
+  await logDatesChanged(reservation, before, user, context);
+
+  return reservation;
+};
+
+/**
+ * PREVIEW MODIFICATION
+ * Runs the modification in a transaction that is always rolled back, so the
+ * quoted prices are exactly what committing would produce. No booking locks
+ * are taken, so a preview never write-conflicts with real bookings.
+ */
+const previewModification = async (reservationId, changes, user) => {
+  const rollback = new Error('Modification preview');
+  let preview;
+
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      const current = await loadForModification(reservationId, changes, session);
+      const { before, after } = await modifyStay(current, changes, user, session, { lock: false });
+
+      preview = {
+        reservationNumber: current.reservationNumber,
+        status: current.status,
+        changes: { before, after },
+        currentTotal: before.totalAmount,
+        newTotal: after.totalAmount,
+        priceDelta: roundCurrency(after.totalAmount - before.totalAmount),
+        paidAmount: current.paidAmount,
+        balanceAfter: roundCurrency(after.totalAmount - current.paidAmount)
+      };
+
+      throw rollback;
+    });
+  } catch (err) {
+    if (err !== rollback) throw err;
+  }
+
+  return preview;
+};
+
+/**
+ * MODIFY RESERVATION
+ * Changes dates, room, guest count or special requests in one go, re-running
+ * availability and pricing. The audit entry keeps every changed field and
+ * the resulting prices before and after.
+ */
+const modifyReservation = async (reservationId, changes, user, context = {}) => {
+  let diff;
+
+  const reservation = await mongoose.connection.transaction(async (session) => {
+    const current = await loadForModification(reservationId, changes, session);
+    diff = await modifyStay(current, changes, user, session);
+    return current;
+  });
+
+  const priceDelta = roundCurrency(diff.after.totalAmount - diff.before.totalAmount);
+
+  await AuditLog.logAction({
+    user: user._id,
+    action: 'RESERVATION_MODIFIED',
+    targetEntity: 'Reservation',
+    targetId: reservation._id,
+    ipAddress: context.ip,
+    userAgent: context.userAgent,
+    metadata: {
+      reservationNumber: reservation.reservationNumber,
+      operation: 'MODIFIED',
+      fields: Object.keys(diff.before).filter((field) => MODIFIABLE_FIELDS.includes(field)),
+      priceDelta
+    },
+    changes: diff,
+    status: 'SUCCESS'
+  });
+
+  return { reservation, priceDelta };
+};
+
+/**
+ * ASSIGN ROOM
+ * Gives a booking held on room type inventory its room. The room must be of
+ * the booked type; the price agreed at booking stands.
+ */
+const assignRoom = async (reservationId, roomId, user, context = {}) => {
+  const reservation = await mongoose.connection.transaction(async (session) => {
+    const current = await Reservation.findById(reservationId).session(session);
+
+    if (!current) {
+      throw new AppError('Reservation not found.', 404, 'RESERVATION_NOT_FOUND');
+    }
+
+    if (!['PENDING', 'CONFIRMED'].includes(current.status)) {
+      throw new AppError(
+        `Cannot assign a room to a ${current.status.toLowerCase()} reservation.`,
+        409,
+        'RESERVATION_LOCKED'
+      );
+    }
+
+    if (current.room) {
+      throw new AppError('Reservation already has a room assigned.', 409, 'ROOM_ALREADY_ASSIGNED');
+    }
+
+    const room = await lockRoomForBooking(roomId, session);
+
+    if (!room.roomType.equals(current.roomType)) {
+      throw new AppError(`Room ${room.roomNumber} is not of the booked room type.`, 400, 'ROOM_TYPE_MISMATCH');
+    }
+
+    if (current.numberOfGuests > room.capacity) {
+      throw new AppError(
+        `Room ${room.roomNumber} sleeps at most ${room.capacity} guest(s).`,
+        400,
+        'ROOM_CAPACITY_EXCEEDED'
+      );
+    }
+
+    await assertNoOverlap(room._id, current.checkInDate, current.checkOutDate, {
+      session,
+      excludeReservationId: current._id
+    });
+
+    current.room = room._id;
+    await current.save({ session });
+
+    return current;
+  });
+
+  await AuditLog.logAction({
+    user: user._id,
+    action: 'RESERVATION_MODIFIED',
+    targetEntity: 'Reservation',
+    targetId: reservation._id,
+    ipAddress: context.ip,
+    userAgent: context.userAgent,
+    metadata: { reservationNumber: reservation.reservationNumber, operation: 'ROOM_ASSIGNED' },
+    changes: { before: { room: null }, after: { room: reservation.room } },
+    status: 'SUCCESS'
+  });
+
+  return reservation;
+};
+
+module.exports = {
+  LOCKED_STATUSES,
+  countNights,
+  bookReservation,
+  logReservationCreated,
+  createReservation,
+  changeReservationDates,
+  logDatesChanged,
+  updateReservationDates,
+  previewModification,
+  modifyReservation,
+  assignRoom
+};
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+
+/**
+ * SEQUENCE FORMATS
+ * `period` decides when the sequence resets: daily numbers embed YYMMDD,
+ * monthly numbers embed YYMM. `model` and `field` hold the numbers already
+ * issued, which a counter is seeded from on first use.
+ */
+const SEQUENCES = {
+  RES: { period: 'day', model: 'Reservation', field: 'reservationNumber' },
+  PAY: { period: 'day', model: 'Payment', field: 'paymentNumber' },
+  GRP: { period: 'month', model: 'Group', field: 'groupNumber' },
+  BKG: { period: 'day', model: 'Booking', field: 'bookingNumber' },
+  // Housekeeping and maintenance tickets share one monthly counter, as before
+  HK: { period: 'month', counter: 'TICKET', model: 'Maintenance', field: 'ticketNumber' },
+  MNT: { period: 'month', counter: 'TICKET', model: 'Maintenance', field: 'ticketNumber' }
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const periodKey = (date, period) => {
+  const year = date.getFullYear().toString().slice(-2);
+  const month = pad(date.getMonth() + 1);
+
+  return period === 'day' ? `${year}${month}${pad(date.getDate())}` : `${year}${month}`;
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Highest sequence already issued under each of `prefixes` (type prefix plus
+ * period) in the model holding those numbers, or 0 when there is none
+ */
+const highestIssued = async ({ model, field }, prefixes) => {
+  const pattern = `^(?:${prefixes.map(escapeRegExp).join('|')})(\\d+)$`;
+
+  const [highest] = await mongoose.model(model).aggregate([
+    { $match: { [field]: { $regex: pattern } } },
+    { $project: { match: { $regexFind: { input: `$${field}`, regex: pattern } } } },
+    { $group: { _id: null, seq: { $max: { $toInt: { $arrayElemAt: ['$match.captures', 0] } } } } }
+  ]);
+
+  return highest?.seq || 0;
+};
+
+/**
+ * NEXT SEQUENCE
+ * Atomically increments and returns the counter for `key`. A counter that
+ * does not exist yet starts from `seed()` (default 0), so numbers issued
+ * before it existed are never handed out again.
+ */
+const nextSequence = async (key, { seed = async () => 0 } = {}) => {
+  const counter = await Counter.findOneAndUpdate({ _id: key }, { $inc: { seq: 1 } }, { returnDocument: 'after' });
+  if (counter) return counter.seq;
+
+  try {
+    await Counter.create({ _id: key, seq: await seed() });
+  } catch (err) {
+    // Another request seeded the counter first
+    if (err.code !== 11000) throw err;
+  }
+
+  return nextSequence(key);
+};
+
+/**
+ * GENERATE NUMBER
+ * e.g. RES2610190001, PAY2610190002, HK26100001, GRP26100001, or NYC-RES2610190001
+ * with a property prefix (option or PROPERTY_CODE env var).
+ *
+ * Deliberately not bound to the caller's transaction: an aborted booking leaves
+ * a gap in the sequence, but concurrent bookings never contend on the counter.
+ */
+const generateNumber = async (type, { date = new Date(), propertyCode = process.env.PROPERTY_CODE } = {}) => {
+  const format = SEQUENCES[type];
+
+  if (!format) {
+    throw new Error(`Unknown sequence type: ${type}`);
+  }
+
+  const period = periodKey(date, format.period);
+  const property = propertyCode ? propertyCode.toUpperCase() : '';
+  const counterKey = [property, format.counter || type, period].filter(Boolean).join(':');
+
+  const prefixOf = (sequenceType) => `${property ? `${property}-${sequenceType}` : sequenceType}${period}`;
+  const sharing = Object.keys(SEQUENCES).filter((t) => (SEQUENCES[t].counter || t) === (format.counter || type));
+
+  const seq = await nextSequence(counterKey, { seed: () => highestIssued(format, sharing.map(prefixOf)) });
+  const prefix = property ? `${property}-${type}` : type;
+
+  return `${prefix}${period}${pad(seq, 4)}`;
+};
+
+module.exports = {
+  nextSequence,
+  generateNumber
+};
@@ -0,0 +1,175 @@
+const AuditLog = require('../models/AuditLog');
+const { AppError } = require('../middlewares/errorHandler');
+const { effectivePermissions } = require('../middlewares/rbac');
+const { STATE_MACHINES } = require('../config/stateMachines');
+
+// Marks the queries transitionWhere issues, so the update guard lets them through
+const TRANSITION_QUERY = Symbol('statusTransition');
+
+const UPDATE_QUERIES = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'];
+
+const machineFor = (modelName) => {
+  const machine = STATE_MACHINES[modelName];
+  if (!machine) throw new Error(`No status state machine is defined for ${modelName}`);
+  return machine;
+};
+
+/**
+ * ASSERT TRANSITION
+ * The rule allowing `from` → `to`, checked against the user's permissions
+ * unless a system job makes the move
+ */
+const assertTransition = (modelName, from, to, { user, system = false } = {}) => {
+  const machine = machineFor(modelName);
+  const rule = machine.transitions.find((t) => t.to === to && t.from.includes(from));
+
+  if (!rule) {
+    throw new AppError(
+      `A ${String(from).toLowerCase()} ${machine.noun} cannot move to ${to}.`,
+      409,
+      'ILLEGAL_STATUS_TRANSITION'
+    );
+  }
+
+  if (!system && !effectivePermissions(user).has(rule.permission)) {
+    throw new AppError(
+      `Moving a ${machine.noun} from ${from} to ${to} requires the ${rule.permission} permission.`,
+      403,
+      'TRANSITION_NOT_PERMITTED'
+    );
+  }
+
+  return rule;
+};
+
+const logTransition = (modelName, doc, from, change, session) => {
+  const machine = machineFor(modelName);
+
+  return AuditLog.logAction(
+    {
+      user: change.user._id,
+      action: machine.auditAction,
+      targetEntity: modelName,
+      targetId: doc._id,
+      ipAddress: change.context?.ip,
+      userAgent: change.context?.userAgent,
+      metadata: {
+        [machine.label]: doc[machine.label],
+        ...(change.system && { system: true }),
+        ...change.metadata
+      },
+      changes: { before: { status: from }, after: { status: doc.status } },
+      status: 'SUCCESS'
+    },
+    { session }
+  );
+};
+
+/**
+ * TRANSITION
+ * Moves a loaded document to `to`. The audit entry is written, in the same
+ * session, when the caller saves the document.
+ *
+ *   user      who makes the move (system jobs pass the poster of record)
+ *   system    skip the permission check for scheduled and provider-driven moves
+ *   context   request ip and user agent for the audit entry
+ *   metadata  extra audit metadata
+ */
+const transition = (doc, to, { user, system = false, context, metadata } = {}) => {
+  const from = doc.status;
+  if (from === to) return doc;
+
+  assertTransition(doc.constructor.modelName, from, to, { user, system });
+
+  doc.status = to;
+  doc.$locals.statusChange = { from, user, system, context, metadata };
+  return doc;
+};
+
+/**
+ * TRANSITION WHERE
+ * Conditional form for moves that race other writers: the document matching
+ * `filter` moves only if it is still `from`, with `set` applied alongside.
+ * Resolves to the updated document, or null when it had already moved on.
+ */
+const transitionWhere = async (Model, filter, { from, to, set = {}, user, system = false, context, metadata, session }) => {
+  assertTransition(Model.modelName, from, to, { user, system });
+
+  const query = Model.findOneAndUpdate(
+    { ...filter, status: from },
+    { $set: { ...set, status: to } },
+    { returnDocument: 'after', session }
+  );
+  query[TRANSITION_QUERY] = true;
+
+  const updated = await query;
+  if (updated) {
+    await logTransition(Model.modelName, updated, from, { user, system, context, metadata }, session);
+  }
+
+  return updated;
+};
+
+const touchesStatus = (update) =>
+  'status' in update || ['$set', '$setOnInsert', '$unset'].some((op) => update[op] && 'status' in update[op]);
+
+/**
+ * STATE MACHINE PLUGIN
+ * Enforces the model's state machine on every write: saved status changes must
+ * come from transition() and be legal from the stored status, and update
+ * queries may only change status through transitionWhere(). Each saved
+ * transition writes its audit entry.
+ */
+const stateMachinePlugin = (schema, { modelName }) => {
+  schema.post('init', function () {
+    this.$locals.storedStatus = this.status;
+  });
+
+  schema.pre('save', function () {
+    if (this.isNew || !this.isModified('status')) return;
+
+    const change = this.$locals.statusChange;
+    if (!change) {
+      throw new AppError(
+        `${modelName} status must be changed through the state machine.`,
+        409,
+        'ILLEGAL_STATUS_TRANSITION'
+      );
+    }
+
+    assertTransition(modelName, this.$locals.storedStatus ?? change.from, this.status, {
+      user: change.user,
+      system: change.system
+    });
+  });
+
+  schema.post('save', async function () {
+    const change = this.$locals.statusChange;
+    const from = this.$locals.storedStatus ?? change?.from;
+
+    this.$locals.storedStatus = this.status;
+    delete this.$locals.statusChange;
+
+    if (change && from !== this.status) {
+      await logTransition(modelName, this, from, change, this.$session());
+    }
+  });
+
+  schema.pre(UPDATE_QUERIES, function () {
+    if (this[TRANSITION_QUERY]) return;
+
+    if (touchesStatus(this.getUpdate() || {})) {
+      throw new AppError(
+        `${modelName} status must be changed through the state machine.`,
+        409,
+        'ILLEGAL_STATUS_TRANSITION'
+      );
+    }
+  });
+};
+
+module.exports = {
+  transition,
+  transitionWhere,
+  stateMachinePlugin
+};
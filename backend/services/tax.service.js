@@ -0,0 +1,264 @@
+const TaxRule = require('../models/TaxRule');
+const Guest = require('../models/Guest');
+const Reservation = require('../models/Reservation');
+const FolioEntry = require('../models/FolioEntry');
+const AuditLog = require('../models/AuditLog');
+const { AppError } = require('../middlewares/errorHandler');
+const { roundCurrency } = require('../utils/money');
+
+/**
+ * Folio reference key of a rule's tax line posted on a business date
+ */
+const taxKey = (code, date) => `TAX:${code}:${new Date(date).toISOString().slice(0, 10)}`;
+
+const taxCodeOf = (referenceKey) => referenceKey.split(':')[1];
+
+const loadActiveRules = ({ session } = {}) =>
+  TaxRule.find({ isActive: true }).sort({ sortOrder: 1, code: 1 }).session(session || null);
+
+/**
+ * Reason a rule does not apply to this stay, or null
+ */
+const exemptionFor = (rule, { bookingSource, guest }) => {
+  if (guest?.taxExempt) {
+    return guest.taxExemptReason || 'Guest is tax exempt';
+  }
+
+  const { bookingSources = [], nationalities = [], guests = [] } = rule.exemptions || {};
+
+  if (bookingSource && bookingSources.includes(bookingSource)) {
+    return `Exempt for ${bookingSource} bookings`;
+  }
+
+  if (guest?.nationality && nationalities.some((n) => n.toLowerCase() === guest.nationality.toLowerCase())) {
+    return `Exempt for ${guest.nationality} nationals`;
+  }
+
+  if (guest?._id && guests.some((id) => id.equals(guest._id))) {
+    return 'Guest exempted from this tax';
+  }
+
+  return null;
+};
+
+/**
+ * CALCULATE TAXES
+ * Pure evaluation of `rules` against a stay.
+ *   charges   folio totals by entry type (excluding TAX)
+ *   discounts booking discounts, taken off the ROOM_NIGHT base
+ *   nights    charged nights
+ */
+const calculateTaxes = (rules, { charges = {}, discounts = 0, nights, guests, bookingSource, guest }) => {
+  const lines = rules.map((rule) => {
+    const cappedNights = rule.maxNights ? Math.min(nights, rule.maxNights) : nights;
+    let base;
+    let quantity;
+
+    switch (rule.calculation) {
+      case 'PERCENTAGE': {
+        const gross = rule.appliesTo.reduce((sum, type) => sum + (charges[type] || 0), 0);
+        base = roundCurrency(Math.max(gross - (rule.appliesTo.includes('ROOM_NIGHT') ? discounts : 0), 0));
+        quantity = 1;
+        break;
+      }
+      case 'PER_NIGHT':
+        base = rule.rate;
+        quantity = cappedNights;
+        break;
+      case 'PER_PERSON_NIGHT':
+        base = rule.rate;
+        quantity = cappedNights * guests;
+        break;
+      case 'PER_PERSON_STAY':
+        base = rule.rate;
+        quantity = nights > 0 ? guests : 0;
+        break;
+      default:
+        base = 0;
+        quantity = 0;
+    }
+
+    const gross = rule.calculation === 'PERCENTAGE'
+      ? roundCurrency((base * rule.rate) / 100)
+      : roundCurrency(base * quantity);
+
+    const exemptionReason = exemptionFor(rule, { bookingSource, guest });
+
+    return {
+      code: rule.code,
+      name: rule.name,
+      calculation: rule.calculation,
+      rate: rule.rate,
+      base,
+      quantity,
+      amount: exemptionReason ? 0 : gross,
+      exempt: Boolean(exemptionReason),
+      exemptionReason: exemptionReason || undefined
+    };
+  });
+
+  return {
+    lines,
+    total: roundCurrency(lines.reduce((sum, line) => sum + line.amount, 0))
+  };
+};
+
+/**
+ * Guest fields the exemption checks need
+ */
+const loadTaxGuest = (guestId, { session } = {}) =>
+  Guest.findById(guestId).select('taxExempt taxExemptReason nationality').session(session || null);
+
+/**
+ * Calculator input from a reservation's live folio lines
+ */
+const folioTaxInput = (reservation, entries, guest) => {
+  const charges = {};
+  let discounts = 0;
+  let nights = 0;
+
+  for (const entry of entries) {
+    if (entry.voided || entry.type === 'TAX') continue;
+    if (entry.type === 'DISCOUNT') discounts -= entry.amount;
+    if (entry.type === 'ROOM_NIGHT') nights += 1;
+    charges[entry.type] = (charges[entry.type] || 0) + entry.amount;
+  }
+
+  return {
+    charges,
+    discounts: roundCurrency(discounts),
+    nights,
+    guests: reservation.numberOfGuests,
+    bookingSource: reservation.bookingSource,
+    guest
+  };
+};
+
+/**
+ * ESTIMATE TAXES
+ * Taxes for a quote that has no folio yet; `guest` is an optional guest id
+ */
+const estimateTaxes = async ({ roomCharges, discounts = 0, nights, guests, bookingSource, guest, session }) => {
+  const rules = await loadActiveRules({ session });
+  const guestDoc = guest ? await loadTaxGuest(guest, { session }) : null;
+
+  return calculateTaxes(rules, {
+    charges: { ROOM_NIGHT: roomCharges },
+    discounts,
+    nights,
+    guests,
+    bookingSource,
+    guest: guestDoc
+  });
+};
+
+/**
+ * GET TAX BREAKDOWN
+ * What each rule works out to for the reservation's current folio, next to
+ * what is actually posted
+ */
+const getTaxBreakdown = async (reservationId) => {
+  const reservation = await Reservation.findById(reservationId)
+    .select('reservationNumber guest numberOfGuests bookingSource taxAmount');
+
+  if (!reservation) {
+    throw new AppError('Reservation not found.', 404, 'RESERVATION_NOT_FOUND');
+  }
+
+  const [rules, guest, entries] = await Promise.all([
+    loadActiveRules(),
+    loadTaxGuest(reservation.guest),
+    FolioEntry.find({ reservation: reservation._id, voided: false }).select('type amount referenceKey').lean()
+  ]);
+
+  const evaluation = calculateTaxes(rules, folioTaxInput(reservation, entries, guest));
+
+  const posted = entries
+    .filter((entry) => entry.type === 'TAX')
+    .map((entry) => ({ referenceKey: entry.referenceKey, amount: entry.amount }));
+
+  return {
+    reservationNumber: reservation.reservationNumber,
+    bookingSource: reservation.bookingSource,
+    lines: evaluation.lines,
+    total: evaluation.total,
+    posted,
+    taxAmount: reservation.taxAmount
+  };
+};
+
+/**
+ * LIST TAX RULES
+ */
+const listTaxRules = ({ includeInactive = false } = {}) =>
+  TaxRule.find(includeInactive ? {} : { isActive: true }).sort({ sortOrder: 1, code: 1 });
+
+/**
+ * CREATE TAX RULE
+ * New rules reach a reservation the next time its folio changes
+ */
+const createTaxRule = async (data, user, context = {}) => {
+  if (await TaxRule.exists({ code: data.code })) {
+    throw new AppError(`Tax rule ${data.code} already exists.`, 409, 'TAX_RULE_EXISTS');
+  }
+
+  const rule = await TaxRule.create({ ...data, createdBy: user._id });
+
+  await AuditLog.logAction({
+    user: user._id,
+    action: 'CREATE',
+    targetEntity: 'System',
+    targetId: rule._id,
+    ipAddress: context.ip,
+    userAgent: context.userAgent,
+    metadata: { type: 'TAX_RULE', code: rule.code },
+    status: 'SUCCESS'
+  });
+
+  return rule;
+};
+
+/**
+ * UPDATE TAX RULE
+ */
+const updateTaxRule = async (id, data, user, context = {}) => {
+  const rule = await TaxRule.findById(id);
+
+  if (!rule) {
+    throw new AppError('Tax rule not found.', 404, 'TAX_RULE_NOT_FOUND');
+  }
+
+  const before = {};
+  for (const key of Object.keys(data)) before[key] = rule.get(key);
+
+  rule.set(data);
+  await rule.save();
+
+  await AuditLog.logAction({
+    user: user._id,
+    action: 'UPDATE',
+    targetEntity: 'System',
+    targetId: rule._id,
+    ipAddress: context.ip,
+    userAgent: context.userAgent,
+    metadata: { type: 'TAX_RULE', code: rule.code },
+    changes: { before, after: data },
+    status: 'SUCCESS'
+  });
+
+  return rule;
+};
+
+module.exports = {
+  taxKey,
+  taxCodeOf,
+  loadActiveRules,
+  loadTaxGuest,
+  calculateTaxes,
+  folioTaxInput,
+  estimateTaxes,
+  getTaxBreakdown,
+  listTaxRules,
+  createTaxRule,
+  updateTaxRule
+};
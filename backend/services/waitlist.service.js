@@ -0,0 +1,242 @@
+const mongoose = require('mongoose');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Guest = require('../models/Guest');
+const RoomType = require('../models/RoomType');
+const AuditLog = require('../models/AuditLog');
+const { AppError } = require('../middlewares/errorHandler');
+const { logger } = require('../middlewares/logger');
+const { resolveRoomTypeId } = require('./availability.service');
+const { bookReservation, logReservationCreated } = require('./reservation.service');
+const { currentBusinessDate } = require('./businessDay.service');
+const { notifyStaff } = require('./notification.service');
+
+const { WAITLIST_PRIORITY } = WaitlistEntry;
+
+const priorityOf = (guest) => (guest?.vipStatus ? WAITLIST_PRIORITY.VIP : WAITLIST_PRIORITY.STANDARD);
+
+/**
+ * LIST ENTRIES
+ * Highest priority first, then in the order guests asked
+ */
+const listEntries = ({ status, roomType, guest } = {}) => {
+  const filter = {};
+  if (status) filter.status = status;
+  if (roomType) filter.roomType = roomType;
+  if (guest) filter.guest = guest;
+
+  return WaitlistEntry.find(filter)
+    .populate('guest', 'fullName email phone vipStatus')
+    .populate('roomType', 'name')
+    .populate('reservation', 'reservationNumber status')
+    .sort({ priority: -1, createdAt: 1 });
+};
+
+/**
+ * CREATE ENTRY
+ * One waiting entry per guest, room type and overlapping stay
+ */
+const createEntry = async (data, user, context = {}) => {
+  const guest = await Guest.findById(data.guest).select('fullName vipStatus');
+  if (!guest) {
+    throw new AppError('Guest not found.', 404, 'GUEST_NOT_FOUND');
+  }
+
+  const roomType = await RoomType.findById(await resolveRoomTypeId(data.roomType)).select('name maxOccupancy');
+  if (!roomType) {
+    throw new AppError('Room type not found.', 404, 'ROOM_TYPE_NOT_FOUND');
+  }
+
+  if (data.numberOfGuests > roomType.maxOccupancy) {
+    throw new AppError(
+      `A ${roomType.name} room sleeps at most ${roomType.maxOccupancy} guest(s).`,
+      400,
+      'ROOM_CAPACITY_EXCEEDED'
+    );
+  }
+
+  const checkIn = new Date(data.checkInDate);
+  const checkOut = new Date(data.checkOutDate);
+
+  const duplicate = await WaitlistEntry.exists({
+    guest: guest._id,
+    roomType: roomType._id,
+    status: 'WAITING',
+    checkInDate: { $lt: checkOut },
+    checkOutDate: { $gt: checkIn }
+  });
+  if (duplicate) {
+    throw new AppError('The guest is already waiting for these dates.', 409, 'WAITLIST_DUPLICATE');
+  }
+
+  const entry = await WaitlistEntry.create({
+    guest: guest._id,
+    roomType: roomType._id,
+    checkInDate: checkIn,
+    checkOutDate: checkOut,
+    numberOfGuests: data.numberOfGuests,
+    priority: priorityOf(guest),
+    notes: data.notes,
+    createdBy: user._id
+  });
+
+  await AuditLog.logAction({
+    user: user._id,
+    action: 'CREATE',
+    targetEntity: 'Waitlist',
+    targetId: entry._id,
+    ipAddress: context.ip,
+    userAgent: context.userAgent,
+    metadata: { guest: guest._id, roomType: roomType.name, priority: entry.priority },
+    status: 'SUCCESS'
+  });
+
+  return entry;
+};
+
+/**
+ * CANCEL ENTRY
+ */
+const cancelEntry = async (id, user, context = {}) => {
+  const entry = await WaitlistEntry.findOneAndUpdate(
+    { _id: id, status: 'WAITING' },
+    { $set: { status: 'CANCELLED' } },
+    { returnDocument: 'after' }
+  );
+
+  if (!entry) {
+    if (!(await WaitlistEntry.exists({ _id: id }))) {
+      throw new AppError('Waitlist entry not found.', 404, 'WAITLIST_ENTRY_NOT_FOUND');
+    }
+    throw new AppError('Only waiting entries can be cancelled.', 409, 'WAITLIST_ENTRY_CLOSED');
+  }
+
+  await AuditLog.logAction({
+    user: user._id,
+    action: 'STATUS_CHANGE',
+    targetEntity: 'Waitlist',
+    targetId: entry._id,
+    ipAddress: context.ip,
+    userAgent: context.userAgent,
+    changes: { before: { status: 'WAITING' }, after: { status: 'CANCELLED' } },
+    status: 'SUCCESS'
+  });
+
+  return entry;
+};
+
+/**
+ * MATCH WAITLIST
+ * Offers the inventory a cancelled reservation freed to the best waiting
+ * entry of its room type whose stay overlaps it: VIPs first, then first come.
+ * The first entry that can still be sold gets a tentative PENDING reservation
+ * and staff are told to confirm it with the guest. Returns null when nobody
+ * could be placed.
+ */
+const matchWaitlist = async (freed, user, context = {}) => {
+  if (!freed.roomType) return null;
+
+  const candidates = await WaitlistEntry.find({
+    status: 'WAITING',
+    roomType: freed.roomType,
+    checkInDate: { $lt: freed.checkOutDate, $gte: await currentBusinessDate() },
+    checkOutDate: { $gt: freed.checkInDate }
+  })
+    .populate('guest', 'fullName vipStatus')
+    .sort({ createdAt: 1 });
+
+  // Guest standing is read now, so a guest made VIP while waiting moves up
+  const ranked = candidates.sort((a, b) => priorityOf(b.guest) - priorityOf(a.guest));
+
+  for (const candidate of ranked) {
+    try {
+      const match = await mongoose.connection.transaction(async (session) => {
+        const entry = await WaitlistEntry.findOneAndUpdate(
+          { _id: candidate._id, status: 'WAITING' },
+          { $set: { status: 'MATCHED', matchedAt: new Date(), priority: priorityOf(candidate.guest) } },
+          { returnDocument: 'after', session }
+        );
+        if (!entry) return null;
+
+        const reservation = await bookReservation(
+          {
+            guest: entry.guest,
+            roomType: entry.roomType,
+            checkInDate: entry.checkInDate,
+            checkOutDate: entry.checkOutDate,
+            numberOfGuests: entry.numberOfGuests,
+            specialRequests: entry.notes
+          },
+          user,
+          session
+        );
+
+        entry.reservation = reservation._id;
+        await entry.save({ session });
+
+        await logReservationCreated(reservation, user, context, { session });
+        await AuditLog.logAction(
+          {
+            user: user._id,
+            action: 'STATUS_CHANGE',
+            targetEntity: 'Waitlist',
+            targetId: entry._id,
+            metadata: {
+              source: 'CANCELLATION',
+              freedBy: freed.reservationNumber,
+              reservationNumber: reservation.reservationNumber
+            },
+            changes: { before: { status: 'WAITING' }, after: { status: 'MATCHED' } },
+            status: 'SUCCESS'
+          },
+          { session }
+        );
+        await notifyStaff(
+          {
+            type: 'WAITLIST_MATCH',
+            title: `Waitlist match for ${candidate.guest.fullName}`,
+            message: `Reservation ${reservation.reservationNumber} was placed as PENDING from the waitlist after ` +
+              `${freed.reservationNumber} was cancelled. Confirm it with the guest.`,
+            permission: 'manage_reservations',
+            targetEntity: 'Reservation',
+            targetId: reservation._id
+          },
+          { session }
+        );
+
+        return { entry, reservation };
+      });
+
+      if (match) return match;
+    } catch (err) {
+      // Typically the freed room does not cover this guest's stay; try the next one
+      logger.warn(`[WAITLIST] Could not place entry ${candidate._id}: ${err.message}`);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * EXPIRE WAITLIST
+ * Entries whose arrival has passed without a match
+ */
+const expireWaitlist = async () => {
+  const { modifiedCount } = await WaitlistEntry.updateMany(
+    { status: 'WAITING', checkInDate: { $lt: await currentBusinessDate() } },
+    { $set: { status: 'EXPIRED' } }
+  );
+
+  if (modifiedCount > 0) {
+    logger.info(`[WAITLIST] Expired ${modifiedCount} entr${modifiedCount === 1 ? 'y' : 'ies'}`);
+  }
+
+  return { expired: modifiedCount };
+};
+
+module.exports = {
+  listEntries,
+  createEntry,
+  cancelEntry,
+  matchWaitlist,
+  expireWaitlist
+};
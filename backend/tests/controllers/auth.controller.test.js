@@ -0,0 +1,130 @@
+process.env.JWT_SECRET = 'test-access-secret-of-at-least-32-chars';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret-of-at-least-32-chars';
+
+const jwt = require('jsonwebtoken');
+const User = require('../../models/User');
+const Role = require('../../models/Role');
+const AuditLog = require('../../models/AuditLog');
+const { register, login } = require('../../controllers/auth.controller');
+const { query } = require('../helpers');
+
+/**
+ * Runs a handler until it answers or passes an error on
+ */
+const call = (handler, req) =>
+  new Promise((resolve) => {
+    const res = {
+      cookie: jest.fn(),
+      status: jest.fn(() => res),
+      json: jest.fn((body) => resolve({ res, body }))
+    };
+    handler({ headers: {}, ...req }, res, (err) => resolve({ res, err }));
+  });
+
+const role = (name, isActive = true) => new Role({ name, isActive });
+
+const staff = (roleName) => {
+  const user = new User({ fullName: 'Ann Lee', email: 'ann@example.com', accountStatus: 'ACTIVE' });
+  user.role = role(roleName);
+  return user;
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+  jest.spyOn(AuditLog, 'logAction').mockResolvedValue(null);
+});
+
+describe('login', () => {
+  let user;
+
+  beforeEach(() => {
+    user = staff('RECEPTIONIST');
+    jest.spyOn(User, 'findOne').mockReturnValue(query(user));
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(user);
+  });
+
+  it('issues an access token and registers the refresh token', async () => {
+    jest.spyOn(user, 'comparePassword').mockResolvedValue(true);
+
+    const { res, body } = await call(login, { body: { email: 'ann@example.com', password: 'Secret123!' } });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(jwt.verify(body.data.accessToken, process.env.JWT_SECRET)).toMatchObject({ id: user._id.toString() });
+
+    const refreshCookie = res.cookie.mock.calls.find(([name]) => name === 'refresh_token');
+    const { jti } = jwt.verify(refreshCookie[1], process.env.JWT_REFRESH_SECRET);
+    expect(refreshCookie[2]).toMatchObject({ httpOnly: true, signed: true, path: '/api/v1/auth' });
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+      user._id,
+      expect.objectContaining({ $push: { refreshTokenJtis: { $each: [jti], $slice: -5 } } })
+    );
+  });
+
+  it('answers a wrong password like an unknown email and audits it', async () => {
+    jest.spyOn(user, 'comparePassword').mockResolvedValue(false);
+
+    const { err } = await call(login, { body: { email: 'ann@example.com', password: 'nope' } });
+
+    expect(err).toMatchObject({ statusCode: 401, errorCode: 'INVALID_CREDENTIALS' });
+    expect(AuditLog.logAction).toHaveBeenCalledWith(expect.objectContaining({ action: 'LOGIN_FAILED' }));
+
+    User.findOne.mockReturnValue(query(null));
+    const unknown = await call(login, { body: { email: 'bob@example.com', password: 'nope' } });
+    expect(unknown.err).toMatchObject({ statusCode: 401, message: err.message });
+  });
+
+  it('turns away suspended accounts', async () => {
+    jest.spyOn(user, 'comparePassword').mockResolvedValue(true);
+    user.accountStatus = 'SUSPENDED';
+
+    const { err } = await call(login, { body: { email: 'ann@example.com', password: 'Secret123!' } });
+
+    expect(err).toMatchObject({ statusCode: 403, errorCode: 'ACCOUNT_NOT_ACTIVE' });
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('register', () => {
+  const body = { fullName: 'Bob Ray', email: 'bob@example.com', password: 'Secret123!' };
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    jest.spyOn(User, 'create').mockImplementation(async (data) => new User(data));
+  });
+
+  it('lets a manager create a receptionist account', async () => {
+    const target = role('RECEPTIONIST');
+    jest.spyOn(Role, 'findById').mockResolvedValue(target);
+
+    const { res, body: sent } = await call(register, { user: staff('MANAGER'), body: { ...body, role: target._id } });
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(sent.data.user).toMatchObject({ email: 'bob@example.com', role: 'RECEPTIONIST' });
+    expect(sent.data.user.password).toBeUndefined();
+  });
+
+  it('refuses a role at or above the creator\'s own', async () => {
+    const target = role('MANAGER');
+    jest.spyOn(Role, 'findById').mockResolvedValue(target);
+
+    const { err } = await call(register, { user: staff('MANAGER'), body: { ...body, role: target._id } });
+
+    expect(err).toMatchObject({ statusCode: 403 });
+    expect(User.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses an inactive role and an email already in use', async () => {
+    const inactive = role('RECEPTIONIST', false);
+    jest.spyOn(Role, 'findById').mockResolvedValue(inactive);
+
+    const first = await call(register, { user: staff('ADMIN'), body: { ...body, role: inactive._id } });
+    expect(first.err).toMatchObject({ statusCode: 400, errorCode: 'INVALID_ROLE' });
+
+    Role.findById.mockResolvedValue(role('RECEPTIONIST'));
+    User.findOne.mockResolvedValue(staff('RECEPTIONIST'));
+
+    const second = await call(register, { user: staff('ADMIN'), body: { ...body, role: inactive._id } });
+    expect(second.err).toMatchObject({ statusCode: 409, errorCode: 'EMAIL_IN_USE' });
+  });
+});
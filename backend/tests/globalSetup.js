@@ -0,0 +1,7 @@
+/**
+ * Runs the suite away from UTC, where local-time date handling goes wrong
+ * against the UTC-midnight stay dates
+ */
+module.exports = () => {
+  process.env.TZ = 'America/New_York';
+};
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const QUERY_METHODS = ['select', 'populate', 'session', 'sort', 'limit', 'lean'];
+
+/**
+ * QUERY
+ * Chainable stand-in for a Mongoose query that resolves to `result`
+ */
+const query = (result) => {
+  const chain = {};
+  for (const method of QUERY_METHODS) {
+    chain[method] = jest.fn(() => chain);
+  }
+  chain.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return chain;
+};
+
+/**
+ * INLINE TRANSACTIONS
+ * Runs transaction callbacks straight away with a stand-in session
+ */
+const inlineTransactions = () => {
+  const session = { id: 'test-session' };
+  jest.spyOn(mongoose.connection, 'transaction').mockImplementation((fn) => fn(session));
+  return session;
+};
+
+/**
+ * Lets a document save without a database
+ */
+const stubSave = (doc, onSave = () => {}) => {
+  doc.save = jest.fn(async () => {
+    onSave(doc);
+    return doc;
+  });
+  return doc;
+};
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const manager = () => ({ _id: objectId(), role: { name: 'MANAGER' } });
+
+module.exports = {
+  query,
+  inlineTransactions,
+  stubSave,
+  objectId,
+  manager
+};
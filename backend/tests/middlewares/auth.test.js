@@ -0,0 +1,164 @@
+process.env.JWT_SECRET = 'test-access-secret-of-at-least-32-chars';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret-of-at-least-32-chars';
+
+const User = require('../../models/User');
+const Role = require('../../models/Role');
+const AuditLog = require('../../models/AuditLog');
+const { protect, signToken, signRefreshToken, rotateRefreshToken, revokeAllSessions } = require('../../middlewares/auth');
+const { query } = require('../helpers');
+
+const receptionist = () => {
+  const user = new User({ fullName: 'Ann Lee', email: 'ann@example.com', accountStatus: 'ACTIVE' });
+  user.role = new Role({ name: 'RECEPTIONIST', isActive: true });
+  return user;
+};
+
+const at = (time, fn) => {
+  jest.useFakeTimers({ now: new Date(time), doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate'] });
+  try {
+    return fn();
+  } finally {
+    jest.useRealTimers();
+  }
+};
+
+const response = () => ({
+  cookie: jest.fn(),
+  setHeader: jest.fn(),
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn()
+});
+
+// Runs a middleware and resolves to the error it passed on, if any
+const run = async (middleware, req, res = response()) => {
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return next.mock.calls[0]?.[0];
+};
+
+describe('session revocation', () => {
+  let user;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+
+    user = receptionist();
+
+    jest.spyOn(User, 'findByIdAndUpdate').mockImplementation(async (id, update) => {
+      Object.assign(user, update.$set);
+      return user;
+    });
+    jest.spyOn(User, 'findById').mockImplementation(() => query(user));
+  });
+
+  const bearer = (token) => ({ headers: { authorization: `Bearer ${token}` } });
+
+  it('rejects access tokens issued before the revocation', async () => {
+    const { token } = at('2026-10-19T10:00:00.200Z', () => signToken(user._id, user.role._id));
+    await at('2026-10-19T10:00:00.500Z', () => revokeAllSessions(user._id));
+
+    const err = await run(protect, bearer(token));
+
+    expect(err).toMatchObject({ statusCode: 401, message: expect.stringMatching(/revoked/) });
+  });
+
+  it('accepts a login later in the same second as the revocation', async () => {
+    await at('2026-10-19T10:00:00.500Z', () => revokeAllSessions(user._id));
+    const { token } = at('2026-10-19T10:00:00.800Z', () => signToken(user._id, user.role._id));
+    const req = bearer(token);
+
+    const err = await run(protect, req);
+
+    expect(err).toBeUndefined();
+    expect(req.user).toBe(user);
+  });
+
+  it('treats tokens without a millisecond issue time as issued at the start of their second', () => {
+    user.tokensRevokedAt = new Date('2026-10-19T10:00:00.500Z');
+    const second = Date.parse('2026-10-19T10:00:00Z') / 1000;
+
+    expect(user.sessionsRevokedAfter(second * 1000)).toBe(true);
+    expect(user.sessionsRevokedAfter((second + 1) * 1000)).toBe(false);
+  });
+});
+
+describe('refresh token rotation', () => {
+  let user;
+  let refreshToken;
+  let jti;
+
+  const refresh = (res) => run(rotateRefreshToken, { signedCookies: { refresh_token: refreshToken }, headers: {} }, res);
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+
+    user = receptionist();
+    ({ refreshToken, jti } = signRefreshToken(user._id));
+
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(user);
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue(null);
+  });
+
+  it('retires the presented token and issues a new pair', async () => {
+    jest.spyOn(User, 'findOneAndUpdate').mockReturnValue(query(user));
+    const res = response();
+
+    const err = await refresh(res);
+
+    expect(err).toBeUndefined();
+    expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: user._id.toString(), refreshTokenJtis: jti },
+      expect.objectContaining({ $pull: { refreshTokenJtis: jti } }),
+      expect.anything()
+    );
+    expect(res.cookie).toHaveBeenCalledWith('jwt', expect.any(String), expect.anything());
+    expect(res.cookie).toHaveBeenCalledWith('refresh_token', expect.any(String), expect.anything());
+    const [, registered] = User.findByIdAndUpdate.mock.calls[0];
+    expect(registered.$push.refreshTokenJtis.$each).toEqual([expect.not.stringMatching(jti)]);
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('revokes every session and audits when a rotated token comes back', async () => {
+    jest.spyOn(User, 'findOneAndUpdate').mockReturnValue(query(null));
+    jest.spyOn(User, 'exists').mockResolvedValue({ _id: user._id });
+
+    const err = await refresh();
+
+    expect(err).toMatchObject({ statusCode: 401, errorCode: 'REFRESH_TOKEN_REUSED' });
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith(user._id.toString(), {
+      $set: { refreshTokenJtis: [], tokensRevokedAt: expect.any(Date) }
+    });
+    expect(AuditLog.logAction).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'FAILURE', metadata: { type: 'REFRESH_TOKEN_REUSE', jti } })
+    );
+  });
+
+  it('refuses a token that was revoked without being rotated', async () => {
+    jest.spyOn(User, 'findOneAndUpdate').mockReturnValue(query(null));
+    jest.spyOn(User, 'exists').mockResolvedValue(null);
+
+    const err = await refresh();
+
+    expect(err).toMatchObject({ statusCode: 401, errorCode: 'REFRESH_TOKEN_REVOKED' });
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('refuses a refresh token issued before the sessions were revoked', async () => {
+    user.tokensRevokedAt = new Date(Date.now() + 1000);
+    jest.spyOn(User, 'findOneAndUpdate').mockReturnValue(query(user));
+
+    const err = await refresh();
+
+    expect(err).toMatchObject({ statusCode: 401, message: expect.stringMatching(/revoked/) });
+  });
+
+  it('refuses an access token in place of a refresh token', async () => {
+    refreshToken = signToken(user._id, user.role._id).token;
+
+    const err = await refresh();
+
+    expect(err).toMatchObject({ statusCode: 401, errorCode: 'INVALID_REFRESH_TOKEN' });
+  });
+});
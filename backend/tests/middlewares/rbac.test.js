@@ -0,0 +1,51 @@
+const AuditLog = require('../../models/AuditLog');
+const { requirePermission } = require('../../middlewares/rbac');
+const { objectId } = require('../helpers');
+
+const request = (roleName, permissions = []) => ({
+  user: { _id: objectId(), role: { name: roleName, permissions } },
+  headers: {}
+});
+
+// Runs the middleware and returns the error it passed on, if any
+const check = (middleware, req) => {
+  const next = jest.fn();
+  middleware(req, {}, next);
+  return next.mock.calls[0][0];
+};
+
+describe('reservation permissions', () => {
+  const viewReservations = requirePermission('view_reservations');
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue(null);
+  });
+
+  it('lets the front office view reservations', () => {
+    for (const role of ['ADMIN', 'MANAGER', 'RECEPTIONIST']) {
+      expect(check(viewReservations, request(role))).toBeUndefined();
+    }
+  });
+
+  it('keeps housekeeping out of reservations unless their role grants it', () => {
+    expect(check(viewReservations, request('HOUSEKEEPING'))).toMatchObject({ statusCode: 403 });
+    expect(AuditLog.logAction).toHaveBeenCalledWith(
+      expect.objectContaining({ metadata: expect.objectContaining({ type: 'INSUFFICIENT_PERMISSIONS' }) })
+    );
+
+    expect(check(viewReservations, request('HOUSEKEEPING', ['view_reservations']))).toBeUndefined();
+  });
+
+  it('guards the reservation lookup route', () => {
+    // The rate limiters warn about their key generator when the routes load
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const router = require('../../routes/reservation.routes');
+    const lookup = router.stack.find((layer) => layer.route?.path === '/:id' && layer.route.methods.get);
+
+    const err = check(lookup.route.stack[0].handle, request('HOUSEKEEPING'));
+
+    expect(err).toMatchObject({ statusCode: 403 });
+  });
+});
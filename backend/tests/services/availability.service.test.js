@@ -0,0 +1,204 @@
+const Room = require('../../models/Room');
+const RoomType = require('../../models/RoomType');
+const Reservation = require('../../models/Reservation');
+const Maintenance = require('../../models/Maintenace');
+const OverbookingRule = require('../../models/OverbookingRule');
+const Group = require('../../models/Group');
+const {
+  buildOverlapFilter,
+  resolveRoomTypeId,
+  isRoomAvailable,
+  getRoomTypeInventory,
+  assertRoomTypeInventory,
+  findAvailableRooms
+} = require('../../services/availability.service');
+const { query, objectId } = require('../helpers');
+
+const day = (date) => new Date(`${date}T00:00:00Z`);
+
+// A query whose distinct() resolves to `values`
+const distinct = (values) => ({ distinct: jest.fn().mockResolvedValue(values) });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('availability search', () => {
+  it('treats back-to-back stays as free', () => {
+    // Strict bounds: a stay leaving on the 10th or arriving on the 12th does not match
+    expect(buildOverlapFilter(day('2026-11-10'), day('2026-11-12'))).toEqual({
+      checkInDate: { $lt: day('2026-11-12') },
+      checkOutDate: { $gt: day('2026-11-10') }
+    });
+  });
+
+  it('resolves a room type by name, even one twelve letters long', async () => {
+    const id = objectId();
+    jest.spyOn(RoomType, 'findOne').mockReturnValue(query({ _id: id }));
+
+    expect(await resolveRoomTypeId('presidential')).toBe(id);
+    expect(RoomType.findOne).toHaveBeenCalledWith({ name: 'PRESIDENTIAL', isActive: true });
+
+    const raw = objectId().toString();
+    expect(await resolveRoomTypeId(raw)).toBe(raw);
+  });
+
+  it('refuses an unknown room type name', async () => {
+    jest.spyOn(RoomType, 'findOne').mockReturnValue(query(null));
+
+    await expect(resolveRoomTypeId('PENTHOUSE')).rejects.toMatchObject({ statusCode: 400, errorCode: 'INVALID_ROOM_TYPE' });
+  });
+
+  describe('maintenance', () => {
+    const roomId = objectId();
+
+    const ticket = (scheduledDate, estimatedDuration) => ({
+      room: roomId,
+      scheduledDate: new Date(scheduledDate),
+      estimatedDuration
+    });
+
+    beforeEach(() => {
+      jest.spyOn(Reservation, 'findOne').mockReturnValue(query(null));
+    });
+
+    it('blocks the room for at least the day a ticket is scheduled', async () => {
+      jest.spyOn(Maintenance, 'find').mockReturnValue(query([ticket('2026-11-11T15:00:00Z', { value: 2, unit: 'HOURS' })]));
+
+      expect(await isRoomAvailable(roomId, day('2026-11-10'), day('2026-11-12'))).toBe(false);
+      expect(await isRoomAvailable(roomId, day('2026-11-12'), day('2026-11-14'))).toBe(true);
+    });
+
+    it('blocks the room for the whole estimated duration', async () => {
+      jest.spyOn(Maintenance, 'find').mockReturnValue(query([ticket('2026-11-08T09:00:00Z', { value: 3, unit: 'DAYS' })]));
+
+      expect(await isRoomAvailable(roomId, day('2026-11-10'), day('2026-11-11'))).toBe(false);
+      expect(await isRoomAvailable(roomId, day('2026-11-11'), day('2026-11-13'))).toBe(true);
+    });
+
+    it('leaves housekeeping tickets out', async () => {
+      jest.spyOn(Maintenance, 'find').mockReturnValue(query([]));
+
+      await isRoomAvailable(roomId, day('2026-11-10'), day('2026-11-12'));
+
+      expect(Maintenance.find).toHaveBeenCalledWith(
+        expect.objectContaining({ taskType: { $nin: ['HOUSEKEEPING', 'CLEANING'] } })
+      );
+    });
+  });
+
+  describe('rooms', () => {
+    const typeId = objectId();
+    const rooms = ['101', '102', '103'].map((roomNumber) => ({
+      _id: objectId(),
+      roomNumber,
+      roomType: { _id: typeId, name: 'DELUXE' },
+      status: 'AVAILABLE'
+    }));
+    const [free, booked, underRepair] = rooms;
+
+    beforeEach(() => {
+      jest.spyOn(Room, 'find').mockImplementation((filter) => {
+        if (filter._id) return query(rooms.filter((room) => filter._id.$in.includes(room._id)));
+        if (filter.roomType) return query(rooms);
+        return distinct(rooms.map((room) => room._id));
+      });
+      jest.spyOn(Reservation, 'find').mockImplementation((filter) =>
+        filter.room?.$in && !filter.$or ? distinct([booked._id]) : query([]));
+      jest.spyOn(Maintenance, 'find').mockReturnValue(query([
+        { room: underRepair._id, scheduledDate: day('2026-11-10'), estimatedDuration: { value: 1, unit: 'DAYS' } }
+      ]));
+      jest.spyOn(Group, 'find').mockReturnValue(query([]));
+      jest.spyOn(OverbookingRule, 'find').mockReturnValue(query([]));
+    });
+
+    it('returns the rooms free of overlapping bookings and maintenance', async () => {
+      const result = await findAvailableRooms({ checkIn: day('2026-11-10'), checkOut: day('2026-11-12'), guests: 2 });
+
+      expect(result).toEqual([free]);
+      expect(Room.find).toHaveBeenCalledWith({ isActive: true, status: { $ne: 'OUT_OF_SERVICE' }, capacity: { $gte: 2 } });
+      expect(Reservation.find).toHaveBeenCalledWith(expect.objectContaining({
+        status: { $in: ['PENDING', 'CONFIRMED', 'CHECKED_IN'] },
+        checkInDate: { $lt: day('2026-11-12') },
+        checkOutDate: { $gt: day('2026-11-10') }
+      }));
+    });
+
+    it('hides free rooms once unassigned bookings took the type\'s inventory', async () => {
+      Reservation.find.mockImplementation((filter) => {
+        if (filter.room?.$in && !filter.$or) return distinct([booked._id]);
+        return query([
+          { room: booked._id, checkInDate: day('2026-11-10'), checkOutDate: day('2026-11-12') },
+          { checkInDate: day('2026-11-10'), checkOutDate: day('2026-11-11') },
+          { checkInDate: day('2026-11-11'), checkOutDate: day('2026-11-12') },
+          { checkInDate: day('2026-11-11'), checkOutDate: day('2026-11-12') }
+        ]);
+      });
+
+      const result = await findAvailableRooms({ checkIn: day('2026-11-10'), checkOut: day('2026-11-12') });
+
+      expect(result).toEqual([]);
+    });
+  });
+});
+
+describe('overbooking allowance', () => {
+  const typeId = objectId();
+
+  const stay = (checkIn, checkOut, extra = {}) => ({ checkInDate: day(checkIn), checkOutDate: day(checkOut), ...extra });
+
+  beforeEach(() => {
+    jest.spyOn(Room, 'find').mockReturnValue(query([
+      { _id: objectId(), status: 'AVAILABLE' },
+      { _id: objectId(), status: 'OCCUPIED' },
+      { _id: objectId(), status: 'OUT_OF_SERVICE' }
+    ]));
+    jest.spyOn(Reservation, 'find').mockReturnValue(query([
+      stay('2026-11-10', '2026-11-12'),
+      stay('2026-11-10', '2026-11-11')
+    ]));
+    jest.spyOn(Group, 'find').mockReturnValue(query([]));
+    jest.spyOn(OverbookingRule, 'find').mockReturnValue(query([
+      { startDate: day('2026-11-11'), endDate: day('2026-11-11'), limit: 1 }
+    ]));
+  });
+
+  it('adds the limit in force each night to the rooms still in service', async () => {
+    const nights = await getRoomTypeInventory(typeId, day('2026-11-10'), day('2026-11-12'));
+
+    expect(nights).toEqual([
+      { date: '2026-11-10', physical: 2, sold: 2, unassigned: 2, blocked: 0, overbookingLimit: 0, available: 0 },
+      { date: '2026-11-11', physical: 2, sold: 1, unassigned: 1, blocked: 0, overbookingLimit: 1, available: 2 }
+    ]);
+  });
+
+  it('sells past the physical rooms only on nights with an allowance', async () => {
+    Reservation.find.mockReturnValue(query([stay('2026-11-11', '2026-11-12'), stay('2026-11-11', '2026-11-12')]));
+
+    await expect(assertRoomTypeInventory(typeId, day('2026-11-11'), day('2026-11-12'))).resolves.toBeUndefined();
+    await expect(assertRoomTypeInventory(typeId, day('2026-11-11'), day('2026-11-12'), { rooms: 2 }))
+      .rejects.toMatchObject({ statusCode: 409, errorCode: 'ROOM_TYPE_SOLD_OUT' });
+
+    Reservation.find.mockReturnValue(query([stay('2026-11-10', '2026-11-11'), stay('2026-11-10', '2026-11-11')]));
+    await expect(assertRoomTypeInventory(typeId, day('2026-11-10'), day('2026-11-11')))
+      .rejects.toMatchObject({ errorCode: 'ROOM_TYPE_SOLD_OUT' });
+  });
+
+  it('holds the unpicked rooms of open group blocks', async () => {
+    const blockId = objectId();
+    Group.find.mockReturnValue(query([{
+      _id: blockId,
+      ...stay('2026-11-10', '2026-11-12'),
+      allotments: [{ roomType: typeId, rooms: 2 }]
+    }]));
+    Reservation.find.mockReturnValue(query([stay('2026-11-11', '2026-11-12', { group: blockId })]));
+
+    const nights = await getRoomTypeInventory(typeId, day('2026-11-10'), day('2026-11-12'));
+
+    expect(nights.map(({ blocked, available }) => ({ blocked, available }))).toEqual([
+      { blocked: 2, available: 0 },
+      { blocked: 1, available: 1 }
+    ]);
+  });
+});
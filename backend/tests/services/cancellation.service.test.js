@@ -0,0 +1,199 @@
+jest.mock('../../services/folio.service');
+jest.mock('../../services/deposit.service');
+jest.mock('../../services/waitlist.service');
+
+const RatePlan = require('../../models/RatePlan');
+const Room = require('../../models/Room');
+const RoomType = require('../../models/RoomType');
+const CancellationPolicy = require('../../models/CancellationPolicy');
+const FolioEntry = require('../../models/FolioEntry');
+const Reservation = require('../../models/Reservation');
+const Promotion = require('../../models/Promotion');
+const AuditLog = require('../../models/AuditLog');
+const { logger } = require('../../middlewares/logger');
+const { policies, atPolicyTime } = require('../../config/policies');
+const { voidEntriesOfType, applyFolioTotals } = require('../../services/folio.service');
+const { getSecuredDeposit, releaseDepositHolds } = require('../../services/deposit.service');
+const { matchWaitlist } = require('../../services/waitlist.service');
+const {
+  penaltyAmount,
+  quoteCancellation,
+  cancelExpiredDepositHolds
+} = require('../../services/cancellation.service');
+const { query, inlineTransactions, stubSave, objectId } = require('../helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('cancellation penalty', () => {
+  const charges = { nightRates: [120, 100, 100], roomCharges: 300 };
+
+  it('charges the first nights of the stay for a NIGHTS rule', () => {
+    expect(penaltyAmount({ penaltyType: 'NIGHTS', value: 2 }, charges)).toBe(220);
+  });
+
+  it('charges a share of the room charges for a PERCENT rule', () => {
+    expect(penaltyAmount({ penaltyType: 'PERCENT', value: 33 }, charges)).toBe(99);
+  });
+
+  it('never charges more than the room charges', () => {
+    expect(penaltyAmount({ penaltyType: 'FIXED', value: 500 }, charges)).toBe(300);
+    expect(penaltyAmount({ penaltyType: 'NIGHTS', value: 5 }, { nightRates: [120, 100, 100], roomCharges: 280 }))
+      .toBe(280);
+  });
+
+  it('is free without a rule', () => {
+    expect(penaltyAmount(null, charges)).toBe(0);
+  });
+
+  describe('quote', () => {
+    const reservation = {
+      _id: objectId(),
+      ratePlan: objectId(),
+      checkInDate: new Date('2026-11-10T00:00:00Z')
+    };
+    const arrival = atPolicyTime(reservation.checkInDate, policies.checkInTime);
+    const hoursBefore = (hours) => new Date(arrival.getTime() - hours * HOUR);
+
+    const policy = {
+      _id: objectId(),
+      code: 'FLEX',
+      name: 'Flexible',
+      rules: [
+        { withinHours: 48, penaltyType: 'NIGHTS', value: 1 },
+        { withinHours: 24, penaltyType: 'PERCENT', value: 50 },
+        { withinHours: 0, penaltyType: 'PERCENT', value: 100 }
+      ]
+    };
+
+    const setup = ({ ratePlan = { refundable: true, cancellationPolicy: policy._id }, found = policy } = {}) => {
+      jest.spyOn(RatePlan, 'findById').mockReturnValue(query(ratePlan));
+      jest.spyOn(Room, 'findById').mockReturnValue(query(null));
+      jest.spyOn(RoomType, 'findById').mockReturnValue(query(null));
+      jest.spyOn(CancellationPolicy, 'findOne').mockReturnValue(query(found));
+      jest.spyOn(FolioEntry, 'find').mockReturnValue(query([
+        { type: 'ROOM_NIGHT', amount: 120 },
+        { type: 'ROOM_NIGHT', amount: 100 },
+        { type: 'ROOM_NIGHT', amount: 100 },
+        { type: 'DISCOUNT', amount: -20 }
+      ]));
+    };
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('is free before the widest window', async () => {
+      setup();
+      const quote = await quoteCancellation(reservation, { now: hoursBefore(72) });
+
+      expect(quote).toMatchObject({ rule: null, roomCharges: 300, penalty: 0 });
+    });
+
+    it('applies the smallest window the guest is already inside', async () => {
+      setup();
+
+      expect((await quoteCancellation(reservation, { now: hoursBefore(30) })).penalty).toBe(120);
+      expect((await quoteCancellation(reservation, { now: hoursBefore(10) })).penalty).toBe(150);
+    });
+
+    it('counts the hours to the check-in time on the UTC arrival day', async () => {
+      setup();
+      // Check-in is 14:00Z on 10 Nov, whatever the server's zone
+      const early = await quoteCancellation(reservation, { now: new Date('2026-11-08T13:00:00Z') });
+      const late = await quoteCancellation(reservation, { now: new Date('2026-11-08T15:00:00Z') });
+
+      expect(early).toMatchObject({ hoursBeforeArrival: 49, penalty: 0 });
+      expect(late).toMatchObject({ hoursBeforeArrival: 47, penalty: 120 });
+    });
+
+    it('charges the arrival rule once the arrival time has passed', async () => {
+      setup();
+      const quote = await quoteCancellation(reservation, { now: hoursBefore(-3) });
+
+      expect(quote).toMatchObject({ hoursBeforeArrival: 0, penalty: 300 });
+    });
+
+    it('keeps the whole stay on a non-refundable plan without a policy', async () => {
+      setup({ ratePlan: { refundable: false }, found: null });
+      const quote = await quoteCancellation(reservation, { now: hoursBefore(200) });
+
+      expect(quote).toMatchObject({ policy: null, penalty: 300 });
+    });
+
+    it('is free on a refundable plan when no policy applies', async () => {
+      setup({ ratePlan: { refundable: true }, found: null });
+
+      expect((await quoteCancellation(reservation, { now: hoursBefore(1) })).penalty).toBe(0);
+    });
+  });
+});
+
+describe('expired deposits', () => {
+  let reservation;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    inlineTransactions();
+
+    reservation = stubSave(new Reservation({
+      reservationNumber: 'RES2610190001',
+      guest: objectId(),
+      roomType: objectId(),
+      promotion: objectId(),
+      checkInDate: new Date('2026-11-10T00:00:00Z'),
+      checkOutDate: new Date('2026-11-12T00:00:00Z'),
+      numberOfGuests: 1,
+      totalAmount: 300,
+      status: 'PENDING',
+      depositRequired: true,
+      depositAmount: 100,
+      depositDueAt: new Date('2026-10-18T00:00:00Z'),
+      createdBy: objectId()
+    }));
+
+    jest.spyOn(Reservation, 'find').mockReturnValue(query([reservation]));
+    jest.spyOn(Reservation, 'findOne').mockReturnValue(query(reservation));
+    jest.spyOn(Promotion, 'findOneAndUpdate').mockResolvedValue({});
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue(null);
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    applyFolioTotals.mockResolvedValue({ balance: 0 });
+    getSecuredDeposit.mockResolvedValue(40);
+  });
+
+  it('cancels through the folio, gives the promo use back and offers the room to the waitlist', async () => {
+    const result = await cancelExpiredDepositHolds(new Date('2026-10-19T00:00:00Z'));
+
+    expect(result).toEqual({ checked: 1, cancelled: ['RES2610190001'] });
+    expect(reservation).toMatchObject({ status: 'CANCELLED', cancellationPenalty: 0 });
+    expect(voidEntriesOfType).toHaveBeenCalledWith(
+      reservation, ['ROOM_NIGHT', 'DISCOUNT'], expect.any(String), { _id: reservation.createdBy }, expect.anything()
+    );
+    expect(applyFolioTotals).toHaveBeenCalledWith(reservation, expect.anything());
+    expect(Promotion.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: reservation.promotion, usageCount: { $gt: 0 } },
+      { $inc: { usageCount: -1 } },
+      expect.anything()
+    );
+    expect(releaseDepositHolds).toHaveBeenCalledWith(reservation._id);
+    expect(matchWaitlist).toHaveBeenCalledWith(reservation, { _id: reservation.createdBy }, undefined);
+  });
+
+  it('leaves a booking whose deposit was secured in the meantime', async () => {
+    getSecuredDeposit.mockResolvedValue(100);
+
+    const result = await cancelExpiredDepositHolds(new Date('2026-10-19T00:00:00Z'));
+
+    expect(result.cancelled).toEqual([]);
+    expect(reservation.status).toBe('PENDING');
+    expect(voidEntriesOfType).not.toHaveBeenCalled();
+    expect(matchWaitlist).not.toHaveBeenCalled();
+  });
+
+  it('leaves a booking confirmed before the sweep got to it', async () => {
+    Reservation.findOne.mockReturnValue(query(null));
+
+    const result = await cancelExpiredDepositHolds(new Date('2026-10-19T00:00:00Z'));
+
+    expect(result.cancelled).toEqual([]);
+    expect(releaseDepositHolds).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,70 @@
+const { summarize } = require('../../services/folio.service');
+
+const entry = (type, amount, extra = {}) => ({ type, amount, voided: false, ...extra });
+
+describe('folio balance', () => {
+  it('nets charges, discounts, payments and refunds into the balance', () => {
+    const summary = summarize([
+      entry('ROOM_NIGHT', 100),
+      entry('ROOM_NIGHT', 100),
+      entry('TAX', 20),
+      entry('EXTRA', 15.5),
+      entry('DISCOUNT', -10),
+      entry('PAYMENT', -150),
+      entry('REFUND', 25)
+    ]);
+
+    expect(summary).toMatchObject({
+      charges: 235.5,
+      taxes: 20,
+      discounts: 10,
+      payments: 150,
+      refunds: 25,
+      total: 225.5,
+      paid: 125,
+      balance: 100.5
+    });
+  });
+
+  it('leaves voided lines out', () => {
+    const summary = summarize([
+      entry('ROOM_NIGHT', 100),
+      entry('EXTRA', 99, { voided: true }),
+      entry('PAYMENT', -100, { voided: true })
+    ]);
+
+    expect(summary.total).toBe(100);
+    expect(summary.paid).toBe(0);
+    expect(summary.byType).toEqual({ ROOM_NIGHT: 100 });
+  });
+
+  it('counts adjustments with the charges, in either direction', () => {
+    const summary = summarize([entry('ROOM_NIGHT', 100), entry('ADJUSTMENT', -30), entry('ADJUSTMENT', 5)]);
+
+    expect(summary.charges).toBe(75);
+    expect(summary.balance).toBe(75);
+  });
+
+  it('settles a member folio whose charges were routed to the master folio', () => {
+    const member = summarize([entry('ROOM_NIGHT', 200), entry('TAX', 24), entry('TRANSFER', -224)]);
+    const master = summarize([entry('TRANSFER', 224), entry('PAYMENT', -100)]);
+
+    expect(member).toMatchObject({ transfers: -224, total: 0, balance: 0 });
+    expect(master).toMatchObject({ transfers: 224, total: 224, balance: 124 });
+  });
+
+  it('keeps float drift out of the totals', () => {
+    const summary = summarize([entry('EXTRA', 0.1), entry('EXTRA', 0.2), entry('PAYMENT', -0.3)]);
+
+    expect(summary.charges).toBe(0.3);
+    expect(summary.balance).toBe(0);
+  });
+
+  it('shows a credit as a negative balance', () => {
+    expect(summarize([entry('ROOM_NIGHT', 80), entry('PAYMENT', -100)]).balance).toBe(-20);
+  });
+
+  it('is zero for an empty folio', () => {
+    expect(summarize([])).toMatchObject({ total: 0, paid: 0, balance: 0 });
+  });
+});
@@ -0,0 +1,159 @@
+jest.mock('../../services/folio.service');
+jest.mock('../../services/reservation.service');
+
+const Group = require('../../models/Group');
+const Guest = require('../../models/Guest');
+const Room = require('../../models/Room');
+const RoomType = require('../../models/RoomType');
+const Reservation = require('../../models/Reservation');
+const OverbookingRule = require('../../models/OverbookingRule');
+const AuditLog = require('../../models/AuditLog');
+const { AppError } = require('../../middlewares/errorHandler');
+const { createReservation } = require('../../services/reservation.service');
+const { assertAllotmentAvailable } = require('../../services/availability.service');
+const { createGroup, getGroup, releaseGroup, convertRoomingList } = require('../../services/group.service');
+const { query, inlineTransactions, objectId, manager } = require('../helpers');
+
+const day = (date) => new Date(`${date}T00:00:00Z`);
+
+describe('group blocks', () => {
+  const deluxe = objectId();
+  let group;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    inlineTransactions();
+
+    group = new Group({
+      groupNumber: 'GRP26100001',
+      name: 'Smith wedding',
+      organizer: objectId(),
+      checkInDate: day('2026-11-10'),
+      checkOutDate: day('2026-11-12'),
+      releaseDate: day('2026-11-01'),
+      allotments: [{ roomType: deluxe, rooms: 2 }],
+      createdBy: objectId()
+    });
+
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue(null);
+  });
+
+  describe('creation', () => {
+    const data = () => ({
+      name: 'Smith wedding',
+      organizer: objectId(),
+      checkInDate: day('2026-11-10'),
+      checkOutDate: day('2026-11-12'),
+      releaseDate: day('2026-11-01'),
+      allotments: [{ roomType: deluxe.toString(), rooms: 2 }]
+    });
+
+    beforeEach(() => {
+      jest.spyOn(Guest, 'exists').mockResolvedValue({ _id: objectId() });
+      jest.spyOn(RoomType, 'findOneAndUpdate').mockResolvedValue({ _id: deluxe });
+      jest.spyOn(Room, 'find').mockReturnValue(query([{ _id: objectId() }, { _id: objectId() }, { _id: objectId() }]));
+      jest.spyOn(Group, 'find').mockReturnValue(query([]));
+      jest.spyOn(OverbookingRule, 'find').mockReturnValue(query([]));
+      jest.spyOn(Group, 'create').mockImplementation(async ([fields]) => [new Group({ ...fields, groupNumber: 'GRP26100002' })]);
+    });
+
+    it('takes each allotment out of inventory for every night', async () => {
+      jest.spyOn(Reservation, 'find').mockReturnValue(query([
+        { checkInDate: day('2026-11-10'), checkOutDate: day('2026-11-11') }
+      ]));
+
+      const created = await createGroup(data(), manager());
+
+      expect(RoomType.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: deluxe.toString(), isActive: true },
+        { $inc: { bookingVersion: 1 } },
+        expect.anything()
+      );
+      expect(created.allotments[0].roomType).toEqual(deluxe);
+      expect(AuditLog.logAction).toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'CREATE', metadata: expect.objectContaining({ rooms: 2 }) }),
+        expect.anything()
+      );
+    });
+
+    it('refuses a block larger than what is left to sell', async () => {
+      jest.spyOn(Reservation, 'find').mockReturnValue(query([
+        { checkInDate: day('2026-11-11'), checkOutDate: day('2026-11-12') },
+        { checkInDate: day('2026-11-11'), checkOutDate: day('2026-11-13') }
+      ]));
+
+      await expect(createGroup(data(), manager()))
+        .rejects.toMatchObject({ statusCode: 409, errorCode: 'ROOM_TYPE_SOLD_OUT', message: expect.stringContaining('2026-11-11') });
+      expect(Group.create).not.toHaveBeenCalled();
+    });
+
+    it('needs an existing organizer', async () => {
+      Guest.exists.mockResolvedValue(null);
+
+      await expect(createGroup(data(), manager())).rejects.toMatchObject({ statusCode: 404, errorCode: 'GUEST_NOT_FOUND' });
+    });
+  });
+
+  describe('pickup', () => {
+    const booked = (checkIn, checkOut) => ({ roomType: deluxe, checkInDate: day(checkIn), checkOutDate: day(checkOut) });
+
+    it('reports rooms picked up from the block per night', async () => {
+      jest.spyOn(Group, 'findById').mockReturnValue(query(group));
+      jest.spyOn(Reservation, 'find').mockReturnValue(query([booked('2026-11-10', '2026-11-12'), booked('2026-11-11', '2026-11-12')]));
+
+      const { pickup } = await getGroup(group._id);
+
+      expect(pickup[0].nights).toEqual([
+        { date: '2026-11-10', rooms: 2, pickedUp: 1, remaining: 1 },
+        { date: '2026-11-11', rooms: 2, pickedUp: 2, remaining: 0 }
+      ]);
+    });
+
+    it('books a holding block\'s rooms against its allotment', async () => {
+      jest.spyOn(Reservation, 'find').mockReturnValue(query([booked('2026-11-11', '2026-11-12')]));
+      group.allotments[0].rooms = 1;
+
+      await expect(assertAllotmentAvailable(group, deluxe, day('2026-11-10'), day('2026-11-11'))).resolves.toBeUndefined();
+      await expect(assertAllotmentAvailable(group, deluxe, day('2026-11-10'), day('2026-11-12')))
+        .rejects.toMatchObject({ statusCode: 409, errorCode: 'ALLOTMENT_EXHAUSTED' });
+      await expect(assertAllotmentAvailable(group, deluxe, day('2026-11-09'), day('2026-11-11')))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'OUTSIDE_GROUP_DATES' });
+      await expect(assertAllotmentAvailable(group, objectId(), day('2026-11-10'), day('2026-11-11')))
+        .rejects.toMatchObject({ statusCode: 400, errorCode: 'NOT_IN_ALLOTMENT' });
+    });
+  });
+
+  it('books each rooming list line on its own, on the group\'s dates by default', async () => {
+    jest.spyOn(Group, 'findById').mockReturnValue(query(group));
+    createReservation
+      .mockResolvedValueOnce({ reservationNumber: 'RES2610190001' })
+      .mockRejectedValueOnce(new AppError('No rooms left.', 409, 'ALLOTMENT_EXHAUSTED'));
+    const [first, second] = [objectId(), objectId()];
+
+    const result = await convertRoomingList(group._id, [
+      { guest: first, roomType: deluxe, numberOfGuests: 2 },
+      { guest: second, roomType: deluxe, numberOfGuests: 1 }
+    ], manager());
+
+    expect(createReservation).toHaveBeenCalledWith(
+      expect.objectContaining({ guest: first, group: group._id, checkInDate: group.checkInDate, checkOutDate: group.checkOutDate }),
+      expect.anything(),
+      expect.anything()
+    );
+    expect(result.created).toEqual([{ index: 0, guest: first, reservation: { reservationNumber: 'RES2610190001' } }]);
+    expect(result.failed).toEqual([{ index: 1, guest: second, code: 'ALLOTMENT_EXHAUSTED', message: 'No rooms left.' }]);
+  });
+
+  it('releases open blocks only', async () => {
+    jest.spyOn(Group, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Group, 'findById').mockReturnValue(query(group));
+
+    await expect(releaseGroup(group._id, manager())).rejects.toMatchObject({ statusCode: 409, errorCode: 'GROUP_NOT_OPEN' });
+    expect(Group.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: group._id, status: 'OPEN' },
+      { $set: { status: 'RELEASED', releasedAt: expect.any(Date) } },
+      { returnDocument: 'after' }
+    );
+  });
+});
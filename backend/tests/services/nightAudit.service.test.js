@@ -0,0 +1,208 @@
+jest.mock('../../services/folio.service');
+jest.mock('../../services/pricing.service');
+jest.mock('../../services/noShow.service');
+jest.mock('../../services/businessDay.service', () => ({
+  ...jest.requireActual('../../services/businessDay.service'),
+  getCurrentBusinessDay: jest.fn()
+}));
+
+const BusinessDay = require('../../models/BusinessDay');
+const NightAuditReport = require('../../models/NightAuditReport');
+const FolioEntry = require('../../models/FolioEntry');
+const Occupancy = require('../../models/Occupancy');
+const Reservation = require('../../models/Reservation');
+const Room = require('../../models/Room');
+const AuditLog = require('../../models/AuditLog');
+const { logger } = require('../../middlewares/logger');
+const { syncRoomNights, applyFolioTotals } = require('../../services/folio.service');
+const { quoteReservation } = require('../../services/pricing.service');
+const { processNoShows } = require('../../services/noShow.service');
+const { getCurrentBusinessDay } = require('../../services/businessDay.service');
+const { closeBusinessDay, buildSnapshot } = require('../../services/nightAudit.service');
+const { query, inlineTransactions, objectId, manager } = require('../helpers');
+
+const BUSINESS_DATE = new Date('2026-10-18T00:00:00Z');
+const NEXT_DATE = new Date('2026-10-19T00:00:00Z');
+
+describe('night audit close', () => {
+  let day;
+  let stays;
+  let reservations;
+
+  const noShowReport = (overrides = {}) => ({
+    noShows: [],
+    holdsPending: [],
+    skipped: [],
+    failed: [],
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    inlineTransactions();
+
+    day = { _id: objectId(), date: BUSINESS_DATE, status: 'OPEN', current: true };
+    reservations = [
+      { _id: objectId(), reservationNumber: 'RES1', room: objectId(), checkOutDate: new Date('2026-10-20T00:00:00Z') },
+      { _id: objectId(), reservationNumber: 'RES2', room: objectId(), checkOutDate: new Date('2026-10-18T00:00:00Z') }
+    ];
+    stays = reservations.map((reservation) => ({ reservation }));
+
+    getCurrentBusinessDay.mockResolvedValue(day);
+    processNoShows.mockResolvedValue(noShowReport({ noShows: [{ reservationNumber: 'RES3' }] }));
+    quoteReservation.mockResolvedValue({ ratePlan: { code: 'BAR' } });
+    applyFolioTotals.mockResolvedValue({ balance: 0 });
+
+    jest.spyOn(BusinessDay, 'findOneAndUpdate').mockResolvedValue({ ...day, status: 'CLOSING' });
+    jest.spyOn(BusinessDay, 'updateOne').mockResolvedValue({});
+    jest.spyOn(BusinessDay, 'create').mockResolvedValue([{}]);
+    jest.spyOn(NightAuditReport, 'create').mockImplementation(async ([data]) => [{ _id: objectId(), ...data }]);
+    jest.spyOn(Occupancy, 'find').mockReturnValue(query(stays));
+    jest.spyOn(Reservation, 'findById').mockImplementation((id) =>
+      query(reservations.find((r) => r._id.equals(id))));
+    jest.spyOn(FolioEntry, 'exists').mockReturnValue(query(null));
+    jest.spyOn(Room, 'findById').mockReturnValue(query({}));
+    jest.spyOn(FolioEntry, 'find').mockReturnValue(query([
+      { type: 'ROOM_NIGHT', amount: 150 },
+      { type: 'ROOM_NIGHT', amount: 250 },
+      { type: 'TAX', amount: 40 },
+      { type: 'DISCOUNT', amount: -20 },
+      { type: 'PAYMENT', amount: -300, payment: { _id: 'p1', paymentMethod: 'CASH' } },
+      { type: 'REFUND', amount: 50, payment: { _id: 'p2', paymentMethod: 'CREDIT_CARD' } }
+    ]));
+    jest.spyOn(Room, 'countDocuments').mockResolvedValue(4);
+    jest.spyOn(Occupancy, 'countDocuments').mockResolvedValue(1);
+    jest.spyOn(Reservation, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue(null);
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+  });
+
+  it('processes the day, snapshots it, closes it and opens the next date', async () => {
+    const user = manager();
+    const report = await closeBusinessDay(user);
+
+    expect(processNoShows).toHaveBeenCalledWith({ arrivalsBefore: NEXT_DATE });
+    expect(report).toMatchObject({
+      businessDate: BUSINESS_DATE,
+      revenue: { rooms: 400, taxes: 40, discounts: 20, total: 420 },
+      occupancy: { totalRooms: 4, roomsSold: 2, occupancyRate: 50, averageDailyRate: 200, inHouse: 2, noShows: 1 },
+      payments: { count: 1, received: 300, refunded: 50, net: 250, byMethod: { CASH: 300, CREDIT_CARD: -50 } },
+      generatedBy: user._id
+    });
+
+    expect(BusinessDay.updateOne).toHaveBeenCalledWith(
+      { _id: day._id },
+      {
+        $set: expect.objectContaining({ status: 'CLOSED', closedBy: user._id, report: report._id }),
+        $unset: { current: 1 }
+      },
+      expect.anything()
+    );
+    expect(BusinessDay.create).toHaveBeenCalledWith([{ date: NEXT_DATE, status: 'OPEN', current: true }], expect.anything());
+  });
+
+  it('posts the missing room night of each stay and reports guests in-house past departure', async () => {
+    const report = await closeBusinessDay(manager());
+
+    expect(syncRoomNights).toHaveBeenCalledTimes(1);
+    expect(syncRoomNights).toHaveBeenCalledWith(reservations[0], expect.objectContaining({ label: 'BAR' }));
+    expect(report.postings).toEqual({ roomNightsPosted: 1, foliosUpdated: 1 });
+    expect(report.exceptions).toEqual([
+      { reservationNumber: 'RES2', message: 'Guest is in-house past the planned departure date' }
+    ]);
+  });
+
+  it('does not post a room night twice', async () => {
+    FolioEntry.exists.mockReturnValue(query({ _id: objectId() }));
+
+    const report = await closeBusinessDay(manager());
+
+    expect(syncRoomNights).not.toHaveBeenCalled();
+    expect(report.postings.roomNightsPosted).toBe(0);
+  });
+
+  it('lists no-show failures and unsettled holds as exceptions', async () => {
+    processNoShows.mockResolvedValue(noShowReport({
+      failed: [{ reservationNumber: 'RES4', message: 'Write conflict' }],
+      holdsPending: [{ reservationNumber: 'RES5', message: 'Provider timeout' }]
+    }));
+
+    const report = await closeBusinessDay(manager());
+
+    expect(report.exceptions).toEqual(expect.arrayContaining([
+      { reservationNumber: 'RES4', message: 'No-show: Write conflict' },
+      { reservationNumber: 'RES5', message: 'No-show deposit holds not settled: Provider timeout' }
+    ]));
+  });
+
+  it('refuses a business day that has not started yet', async () => {
+    getCurrentBusinessDay.mockResolvedValue({ ...day, date: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000) });
+
+    await expect(closeBusinessDay(manager())).rejects.toMatchObject({ statusCode: 409, errorCode: 'BUSINESS_DAY_NOT_ENDED' });
+    expect(BusinessDay.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('refuses to run while another audit holds the day', async () => {
+    BusinessDay.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(closeBusinessDay(manager())).rejects.toMatchObject({ statusCode: 409, errorCode: 'NIGHT_AUDIT_IN_PROGRESS' });
+    expect(processNoShows).not.toHaveBeenCalled();
+  });
+
+  it('reopens the day when the close fails so the audit can be retried', async () => {
+    NightAuditReport.create.mockRejectedValue(new Error('Write conflict'));
+
+    await expect(closeBusinessDay(manager())).rejects.toThrow('Write conflict');
+
+    expect(BusinessDay.updateOne).toHaveBeenCalledWith(
+      { _id: day._id, status: 'CLOSING' },
+      { $set: { status: 'OPEN' }, $unset: { closingStartedAt: 1 } }
+    );
+    expect(BusinessDay.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('night audit snapshot', () => {
+  const stay = (status) => ({ _id: objectId(), status });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(Room, 'countDocuments').mockResolvedValue(10);
+    jest.spyOn(Occupancy, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Reservation, 'countDocuments').mockResolvedValue(1);
+  });
+
+  it('only sells the nights of guests who arrived', async () => {
+    const inHouse = stay('CHECKED_IN');
+    const departed = stay('CHECKED_OUT');
+    const pending = stay('PENDING');
+    const cancelled = stay('CANCELLED');
+
+    jest.spyOn(FolioEntry, 'find').mockReturnValue(query([
+      { type: 'ROOM_NIGHT', amount: 200, reservation: inHouse },
+      { type: 'TAX', amount: 20, reservation: inHouse },
+      { type: 'ROOM_NIGHT', amount: 180, reservation: departed },
+      { type: 'DISCOUNT', amount: -30, reservation: departed },
+      { type: 'ROOM_NIGHT', amount: 150, reservation: pending },
+      { type: 'TAX', amount: 15, reservation: pending },
+      { type: 'ROOM_NIGHT', amount: 300, reservation: cancelled },
+      { type: 'DISCOUNT', amount: -50, reservation: cancelled },
+      { type: 'FEE', amount: 75, reservation: cancelled }
+    ]));
+
+    const snapshot = await buildSnapshot(BUSINESS_DATE);
+
+    expect(snapshot.revenue).toEqual({
+      rooms: 380,
+      taxes: 20,
+      extras: 0,
+      fees: 75,
+      discounts: 30,
+      adjustments: 0,
+      total: 445
+    });
+    expect(snapshot.occupancy).toMatchObject({ roomsSold: 2, occupancyRate: 20, averageDailyRate: 190 });
+  });
+});
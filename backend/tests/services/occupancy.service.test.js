@@ -0,0 +1,292 @@
+jest.mock('../../services/folio.service');
+jest.mock('../../services/deposit.service');
+jest.mock('../../services/availability.service');
+jest.mock('../../services/pricing.service');
+
+const Occupancy = require('../../models/Occupancy');
+const Reservation = require('../../models/Reservation');
+const Room = require('../../models/Room');
+const Guest = require('../../models/Guest');
+const Maintenance = require('../../models/Maintenace');
+const AuditLog = require('../../models/AuditLog');
+const BusinessDay = require('../../models/BusinessDay');
+const { postEntry, setSystemEntry, syncRoomNights, applyFolioTotals } = require('../../services/folio.service');
+const { captureDepositHolds } = require('../../services/deposit.service');
+const { lockRoomForBooking } = require('../../services/availability.service');
+const { quoteReservation } = require('../../services/pricing.service');
+const { checkIn, checkOut, moveRoom } = require('../../services/occupancy.service');
+const { query, inlineTransactions, stubSave, objectId, manager } = require('../helpers');
+
+describe('check-out settlement', () => {
+  let steps;
+  let occupancy;
+  let reservation;
+  let room;
+
+  // Folio balance each applyFolioTotals call reports, in call order
+  const balances = (...values) => {
+    applyFolioTotals.mockImplementation(async () => {
+      steps.push('totals');
+      return { balance: values.length > 1 ? values.shift() : values[0] };
+    });
+  };
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    inlineTransactions();
+    steps = [];
+
+    reservation = stubSave(new Reservation({
+      reservationNumber: 'RES2610190001',
+      guest: objectId(),
+      room: objectId(),
+      checkInDate: new Date('2026-10-16T00:00:00Z'),
+      checkOutDate: new Date('2026-10-18T00:00:00Z'),
+      numberOfGuests: 2,
+      totalAmount: 400,
+      status: 'CHECKED_IN',
+      createdBy: objectId()
+    }));
+    room = stubSave(new Room({ roomNumber: '101', pricePerNight: 200, status: 'OCCUPIED' }));
+    // Due out two days ago, so the late check-out fee applies
+    occupancy = stubSave(
+      new Occupancy({
+        reservation: reservation._id,
+        room: room._id,
+        guest: reservation.guest,
+        status: 'CHECKED_IN',
+        plannedCheckOutDate: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000)
+      }),
+      () => steps.push('close')
+    );
+
+    jest.spyOn(Occupancy, 'findById').mockImplementation(() => query(occupancy));
+    jest.spyOn(Reservation, 'findById').mockImplementation(() => query(reservation));
+    jest.spyOn(Room, 'findById').mockImplementation(() => query(room));
+    jest.spyOn(Guest, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Maintenance, 'create').mockResolvedValue([{ ticketNumber: 'HK26100001' }]);
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue(null);
+
+    setSystemEntry.mockImplementation(async (doc, entry) => steps.push(`post ${entry.referenceKey} ${entry.amount}`));
+    captureDepositHolds.mockImplementation(async () => steps.push('capture'));
+  });
+
+  it('posts every departure charge before capturing deposit holds, then closes the stay', async () => {
+    balances(250, 0);
+
+    await checkOut(occupancy._id, { damageCharge: 50, damageDetails: 'Broken lamp', damagesReported: true }, manager());
+
+    expect(steps).toEqual([
+      'post DAMAGE:CHECK_OUT 50',
+      'post FEE:LATE_CHECK_OUT 100',
+      'totals',
+      'capture',
+      'totals',
+      'close'
+    ]);
+    expect(captureDepositHolds).toHaveBeenCalledWith(reservation._id, expect.anything());
+    expect(occupancy.status).toBe('CHECKED_OUT');
+    expect(reservation.status).toBe('CHECKED_OUT');
+    expect(room.status).toBe('CLEANING');
+  });
+
+  it('refuses to close the stay while a balance is left after the holds are captured', async () => {
+    balances(250, 80);
+
+    await expect(checkOut(occupancy._id, {}, { ...manager(), role: { name: 'RECEPTIONIST' } }))
+      .rejects.toMatchObject({ statusCode: 409, errorCode: 'OUTSTANDING_BALANCE' });
+
+    expect(steps).toEqual(['post DAMAGE:CHECK_OUT 0', 'post FEE:LATE_CHECK_OUT 100', 'totals', 'capture', 'totals']);
+    expect(occupancy.status).toBe('CHECKED_IN');
+  });
+
+  it('lets a manager override the outstanding balance', async () => {
+    balances(250, 80);
+
+    await checkOut(occupancy._id, { overrideBalance: true }, manager());
+
+    expect(occupancy.status).toBe('CHECKED_OUT');
+    expect(AuditLog.logAction).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: 'CHECK_OUT',
+        metadata: expect.objectContaining({ outstandingBalance: 80, balanceOverridden: true })
+      }),
+      expect.anything()
+    );
+  });
+});
+
+describe('late check-out fee', () => {
+  let fee;
+
+  const departAt = async (time) => {
+    jest.useFakeTimers({ now: new Date(time), doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate'] });
+    try {
+      await checkOut(objectId(), {}, manager());
+    } finally {
+      jest.useRealTimers();
+    }
+  };
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    inlineTransactions();
+
+    const reservation = stubSave(new Reservation({ status: 'CHECKED_IN', guest: objectId() }));
+    const room = stubSave(new Room({ roomNumber: '101', pricePerNight: 200, status: 'OCCUPIED' }));
+    const occupancy = stubSave(new Occupancy({
+      reservation: reservation._id,
+      room: room._id,
+      status: 'CHECKED_IN',
+      plannedCheckOutDate: new Date('2026-10-22T00:00:00Z')
+    }));
+
+    jest.spyOn(Occupancy, 'findById').mockImplementation(() => query(occupancy));
+    jest.spyOn(Reservation, 'findById').mockImplementation(() => query(reservation));
+    jest.spyOn(Room, 'findById').mockImplementation(() => query(room));
+    jest.spyOn(Guest, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Maintenance, 'create').mockResolvedValue([{ ticketNumber: 'HK26100001' }]);
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue(null);
+    applyFolioTotals.mockResolvedValue({ balance: 0 });
+
+    fee = undefined;
+    setSystemEntry.mockImplementation(async (doc, entry) => {
+      if (entry.referenceKey === 'FEE:LATE_CHECK_OUT') fee = entry.amount;
+    });
+  });
+
+  it('is not charged before the standard time on the departure day', async () => {
+    await departAt('2026-10-22T10:00:00Z');
+
+    expect(fee).toBe(0);
+  });
+
+  it('is charged after the standard time on the departure day', async () => {
+    await departAt('2026-10-22T12:30:00Z');
+
+    expect(fee).toBe(100);
+  });
+});
+
+describe('early check-in', () => {
+  let reservation;
+
+  const arriveAt = async (time) => {
+    jest.useFakeTimers({ now: new Date(time), doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate'] });
+    try {
+      return await checkIn({ reservation: reservation._id }, manager());
+    } finally {
+      jest.useRealTimers();
+    }
+  };
+
+  const earlyFee = () => postEntry.mock.calls.find(([, entry]) => entry.referenceKey === 'FEE:EARLY_CHECK_IN')?.[1].amount;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    inlineTransactions();
+
+    const room = stubSave(new Room({ roomNumber: '101', pricePerNight: 200, status: 'RESERVED' }));
+    reservation = stubSave(new Reservation({
+      status: 'CONFIRMED',
+      room: room._id,
+      checkInDate: new Date('2026-10-22T00:00:00Z'),
+      checkOutDate: new Date('2026-10-24T00:00:00Z'),
+      numberOfGuests: 1
+    }));
+    reservation.guest = new Guest({ fullName: 'Ann Lee', blacklisted: false });
+
+    jest.spyOn(Reservation, 'findById').mockImplementation(() => query(reservation));
+    jest.spyOn(Room, 'findById').mockImplementation(() => query(room));
+    jest.spyOn(Occupancy, 'create').mockImplementation(async ([data]) => [{ _id: objectId(), ...data }]);
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue(null);
+    applyFolioTotals.mockResolvedValue({ balance: 0 });
+  });
+
+  it('charges an arrival on the check-in day before the standard time', async () => {
+    const occupancy = await arriveAt('2026-10-22T02:00:00Z');
+
+    expect(occupancy).toMatchObject({ earlyCheckIn: true, earlyCheckInCharge: 100 });
+    expect(earlyFee()).toBe(100);
+  });
+
+  it('does not charge an arrival after the standard time', async () => {
+    const occupancy = await arriveAt('2026-10-22T15:00:00Z');
+
+    expect(occupancy).toMatchObject({ earlyCheckIn: false, earlyCheckInCharge: 0 });
+    expect(earlyFee()).toBeUndefined();
+    expect(reservation.status).toBe('CHECKED_IN');
+  });
+
+  it('refuses an arrival the day before the check-in date', async () => {
+    await expect(arriveAt('2026-10-21T23:00:00Z'))
+      .rejects.toMatchObject({ statusCode: 409, errorCode: 'CHECK_IN_TOO_EARLY' });
+  });
+});
+
+describe('room move', () => {
+  let occupancy;
+  let reservation;
+  let target;
+
+  const moveAt = async (time) => {
+    jest.useFakeTimers({ now: new Date(time), doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate'] });
+    try {
+      return await moveRoom(occupancy._id, { newRoom: target._id, reason: 'Noise' }, manager());
+    } finally {
+      jest.useRealTimers();
+    }
+  };
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    inlineTransactions();
+
+    const roomType = objectId();
+    const current = stubSave(new Room({ roomNumber: '101', roomType, pricePerNight: 200, status: 'OCCUPIED' }));
+    target = stubSave(new Room({ roomNumber: '102', roomType, capacity: 2, pricePerNight: 250, status: 'AVAILABLE' }));
+    reservation = stubSave(new Reservation({
+      reservationNumber: 'RES2610190001',
+      room: current._id,
+      status: 'CHECKED_IN',
+      totalAmount: 600
+    }));
+    occupancy = stubSave(new Occupancy({
+      reservation: reservation._id,
+      room: current._id,
+      numberOfGuests: 1,
+      status: 'CHECKED_IN',
+      plannedCheckOutDate: new Date('2026-10-22T00:00:00Z')
+    }));
+
+    jest.spyOn(Occupancy, 'findById').mockImplementation(() => query(occupancy));
+    jest.spyOn(Reservation, 'findById').mockImplementation(() => query(reservation));
+    jest.spyOn(Room, 'findById').mockImplementation(() => query(current));
+    jest.spyOn(BusinessDay, 'findOne').mockReturnValue(query({ date: new Date('2026-10-20T00:00:00Z') }));
+    jest.spyOn(Maintenance, 'create').mockResolvedValue([{ ticketNumber: 'HK26100001' }]);
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue(null);
+    lockRoomForBooking.mockResolvedValue(target);
+    quoteReservation.mockResolvedValue({ ratePlan: null });
+    applyFolioTotals.mockResolvedValue({ balance: 0 });
+  });
+
+  it('reprices the nights from the open business day', async () => {
+    // Late evening of the 19th in New York, but the 20th is the open business day
+    await moveAt('2026-10-20T02:00:00Z');
+
+    expect(syncRoomNights).toHaveBeenCalledWith(
+      reservation,
+      expect.objectContaining({ repriceFrom: new Date('2026-10-20T00:00:00Z') })
+    );
+    expect(AuditLog.logAction).toHaveBeenCalledWith(
+      expect.objectContaining({ metadata: expect.objectContaining({ type: 'ROOM_MOVE', remainingNights: 2 }) }),
+      expect.anything()
+    );
+    expect(occupancy.room).toEqual(target._id);
+    expect(target.status).toBe('OCCUPIED');
+  });
+});
@@ -0,0 +1,322 @@
+jest.mock('../../services/folio.service');
+jest.mock('../../services/paymentProviders');
+jest.mock('../../services/exchangeRate.service');
+
+const Payment = require('../../models/Payment');
+const Reservation = require('../../models/Reservation');
+const Booking = require('../../models/Booking');
+const FolioEntry = require('../../models/FolioEntry');
+const AuditLog = require('../../models/AuditLog');
+const BusinessDay = require('../../models/BusinessDay');
+const { logger } = require('../../middlewares/logger');
+const { postEntry, voidEntryDocument, applyFolioTotals } = require('../../services/folio.service');
+const { getPaymentProvider } = require('../../services/paymentProviders');
+const { convertToBase } = require('../../services/exchangeRate.service');
+const { recordPayment, handleProviderWebhook, refundPayment } = require('../../services/payment.service');
+const { query, inlineTransactions, stubSave, objectId, manager } = require('../helpers');
+
+const postedAmounts = () =>
+  postEntry.mock.calls.map(([reservation, entry]) => [reservation._id.toString(), entry.type, entry.amount]);
+
+let reservations;
+let provider;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+  inlineTransactions();
+
+  reservations = [{ _id: objectId(), reservationNumber: 'RES1' }, { _id: objectId(), reservationNumber: 'RES2' }];
+  provider = { refund: jest.fn(), parseWebhook: jest.fn() };
+
+  getPaymentProvider.mockReturnValue(provider);
+  applyFolioTotals.mockResolvedValue({ balance: 0 });
+  jest.spyOn(Reservation, 'findById').mockImplementation((id) =>
+    query(reservations.find((r) => r._id.equals(id)) || null));
+  jest.spyOn(AuditLog, 'logAction').mockResolvedValue(null);
+  jest.spyOn(logger, 'error').mockImplementation(() => {});
+});
+
+/**
+ * Serves `payment` to every lookup the refund makes
+ */
+const loadPayment = (payment) => {
+  stubSave(payment);
+  jest.spyOn(Payment, 'findById').mockReturnValue(query(payment));
+  jest.spyOn(Payment, 'findOneAndUpdate').mockReturnValue(query(payment));
+  return payment;
+};
+
+const settledPayment = (overrides = {}) => loadPayment(new Payment({
+  reservation: reservations[0]._id,
+  guest: objectId(),
+  amount: 120,
+  baseAmount: 120,
+  paymentMethod: 'CASH',
+  paymentType: 'FULL',
+  paymentStatus: 'COMPLETED',
+  ...overrides
+}));
+
+describe('refunds', () => {
+  it('credits a partial refund back on the folio and marks the payment PARTIALLY_REFUNDED', async () => {
+    const payment = settledPayment();
+
+    await refundPayment(payment._id, { amount: 20, reason: 'Minibar' }, manager());
+
+    expect(postedAmounts()).toEqual([[reservations[0]._id.toString(), 'REFUND', 20]]);
+    expect(payment).toMatchObject({ refundAmount: 20, refundableAmount: 100, paymentStatus: 'PARTIALLY_REFUNDED' });
+  });
+
+  it('repeats partial refunds until the payment is REFUNDED', async () => {
+    const payment = settledPayment();
+
+    await refundPayment(payment._id, { amount: 20, reason: 'Minibar' }, manager());
+    await refundPayment(payment._id, { amount: 100, reason: 'Rest' }, manager());
+
+    expect(payment.refunds.map((r) => r.amount)).toEqual([20, 100]);
+    expect(payment).toMatchObject({ refundAmount: 120, refundableAmount: 0, paymentStatus: 'REFUNDED' });
+  });
+
+  it('refuses more than is left on the payment', async () => {
+    const payment = settledPayment({ refundAmount: 100, paymentStatus: 'PARTIALLY_REFUNDED' });
+
+    await expect(refundPayment(payment._id, { amount: 30, reason: 'Too much' }, manager()))
+      .rejects.toMatchObject({ statusCode: 400, errorCode: 'REFUND_EXCEEDS_PAYMENT' });
+    expect(postEntry).not.toHaveBeenCalled();
+  });
+
+  it('refuses a payment that never settled', async () => {
+    const payment = settledPayment({ paymentStatus: 'PENDING' });
+
+    await expect(refundPayment(payment._id, { amount: 20, reason: 'Minibar' }, manager()))
+      .rejects.toMatchObject({ statusCode: 409, errorCode: 'PAYMENT_NOT_REFUNDABLE' });
+  });
+
+  it('refuses a refund aimed at another reservation', async () => {
+    const payment = settledPayment();
+
+    await expect(
+      refundPayment(payment._id, { amount: 20, reason: 'Minibar', reservation: reservations[1]._id }, manager())
+    ).rejects.toMatchObject({ statusCode: 400, errorCode: 'PAYMENT_RESERVATION_MISMATCH' });
+  });
+});
+
+describe('card refunds', () => {
+  const cardPayment = () => settledPayment({ paymentMethod: 'CREDIT_CARD', transactionReference: 'txn_card' });
+
+  it('records the refund as PENDING before calling the provider with its idempotency key', async () => {
+    const payment = cardPayment();
+    provider.refund.mockImplementation(async () => {
+      expect(payment.refunds[0].status).toBe('PENDING');
+      expect(postEntry).toHaveBeenCalledTimes(1);
+      return { status: 'REFUNDED', refundId: 'rfnd_1' };
+    });
+
+    await refundPayment(payment._id, { amount: 20, reason: 'Minibar' }, manager());
+
+    expect(provider.refund).toHaveBeenCalledWith('txn_card', 20, {
+      idempotencyKey: payment.refunds[0]._id.toString()
+    });
+    expect(Payment.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.anything(),
+      { $set: { 'refunds.$.status': 'COMPLETED', 'refunds.$.transactionReference': 'rfnd_1' } },
+      expect.anything()
+    );
+  });
+
+  it('reverses a refund the provider rejects', async () => {
+    const payment = cardPayment();
+    provider.refund.mockResolvedValue({ status: 'FAILED', message: 'Card closed' });
+
+    const credit = { reservation: reservations[0]._id, amount: 20, serviceDate: new Date('2026-10-19T00:00:00Z') };
+    jest.spyOn(FolioEntry, 'find').mockReturnValue(query([credit]));
+    jest.spyOn(BusinessDay, 'find').mockReturnValue(query([]));
+
+    await expect(refundPayment(payment._id, { amount: 20, reason: 'Minibar' }, manager()))
+      .rejects.toMatchObject({ statusCode: 502, errorCode: 'PROVIDER_REFUND_FAILED' });
+
+    expect(voidEntryDocument).toHaveBeenCalledWith(credit, expect.anything(), expect.any(String), expect.anything());
+    expect(payment.refunds[0].status).toBe('FAILED');
+    expect(payment).toMatchObject({ refundAmount: 0, paymentStatus: 'COMPLETED' });
+  });
+
+  it('offsets a rejected refund on the current day when its own day is closed', async () => {
+    const payment = cardPayment();
+    provider.refund.mockResolvedValue({ status: 'FAILED', message: 'Card closed' });
+
+    const serviceDate = new Date('2026-10-18T00:00:00Z');
+    const credit = { reservation: reservations[0]._id, amount: 20, serviceDate, referenceKey: 'REFUND:p:r' };
+    jest.spyOn(FolioEntry, 'find').mockReturnValue(query([credit]));
+    jest.spyOn(BusinessDay, 'find').mockReturnValue(query([{ date: serviceDate }]));
+
+    await expect(refundPayment(payment._id, { amount: 20, reason: 'Minibar' }, manager()))
+      .rejects.toMatchObject({ errorCode: 'PROVIDER_REFUND_FAILED' });
+
+    expect(voidEntryDocument).not.toHaveBeenCalled();
+    expect(postEntry).toHaveBeenLastCalledWith(
+      reservations[0],
+      expect.objectContaining({ type: 'REFUND', amount: -20, referenceKey: 'REFUND:p:r:REVERSAL' }),
+      expect.anything(),
+      expect.anything()
+    );
+    expect(postEntry.mock.lastCall[1].serviceDate).toBeUndefined();
+    expect(payment.refunds[0].status).toBe('FAILED');
+    expect(payment).toMatchObject({ refundAmount: 0, paymentStatus: 'COMPLETED' });
+  });
+
+  it('leaves the refund PENDING when the provider does not answer', async () => {
+    const payment = cardPayment();
+    provider.refund.mockRejectedValue(new Error('timeout'));
+
+    await expect(refundPayment(payment._id, { amount: 20, reason: 'Minibar' }, manager())).rejects.toThrow('timeout');
+
+    expect(payment.refunds[0].status).toBe('PENDING');
+    expect(payment.refundAmount).toBe(20);
+  });
+});
+
+describe('foreign currency refunds', () => {
+  it('refunds at the payment rate and lets the last refund take the remaining base amount', async () => {
+    const payment = settledPayment({ amount: 100, currency: 'EUR', exchangeRate: 1.1, baseAmount: 110 });
+
+    await refundPayment(payment._id, { amount: 33.33, reason: 'Partial' }, manager());
+    await refundPayment(payment._id, { amount: 66.67, reason: 'Rest' }, manager());
+
+    expect(payment.refunds.map((r) => r.baseAmount)).toEqual([36.66, 73.34]);
+    expect(postedAmounts().map(([, , amount]) => amount)).toEqual([36.66, 73.34]);
+    expect(payment).toMatchObject({ refundAmount: 100, paymentStatus: 'REFUNDED' });
+  });
+});
+
+describe('booking payments', () => {
+  let booking;
+  let lines;
+
+  const line = (totalAmount, paidAmount) => ({
+    _id: objectId(),
+    totalAmount,
+    paidAmount,
+    balanceAmount: totalAmount - paidAmount
+  });
+
+  const bookingPayment = (overrides = {}) => loadPayment(new Payment({
+    reservation: booking._id,
+    reservationModel: 'Booking',
+    guest: booking.guest,
+    amount: 400,
+    baseAmount: 400,
+    paymentMethod: 'CASH',
+    paymentType: 'FULL',
+    paymentStatus: 'COMPLETED',
+    allocations: reservations.map((r) => ({ reservation: r._id, baseAmount: 200 })),
+    ...overrides
+  }));
+
+  beforeEach(() => {
+    booking = { _id: objectId(), guest: objectId(), bookingNumber: 'BKG2610190001' };
+    lines = [line(300, 100), line(250, 0), line(100, 100)];
+
+    jest.spyOn(Reservation, 'find').mockReturnValue(query(lines));
+    jest.spyOn(Booking, 'findById').mockReturnValue(query(booking));
+  });
+
+  describe('allocation', () => {
+    beforeEach(() => {
+      // Payments are looked up as a reservation first, then as a booking
+      Reservation.findById.mockReturnValue(query(null));
+    });
+
+    it('spreads a booking payment over the room lines in arrival order, up to each balance', async () => {
+      convertToBase.mockResolvedValue({ currency: 'USD', baseCurrency: 'USD', exchangeRate: 1, baseAmount: 400 });
+      jest.spyOn(Payment, 'create').mockImplementation(async ([data]) => [
+        stubSave(new Payment({ ...data, baseAmount: data.amount * data.exchangeRate }))
+      ]);
+
+      const { payment } = await recordPayment(
+        { reservation: booking._id, guest: booking.guest, amount: 400, paymentMethod: 'CASH', paymentType: 'FULL' },
+        manager()
+      );
+
+      expect(postedAmounts()).toEqual([
+        [lines[0]._id.toString(), 'PAYMENT', -200],
+        [lines[1]._id.toString(), 'PAYMENT', -200]
+      ]);
+      expect(payment.allocations.map((a) => [a.reservation.toString(), a.baseAmount])).toEqual([
+        [lines[0]._id.toString(), 200],
+        [lines[1]._id.toString(), 200]
+      ]);
+    });
+
+    it('refuses a payment above what the booking still owes', async () => {
+      convertToBase.mockResolvedValue({ currency: 'USD', baseCurrency: 'USD', exchangeRate: 1, baseAmount: 500 });
+      jest.spyOn(Payment, 'create');
+
+      await expect(
+        recordPayment(
+          { reservation: booking._id, guest: booking.guest, amount: 500, paymentMethod: 'CASH', paymentType: 'FULL' },
+          manager()
+        )
+      ).rejects.toMatchObject({ statusCode: 400, errorCode: 'OVERPAYMENT' });
+      expect(Payment.create).not.toHaveBeenCalled();
+    });
+
+    it('leaves what a settled webhook payment overpays as a credit on the last line', async () => {
+      const pending = stubSave(new Payment({
+        reservation: booking._id,
+        reservationModel: 'Booking',
+        guest: booking.guest,
+        amount: 300,
+        baseAmount: 300,
+        paymentMethod: 'CREDIT_CARD',
+        paymentType: 'FULL',
+        paymentStatus: 'PENDING',
+        transactionReference: 'txn_1',
+        processedBy: objectId()
+      }));
+      provider.parseWebhook.mockReturnValue({ transactionId: 'txn_1', status: 'COMPLETED' });
+      jest.spyOn(Payment, 'findOne').mockReturnValue(query(pending));
+      lines.splice(2);
+
+      await handleProviderWebhook('mock', '{}', {});
+
+      expect(pending.paymentStatus).toBe('COMPLETED');
+      expect(postedAmounts()).toEqual([
+        [lines[0]._id.toString(), 'PAYMENT', -200],
+        [lines[1]._id.toString(), 'PAYMENT', -100]
+      ]);
+    });
+  });
+
+  describe('refunds', () => {
+    it('takes a booking refund off the latest allocations first', async () => {
+      const payment = bookingPayment();
+
+      await refundPayment(payment._id, { amount: 250, reason: 'Goodwill' }, manager());
+
+      expect(postedAmounts()).toEqual([
+        [reservations[1]._id.toString(), 'REFUND', 200],
+        [reservations[0]._id.toString(), 'REFUND', 50]
+      ]);
+      expect(payment.allocations.map((a) => a.refundedBaseAmount)).toEqual([50, 200]);
+      expect(payment).toMatchObject({ refundAmount: 250, paymentStatus: 'PARTIALLY_REFUNDED' });
+    });
+
+    it('aims a refund at one room line when asked', async () => {
+      const payment = bookingPayment();
+
+      await refundPayment(payment._id, { amount: 50, reason: 'Goodwill', reservation: reservations[0]._id }, manager());
+
+      expect(postedAmounts()).toEqual([[reservations[0]._id.toString(), 'REFUND', 50]]);
+    });
+
+    it('refuses more than the room line was allocated', async () => {
+      const payment = bookingPayment();
+
+      await expect(
+        refundPayment(payment._id, { amount: 250, reason: 'Goodwill', reservation: reservations[0]._id }, manager())
+      ).rejects.toMatchObject({ statusCode: 400, errorCode: 'REFUND_EXCEEDS_ALLOCATION' });
+      expect(postEntry).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const RatePlan = require('../../models/RatePlan');
+const RoomType = require('../../models/RoomType');
+const { quoteStay, rateResolver } = require('../../services/pricing.service');
+const { query, objectId } = require('../helpers');
+
+const day = (date) => new Date(`${date}T00:00:00Z`);
+
+describe('rate plan pricing', () => {
+  const typeId = objectId();
+  const room = { _id: objectId(), pricePerNight: 200, roomType: typeId };
+  let plan;
+
+  // Friday 13 to Monday 16 November
+  const quote = (overrides = {}) =>
+    quoteStay({ ratePlan: 'BAR', room, checkIn: day('2026-11-13'), checkOut: day('2026-11-16'), guests: 3, ...overrides });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+
+    plan = new RatePlan({
+      code: 'BAR',
+      name: 'Best available rate',
+      type: 'BAR',
+      baseAdjustmentPercent: -10,
+      seasons: [{
+        name: 'Peak',
+        startDate: day('2026-11-14'),
+        endDate: day('2026-11-20'),
+        roomTypes: [typeId],
+        adjustmentType: 'PERCENT',
+        value: 20
+      }],
+      dayOfWeekRules: [{ days: [5, 6], adjustmentType: 'AMOUNT', value: 15 }],
+      occupancySurcharge: { baseOccupancy: 2, perExtraGuest: 25 }
+    });
+    jest.spyOn(RatePlan, 'findOne').mockReturnValue(query(plan));
+  });
+
+  it('applies the plan, season, weekday and occupancy rules in order each night', async () => {
+    const result = await quote();
+
+    expect(result.nights.map(({ date, rate }) => [date, rate])).toEqual([
+      ['2026-11-13', 220], // 200 -10% +15 weekend, +25 third guest
+      ['2026-11-14', 256], // 180 +20% season +15 weekend, +25
+      ['2026-11-15', 241] // 180 +20% season, +25
+    ]);
+    expect(result.nights[1].adjustments.map((a) => a.rule)).toEqual(['PLAN', 'SEASON', 'DAY_OF_WEEK']);
+    expect(result).toMatchObject({ numberOfNights: 3, total: 717, ratePlan: { code: 'BAR' } });
+  });
+
+  it('skips seasons limited to other room types', async () => {
+    plan.seasons[0].roomTypes = [objectId()];
+
+    const result = await quote({ guests: 2 });
+
+    expect(result.nights.map((line) => line.rate)).toEqual([195, 195, 180]);
+  });
+
+  it('charges the room type base price flat without a configured plan', async () => {
+    RatePlan.findOne.mockReturnValue(query(null));
+    jest.spyOn(RoomType, 'findOne').mockReturnValue(query({ _id: typeId, basePrice: 150 }));
+
+    const result = await quoteStay({ roomType: 'DELUXE', checkIn: day('2026-11-13'), checkOut: day('2026-11-15') });
+
+    expect(RatePlan.findOne).toHaveBeenCalledWith({ code: 'BAR', isActive: true });
+    expect(result).toMatchObject({ ratePlan: null, total: 300 });
+  });
+
+  it('refuses stays outside the plan\'s sell rules', async () => {
+    plan.minLengthOfStay = 4;
+    await expect(quote()).rejects.toMatchObject({ statusCode: 400, errorCode: 'LENGTH_OF_STAY_VIOLATION' });
+
+    plan.minLengthOfStay = 1;
+    plan.roomTypes = [objectId()];
+    await expect(quote()).rejects.toMatchObject({ statusCode: 400, errorCode: 'RATE_PLAN_NOT_APPLICABLE' });
+  });
+
+  it('quotes a private plan to staff only', async () => {
+    plan.isPublic = false;
+
+    await expect(quote()).rejects.toMatchObject({ statusCode: 404, errorCode: 'RATE_PLAN_NOT_FOUND' });
+    await expect(quote({ allowPrivate: true })).resolves.toMatchObject({ total: 717 });
+  });
+
+  it('looks nightly rates up by date for folio posting', async () => {
+    const rateFor = rateResolver(await quote());
+
+    expect(rateFor(day('2026-11-14'))).toBe(256);
+    expect(rateFor(day('2026-11-16'))).toBeUndefined();
+  });
+});
@@ -0,0 +1,131 @@
+const Promotion = require('../../models/Promotion');
+const Reservation = require('../../models/Reservation');
+const {
+  calculateDiscount,
+  previewPromotion,
+  redeemPromotion,
+  releasePromotion
+} = require('../../services/promotion.service');
+const { query, objectId } = require('../helpers');
+
+const day = (date) => new Date(`${date}T00:00:00Z`);
+
+describe('promo codes', () => {
+  const roomTypeId = objectId();
+  let promotion;
+
+  const stay = (overrides = {}) => ({
+    guestId: objectId(),
+    roomTypeId,
+    checkIn: day('2026-11-10'),
+    checkOut: day('2026-11-13'),
+    nights: 3,
+    roomCharges: 600,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.useFakeTimers({ now: day('2026-10-19'), doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate'] });
+
+    promotion = new Promotion({
+      code: 'AUTUMN',
+      name: 'Autumn break',
+      discountType: 'PERCENT',
+      value: 15,
+      maxDiscountAmount: 80,
+      validFrom: day('2026-09-01'),
+      validTo: day('2026-12-31'),
+      stayTo: day('2026-11-30'),
+      minNights: 2,
+      usageLimit: 100,
+      usageCount: 10
+    });
+    jest.spyOn(Promotion, 'findOne').mockReturnValue(query(promotion));
+    jest.spyOn(Reservation, 'countDocuments').mockReturnValue(query(0));
+    jest.spyOn(Promotion, 'findOneAndUpdate').mockResolvedValue(promotion);
+  });
+
+  afterEach(() => jest.useRealTimers());
+
+  it('caps percentage discounts and never gives more than the room charges', () => {
+    expect(calculateDiscount(promotion, 400)).toBe(60);
+    expect(calculateDiscount(promotion, 600)).toBe(80);
+    expect(calculateDiscount({ discountType: 'FIXED', value: 50 }, 30)).toBe(30);
+  });
+
+  it('claims one use while the code has uses left', async () => {
+    const session = { id: 'test-session' };
+
+    const result = await redeemPromotion('autumn', stay({ session }));
+
+    expect(Promotion.findOne).toHaveBeenCalledWith({ code: 'AUTUMN', isActive: true });
+    expect(Promotion.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: promotion._id, $or: [{ usageLimit: 0 }, { $expr: { $lt: ['$usageCount', '$usageLimit'] } }] }),
+      { $inc: { usageCount: 1 } },
+      { session, returnDocument: 'after' }
+    );
+    expect(result).toEqual({ promotion, discountAmount: 80 });
+  });
+
+  it('refuses a fully redeemed code', async () => {
+    Promotion.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(redeemPromotion('AUTUMN', stay())).rejects.toMatchObject({ statusCode: 409, errorCode: 'PROMO_CODE_EXHAUSTED' });
+  });
+
+  it('limits uses per guest, not counting cancelled bookings', async () => {
+    const guestId = objectId();
+    Reservation.countDocuments.mockReturnValue(query(1));
+
+    await expect(redeemPromotion('AUTUMN', stay({ guestId })))
+      .rejects.toMatchObject({ statusCode: 409, errorCode: 'PROMO_CODE_GUEST_LIMIT' });
+    expect(Reservation.countDocuments).toHaveBeenCalledWith({
+      promotion: promotion._id,
+      guest: guestId,
+      status: { $ne: 'CANCELLED' }
+    });
+    expect(Promotion.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('refuses stays the code does not cover', async () => {
+    await expect(redeemPromotion('AUTUMN', stay({ checkOut: day('2026-12-02') })))
+      .rejects.toMatchObject({ errorCode: 'PROMO_CODE_NOT_APPLICABLE' });
+    await expect(redeemPromotion('AUTUMN', stay({ nights: 1 })))
+      .rejects.toMatchObject({ errorCode: 'PROMO_CODE_NOT_APPLICABLE' });
+
+    promotion.roomTypes = [objectId()];
+    await expect(redeemPromotion('AUTUMN', stay())).rejects.toMatchObject({ errorCode: 'PROMO_CODE_NOT_APPLICABLE' });
+  });
+
+  it('is only redeemable while the code is valid', async () => {
+    jest.setSystemTime(day('2027-01-02'));
+
+    await expect(redeemPromotion('AUTUMN', stay())).rejects.toMatchObject({ statusCode: 400, errorCode: 'PROMO_CODE_EXPIRED' });
+  });
+
+  it('treats unknown and inactive codes alike', async () => {
+    Promotion.findOne.mockReturnValue(query(null));
+
+    await expect(previewPromotion('NOPE', stay())).rejects.toMatchObject({ statusCode: 404, errorCode: 'PROMO_CODE_INVALID' });
+  });
+
+  it('previews the discount without claiming a use', async () => {
+    expect(await previewPromotion('AUTUMN', stay({ roomCharges: 400 })))
+      .toEqual({ code: 'AUTUMN', name: 'Autumn break', discountAmount: 60 });
+    expect(Promotion.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('gives a cancelled reservation\'s use back', async () => {
+    const session = { id: 'test-session' };
+
+    await releasePromotion({ promotion: promotion._id }, { session });
+
+    expect(Promotion.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: promotion._id, usageCount: { $gt: 0 } },
+      { $inc: { usageCount: -1 } },
+      { session, returnDocument: 'after' }
+    );
+    expect(await releasePromotion({})).toBeNull();
+  });
+});
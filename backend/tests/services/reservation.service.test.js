@@ -0,0 +1,251 @@
+jest.mock('../../services/folio.service');
+jest.mock('../../services/pricing.service');
+jest.mock('../../services/businessDay.service', () => ({
+  ...jest.requireActual('../../services/businessDay.service'),
+  currentBusinessDate: jest.fn()
+}));
+
+const Guest = require('../../models/Guest');
+const Room = require('../../models/Room');
+const RoomType = require('../../models/RoomType');
+const Reservation = require('../../models/Reservation');
+const Group = require('../../models/Group');
+const OverbookingRule = require('../../models/OverbookingRule');
+const AuditLog = require('../../models/AuditLog');
+const { applyFolioTotals, syncRoomNights } = require('../../services/folio.service');
+const { quoteStay, quoteReservation } = require('../../services/pricing.service');
+const { currentBusinessDate } = require('../../services/businessDay.service');
+const {
+  createReservation,
+  previewModification,
+  modifyReservation
+} = require('../../services/reservation.service');
+const { query, inlineTransactions, stubSave, objectId, manager } = require('../helpers');
+
+const day = (date) => new Date(`${date}T00:00:00Z`);
+
+describe('double-booking guard', () => {
+  let steps;
+  let room;
+  let roomType;
+  let session;
+
+  const book = (overrides = {}) =>
+    createReservation(
+      {
+        guest: objectId(),
+        room: room._id,
+        checkInDate: day('2026-11-10'),
+        checkOutDate: day('2026-11-12'),
+        numberOfGuests: 2,
+        ...overrides
+      },
+      manager()
+    );
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    session = inlineTransactions();
+    steps = [];
+
+    roomType = { _id: objectId(), name: 'DELUXE', maxOccupancy: 3 };
+    room = { _id: objectId(), roomNumber: '101', roomType: roomType._id, capacity: 2 };
+
+    jest.spyOn(Guest, 'findById').mockReturnValue(query({ _id: objectId(), fullName: 'Ann Lee', blacklisted: false }));
+    jest.spyOn(Room, 'findOneAndUpdate').mockImplementation(async () => {
+      steps.push('lock room');
+      return room;
+    });
+    jest.spyOn(RoomType, 'findOneAndUpdate').mockImplementation(async () => {
+      steps.push('lock type');
+      return roomType;
+    });
+    jest.spyOn(Reservation, 'findOne').mockImplementation(() => {
+      steps.push('overlap');
+      return query(null);
+    });
+    jest.spyOn(Room, 'find').mockReturnValue(query([room, { _id: objectId() }]));
+    jest.spyOn(Reservation, 'find').mockReturnValue(query([]));
+    jest.spyOn(Group, 'find').mockReturnValue(query([]));
+    jest.spyOn(OverbookingRule, 'find').mockReturnValue(query([]));
+    jest.spyOn(Reservation, 'create').mockImplementation(async ([data]) => {
+      steps.push('insert');
+      return [new Reservation({ ...data, reservationNumber: 'RES2610190001' })];
+    });
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue(null);
+    quoteStay.mockResolvedValue({ total: 400, numberOfNights: 2, nightlyRates: [200, 200] });
+    applyFolioTotals.mockResolvedValue({ balance: 400 });
+  });
+
+  it('locks the room and its type before checking for an overlap and inserting', async () => {
+    const reservation = await book();
+
+    expect(steps).toEqual(['lock room', 'lock type', 'overlap', 'insert']);
+    expect(reservation.room).toEqual(room._id);
+    expect(Room.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: room._id, isActive: true },
+      { $inc: { bookingVersion: 1 } },
+      expect.objectContaining({ session })
+    );
+  });
+
+  it('refuses dates overlapping another booking of the room, tentative ones included', async () => {
+    Reservation.findOne.mockReturnValue(query({ reservationNumber: 'RES2610180007' }));
+
+    await expect(book()).rejects.toMatchObject({ statusCode: 409, errorCode: 'ROOM_ALREADY_BOOKED' });
+
+    expect(Reservation.findOne).toHaveBeenCalledWith({
+      room: room._id,
+      status: { $in: ['PENDING', 'CONFIRMED', 'CHECKED_IN'] },
+      checkInDate: { $lt: day('2026-11-12') },
+      checkOutDate: { $gt: day('2026-11-10') }
+    });
+    expect(Reservation.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses a room type with nothing left to sell', async () => {
+    Reservation.find.mockReturnValue(query([
+      { room: room._id, checkInDate: day('2026-11-09'), checkOutDate: day('2026-11-11') },
+      { checkInDate: day('2026-11-10'), checkOutDate: day('2026-11-11') }
+    ]));
+
+    await expect(book({ room: undefined, roomType: roomType._id.toString() }))
+      .rejects.toMatchObject({ statusCode: 409, errorCode: 'ROOM_TYPE_SOLD_OUT', message: expect.stringContaining('2026-11-10') });
+    expect(Reservation.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses more guests than the room sleeps', async () => {
+    await expect(book({ numberOfGuests: 3 })).rejects.toMatchObject({ statusCode: 400, errorCode: 'ROOM_CAPACITY_EXCEEDED' });
+    expect(steps).not.toContain('overlap');
+  });
+});
+
+describe('reservation modification', () => {
+  const businessDate = day('2026-10-19');
+  let current;
+  let room;
+  let suite;
+  let roomType;
+  let session;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    session = inlineTransactions();
+
+    roomType = { _id: objectId(), name: 'DELUXE', maxOccupancy: 3 };
+    room = { _id: objectId(), roomNumber: '101', roomType: roomType._id, capacity: 2 };
+    suite = { _id: objectId(), roomNumber: '102', roomType: roomType._id, capacity: 3 };
+    current = stubSave(new Reservation({
+      reservationNumber: 'RES2610010004',
+      guest: objectId(),
+      room: room._id,
+      roomType: roomType._id,
+      checkInDate: day('2026-11-10'),
+      checkOutDate: day('2026-11-12'),
+      numberOfGuests: 2,
+      totalAmount: 400,
+      paidAmount: 100,
+      status: 'CONFIRMED',
+      createdBy: objectId()
+    }));
+
+    const rooms = [room, suite];
+    const byId = ({ _id }) => rooms.find((r) => r._id.equals(_id));
+    jest.spyOn(Reservation, 'findById').mockReturnValue(query(current));
+    jest.spyOn(Room, 'findOneAndUpdate').mockImplementation(async (filter) => byId(filter));
+    jest.spyOn(Room, 'findOne').mockImplementation((filter) => query(byId(filter)));
+    jest.spyOn(RoomType, 'findOneAndUpdate').mockResolvedValue(roomType);
+    jest.spyOn(RoomType, 'findOne').mockReturnValue(query(roomType));
+    jest.spyOn(Reservation, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(Room, 'find').mockReturnValue(query(rooms));
+    jest.spyOn(Reservation, 'find').mockReturnValue(query([]));
+    jest.spyOn(Group, 'find').mockReturnValue(query([]));
+    jest.spyOn(OverbookingRule, 'find').mockReturnValue(query([]));
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue(null);
+    currentBusinessDate.mockResolvedValue(businessDate);
+    quoteReservation.mockResolvedValue({ total: 600, ratePlan: { code: 'BAR' } });
+    // The folio decides the new total from the nights synced onto it
+    applyFolioTotals.mockImplementation(async (reservation) => {
+      reservation.totalAmount = 200 * Math.round((reservation.checkOutDate - reservation.checkInDate) / 86400000);
+    });
+  });
+
+  it('checks the new dates against other bookings only, and records what changed', async () => {
+    const { reservation, priceDelta } = await modifyReservation(current._id, { checkOutDate: '2026-11-13' }, manager());
+
+    expect(Reservation.findOne).toHaveBeenCalledWith(expect.objectContaining({
+      room: room._id,
+      _id: { $ne: current._id },
+      checkInDate: { $lt: day('2026-11-13') }
+    }));
+    expect(Reservation.find).toHaveBeenCalledWith(expect.objectContaining({ _id: { $ne: current._id } }));
+    expect(syncRoomNights).toHaveBeenCalledWith(current, expect.objectContaining({ repriceFrom: undefined, session }));
+    expect(reservation.checkOutDate).toEqual(day('2026-11-13'));
+    expect(priceDelta).toBe(200);
+    expect(AuditLog.logAction).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'RESERVATION_MODIFIED',
+      metadata: expect.objectContaining({ operation: 'MODIFIED', fields: ['checkOutDate'], priceDelta: 200 }),
+      changes: {
+        before: expect.objectContaining({ checkOutDate: day('2026-11-12'), totalAmount: 400 }),
+        after: expect.objectContaining({ checkOutDate: day('2026-11-13'), totalAmount: 600 })
+      }
+    }));
+  });
+
+  it('reprices the nights from the business date on a room change', async () => {
+    await modifyReservation(current._id, { room: suite._id.toString(), numberOfGuests: 3 }, manager());
+
+    expect(current.room).toEqual(suite._id);
+    expect(currentBusinessDate).toHaveBeenCalledWith({ session });
+    expect(syncRoomNights).toHaveBeenCalledWith(current, expect.objectContaining({ repriceFrom: businessDate }));
+    expect(Reservation.findOne).toHaveBeenCalledWith(expect.objectContaining({ room: suite._id }));
+  });
+
+  it('refuses a new room someone else holds for the dates', async () => {
+    Reservation.findOne.mockReturnValue(query({ reservationNumber: 'RES2610180007' }));
+
+    await expect(modifyReservation(current._id, { room: suite._id.toString() }, manager()))
+      .rejects.toMatchObject({ statusCode: 409, errorCode: 'ROOM_ALREADY_BOOKED' });
+    expect(AuditLog.logAction).not.toHaveBeenCalled();
+  });
+
+  it('leaves closed reservations alone', async () => {
+    current.status = 'CHECKED_OUT';
+
+    await expect(modifyReservation(current._id, { numberOfGuests: 1 }, manager()))
+      .rejects.toMatchObject({ statusCode: 409, errorCode: 'RESERVATION_LOCKED' });
+  });
+
+  it('only takes special requests for an in-house stay', async () => {
+    current.status = 'CHECKED_IN';
+
+    await expect(modifyReservation(current._id, { room: suite._id.toString() }, manager()))
+      .rejects.toMatchObject({ statusCode: 409, errorCode: 'STAY_IN_PROGRESS' });
+
+    const { reservation } = await modifyReservation(current._id, { specialRequests: 'Late checkout' }, manager());
+    expect(reservation.specialRequests).toBe('Late checkout');
+    expect(syncRoomNights).not.toHaveBeenCalled();
+  });
+
+  it('refuses a request that changes nothing', async () => {
+    await expect(modifyReservation(current._id, { checkInDate: '2026-11-10', numberOfGuests: 2 }, manager()))
+      .rejects.toMatchObject({ statusCode: 400, errorCode: 'NO_CHANGES' });
+  });
+
+  it('previews the new price without booking locks or an audit entry', async () => {
+    const preview = await previewModification(current._id, { checkOutDate: '2026-11-14' }, manager());
+
+    expect(preview).toMatchObject({
+      reservationNumber: 'RES2610010004',
+      currentTotal: 400,
+      newTotal: 800,
+      priceDelta: 400,
+      balanceAfter: 700
+    });
+    expect(Room.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(RoomType.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(AuditLog.logAction).not.toHaveBeenCalled();
+  });
+});
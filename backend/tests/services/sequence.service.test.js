@@ -0,0 +1,67 @@
+const Counter = require('../../models/Counter');
+const Reservation = require('../../models/Reservation');
+const Maintenance = require('../../models/Maintenace');
+const { generateNumber } = require('../../services/sequence.service');
+
+// Noon local time, so the period is the same day in any zone
+const date = new Date(2026, 9, 19, 12);
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('sequence numbers', () => {
+  it('formats the next value of the period\'s counter', async () => {
+    jest.spyOn(Counter, 'findOneAndUpdate').mockResolvedValue({ seq: 7 });
+
+    expect(await generateNumber('RES', { date, propertyCode: '' })).toBe('RES2610190007');
+    expect(Counter.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'RES:261019' },
+      { $inc: { seq: 1 } },
+      { returnDocument: 'after' }
+    );
+  });
+
+  it('keeps a counter per property', async () => {
+    jest.spyOn(Counter, 'findOneAndUpdate').mockResolvedValue({ seq: 1 });
+
+    expect(await generateNumber('PAY', { date, propertyCode: 'nyc' })).toBe('NYC-PAY2610190001');
+    expect(Counter.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: 'NYC:PAY:261019' });
+  });
+
+  it('seeds a new counter from the highest number already issued', async () => {
+    jest.spyOn(Counter, 'findOneAndUpdate').mockResolvedValueOnce(null).mockResolvedValueOnce({ seq: 13 });
+    jest.spyOn(Counter, 'create').mockResolvedValue({});
+    jest.spyOn(Reservation, 'aggregate').mockResolvedValue([{ _id: null, seq: 12 }]);
+
+    expect(await generateNumber('RES', { date, propertyCode: '' })).toBe('RES2610190013');
+    expect(Counter.create).toHaveBeenCalledWith({ _id: 'RES:261019', seq: 12 });
+    expect(Reservation.aggregate.mock.calls[0][0][0]).toEqual({
+      $match: { reservationNumber: { $regex: '^(?:RES261019)(\\d+)$' } }
+    });
+  });
+
+  it('shares the monthly ticket counter between housekeeping and maintenance', async () => {
+    jest.spyOn(Counter, 'findOneAndUpdate').mockResolvedValueOnce(null).mockResolvedValueOnce({ seq: 5 });
+    jest.spyOn(Counter, 'create').mockResolvedValue({});
+    jest.spyOn(Maintenance, 'aggregate').mockResolvedValue([{ _id: null, seq: 4 }]);
+
+    expect(await generateNumber('MNT', { date, propertyCode: '' })).toBe('MNT26100005');
+    expect(Counter.create).toHaveBeenCalledWith({ _id: 'TICKET:2610', seq: 4 });
+    expect(Maintenance.aggregate.mock.calls[0][0][0].$match.ticketNumber.$regex).toBe('^(?:HK2610|MNT2610)(\\d+)$');
+  });
+
+  it('takes the next value when another request seeded the counter first', async () => {
+    jest.spyOn(Counter, 'findOneAndUpdate').mockResolvedValueOnce(null).mockResolvedValueOnce({ seq: 2 });
+    jest.spyOn(Counter, 'create').mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+    jest.spyOn(Reservation, 'aggregate').mockResolvedValue([]);
+
+    expect(await generateNumber('RES', { date, propertyCode: '' })).toBe('RES2610190002');
+    expect(Counter.findOneAndUpdate).toHaveBeenCalledTimes(2);
+  });
+
+  it('refuses an unknown sequence type', async () => {
+    await expect(generateNumber('XYZ', { date })).rejects.toThrow('Unknown sequence type: XYZ');
+  });
+});
@@ -0,0 +1,174 @@
+const Room = require('../../models/Room');
+const AuditLog = require('../../models/AuditLog');
+const { transition, transitionWhere } = require('../../services/stateMachine.service');
+const { query, objectId, manager } = require('../helpers');
+
+const housekeeper = () => ({ _id: objectId(), role: { name: 'HOUSEKEEPING' } });
+
+const storedRoom = (status) =>
+  Room.hydrate({
+    _id: objectId(),
+    roomNumber: '101',
+    roomType: objectId(),
+    floor: 1,
+    capacity: 2,
+    pricePerNight: 100,
+    status
+  });
+
+describe('status state machine', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue({});
+    jest.spyOn(Room.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+  });
+
+  describe('transition', () => {
+    it('moves the document and audits the move when it is saved', async () => {
+      const user = manager();
+      const room = transition(storedRoom('CLEANING'), 'AVAILABLE', { user, metadata: { source: 'TEST' } });
+
+      expect(room.status).toBe('AVAILABLE');
+      expect(AuditLog.logAction).not.toHaveBeenCalled();
+
+      await room.save();
+
+      expect(AuditLog.logAction).toHaveBeenCalledWith(
+        expect.objectContaining({
+          user: user._id,
+          action: 'ROOM_STATUS_CHANGE',
+          targetEntity: 'Room',
+          targetId: room._id,
+          metadata: { roomNumber: '101', source: 'TEST' },
+          changes: { before: { status: 'CLEANING' }, after: { status: 'AVAILABLE' } }
+        }),
+        expect.anything()
+      );
+    });
+
+    it('leaves a document already in the target status alone', () => {
+      const room = storedRoom('AVAILABLE');
+
+      expect(transition(room, 'AVAILABLE', { user: housekeeper() })).toBe(room);
+      expect(room.isModified('status')).toBe(false);
+    });
+
+    it('refuses a move the machine does not allow', () => {
+      const room = storedRoom('OCCUPIED');
+
+      expect(() => transition(room, 'AVAILABLE', { user: manager() })).toThrow(
+        expect.objectContaining({ statusCode: 409, errorCode: 'ILLEGAL_STATUS_TRANSITION' })
+      );
+      expect(room.status).toBe('OCCUPIED');
+    });
+
+    it('needs the permission of the rule', () => {
+      expect(() => transition(storedRoom('AVAILABLE'), 'MAINTENANCE', { user: housekeeper() })).toThrow(
+        expect.objectContaining({ statusCode: 403, errorCode: 'TRANSITION_NOT_PERMITTED' })
+      );
+    });
+
+    it('lets system jobs move without the permission', async () => {
+      const poster = { _id: objectId() };
+      const room = transition(storedRoom('AVAILABLE'), 'MAINTENANCE', { user: poster, system: true });
+
+      await room.save();
+
+      expect(AuditLog.logAction).toHaveBeenCalledWith(
+        expect.objectContaining({ user: poster._id, metadata: { roomNumber: '101', system: true } }),
+        expect.anything()
+      );
+    });
+  });
+
+  describe('write guards', () => {
+    it('rejects a status set directly on the document', async () => {
+      const room = storedRoom('CLEANING');
+      room.status = 'AVAILABLE';
+
+      await expect(room.save()).rejects.toMatchObject({
+        statusCode: 409,
+        errorCode: 'ILLEGAL_STATUS_TRANSITION'
+      });
+      expect(Room.collection.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('checks the move against the stored status when it is saved', async () => {
+      const room = transition(storedRoom('CLEANING'), 'AVAILABLE', { user: manager() });
+      room.status = 'OCCUPIED';
+
+      await expect(room.save()).rejects.toMatchObject({ errorCode: 'ILLEGAL_STATUS_TRANSITION' });
+      expect(Room.collection.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('rejects status changes through update queries', async () => {
+      await expect(Room.updateOne({ _id: objectId() }, { status: 'AVAILABLE' })).rejects.toMatchObject({
+        statusCode: 409,
+        errorCode: 'ILLEGAL_STATUS_TRANSITION'
+      });
+      await expect(
+        Room.findOneAndUpdate({ _id: objectId() }, { $set: { status: 'AVAILABLE' } })
+      ).rejects.toMatchObject({ statusCode: 409, errorCode: 'ILLEGAL_STATUS_TRANSITION' });
+      expect(Room.collection.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('lets update queries that leave the status alone through', async () => {
+      await Room.updateOne({ _id: objectId() }, { $set: { floor: 2 } });
+
+      expect(Room.collection.updateOne).toHaveBeenCalled();
+    });
+  });
+
+  describe('transitionWhere', () => {
+    it('moves the document only while it is still in the expected status', async () => {
+      const user = manager();
+      const session = { id: 'test-session' };
+      const updated = storedRoom('AVAILABLE');
+      jest.spyOn(Room.collection, 'findOneAndUpdate').mockResolvedValue(updated.toObject());
+      const id = updated._id;
+
+      const result = await transitionWhere(Room, { _id: id }, {
+        from: 'CLEANING',
+        to: 'AVAILABLE',
+        set: { lastCleaned: new Date('2026-10-19T10:00:00Z') },
+        user,
+        session
+      });
+
+      expect(result.status).toBe('AVAILABLE');
+      const [filter, update] = Room.collection.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: id, status: 'CLEANING' });
+      expect(update.$set).toMatchObject({ status: 'AVAILABLE' });
+      expect(AuditLog.logAction).toHaveBeenCalledWith(
+        expect.objectContaining({ changes: { before: { status: 'CLEANING' }, after: { status: 'AVAILABLE' } } }),
+        { session }
+      );
+    });
+
+    it('does not audit a document that had already moved on', async () => {
+      jest.spyOn(Room.collection, 'findOneAndUpdate').mockResolvedValue(null);
+
+      const result = await transitionWhere(Room, { _id: objectId() }, {
+        from: 'CLEANING',
+        to: 'AVAILABLE',
+        user: manager()
+      });
+
+      expect(result).toBeNull();
+      expect(AuditLog.logAction).not.toHaveBeenCalled();
+    });
+
+    it('checks the rule before touching the database', async () => {
+      jest.spyOn(Room, 'findOneAndUpdate').mockReturnValue(query(null));
+
+      await expect(
+        transitionWhere(Room, { _id: objectId() }, { from: 'OCCUPIED', to: 'AVAILABLE', user: manager() })
+      ).rejects.toMatchObject({ errorCode: 'ILLEGAL_STATUS_TRANSITION' });
+      await expect(
+        transitionWhere(Room, { _id: objectId() }, { from: 'AVAILABLE', to: 'MAINTENANCE', user: housekeeper() })
+      ).rejects.toMatchObject({ errorCode: 'TRANSITION_NOT_PERMITTED' });
+      expect(Room.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+});
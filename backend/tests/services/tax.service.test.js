@@ -0,0 +1,92 @@
+const TaxRule = require('../../models/TaxRule');
+const Guest = require('../../models/Guest');
+const { calculateTaxes, folioTaxInput, estimateTaxes } = require('../../services/tax.service');
+const { query, objectId } = require('../helpers');
+
+const rule = (fields) => new TaxRule({ name: fields.code, ...fields });
+
+describe('tax engine', () => {
+  const vat = rule({ code: 'VAT', calculation: 'PERCENTAGE', rate: 10, appliesTo: ['ROOM_NIGHT', 'EXTRA'] });
+  const cityTax = rule({ code: 'CITY', calculation: 'PER_PERSON_NIGHT', rate: 2.5, maxNights: 3 });
+  const resortFee = rule({ code: 'RESORT', calculation: 'PER_NIGHT', rate: 5 });
+  const tourism = rule({ code: 'TOURISM', calculation: 'PER_PERSON_STAY', rate: 4 });
+
+  const stay = { charges: { ROOM_NIGHT: 800, EXTRA: 50, FEE: 100 }, discounts: 80, nights: 4, guests: 2 };
+
+  beforeEach(() => jest.restoreAllMocks());
+
+  it('works each calculation type out against the stay', () => {
+    const { lines, total } = calculateTaxes([vat, cityTax, resortFee, tourism], stay);
+
+    expect(lines.map(({ code, base, quantity, amount }) => ({ code, base, quantity, amount }))).toEqual([
+      // Discounts come off the room nights; fees are not in the rule's base
+      { code: 'VAT', base: 770, quantity: 1, amount: 77 },
+      // Capped at three nights
+      { code: 'CITY', base: 2.5, quantity: 6, amount: 15 },
+      { code: 'RESORT', base: 5, quantity: 4, amount: 20 },
+      { code: 'TOURISM', base: 4, quantity: 2, amount: 8 }
+    ]);
+    expect(total).toBe(120);
+  });
+
+  it('leaves the discount alone for percentage rules not on room nights', () => {
+    const extrasOnly = rule({ code: 'SALES', calculation: 'PERCENTAGE', rate: 8, appliesTo: ['EXTRA'] });
+
+    expect(calculateTaxes([extrasOnly], stay).lines[0]).toMatchObject({ base: 50, amount: 4 });
+  });
+
+  it('zeroes exempt rules and says why', () => {
+    const guest = { _id: objectId(), nationality: 'FR' };
+    const exemptRule = rule({
+      code: 'CITY',
+      calculation: 'PER_PERSON_NIGHT',
+      rate: 2.5,
+      exemptions: { bookingSources: ['OTA'], nationalities: ['fr'] }
+    });
+
+    expect(calculateTaxes([exemptRule], { ...stay, guest }).lines[0])
+      .toMatchObject({ amount: 0, exempt: true, exemptionReason: 'Exempt for FR nationals' });
+    expect(calculateTaxes([exemptRule], { ...stay, bookingSource: 'OTA' }).lines[0])
+      .toMatchObject({ amount: 0, exemptionReason: 'Exempt for OTA bookings' });
+    expect(calculateTaxes([vat], { ...stay, guest: { taxExempt: true, taxExemptReason: 'Diplomat' } }).lines[0])
+      .toMatchObject({ amount: 0, exemptionReason: 'Diplomat' });
+    expect(calculateTaxes([exemptRule], { ...stay, guest: { _id: objectId(), nationality: 'DE' } }).total).toBe(20);
+  });
+
+  it('reads the stay off the live folio lines, taxes left out', () => {
+    const input = folioTaxInput(
+      { numberOfGuests: 2, bookingSource: 'DIRECT' },
+      [
+        { type: 'ROOM_NIGHT', amount: 200 },
+        { type: 'ROOM_NIGHT', amount: 200 },
+        { type: 'ROOM_NIGHT', amount: 200, voided: true },
+        { type: 'DISCOUNT', amount: -40 },
+        { type: 'EXTRA', amount: 30 },
+        { type: 'TAX', amount: 44 }
+      ],
+      null
+    );
+
+    expect(input).toEqual({
+      charges: { ROOM_NIGHT: 400, DISCOUNT: -40, EXTRA: 30 },
+      discounts: 40,
+      nights: 2,
+      guests: 2,
+      bookingSource: 'DIRECT',
+      guest: null
+    });
+  });
+
+  it('estimates a quote with the active rules and the guest\'s exemptions', async () => {
+    jest.spyOn(TaxRule, 'find').mockReturnValue(query([vat, cityTax]));
+    jest.spyOn(Guest, 'findById').mockReturnValue(query({ taxExempt: true }));
+
+    const estimate = await estimateTaxes({ roomCharges: 400, nights: 2, guests: 2, guest: objectId() });
+
+    expect(TaxRule.find).toHaveBeenCalledWith({ isActive: true });
+    expect(estimate.total).toBe(0);
+
+    Guest.findById.mockReturnValue(query(null));
+    expect((await estimateTaxes({ roomCharges: 400, nights: 2, guests: 2 })).total).toBe(50);
+  });
+});
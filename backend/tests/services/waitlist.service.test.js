@@ -0,0 +1,164 @@
+jest.mock('../../services/reservation.service');
+jest.mock('../../services/notification.service');
+jest.mock('../../services/businessDay.service');
+
+const WaitlistEntry = require('../../models/WaitlistEntry');
+const Guest = require('../../models/Guest');
+const RoomType = require('../../models/RoomType');
+const AuditLog = require('../../models/AuditLog');
+const { AppError } = require('../../middlewares/errorHandler');
+const { logger } = require('../../middlewares/logger');
+const { bookReservation } = require('../../services/reservation.service');
+const { notifyStaff } = require('../../services/notification.service');
+const { currentBusinessDate } = require('../../services/businessDay.service');
+const { createEntry, matchWaitlist, expireWaitlist } = require('../../services/waitlist.service');
+const { query, inlineTransactions, stubSave, objectId, manager } = require('../helpers');
+
+const day = (date) => new Date(`${date}T00:00:00Z`);
+
+describe('waitlist', () => {
+  const roomType = objectId();
+  const businessDate = day('2026-10-19');
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    inlineTransactions();
+
+    currentBusinessDate.mockResolvedValue(businessDate);
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue(null);
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+  });
+
+  describe('joining', () => {
+    const data = (guest) => ({
+      guest,
+      roomType: roomType.toString(),
+      checkInDate: '2026-11-10',
+      checkOutDate: '2026-11-12',
+      numberOfGuests: 2
+    });
+
+    beforeEach(() => {
+      jest.spyOn(RoomType, 'findById').mockReturnValue(query({ _id: roomType, name: 'DELUXE', maxOccupancy: 2 }));
+      jest.spyOn(WaitlistEntry, 'exists').mockResolvedValue(null);
+      jest.spyOn(WaitlistEntry, 'create').mockImplementation(async (fields) => new WaitlistEntry(fields));
+    });
+
+    it('ranks VIP guests ahead of standard ones', async () => {
+      jest.spyOn(Guest, 'findById').mockReturnValue(query({ _id: objectId(), fullName: 'Ada Lovelace', vipStatus: true }));
+
+      const entry = await createEntry(data(objectId()), manager());
+
+      expect(entry.priority).toBe(WaitlistEntry.WAITLIST_PRIORITY.VIP);
+    });
+
+    it('refuses a second waiting entry for an overlapping stay', async () => {
+      const guest = { _id: objectId(), fullName: 'Alan Turing', vipStatus: false };
+      jest.spyOn(Guest, 'findById').mockReturnValue(query(guest));
+      WaitlistEntry.exists.mockResolvedValue({ _id: objectId() });
+
+      await expect(createEntry(data(guest._id), manager()))
+        .rejects.toMatchObject({ statusCode: 409, errorCode: 'WAITLIST_DUPLICATE' });
+      expect(WaitlistEntry.exists).toHaveBeenCalledWith({
+        guest: guest._id,
+        roomType,
+        status: 'WAITING',
+        checkInDate: { $lt: day('2026-11-12') },
+        checkOutDate: { $gt: day('2026-11-10') }
+      });
+      expect(WaitlistEntry.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('matching a freed room', () => {
+    const freed = {
+      reservationNumber: 'RES2610190001',
+      roomType,
+      checkInDate: day('2026-11-10'),
+      checkOutDate: day('2026-11-13')
+    };
+
+    // The populated candidates the query returns, and the entries they claim
+    const candidate = (fullName, vipStatus) => ({ _id: objectId(), guest: { _id: objectId(), fullName, vipStatus } });
+    const claimed = ({ _id, guest }) => stubSave(new WaitlistEntry({
+      _id,
+      guest: guest._id,
+      roomType,
+      checkInDate: day('2026-11-10'),
+      checkOutDate: day('2026-11-12'),
+      numberOfGuests: 1
+    }));
+
+    let standard;
+    let vip;
+
+    beforeEach(() => {
+      standard = candidate('Early Bird', false);
+      vip = candidate('Late VIP', true);
+
+      // Oldest first, as the query sorts them
+      jest.spyOn(WaitlistEntry, 'find').mockReturnValue(query([standard, vip]));
+      jest.spyOn(WaitlistEntry, 'findOneAndUpdate')
+        .mockImplementation(async (filter) => claimed([standard, vip].find((c) => c._id === filter._id)));
+      bookReservation.mockImplementation(async (data) => ({ _id: objectId(), reservationNumber: 'RES2610190002', ...data }));
+    });
+
+    it('offers it to a VIP before guests who asked earlier', async () => {
+      const match = await matchWaitlist(freed, manager());
+
+      expect(match.entry._id).toBe(vip._id);
+      expect(WaitlistEntry.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(WaitlistEntry.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: vip._id, status: 'WAITING' },
+        { $set: { status: 'MATCHED', matchedAt: expect.any(Date), priority: WaitlistEntry.WAITLIST_PRIORITY.VIP } },
+        { returnDocument: 'after', session: { id: 'test-session' } }
+      );
+      expect(match.entry.reservation).toEqual(match.reservation._id);
+      expect(match.entry.save).toHaveBeenCalledWith({ session: { id: 'test-session' } });
+      expect(bookReservation.mock.calls[0][0]).toMatchObject({ guest: vip.guest._id, roomType });
+      expect(notifyStaff).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'WAITLIST_MATCH', permission: 'manage_reservations' }),
+        expect.anything()
+      );
+    });
+
+    it('only considers arrivals from the open business day on', async () => {
+      await matchWaitlist(freed, manager());
+
+      expect(WaitlistEntry.find).toHaveBeenCalledWith({
+        status: 'WAITING',
+        roomType,
+        checkInDate: { $lt: freed.checkOutDate, $gte: businessDate },
+        checkOutDate: { $gt: freed.checkInDate }
+      });
+    });
+
+    it('moves on to the next guest when a booking cannot be placed', async () => {
+      bookReservation.mockRejectedValueOnce(new AppError('Sold out.', 409, 'ROOM_TYPE_SOLD_OUT'));
+
+      const match = await matchWaitlist(freed, manager());
+
+      expect(match.entry._id).toBe(standard._id);
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining(vip._id.toString()));
+    });
+
+    it('skips entries another request already matched', async () => {
+      WaitlistEntry.findOneAndUpdate.mockResolvedValue(null);
+
+      expect(await matchWaitlist(freed, manager())).toBeNull();
+      expect(bookReservation).not.toHaveBeenCalled();
+    });
+  });
+
+  it('expires entries whose arrival is before the business date', async () => {
+    jest.spyOn(WaitlistEntry, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+
+    expect(await expireWaitlist()).toEqual({ expired: 3 });
+    expect(WaitlistEntry.updateMany).toHaveBeenCalledWith(
+      { status: 'WAITING', checkInDate: { $lt: businessDate } },
+      { $set: { status: 'EXPIRED' } }
+    );
+  });
+});
@@ -0,0 +1,8 @@
+/**
+ * Round to whole cents to keep float drift out of stored amounts
+ */
+const roundCurrency = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+module.exports = {
+  roundCurrency
+};
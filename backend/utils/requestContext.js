@@ -0,0 +1,12 @@
+/**
+ * REQUEST CONTEXT
+ * The request details services need for audit entries, without passing req around
+ */
+const requestContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.headers['user-agent']
+});
+
+module.exports = {
+  requestContext
+};
@@ -1,6 +1,7 @@
 import { useState } from 'react';
 import { BrowserRouter, Routes, Route } from 'react-router-dom';
 import Home from './pages/Home';
+import Reservations from './pages/Reservations';
 import PublicLayout from './layouts/PublicLayout';
 import './App.css';
 
@@ -11,6 +12,7 @@ function App() {
       <Routes>
         <Route path="/" element={<PublicLayout />}>
           <Route index element={<Home />} />
+          <Route path="reservations" element={<Reservations />} />
           {/* You can add more routes here that will also use the layout */}
         </Route>
       </Routes>
@@ -0,0 +1,34 @@
+const API_BASE_URL = import.meta.env.VITE_API_URL || '/api/v1';
+
+// Dates are sent as local calendar days (YYYY-MM-DD), not UTC timestamps
+const toDateParam = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+export const searchAvailability = async ({ checkIn, checkOut, guests = 1, ...filters }) => {
+  const params = new URLSearchParams({
+    checkInDate: toDateParam(checkIn),
+    checkOutDate: toDateParam(checkOut),
+    guests: String(guests),
+  });
+
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      params.append(key, String(value));
+    }
+  });
+
+  const response = await fetch(`${API_BASE_URL}/rooms/availability?${params}`, {
+    credentials: 'include',
+  });
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    throw new Error(body?.message || 'Unable to check availability. Please try again.');
+  }
+
+  return body.data;
+};
@@ -1,5 +1,6 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { NavLink } from 'react-router-dom';
+import { useNavigate } from 'react-router-dom';
+import { searchAvailability } from '../../../api/rooms';
 import CustomCalendar from './CustomCalendar/CustomCalendar';
 import DateInput from './DateInput/DateInput';
 import styles from './AvailabilityForm.module.css';
@@ -9,7 +10,10 @@ const AvailabilityForm = () => {
   const [checkOut, setCheckOut] = useState(null);
   const [showCalendar, setShowCalendar] = useState(false);
   const [activeInput, setActiveInput] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [searchError, setSearchError] = useState(null);
   const formRef = useRef(null);
+  const navigate = useNavigate();
 
   const today = new Date();
   today.setHours(0, 0, 0, 0);
@@ -62,6 +66,21 @@ const AvailabilityForm = () => {
     setCheckIn(null);
     setCheckOut(null);
     setActiveInput(null);
+    setSearchError(null);
+  };
+
+  const handleSearch = async () => {
+    setIsSearching(true);
+    setSearchError(null);
+
+    try {
+      const { rooms } = await searchAvailability({ checkIn, checkOut });
+      navigate('/reservations', { state: { checkIn, checkOut, rooms } });
+    } catch (error) {
+      setSearchError(error.message);
+    } finally {
+      setIsSearching(false);
+    }
   };
 
   const getMinDate = () => {
@@ -126,17 +145,14 @@ const AvailabilityForm = () => {
           </button>
         )}
 
-        <NavLink
-          to="/reservations"
-          className={`${styles.searchButton} ${!isFormValid ? styles.searchButtonDisabled : ''}`}
+        <button
+          type="button"
+          className={`${styles.searchButton} ${!isFormValid || isSearching ? styles.searchButtonDisabled : ''}`}
           aria-label="Search available rooms"
-          onClick={(e) => {
-            if (!isFormValid) {
-              e.preventDefault();
-            }
-          }}
+          disabled={!isFormValid || isSearching}
+          onClick={handleSearch}
         >
-          <span>Search Rooms</span>
+          <span>{isSearching ? 'Searching...' : 'Search Rooms'}</span>
           <svg 
             className={styles.searchIcon}
             width="20" 
@@ -150,8 +166,14 @@ const AvailabilityForm = () => {
             <circle cx="11" cy="11" r="8" />
             <path d="m21 21-4.35-4.35" />
           </svg>
-        </NavLink>
+        </button>
       </div>
+
+      {searchError && (
+        <p className={styles.errorMessage} role="alert">
+          {searchError}
+        </p>
+      )}
     </div>
   );
 };
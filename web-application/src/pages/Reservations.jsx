@@ -0,0 +1,77 @@
+import React from 'react';
+import { Link, Navigate, useLocation } from 'react-router-dom';
+import styles from './styles/Reservations.module.css';
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+
+const formatLabel = (value) =>
+  String(value)
+    .toLowerCase()
+    .replace(/_/g, ' ')
+    .replace(/\b\w/g, (letter) => letter.toUpperCase());
+
+const Reservations = () => {
+  const { state } = useLocation();
+
+  // Results only exist after a search from the availability form
+  if (!state?.checkIn || !state?.checkOut) {
+    return <Navigate to="/" replace />;
+  }
+
+  const { checkIn, checkOut, rooms = [] } = state;
+
+  return (
+    <section className={styles.reservations}>
+      <div className={styles.container}>
+        <header className={styles.header}>
+          <span className={styles.sectionLabel}>Availability</span>
+          <h1 className={styles.sectionTitle}>
+            {rooms.length} {rooms.length === 1 ? 'room' : 'rooms'} available
+          </h1>
+          <p className={styles.dates}>
+            {formatDate(checkIn)} — {formatDate(checkOut)}
+          </p>
+        </header>
+
+        {rooms.length === 0 ? (
+          <div className={styles.empty}>
+            <p>No rooms are available for these dates.</p>
+            <Link to="/" className={styles.backLink}>
+              Try other dates
+            </Link>
+          </div>
+        ) : (
+          <ul className={styles.roomList}>
+            {rooms.map((room) => (
+              <li key={room._id} className={styles.roomCard}>
+                <div className={styles.roomInfo}>
+                  <h2 className={styles.roomTitle}>
+                    {room.roomType?.name ? formatLabel(room.roomType.name) : 'Room'} · {room.roomNumber}
+                  </h2>
+                  <p className={styles.roomMeta}>
+                    {[
+                      room.viewType && `${formatLabel(room.viewType)} view`,
+                      room.roomType?.bedType && `${formatLabel(room.roomType.bedType)} bed`,
+                      room.roomType?.maxOccupancy && `Up to ${room.roomType.maxOccupancy} guests`
+                    ]
+                      .filter(Boolean)
+                      .join(' · ')}
+                  </p>
+                </div>
+                {room.roomType?.basePrice !== undefined && (
+                  <div className={styles.roomPrice}>
+                    <span className={styles.priceValue}>${room.roomType.basePrice}</span>
+                    <span className={styles.priceUnit}>per night</span>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default Reservations;